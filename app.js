@@ -1,7 +1,9 @@
+import './models/plugins/index.js';
 import express from 'express';
 import cors from 'cors';
 import cookieParser from 'cookie-parser';
 import errorHandler from './middlewares/error.middleware.js';
+import requestContext from './middlewares/requestContext.middleware.js';
 import { PORT } from './config/env.js';
 import authRouter from './routes/auth.route.js';
 import leadRouter from './routes/lead.route.js';
@@ -29,9 +31,23 @@ import ticketRouter from './routes/ticket.route.js';
 import notificationRouter from './routes/notification.route.js';
 import franchiseCommissionLimitRouter from './routes/franchiseCommissionLimit.route.js';
 import companySettingsRouter from './routes/companySettings.route.js';
+import leadWorkflowRouter from './routes/leadWorkflow.route.js';
+import partnerLedgerRouter from './routes/partnerLedger.route.js';
+import payoutFileTemplateRouter from './routes/payoutFileTemplate.route.js';
+import reconciliationRouter from './routes/reconciliation.route.js';
+import invoiceNoteRouter from './routes/invoiceNote.route.js';
+import lowerDeductionCertificateRouter from './routes/lowerDeductionCertificate.route.js';
+import onboardingRouter from './routes/onboarding.route.js';
+import roleRouter from './routes/role.route.js';
+import orgRouter from './routes/org.route.js';
+import recycleBinRouter from './routes/recycleBin.route.js';
+import auditRouter from './routes/audit.route.js';
+import versionHistoryRouter from './routes/versionHistory.route.js';
 import { startTicketEscalationJob } from './jobs/ticketEscalation.job.js';
 import connectDB from './config/db.js';
 import { seedDefaultAdmin } from './utils/seedAdmin.js';
+import { migratePlainTextPasswords } from './utils/migratePlainPasswords.js';
+import { migrateSoftDeleteUniqueIndexes } from './utils/migrateSoftDeleteUniqueIndexes.js';
 import { seedSampleBankAndManager } from './utils/seedBankAndManager.js';
 import { seedFieldDefinitions } from './utils/seedFieldDefinitions.js';
 import { v2 as cloudinary } from 'cloudinary';
@@ -48,11 +64,13 @@ app.use(cors({
   ],
   credentials: true,
   methods: ["GET","POST","PUT","DELETE","PATCH","OPTIONS"],
-  allowedHeaders: ["Content-Type","Authorization"]
+  allowedHeaders: ["Content-Type","Authorization","X-Application-Token","X-Request-Id"],
+  exposedHeaders: ["X-Request-Id"]
 }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
+app.use(requestContext);
 
 // Root route
 app.get('/', (req, res) => {
@@ -102,6 +120,18 @@ app.use('/api/tickets', ticketRouter);
 app.use('/api/notifications', notificationRouter);
 app.use('/api/franchise-commission-limits', franchiseCommissionLimitRouter);
 app.use('/api/company-settings', companySettingsRouter);
+app.use('/api/lead-workflows', leadWorkflowRouter);
+app.use('/api/ledger', partnerLedgerRouter);
+app.use('/api/payout-file-templates', payoutFileTemplateRouter);
+app.use('/api/reconciliation', reconciliationRouter);
+app.use('/api/invoice-notes', invoiceNoteRouter);
+app.use('/api/tds-certificates', lowerDeductionCertificateRouter);
+app.use('/api/onboarding', onboardingRouter);
+app.use('/api/roles', roleRouter);
+app.use('/api/org', orgRouter);
+app.use('/api/recycle-bin', recycleBinRouter);
+app.use('/api/audit', auditRouter);
+app.use('/api/versions', versionHistoryRouter);
 
 // Error handler (must be last)
 app.use(errorHandler);
@@ -124,6 +154,12 @@ const startServer = async () => {
       console.log('Cloudinary not configured - uploads will use local storage.');
     }
 
+    // Hash any passwords still stored in plain text (no-op once migrated)
+    await migratePlainTextPasswords();
+
+    // Let deleted users / franchises / RMs / banks be re-created with the same email, mobile or name (no-op once migrated)
+    await migrateSoftDeleteUniqueIndexes();
+
     // Create default admin user if it doesn't exist
     await seedDefaultAdmin();
 
@@ -20,6 +20,9 @@ export const {
   PORT, 
   JWT_SECRET, 
   JWT_EXPIRE,
+  ACCESS_TOKEN_EXPIRE,
+  REFRESH_TOKEN_EXPIRE,
+  TWO_FACTOR_ENCRYPTION_KEY,
   SMTP_HOST,
   SMTP_PORT,
   SMTP_USER,
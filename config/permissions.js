@@ -0,0 +1,129 @@
+/**
+ * Permission catalog
+ * Every permission checked by a route, with the built-in roles that have it by default.
+ * super_admin always has every permission. Custom roles (Role model) replace the defaults
+ * of the built-in role they are based on, and per-user grants / revocations apply on top.
+ */
+
+const ALL_ROLES = ['regional_manager', 'relationship_manager', 'franchise', 'agent', 'accounts_manager'];
+
+export const PERMISSION_CATALOG = {
+  // Leads
+  'lead.create': { group: 'Leads', description: 'Create leads', roles: ALL_ROLES },
+  'lead.import': { group: 'Leads', description: 'Import leads from a spreadsheet', roles: ['regional_manager', 'relationship_manager', 'franchise'] },
+  'lead.verify': { group: 'Leads', description: 'Verify leads', roles: ['regional_manager', 'relationship_manager', 'franchise'] },
+  'lead.forward': { group: 'Leads', description: 'Forward leads to the relationship manager', roles: ['franchise'] },
+  'lead.delete': { group: 'Leads', description: 'Delete leads', roles: ['regional_manager', 'relationship_manager', 'franchise', 'accounts_manager'] },
+  'lead.review_duplicates': { group: 'Leads', description: 'Review possible duplicate leads', roles: ['regional_manager'] },
+  'lead.view_approved': { group: 'Leads', description: 'View approved leads awaiting disbursement', roles: ['accounts_manager'] },
+  'lead.disburse': { group: 'Leads', description: 'Record disbursements', roles: ['accounts_manager'] },
+  'lead.disbursement_email': { group: 'Leads', description: 'Preview and send disbursement confirmation emails', roles: ['regional_manager', 'relationship_manager', 'franchise', 'accounts_manager'] },
+  'lead_form.manage': { group: 'Leads', description: 'Manage lead forms', roles: ['regional_manager', 'accounts_manager'] },
+  'field_definition.manage': { group: 'Leads', description: 'Manage custom field definitions', roles: ['regional_manager', 'accounts_manager'] },
+  'lead_workflow.manage': { group: 'Leads', description: 'Manage lead workflows', roles: [] },
+
+  // Documents
+  'document.verify': { group: 'Documents', description: 'Verify uploaded documents', roles: ['relationship_manager', 'franchise'] },
+
+  // Invoices
+  'invoice.create': { group: 'Invoices', description: 'Create invoices manually', roles: [] },
+  'invoice.generate': { group: 'Invoices', description: 'Generate invoices from leads', roles: ['accounts_manager'] },
+  'invoice.update': { group: 'Invoices', description: 'Edit invoices', roles: ['accounts_manager'] },
+  'invoice.delete': { group: 'Invoices', description: 'Delete invoices', roles: [] },
+  'invoice.cancel': { group: 'Invoices', description: 'Cancel invoices (issues a credit note)', roles: ['accounts_manager'] },
+  'invoice.accept': { group: 'Invoices', description: 'Accept own invoices', roles: ['agent'] },
+  'invoice.escalate': { group: 'Invoices', description: 'Escalate own invoices', roles: ['agent'] },
+  'invoice.resolve_escalation': { group: 'Invoices', description: 'Resolve invoice escalations', roles: ['relationship_manager', 'franchise'] },
+  'invoice.approve': { group: 'Invoices', description: 'Approve or reject invoices', roles: ['relationship_manager', 'franchise', 'accounts_manager'] },
+  'invoice_note.view': { group: 'Invoices', description: 'View credit and debit notes', roles: ['accounts_manager'] },
+  'invoice_note.create': { group: 'Invoices', description: 'Issue credit and debit notes', roles: ['accounts_manager'] },
+
+  // Payouts
+  'payout.manage': { group: 'Payouts', description: 'Create, edit and delete payouts', roles: ['relationship_manager', 'accounts_manager'] },
+  'payout.process': { group: 'Payouts', description: 'Process pending payouts', roles: ['accounts_manager'] },
+  'payout.bank_file': { group: 'Payouts', description: 'Generate and download bank payout files', roles: ['accounts_manager'] },
+  'payout.confirm': { group: 'Payouts', description: 'Confirm payout payments', roles: ['accounts_manager'] },
+  'payout.mark_failed': { group: 'Payouts', description: 'Mark payouts as failed', roles: ['accounts_manager'] },
+  'payout_file_template.view': { group: 'Payouts', description: 'View payout file templates', roles: ['accounts_manager'] },
+  'payout_file_template.manage': { group: 'Payouts', description: 'Manage payout file templates', roles: [] },
+  'reconciliation.manage': { group: 'Payouts', description: 'Import bank statements and resolve reconciliation exceptions', roles: ['accounts_manager'] },
+
+  // Commissions and tax
+  'commission.view_ledger': { group: 'Commissions', description: 'View commission waterfalls and ledgers', roles: ['accounts_manager'] },
+  'commission_rule.manage': { group: 'Commissions', description: 'Create and edit commission rules', roles: [] },
+  'commission_rule.simulate': { group: 'Commissions', description: 'Simulate commission rule changes', roles: [] },
+  'franchise_commission_limit.manage': { group: 'Commissions', description: 'Manage franchise commission limits', roles: ['accounts_manager'] },
+  'partner_ledger.adjust': { group: 'Commissions', description: 'Post partner ledger adjustments', roles: ['accounts_manager'] },
+  'tds_certificate.view': { group: 'Tax', description: 'View lower deduction certificates', roles: ['accounts_manager'] },
+  'tds_certificate.manage': { group: 'Tax', description: 'Create and edit lower deduction certificates', roles: ['accounts_manager'] },
+  'tds_certificate.delete': { group: 'Tax', description: 'Delete lower deduction certificates', roles: [] },
+  'form16.manage': { group: 'Tax', description: 'Upload and edit Form 16 records', roles: ['agent', 'accounts_manager'] },
+  'form16.generate': { group: 'Tax', description: 'View quarterly TDS summaries and generate Form 16A', roles: ['accounts_manager'] },
+
+  // Reports and history
+  'report.export': { group: 'Reports', description: 'Export lead, commission, payout and TDS reports', roles: ALL_ROLES },
+  'report.tds_26q': { group: 'Reports', description: 'Generate Form 26Q reports', roles: ['accounts_manager'] },
+  'history.view': { group: 'Reports', description: 'View change history', roles: ['accounts_manager'] },
+
+  // Dashboards
+  'dashboard.admin': { group: 'Dashboards', description: 'Admin dashboard', roles: ['regional_manager'] },
+  'dashboard.relationship_manager': { group: 'Dashboards', description: 'Relationship manager dashboard', roles: ['relationship_manager'] },
+  'dashboard.franchise': { group: 'Dashboards', description: 'Franchise dashboard', roles: ['franchise'] },
+  'dashboard.agent': { group: 'Dashboards', description: 'Agent dashboard', roles: ['agent'] },
+  'dashboard.accounts': { group: 'Dashboards', description: 'Accounts dashboard and disbursement desk', roles: ['accounts_manager'] },
+
+  // Partners
+  'agent.view': { group: 'Partners', description: 'View agents', roles: ALL_ROLES },
+  'agent.manage': { group: 'Partners', description: 'Edit, deactivate and delete agents', roles: ['regional_manager', 'relationship_manager', 'franchise'] },
+  'sub_agent.manage': { group: 'Partners', description: 'Manage own sub-agents', roles: ['agent'] },
+  'staff.create': { group: 'Partners', description: 'Create staff', roles: ['relationship_manager', 'agent'] },
+  'staff.manage': { group: 'Partners', description: 'View, edit and delete staff', roles: ['relationship_manager'] },
+  'franchise.manage': { group: 'Partners', description: 'Create, edit and delete franchises', roles: ['regional_manager', 'relationship_manager'] },
+  'franchise.view_agents': { group: 'Partners', description: 'View agents of a franchise', roles: ['regional_manager', 'franchise'] },
+  'franchise.view_performance': { group: 'Partners', description: 'View franchise performance', roles: ['regional_manager'] },
+  'relationship_manager.manage': { group: 'Partners', description: 'Create, edit and delete relationship managers', roles: ['regional_manager'] },
+  'relationship_manager.view_details': { group: 'Partners', description: 'View franchises and performance of relationship managers', roles: ['regional_manager'] },
+  'onboarding.review': { group: 'Partners', description: 'Review agent onboarding applications', roles: ['regional_manager', 'relationship_manager', 'franchise'] },
+
+  // Organisation
+  'org.view_tree': { group: 'Organisation', description: 'View the org tree and who is above / below a user', roles: ['regional_manager', 'accounts_manager'] },
+  'org.manage': { group: 'Organisation', description: 'Create and edit zones and regions', roles: [] },
+
+  // Banks
+  'bank.manage': { group: 'Banks', description: 'Create, edit and delete banks', roles: [] },
+  'bank.send_email': { group: 'Banks', description: 'Email banks', roles: ['relationship_manager'] },
+  'bank_manager.manage': { group: 'Banks', description: 'Manage bank managers', roles: ['regional_manager', 'relationship_manager', 'franchise'] },
+
+  // Contacts
+  'contact.view_accounts': { group: 'Contacts', description: 'View accounts team contacts', roles: ALL_ROLES },
+  'contact.view_regional_manager': { group: 'Contacts', description: 'View own regional manager', roles: ['relationship_manager', 'franchise', 'agent'] },
+
+  // Administration
+  'user.create': { group: 'Administration', description: 'Create users', roles: ['regional_manager'] },
+  'user.transfer': { group: 'Administration', description: 'Transfer agents between franchises', roles: ['regional_manager'] },
+  'user.activate': { group: 'Administration', description: 'Activate and deactivate users', roles: ['regional_manager'] },
+  'user.delete': { group: 'Administration', description: 'Delete users', roles: ['regional_manager'] },
+  'user.unlock': { group: 'Administration', description: 'Clear failed-login lockouts', roles: [] },
+  'user.reset_two_factor': { group: 'Administration', description: 'Reset two-factor authentication of users', roles: [] },
+  'user.manage_permissions': { group: 'Administration', description: 'Assign custom roles and per-user permissions', roles: [] },
+  'role.manage': { group: 'Administration', description: 'Create and edit custom roles', roles: [] },
+  'accounts_manager.manage': { group: 'Administration', description: 'Manage accounts managers', roles: [] },
+  'banner.manage': { group: 'Administration', description: 'Manage banners', roles: [] },
+  'company_settings.update': { group: 'Administration', description: 'Edit company settings', roles: [] },
+  'recycle_bin.manage': { group: 'Administration', description: 'List, restore and purge deleted records', roles: [] },
+  'audit.view': { group: 'Administration', description: 'Search the audit log and record timelines', roles: [] },
+  'version_history.view': { group: 'Administration', description: 'View version history of invoices, payouts, commission rules and settings', roles: ['accounts_manager'] },
+  'version_history.restore': { group: 'Administration', description: 'Restore earlier versions of invoices, payouts, commission rules and settings', roles: [] },
+};
+
+export const PERMISSIONS_LIST = Object.keys(PERMISSION_CATALOG);
+
+/**
+ * Default permissions of a built-in role
+ * @param {String} role - Built-in role
+ * @returns {Array<String>} Permissions
+ */
+export const getDefaultRolePermissions = (role) => {
+  if (role === 'super_admin') return PERMISSIONS_LIST;
+  return PERMISSIONS_LIST.filter((permission) => PERMISSION_CATALOG[permission].roles.includes(role));
+};
@@ -1,6 +1,9 @@
 import Lead from '../models/lead.model.js';
 import Bank from '../models/bank.model.js';
 import { getAccountantAccessibleAgentIds } from '../utils/accountantScope.js';
+import leadWorkflowService from '../services/leadWorkflow.service.js';
+import commissionService from '../services/commission.service.js';
+import commissionWaterfallService from '../services/commissionWaterfall.service.js';
 
 // Status mapping for consistent handling across the application
 const ACCOUNTANT_ALLOWED_STATUSES = ['sanctioned', 'partial_disbursed', 'disbursed', 'completed'];
@@ -337,9 +340,15 @@ export const addDisbursement = async (req, res, next) => {
     const currentDisbursed = lead.disbursedAmount || 0;
     const remainingAmount = loanAmount - currentDisbursed;
     const disbursementAmount = parseFloat(amount);
-    const commissionAmount = parseFloat(commission) || 0;
+    const disbursementDate = new Date(date);
     const gstAmount = parseFloat(gst) || 0;
 
+    // Tranche commission accrues under the rule in effect on the tranche date unless entered explicitly
+    const accrued = await commissionService.calculateTrancheCommission(lead, disbursementAmount, disbursementDate);
+    const commissionAmount = commission !== undefined && commission !== ''
+      ? parseFloat(commission) || 0
+      : accrued.commission;
+
     // Debug logging
     console.log(`Lead ID: ${leadId}`);
     console.log(`Approved Amount: ${loanAmount}`);
@@ -366,10 +375,11 @@ export const addDisbursement = async (req, res, next) => {
     // Add to disbursement history
     const newDisbursement = {
       amount: disbursementAmount,
-      date: new Date(date),
+      date: disbursementDate,
       utr,
       bankRef: bankRef || '',
       commission: commissionAmount,
+      commissionRule: accrued.rule?._id,
       gst: gstAmount,
       netCommission: commissionAmount - gstAmount,
       notes: notes || '',
@@ -385,18 +395,29 @@ export const addDisbursement = async (req, res, next) => {
     lead.disbursedAmount = currentDisbursed + disbursementAmount;
     lead.commissionAmount = (lead.commissionAmount || 0) + commissionAmount;
 
-    // Update status
-    if (lead.disbursedAmount >= loanAmount) {
-      lead.status = 'completed';
-    } else {
-      lead.status = 'partial_disbursed';
+    // Update status (guarded by the lead workflow)
+    const nextStatus = leadWorkflowService.getDisbursementStatus(lead);
+    const check = await leadWorkflowService.validateTransition(lead, nextStatus, req.user, req.body);
+    if (!check.allowed) {
+      return res.status(check.statusCode).json({
+        success: false,
+        message: check.error,
+        missingFields: check.missingFields
+      });
     }
+    lead.status = nextStatus;
 
     // Save the updated lead
     await lead.save();
     
     console.log(`Disbursement successful. New total disbursed: ${lead.disbursedAmount}, New remaining: ${loanAmount - lead.disbursedAmount}`);
 
+    // Accrue each party's share of this tranche in the commission ledger
+    const savedTranche = lead.disbursementHistory[lead.disbursementHistory.length - 1];
+    const commissionAccrual = await commissionWaterfallService.accrueTranche(lead._id, savedTranche, req.user._id);
+
+    await leadWorkflowService.runSideEffects(check.transition, lead._id);
+
     res.status(201).json({
       success: true,
       data: {
@@ -407,7 +428,8 @@ export const addDisbursement = async (req, res, next) => {
           remainingAmount: loanAmount - lead.disbursedAmount,
           status: lead.status
         },
-        disbursement: newDisbursement
+        disbursement: savedTranche,
+        commissionAccrual
       },
       message: 'Disbursement added successfully'
     });
@@ -773,18 +795,45 @@ export const editDisbursement = async (req, res, next) => {
     const originalCommission = originalEntry.commission || 0;
     const originalGST = originalEntry.gst || 0;
 
+    const newAmount = amount !== undefined ? parseFloat(amount) : originalEntry.amount;
+    const newDate = date ? new Date(date) : originalEntry.date;
+    const accrualChanged = newAmount !== originalAmount
+      || new Date(newDate).getTime() !== new Date(originalEntry.date).getTime();
+
+    // Billed tranches are corrected by cancelling the invoice (credit note) first
+    if (accrualChanged) {
+      const invoices = await commissionWaterfallService.getTrancheInvoices(lead._id, originalEntry._id);
+      if (invoices.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Disbursement amount and date cannot be changed while invoice(s) ${invoices.map((i) => i.invoiceNumber).join(', ')} bill this tranche. Cancel them first; cancelling issues the credit note.`
+        });
+      }
+    }
+
+    // A changed amount or date re-accrues the tranche under the rule in effect on its (new) date
+    let newCommission = commission !== undefined ? parseFloat(commission) : originalEntry.commission;
+    let commissionRule = originalEntry.commissionRule;
+    if (accrualChanged) {
+      const accrued = await commissionService.calculateTrancheCommission(lead, newAmount, newDate);
+      commissionRule = accrued.rule?._id;
+      if (commission === undefined) newCommission = accrued.commission;
+    }
+    const newGst = gst !== undefined ? parseFloat(gst) : originalEntry.gst;
+
     // Update disbursement entry
     const updatedEntry = {
       _id: originalEntry._id,
-      amount: amount !== undefined ? parseFloat(amount) : originalEntry.amount,
-      date: date ? new Date(date) : originalEntry.date,
+      amount: newAmount,
+      date: newDate,
       utr: utr !== undefined ? utr : originalEntry.utr,
       bankRef: bankRef !== undefined ? bankRef : originalEntry.bankRef,
-      commission: commission !== undefined ? parseFloat(commission) : originalEntry.commission,
-      gst: gst !== undefined ? parseFloat(gst) : originalEntry.gst,
-      netCommission: commission !== undefined ? 
-        (parseFloat(commission) - (gst !== undefined ? parseFloat(gst) : originalEntry.gst)) : 
-        originalEntry.netCommission,
+      commission: newCommission,
+      commissionRule,
+      gst: newGst,
+      netCommission: commission !== undefined || accrualChanged
+        ? (newCommission || 0) - (newGst || 0)
+        : originalEntry.netCommission,
       notes: notes !== undefined ? notes : originalEntry.notes,
       updatedAt: new Date(),
       updatedBy: req.user._id
@@ -809,15 +858,31 @@ export const editDisbursement = async (req, res, next) => {
       });
     }
 
-    // Update status if needed (using correct status values)
-    if (lead.disbursedAmount >= loanAmount) {
-      lead.status = 'completed';
-    } else if (lead.disbursedAmount > 0) {
-      lead.status = 'partial_disbursed';
+    // Update status if needed (guarded by the lead workflow)
+    const nextStatus = leadWorkflowService.getDisbursementStatus(lead);
+    const check = await leadWorkflowService.validateTransition(lead, nextStatus, req.user, req.body);
+    if (!check.allowed) {
+      return res.status(check.statusCode).json({
+        success: false,
+        message: check.error,
+        missingFields: check.missingFields
+      });
     }
+    lead.status = nextStatus;
 
     await lead.save();
     
+    // Reverse the tranche's ledger entries and accrue them again with the edited values
+    const commissionAccrual = accrualChanged
+      ? await commissionWaterfallService.reverseTranche(lead._id, updatedEntry, {
+        userId: req.user._id,
+        remarks: 'Disbursement tranche edited',
+        reaccrue: true,
+      })
+      : null;
+
+    await leadWorkflowService.runSideEffects(check.transition, lead._id);
+
     console.log('Edit Disbursement - Lead saved successfully, preparing response...');
     console.log('Updated entry ID:', updatedEntry._id.toString());
     console.log('Updated entry amount:', updatedEntry.amount);
@@ -841,7 +906,8 @@ export const editDisbursement = async (req, res, next) => {
           gst: updatedEntry.gst,
           netCommission: updatedEntry.netCommission,
           notes: updatedEntry.notes
-        }
+        },
+        commissionAccrual
       },
       message: 'Disbursement entry updated successfully'
     });
@@ -901,6 +967,15 @@ export const deleteDisbursement = async (req, res, next) => {
 
     // Store values for calculation
     const entryToDelete = lead.disbursementHistory[disbursementIndex];
+
+    // Billed tranches are corrected by cancelling the invoice (credit note) first
+    const trancheInvoices = await commissionWaterfallService.getTrancheInvoices(lead._id, entryToDelete._id);
+    if (trancheInvoices.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Disbursement cannot be deleted while invoice(s) ${trancheInvoices.map((i) => i.invoiceNumber).join(', ')} bill this tranche. Cancel them first; cancelling issues the credit note.`
+      });
+    }
     const amountToDelete = entryToDelete.amount || 0;
     const commissionToDelete = entryToDelete.commission || 0;
     const gstToDelete = entryToDelete.gst || 0;
@@ -912,18 +987,29 @@ export const deleteDisbursement = async (req, res, next) => {
     lead.disbursedAmount = (lead.disbursedAmount || 0) - amountToDelete;
     lead.commissionAmount = (lead.commissionAmount || 0) - commissionToDelete;
 
-    // Update status
+    // Update status (back to sanctioned when no disbursements remain; guarded by the lead workflow)
     const loanAmount = lead.loanAmount || lead.amount || 0;
-    if (lead.disbursedAmount <= 0) {
-      lead.status = 'sanctioned'; // Reset to sanctioned if no disbursements
-    } else if (lead.disbursedAmount >= loanAmount) {
-      lead.status = 'completed';
-    } else {
-      lead.status = 'partial_disbursed';
+    const nextStatus = leadWorkflowService.getDisbursementStatus(lead);
+    const check = await leadWorkflowService.validateTransition(lead, nextStatus, req.user, req.body);
+    if (!check.allowed) {
+      return res.status(check.statusCode).json({
+        success: false,
+        message: check.error,
+        missingFields: check.missingFields
+      });
     }
+    lead.status = nextStatus;
 
     await lead.save();
 
+    // Post reversing entries for the deleted tranche's commission
+    const commissionReversal = await commissionWaterfallService.reverseTranche(lead._id, entryToDelete, {
+      userId: req.user._id,
+      remarks: 'Disbursement tranche deleted',
+    });
+
+    await leadWorkflowService.runSideEffects(check.transition, lead._id);
+
     res.status(200).json({
       success: true,
       data: {
@@ -934,7 +1020,8 @@ export const deleteDisbursement = async (req, res, next) => {
           remainingAmount: loanAmount - lead.disbursedAmount,
           status: lead.status
         },
-        deletedEntry: entryToDelete
+        deletedEntry: entryToDelete,
+        commissionReversal
       },
       message: 'Disbursement entry deleted successfully'
     });
@@ -943,24 +1030,16 @@ export const deleteDisbursement = async (req, res, next) => {
   }
 };
 
-// 9️⃣ Update Lead Status (Limited to Accountant-approved statuses)
+// 9️⃣ Update Lead Status (guarded by the lead workflow for the lead's bank / loan type)
 export const updateLeadStatus = async (req, res, next) => {
   try {
     const { id } = req.params;
     const { status, notes } = req.body;
 
-    // Allowed status transitions for accountants (using correct status values)
-    const allowedStatuses = [
-      'sanctioned',
-      'partial_disbursed', 
-      'disbursed',
-      'completed'
-    ];
-
-    if (!allowedStatuses.includes(status)) {
+    if (!ACCOUNTANT_ALLOWED_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
-        message: `Accountants can only update status to: ${allowedStatuses.join(', ')}`
+        message: `Accountants can only update status to: ${ACCOUNTANT_ALLOWED_STATUSES.join(', ')}`
       });
     }
 
@@ -973,12 +1052,31 @@ export const updateLeadStatus = async (req, res, next) => {
       });
     }
 
+    // Check if accountant can access this lead (filter by assigned RMs)
+    if (req.user.role === 'accounts_manager') {
+      const accessibleAgentIds = await getAccountantAccessibleAgentIds(req);
+      if (accessibleAgentIds.length === 0 || !accessibleAgentIds.includes(lead.agent.toString())) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only update leads under your assigned Regional Managers.'
+        });
+      }
+    }
+
     // Verify lead is accessible to accountant
-    const accessibleStatuses = ['APPROVED', 'DISBURSEMENT_IN_PROGRESS', 'SANCTIONED', 'PARTIAL_DISBURSED', 'COMPLETED'];
-    if (!accessibleStatuses.includes(lead.status)) {
+    if (!ACCOUNTANT_ALLOWED_STATUSES.includes(lead.status)) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot update status for this lead'
+        message: `Cannot update status for this lead. Current status: ${lead.status}`
+      });
+    }
+
+    const check = await leadWorkflowService.validateTransition(lead, status, req.user, req.body);
+    if (!check.allowed) {
+      return res.status(check.statusCode).json({
+        success: false,
+        message: check.error,
+        missingFields: check.missingFields
       });
     }
 
@@ -993,6 +1091,8 @@ export const updateLeadStatus = async (req, res, next) => {
 
     await lead.save();
 
+    await leadWorkflowService.runSideEffects(check.transition, lead._id);
+
     res.status(200).json({
       success: true,
       data: {
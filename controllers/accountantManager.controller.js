@@ -1,7 +1,8 @@
 import User from '../models/user.model.js';
 import Accountant from '../models/accountant.model.js';
 import { getPaginationMeta } from '../utils/helpers.js';
-import auditService from '../services/audit.service.js';
+import passwordService from '../services/password.service.js';
+import orgHierarchyService from '../services/orgHierarchy.service.js';
 
 /**
  * Get all accountant managers
@@ -85,6 +86,13 @@ export const createAccountantManager = async (req, res, next) => {
                 error: 'Password is required',
             });
         }
+        const passwordErrors = await passwordService.validatePassword(userData.password);
+        if (passwordErrors.length) {
+            return res.status(400).json({
+                success: false,
+                error: passwordErrors.join('; '),
+            });
+        }
 
         // Check if email or mobile already exists
         const existingUser = await User.findOne({
@@ -127,15 +135,13 @@ export const createAccountantManager = async (req, res, next) => {
             }
 
             await Accountant.create(accountantProfileData);
+            orgHierarchyService.invalidate();
         } catch (profileError) {
             console.error('⚠️ Could not create accountant profile:', profileError.message);
             // We don't fail the whole request if profile creation fails, 
             // but we log it.
         }
 
-        // Log audit
-        await auditService.logCreate(req.user._id, 'user', accountant._id, accountant.toObject(), req);
-
         const accountantResponse = await User.findById(accountant._id).select('-password');
 
         res.status(201).json({
@@ -161,8 +167,6 @@ export const updateAccountantManager = async (req, res, next) => {
             });
         }
 
-        const previousValues = accountant.toObject();
-
         // Don't allow changing role through this endpoint
         delete req.body.role;
 
@@ -193,13 +197,11 @@ export const updateAccountantManager = async (req, res, next) => {
                 updateData,
                 { upsert: true }
             );
+            orgHierarchyService.invalidate();
         } catch (profileError) {
             console.error('⚠️ Could not sync accountant profile:', profileError.message);
         }
 
-        // Log audit
-        await auditService.logUpdate(req.user._id, 'user', updatedAccountant._id, previousValues, updatedAccountant.toObject(), req);
-
         res.status(200).json({
             success: true,
             message: 'Accountant manager updated successfully and profile synced',
@@ -223,19 +225,16 @@ export const deleteAccountantManager = async (req, res, next) => {
             });
         }
 
-        const previousValues = accountant.toObject();
         await User.findByIdAndDelete(req.params.id);
 
         // Delete Accountant profile
         try {
             await Accountant.findOneAndDelete({ user: req.params.id });
+            orgHierarchyService.invalidate();
         } catch (profileError) {
             console.error('⚠️ Could not delete accountant profile:', profileError.message);
         }
 
-        // Log audit
-        await auditService.logDelete(req.user._id, 'user', req.params.id, previousValues, req);
-
         res.status(200).json({
             success: true,
             message: 'Accountant manager and professional profile deleted successfully',
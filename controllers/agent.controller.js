@@ -1,4 +1,8 @@
 import User from '../models/user.model.js';
+import sessionService from '../services/session.service.js';
+import passwordService from '../services/password.service.js';
+import orgHierarchyService from '../services/orgHierarchy.service.js';
+import recycleBinService from '../services/recycleBin.service.js';
 import { getRegionalManagerFranchiseIds, regionalManagerCanAccessFranchise, getRegionalManagerRelationshipManagerIds, regionalManagerCanAccessRelationshipManager } from '../utils/regionalScope.js';
 
 /**
@@ -56,7 +60,16 @@ export const createAgent = async (req, res, next) => {
       }
     }
 
+    const passwordErrors = await passwordService.validatePassword(agentData.password);
+    if (passwordErrors.length) {
+      return res.status(400).json({
+        success: false,
+        message: passwordErrors.join('; '),
+      });
+    }
+
     const agent = await User.create(agentData);
+    orgHierarchyService.invalidate();
 
     const agentWithManagedBy = await User.findById(agent._id)
       .select('-password')
@@ -330,6 +343,7 @@ export const updateAgent = async (req, res, next) => {
       .select('-password')
       .populate('managedBy', 'name')
       .populate('franchise', 'name');
+    orgHierarchyService.invalidate();
 
     res.status(200).json({
       success: true,
@@ -417,6 +431,11 @@ export const updateAgentStatus = async (req, res, next) => {
       { new: true }
     ).select('-password');
 
+    // A deactivated or blocked agent is signed out of every device
+    if (status !== 'active') {
+      await sessionService.revokeAllSessions(agent._id, 'deactivated');
+    }
+
     res.status(200).json({
       success: true,
       message: 'Agent status updated',
@@ -479,12 +498,7 @@ export const deleteAgent = async (req, res, next) => {
       }
     }
     
-    // Log deletion to audit log
-    const agentData = agent.toObject();
-    const auditService = (await import('../services/audit.service.js')).default;
-    await auditService.logDelete(req.user._id, 'User', req.params.id, agentData, req);
-    
-    await User.findOneAndDelete({ _id: req.params.id, role: 'agent' });
+    await recycleBinService.softDelete('user', agent._id, req.user);
 
     res.status(200).json({
       success: true,
@@ -700,8 +714,7 @@ export const deleteSubAgent = async (req, res, next) => {
       });
     }
 
-    // Delete the sub-agent
-    await User.findOneAndDelete(query);
+    await recycleBinService.softDelete('user', subAgent._id, req.user);
 
     res.status(200).json({
       success: true,
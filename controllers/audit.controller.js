@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+import AuditLog from '../models/auditLog.model.js';
+import auditService from '../services/audit.service.js';
+import { getPaginationMeta } from '../utils/helpers.js';
+
+/**
+ * Returns an error message when an ID or date filter is malformed, otherwise null
+ */
+const validateFilters = ({ entityId, userId, from, to }) => {
+  if (entityId && !mongoose.isValidObjectId(entityId)) return 'Invalid entityId';
+  if (userId && !mongoose.isValidObjectId(userId)) return 'Invalid userId';
+  if (from && isNaN(new Date(from))) return 'Invalid from date';
+  if (to && isNaN(new Date(to))) return 'Invalid to date';
+  return null;
+};
+
+/**
+ * Search audit logs
+ * Filters: entityType, entityId, userId, action, source, requestId, field, from, to
+ */
+export const getAuditLogs = async (req, res, next) => {
+  try {
+    const invalid = validateFilters(req.query);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+      });
+    }
+
+    const { logs, total, page, limit } = await auditService.searchLogs(req.query);
+
+    res.status(200).json({
+      success: true,
+      data: logs,
+      pagination: getPaginationMeta(page, limit, total),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the history of one record, oldest first
+ * Optional filters: entityType, field (e.g. bankDetails)
+ */
+export const getEntityTimeline = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.entityId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid entityId',
+      });
+    }
+
+    const { entityType, field } = req.query;
+    const timeline = await auditService.getEntityTimeline(req.params.entityId, { entityType, field });
+
+    res.status(200).json({
+      success: true,
+      data: timeline,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a single audit log entry
+ */
+export const getAuditLogById = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid audit log ID',
+      });
+    }
+
+    const log = await AuditLog.findById(req.params.id).populate('userId', 'name email role');
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        error: 'Audit log not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: log,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,47 +1,92 @@
-import jwt from 'jsonwebtoken';
 import User from '../models/user.model.js';
-import { JWT_SECRET, JWT_EXPIRE } from '../config/env.js';
+import sessionService from '../services/session.service.js';
+import passwordService from '../services/password.service.js';
+import loginSecurityService from '../services/loginSecurity.service.js';
+import auditService from '../services/audit.service.js';
+import twoFactorService from '../services/twoFactor.service.js';
+import permissionService from '../services/permission.service.js';
+
+// Refresh token cookie is only sent to the auth routes
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+const baseCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+});
 
 /**
- * Generate JWT Token
+ * Set access token and refresh token cookies
  */
-const generateToken = (userId, role) => {
-  return jwt.sign({ userId, role }, JWT_SECRET, {
-    expiresIn: JWT_EXPIRE || '7d',
+const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  const { accessTokenMaxAge, refreshTokenMaxAge } = sessionService.getTokenLifetimes();
+
+  res.cookie('token', accessToken, {
+    ...baseCookieOptions(),
+    expires: new Date(Date.now() + accessTokenMaxAge),
+  });
+  res.cookie('refreshToken', refreshToken, {
+    ...baseCookieOptions(),
+    path: REFRESH_COOKIE_PATH,
+    expires: new Date(Date.now() + refreshTokenMaxAge),
   });
 };
 
 /**
- * Get cookie expiration time in milliseconds
+ * Clear access token and refresh token cookies
  */
-const getCookieExpiration = () => {
-  if (!JWT_EXPIRE) {
-    return 7 * 24 * 60 * 60 * 1000; // 7 days default
-  }
+const clearAuthCookies = (res) => {
+  res.cookie('token', '', { ...baseCookieOptions(), expires: new Date(0) });
+  res.cookie('refreshToken', '', { ...baseCookieOptions(), path: REFRESH_COOKIE_PATH, expires: new Date(0) });
+};
 
-  // Parse JWT_EXPIRE format (e.g., "7d", "30d", "1h", etc.)
-  const match = JWT_EXPIRE.match(/^(\d+)([dhms])$/);
-  if (match) {
-    const value = parseInt(match[1]);
-    const unit = match[2];
-    
-    switch (unit) {
-      case 'd':
-        return value * 24 * 60 * 60 * 1000;
-      case 'h':
-        return value * 60 * 60 * 1000;
-      case 'm':
-        return value * 60 * 1000;
-      case 's':
-        return value * 1000;
-      default:
-        return 7 * 24 * 60 * 60 * 1000;
-    }
+/**
+ * Get refresh token from its cookie or the request body (mobile clients)
+ */
+const getRefreshToken = (req) => req.cookies?.refreshToken || req.body?.refreshToken;
+
+/**
+ * Start a session for a user who passed every login step and send the login response
+ */
+const completeLogin = async (req, res, user, { twoFactorMethod } = {}) => {
+  // Update last login
+  user.lastLoginAt = new Date();
+  await user.save();
+
+  await loginSecurityService.clearAccount(user.email);
+
+  // Start a session (short-lived access token + rotating refresh token)
+  const isNewDevice = await loginSecurityService.isNewDevice(user._id, req);
+  const { session, accessToken, refreshToken } = await sessionService.createSession(user, req, {
+    twoFactorVerified: !!twoFactorMethod,
+  });
+  setAuthCookies(res, { accessToken, refreshToken });
+
+  await auditService.logLogin('login_success', user._id, {
+    email: user.email,
+    sessionId: session._id,
+    device: session.device,
+    newDevice: isNewDevice,
+    twoFactorMethod,
+  }, req);
+  if (isNewDevice) {
+    await loginSecurityService.notifyNewDevice(user, session);
   }
 
-  // If it's just a number, assume days
-  const days = parseInt(JWT_EXPIRE);
-  return isNaN(days) ? 7 * 24 * 60 * 60 * 1000 : days * 24 * 60 * 60 * 1000;
+  // Exclude password from response
+  const userResponse = await User.findById(user._id).select('-password').populate('franchise', 'name');
+
+  console.log('✅ Login successful for:', user.email);
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: userResponse,
+    token: accessToken,
+    refreshToken,
+    // Required roles that have not enrolled yet can only reach the two-factor setup routes
+    twoFactorSetupRequired: twoFactorService.isSetupPending(user),
+  });
 };
 
 /**
@@ -64,6 +109,28 @@ export const login = async (req, res, next) => {
 
     console.log('🔍 Login attempt for email:', normalizedEmail);
 
+    // Refuse while the account or IP is delayed / locked after failed attempts
+    const check = await loginSecurityService.checkAttempt(normalizedEmail, req);
+    if (!check.allowed) {
+      await auditService.logLogin('login_blocked', null, { email: normalizedEmail, reason: check.reason }, req);
+      res.set('Retry-After', String(check.retryAfter));
+      return res.status(check.statusCode).json({
+        success: false,
+        message: check.message,
+        retryAfter: check.retryAfter,
+      });
+    }
+
+    // Count a failed attempt and answer with the same message whatever the cause
+    const rejectCredentials = async (reason, userId = null) => {
+      await loginSecurityService.recordFailure(normalizedEmail, req);
+      await auditService.logLogin('login_failed', userId, { email: normalizedEmail, reason }, req);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials',
+      });
+    };
+
     // Find user and include password field
     let user = await User.findOne({ email: normalizedEmail }).select('+password');
 
@@ -79,10 +146,7 @@ export const login = async (req, res, next) => {
           // Check password first
           const isPasswordValid = await oldAgent.comparePassword(password);
           if (!isPasswordValid) {
-            return res.status(401).json({
-              success: false,
-              message: 'Invalid credentials',
-            });
+            return rejectCredentials('invalid_password');
           }
 
           // Check status
@@ -98,7 +162,7 @@ export const login = async (req, res, next) => {
             name: oldAgent.name,
             email: oldAgent.email,
             mobile: oldAgent.mobile,
-            password: password, // Store as plain text in new model
+            password: password, // Hashed by the User model
             role: 'agent',
             franchise: oldAgent.franchise,
             commissionPercentage: oldAgent.commissionPercentage || 0,
@@ -117,94 +181,182 @@ export const login = async (req, res, next) => {
     }
 
     if (!user) {
-      console.log('❌ User not found');
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials',
-      });
+      return rejectCredentials('unknown_email');
     }
 
-    console.log('✅ User found:', {
-      id: user._id,
-      email: user.email,
-      role: user.role,
-      status: user.status,
-      passwordStored: user.password ? (user.password.substring(0, 10) + '...') : 'not found',
-    });
+    // Check password before revealing anything about the account
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      return rejectCredentials('invalid_password', user._id);
+    }
 
     // Check if user is active - provide specific message
     if (user.status !== 'active') {
-      console.log('❌ Account is not active:', user.status);
+      await auditService.logLogin('login_failed', user._id, { email: normalizedEmail, reason: `account_${user.status}` }, req);
       return res.status(403).json({
         success: false,
         message: `Account is ${user.status}. Please contact administrator to activate your account.`,
       });
     }
 
-    // Check password
-    console.log('🔐 Checking password...');
-    const isPasswordValid = await user.comparePassword(password);
-    console.log('🔐 Password valid:', isPasswordValid);
+    // Enrolled users finish the login with a code from their authenticator app.
+    // Failed attempts are only cleared once the code is accepted, so codes cannot be guessed
+    // indefinitely by repeating the password step.
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: twoFactorService.createLoginChallenge(user),
+      });
+    }
 
-    if (!isPasswordValid) {
-      console.log('❌ Invalid password');
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('❌ Login error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Logout (revokes the current session)
+ */
+export const logout = async (req, res, next) => {
+  try {
+    if (req.authSession) {
+      await sessionService.revokeSession(req.user._id, req.authSession._id, 'logout');
+    } else {
+      await sessionService.revokeByRefreshToken(getRefreshToken(req), 'logout');
+    }
+
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Refresh access token (rotates the refresh token)
+ */
+export const refreshAccessToken = async (req, res, next) => {
+  try {
+    const refreshToken = getRefreshToken(req);
+    if (!refreshToken) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials',
+        message: 'Refresh token is required',
       });
     }
 
-    // Update last login
-    user.lastLoginAt = new Date();
-    await user.save();
+    const session = await sessionService.refreshSession(refreshToken, req);
+    setAuthCookies(res, session);
 
-    // Generate token
-    const token = generateToken(user._id, user.role);
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed',
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+    });
+  } catch (error) {
+    if (error.statusCode === 401) {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
 
-    // Set cookie
-    const cookieOptions = {
-      expires: new Date(Date.now() + getCookieExpiration()),
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-    };
+/**
+ * Get active sessions (devices) of the current user
+ */
+export const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await sessionService.getSessions(req.user._id, req.authSession?._id);
 
-    res.cookie('token', token, cookieOptions);
+    res.status(200).json({
+      success: true,
+      data: sessions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Exclude password from response
-    const userResponse = await User.findById(user._id).select('-password').populate('franchise', 'name');
+/**
+ * Revoke one session of the current user
+ */
+export const revokeSession = async (req, res, next) => {
+  try {
+    await sessionService.revokeSession(req.user._id, req.params.id, 'revoked');
 
-    console.log('✅ Login successful for:', user.email);
+    const isCurrent = req.authSession && req.authSession._id.toString() === req.params.id;
+    if (isCurrent) clearAuthCookies(res);
 
     res.status(200).json({
       success: true,
-      message: 'Login successful',
-      data: userResponse,
-      token,
+      message: 'Session revoked',
     });
   } catch (error) {
-    console.error('❌ Login error:', error);
+    if (error.statusCode === 404) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
     next(error);
   }
 };
 
 /**
- * Logout
+ * Revoke all sessions of the current user (?keepCurrent=true keeps this device signed in)
  */
-export const logout = async (req, res, next) => {
+export const revokeAllSessions = async (req, res, next) => {
   try {
-    res.cookie('token', '', {
-      expires: new Date(0),
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
+    const keepCurrent = req.query.keepCurrent === 'true';
+    const revoked = await sessionService.revokeAllSessions(
+      req.user._id,
+      'revoke_all',
+      keepCurrent ? req.authSession?._id : null
+    );
+
+    if (!keepCurrent) clearAuthCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: `${revoked} session(s) revoked`,
+      data: { revoked },
     });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a single-use signed URL for a file download (body: { url: '/api/...' })
+ */
+export const createDownloadUrl = async (req, res, next) => {
+  try {
+    const signed = await sessionService.createDownloadUrl(req.user, req.authSession, req.body.url);
 
     res.status(200).json({
       success: true,
-      message: 'Logged out successfully',
+      data: signed,
     });
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
     next(error);
   }
 };
@@ -228,7 +380,11 @@ export const getMe = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      data: user,
+      data: {
+        ...user.toObject(),
+        // Lets the client show only the actions the user may perform
+        effectivePermissions: await permissionService.getEffectivePermissions(user),
+      },
     });
   } catch (error) {
     next(error);
@@ -259,6 +415,15 @@ export const signup = async (req, res, next) => {
       });
     }
 
+    // Validate password policy
+    const passwordErrors = await passwordService.validatePassword(password);
+    if (passwordErrors.length) {
+      return res.status(400).json({
+        success: false,
+        message: passwordErrors.join('; '),
+      });
+    }
+
     // Check if franchise is required for this role
     const rolesRequiringFranchise = ['agent', 'franchise'];
     if (rolesRequiringFranchise.includes(role) && !franchise) {
@@ -317,18 +482,9 @@ export const signup = async (req, res, next) => {
 
     const user = await User.create(userData);
 
-    // Generate token for auto-login
-    const token = generateToken(user._id, user.role);
-
-    // Set cookie
-    const cookieOptions = {
-      expires: new Date(Date.now() + getCookieExpiration()),
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-    };
-
-    res.cookie('token', token, cookieOptions);
+    // Start a session for auto-login
+    const { accessToken, refreshToken } = await sessionService.createSession(user, req);
+    setAuthCookies(res, { accessToken, refreshToken });
 
     // Exclude password from response
     const userResponse = await User.findById(user._id).select('-password').populate('franchise', 'name');
@@ -337,7 +493,8 @@ export const signup = async (req, res, next) => {
       success: true,
       message: 'Registration successful. Your account is pending approval.',
       data: userResponse,
-      token,
+      token: accessToken,
+      refreshToken,
     });
   } catch (error) {
     next(error);
@@ -401,8 +558,8 @@ export const changePassword = async (req, res, next) => {
       });
     }
 
-    // Get user with password
-    const user = await User.findById(req.user._id).select('+password');
+    // Get user with password and password history
+    const user = await User.findById(req.user._id).select('+password +passwordHistory');
 
     if (!user) {
       return res.status(404).json({
@@ -421,9 +578,21 @@ export const changePassword = async (req, res, next) => {
       });
     }
 
-    // Update password
-    user.password = newPassword;
-    await user.save();
+    // Update password (policy and reuse checks)
+    try {
+      await passwordService.setPassword(user, newPassword);
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      throw error;
+    }
+
+    // Sign out every other device
+    await sessionService.revokeAllSessions(user._id, 'password_changed', req.authSession?._id);
 
     res.status(200).json({
       success: true,
@@ -433,3 +602,321 @@ export const changePassword = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Forgot Password - email a one-time reset code
+ */
+export const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your email',
+      });
+    }
+
+    await passwordService.requestReset(email, req);
+
+    // Same response whether or not the account exists
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a reset code has been sent.',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reset Password - set a new password with the emailed code
+ */
+export const resetPassword = async (req, res, next) => {
+  try {
+    const { email, otp, newPassword } = req.body;
+
+    if (!email || !otp || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide email, reset code and new password',
+      });
+    }
+
+    await passwordService.resetPassword(email, otp, newPassword);
+
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.',
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Two-factor login step - exchange the challenge token and a code for a session
+ */
+export const verifyLoginTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the challenge token and a code or recovery code',
+      });
+    }
+
+    const user = await User.findById(twoFactorService.readLoginChallenge(challengeToken));
+    if (!user || user.status !== 'active') {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge expired. Please log in again.',
+      });
+    }
+
+    // Code guesses count towards the same throttle and lockout as passwords
+    const check = await loginSecurityService.checkAttempt(user.email, req);
+    if (!check.allowed) {
+      await auditService.logLogin('login_blocked', user._id, { email: user.email, reason: check.reason }, req);
+      res.set('Retry-After', String(check.retryAfter));
+      return res.status(check.statusCode).json({
+        success: false,
+        message: check.message,
+        retryAfter: check.retryAfter,
+      });
+    }
+
+    let result;
+    try {
+      result = await twoFactorService.verify(user._id, { code, recoveryCode });
+    } catch (error) {
+      if (error.statusCode !== 401) throw error;
+      await loginSecurityService.recordFailure(user.email, req);
+      await auditService.logLogin('login_failed', user._id, { email: user.email, reason: 'invalid_two_factor_code' }, req);
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    await completeLogin(req, res, user, { twoFactorMethod: result.method });
+  } catch (error) {
+    if (error.statusCode === 401) {
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Get two-factor status of the current user
+ */
+export const getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start two-factor enrollment - returns the secret and otpauth URL for the QR code
+ */
+export const setupTwoFactor = async (req, res, next) => {
+  try {
+    const provisioning = await twoFactorService.startSetup(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: provisioning,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Confirm two-factor enrollment with the first code - returns recovery codes (shown once)
+ */
+export const enableTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the code from your authenticator app',
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.enable(req.user._id, code);
+
+    // Enrolling counts as a fresh check for this session
+    if (req.authSession) await twoFactorService.markSessionVerified(req.authSession._id);
+    await auditService.logLogin('two_factor_enabled', req.user._id, { email: req.user.email }, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Disable two-factor authentication (password and code required; not for mandatory roles)
+ */
+export const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your password and a code or recovery code',
+      });
+    }
+
+    await twoFactorService.disable(req.user._id, password, { code, recoveryCode });
+    await auditService.logLogin('two_factor_disabled', req.user._id, { email: req.user.email }, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Replace recovery codes (code required) - returns the new codes (shown once)
+ */
+export const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a code or recovery code',
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user._id, { code, recoveryCode });
+    await auditService.logLogin('two_factor_recovery_codes_regenerated', req.user._id, { email: req.user.email }, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Step-up check - confirm a code before sensitive actions in this session
+ */
+export const stepUpTwoFactor = async (req, res, next) => {
+  try {
+    const { code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a code or recovery code',
+      });
+    }
+
+    const check = await loginSecurityService.checkAttempt(req.user.email, req);
+    if (!check.allowed) {
+      res.set('Retry-After', String(check.retryAfter));
+      return res.status(check.statusCode).json({
+        success: false,
+        message: check.message,
+        retryAfter: check.retryAfter,
+      });
+    }
+
+    let result;
+    try {
+      result = await twoFactorService.verify(req.user._id, { code, recoveryCode });
+    } catch (error) {
+      if (error.statusCode !== 401) throw error;
+      await loginSecurityService.recordFailure(req.user.email, req);
+      await auditService.logLogin('two_factor_step_up_failed', req.user._id, { email: req.user.email }, req);
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const verifiedAt = await twoFactorService.markSessionVerified(req.authSession._id);
+    await auditService.logLogin('two_factor_step_up', req.user._id, {
+      email: req.user.email,
+      sessionId: req.authSession._id,
+      method: result.method,
+    }, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verified',
+      data: { verifiedAt, recoveryCodesRemaining: result.recoveryCodesRemaining },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
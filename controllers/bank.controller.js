@@ -1,4 +1,5 @@
 import Bank from '../models/bank.model.js';
+import recycleBinService from '../services/recycleBin.service.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -219,14 +220,7 @@ export const sendBankEmail = async (req, res, next) => {
  */
 export const deleteBank = async (req, res, next) => {
   try {
-    const bank = await Bank.findByIdAndDelete(req.params.id);
-
-    if (!bank) {
-      return res.status(404).json({
-        success: false,
-        message: 'Bank not found',
-      });
-    }
+    await recycleBinService.softDelete('bank', req.params.id, req.user);
 
     res.status(200).json({
       success: true,
@@ -1,5 +1,8 @@
 import commissionService from '../services/commission.service.js';
+import commissionWaterfallService from '../services/commissionWaterfall.service.js';
+import commissionSimulationService from '../services/commissionSimulation.service.js';
 import CommissionRule from '../models/commissionRule.model.js';
+import Lead from '../models/lead.model.js';
 import { getPaginationMeta } from '../utils/helpers.js';
 
 /**
@@ -39,6 +42,14 @@ export const getCommissionRules = async (req, res, next) => {
  */
 export const createCommissionRule = async (req, res, next) => {
   try {
+    const conditionsError = commissionService.validateConditions(req.body.conditions);
+    if (conditionsError) {
+      return res.status(400).json({
+        success: false,
+        message: conditionsError,
+      });
+    }
+
     const rule = await CommissionRule.create({
       ...req.body,
       createdBy: req.user._id,
@@ -61,6 +72,16 @@ export const createCommissionRule = async (req, res, next) => {
  */
 export const updateCommissionRule = async (req, res, next) => {
   try {
+    if (req.body.conditions !== undefined) {
+      const conditionsError = commissionService.validateConditions(req.body.conditions);
+      if (conditionsError) {
+        return res.status(400).json({
+          success: false,
+          message: conditionsError,
+        });
+      }
+    }
+
     const rule = await CommissionRule.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -84,6 +105,23 @@ export const updateCommissionRule = async (req, res, next) => {
   }
 };
 
+/**
+ * Simulate proposed rule changes over historical disbursed leads (nothing is saved)
+ */
+export const simulateCommissionRules = async (req, res, next) => {
+  try {
+    const { from, to, bankId, changes } = req.body;
+    const result = await commissionSimulationService.simulate({ from, to, bankId, changes });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Calculate commission for a lead
  */
@@ -100,3 +138,51 @@ export const calculateCommission = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Preview the commission waterfall for a lead (no ledger entries are written)
+ */
+export const previewCommissionWaterfall = async (req, res, next) => {
+  try {
+    const lead = await Lead.findById(req.params.id)
+      .populate({ path: 'agent', select: 'name managedBy managedByModel' })
+      .populate('bank', 'name');
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found',
+      });
+    }
+
+    const { baseAmount, bankPayout, rule, shares, unavailable } = await commissionWaterfallService.computeWaterfall(lead);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        baseAmount,
+        bankPayout,
+        rule: rule?._id || null,
+        shares,
+        unavailable,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get commission ledger entries for a lead
+ */
+export const getLeadCommissionLedger = async (req, res, next) => {
+  try {
+    const entries = await commissionWaterfallService.getLeadLedger(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: entries,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -5,6 +5,8 @@ import User from '../models/user.model.js';
 import Lead from '../models/lead.model.js';
 import Franchise from '../models/franchise.model.js';
 import RelationshipManager from '../models/relationship.model.js';
+import OnboardingApplication from '../models/onboardingApplication.model.js';
+import onboardingService from '../services/onboarding.service.js';
 import { v2 as cloudinary } from 'cloudinary';
 import path from 'path';
 import fs from 'fs';
@@ -17,6 +19,13 @@ const canViewEntity = async (user, entityType, entityId) => {
   if (!user) return false;
   if (user.role === 'super_admin') return true;
 
+  // Onboarding documents: reviewers of the application
+  if (entityType === 'onboarding') {
+    if (!['regional_manager', 'relationship_manager', 'franchise'].includes(user.role)) return false;
+    const scope = await onboardingService.getReviewScope(user);
+    return !!(await OnboardingApplication.exists({ _id: entityId, ...scope }));
+  }
+
   // Any authenticated user can view invoice documents (attachments visible to all roles)
   if (entityType === 'invoice') {
     return true;
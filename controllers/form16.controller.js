@@ -1,4 +1,5 @@
 import Form16 from '../models/form16.model.js';
+import tdsReturnService from '../services/tdsReturn.service.js';
 
 /**
  * Create Form 16 / TDS
@@ -185,3 +186,39 @@ export const deleteForm16 = async (req, res, next) => {
   }
 };
 
+/**
+ * Quarterly TDS deducted per partner PAN
+ */
+export const getQuarterlyTdsSummary = async (req, res, next) => {
+  try {
+    const { financialYear, quarter } = req.query;
+    const summary = await tdsReturnService.getQuarterlySummary(financialYear, quarter);
+
+    res.status(200).json({
+      success: true,
+      data: summary,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Generate Form 16A certificates for a quarter (all partners, or one PAN)
+ * Each certificate is attached as a Form16 record assigned to the partner, who can download it.
+ */
+export const generateForm16A = async (req, res, next) => {
+  try {
+    const { financialYear, quarter, pan } = req.body;
+
+    const result = await tdsReturnService.generateForm16A({ financialYear, quarter, pan }, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: `${result.generated.length} Form 16A certificates generated, ${result.skipped.length} skipped`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
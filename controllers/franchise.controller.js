@@ -8,6 +8,9 @@ import bcrypt from 'bcryptjs';
 import auditService from '../services/audit.service.js';
 import { getPaginationMeta } from '../utils/helpers.js';
 import { getRegionalManagerFranchiseIds, regionalManagerCanAccessFranchise } from '../utils/regionalScope.js';
+import passwordService from '../services/password.service.js';
+import orgHierarchyService from '../services/orgHierarchy.service.js';
+import recycleBinService from '../services/recycleBin.service.js';
 
 /**
  * Create Franchise (and franchise User for login)
@@ -35,10 +38,17 @@ export const createFranchise = async (req, res, next) => {
         message: 'Owner mobile is required',
       });
     }
-    if (!password || password.length < 6) {
+    if (!password) {
       return res.status(400).json({
         success: false,
-        message: 'Password is required and must be at least 6 characters',
+        message: 'Password is required',
+      });
+    }
+    const passwordErrors = await passwordService.validatePassword(password);
+    if (passwordErrors.length) {
+      return res.status(400).json({
+        success: false,
+        message: passwordErrors.join('; '),
       });
     }
 
@@ -124,6 +134,7 @@ export const createFranchise = async (req, res, next) => {
 
     franchise.owner = ownerUser._id;
     await franchise.save();
+    orgHierarchyService.invalidate();
 
     const populatedFranchise = await Franchise.findById(franchise._id)
       .populate('owner', 'name email')
@@ -319,6 +330,7 @@ export const updateFranchise = async (req, res, next) => {
     })
       .populate('owner', 'name email')
       .populate('regionalManager', 'name email');
+    orgHierarchyService.invalidate();
 
     if (!franchise) {
       return res.status(404).json({
@@ -535,11 +547,7 @@ export const deleteFranchise = async (req, res, next) => {
       });
     }
     
-    // Log deletion to audit log
-    const franchiseData = franchise.toObject();
-    await auditService.logDelete(req.user._id, 'Franchise', req.params.id, franchiseData, req);
-    
-    await Franchise.findByIdAndDelete(req.params.id);
+    await recycleBinService.softDelete('franchise', franchise._id, req.user);
 
     res.status(200).json({
       success: true,
@@ -1,20 +1,77 @@
 import invoiceService from '../services/invoice.service.js';
+import tdsService from '../services/tds.service.js';
+import invoicePdfService from '../services/invoicePdf.service.js';
+import invoiceNoteService from '../services/invoiceNote.service.js';
+import numberingService from '../services/numbering.service.js';
+import recycleBinService from '../services/recycleBin.service.js';
 import { getPaginationMeta } from '../utils/helpers.js';
 import Invoice from '../models/invoice.model.js';
+import InvoiceNote from '../models/invoiceNote.model.js';
 import { getRegionalManagerFranchiseIds, regionalManagerCanAccessFranchise } from '../utils/regionalScope.js';
 import { createNotification } from '../services/ticket.service.js';
 import User from '../models/user.model.js';
 import Franchise from '../models/franchise.model.js';
 
-// Gross = Taxable + GST - TDS (GST 18%, TDS 2% of Taxable)
-const GST_RATE = 18;
-const TDS_RATE = 2;
-function computeInvoiceAmounts(taxable, tdsPercentage = TDS_RATE) {
-  const gstAmount = (taxable * GST_RATE) / 100;
-  const tdsAmount = (taxable * tdsPercentage) / 100;
-  const netPayable = taxable + gstAmount - tdsAmount;
-  return { gstAmount, tdsAmount, netPayable };
-}
+// Gross = Taxable + GST - TDS (GST from company tax settings for GST-registered partners, TDS rate from tdsService)
+
+// Until approval an invoice is not in the partner ledger, so it can still be edited or deleted
+const OPEN_INVOICE_STATUSES = ['draft', 'pending'];
+
+// Statuses whose amounts are posted to the partner ledger
+const POSTED_INVOICE_STATUSES = ['approved', 'gst_paid', 'paid', 'regular_paid'];
+
+// Fields that decide what an invoice is worth and who it is owed to
+const INVOICE_AMOUNT_FIELDS = [
+  'lead', 'agent', 'subAgent', 'franchise', 'invoiceType',
+  'commissionAmount', 'gstAmount', 'gstDetails', 'tdsAmount', 'tdsPercentage', 'tdsRule', 'netPayable',
+];
+
+const CORRECTION_HINT = 'Issue a credit or debit note (POST /api/invoice-notes) or cancel the invoice (POST /api/invoices/:id/cancel) instead.';
+
+/**
+ * Amount fields an edit would change
+ * @param {Object} invoice - Invoice before the edit
+ * @param {Object} body - Requested changes
+ * @returns {Array<String>} Field names
+ */
+const getChangedAmountFields = (invoice, body) =>
+  INVOICE_AMOUNT_FIELDS.filter((field) => {
+    if (body[field] === undefined) return false;
+    const current = invoice[field]?._id ?? invoice[field];
+    return JSON.stringify(body[field] ?? null) !== JSON.stringify(current ?? null);
+  });
+
+/**
+ * Why the current user may not view an invoice (null when allowed)
+ * @returns {Object|null} { status, message }
+ */
+const getInvoiceAccessError = (req, invoice) => {
+  if (req.user.role === 'agent') {
+    // Agents can only view:
+    // 1. Their own agent invoices (invoiceType = 'agent' AND agent = their ID)
+    // 2. Sub-agent invoices where they are the sub-agent (invoiceType = 'sub_agent' AND subAgent = their ID)
+    // 3. Sub-agent invoices for their sub-agents (invoiceType = 'sub_agent' AND agent = their ID)
+    const agentId = req.user._id.toString();
+    const invoiceAgentId = invoice.agent?._id?.toString() || invoice.agent?.toString();
+    const invoiceSubAgentId = invoice.subAgent?._id?.toString() || invoice.subAgent?.toString();
+
+    if (invoiceAgentId !== agentId && invoiceSubAgentId !== agentId) {
+      return { status: 403, message: 'Access denied. You can only view your own invoices and sub-partner invoices.' };
+    }
+  } else if (req.user.role === 'franchise') {
+    // Franchises can only view invoices for their franchise
+    if (!req.user.franchiseOwned) {
+      return { status: 400, message: 'Franchise owner does not have an associated franchise' };
+    }
+    const franchiseId = req.user.franchiseOwned.toString();
+    const invoiceFranchiseId = invoice.franchise?._id?.toString() || invoice.franchise?.toString();
+
+    if (invoiceFranchiseId !== franchiseId) {
+      return { status: 403, message: 'Access denied. You can only view invoices for your franchise.' };
+    }
+  }
+  return null;
+};
 
 /**
  * Get all invoices
@@ -161,39 +218,12 @@ export const getInvoiceById = async (req, res, next) => {
       });
     }
 
-    // Role-based access control
-    if (req.user.role === 'agent') {
-      // Agents can only view:
-      // 1. Their own agent invoices (invoiceType = 'agent' AND agent = their ID)
-      // 2. Sub-agent invoices where they are the sub-agent (invoiceType = 'sub_agent' AND subAgent = their ID)
-      // 3. Sub-agent invoices for their sub-agents (invoiceType = 'sub_agent' AND agent = their ID)
-      const agentId = req.user._id.toString();
-      const invoiceAgentId = invoice.agent?._id?.toString() || invoice.agent?.toString();
-      const invoiceSubAgentId = invoice.subAgent?._id?.toString() || invoice.subAgent?.toString();
-      
-      if (invoiceAgentId !== agentId && invoiceSubAgentId !== agentId) {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied. You can only view your own invoices and sub-partner invoices.',
-        });
-      }
-    } else if (req.user.role === 'franchise') {
-      // Franchises can only view invoices for their franchise
-      if (!req.user.franchiseOwned) {
-        return res.status(400).json({
-          success: false,
-          message: 'Franchise owner does not have an associated franchise',
-        });
-      }
-      const franchiseId = req.user.franchiseOwned.toString();
-      const invoiceFranchiseId = invoice.franchise?._id?.toString() || invoice.franchise?.toString();
-      
-      if (invoiceFranchiseId !== franchiseId) {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied. You can only view invoices for your franchise.',
-        });
-      }
+    const denied = getInvoiceAccessError(req, invoice);
+    if (denied) {
+      return res.status(denied.status).json({
+        success: false,
+        message: denied.message,
+      });
     }
 
     res.status(200).json({
@@ -205,6 +235,101 @@ export const getInvoiceById = async (req, res, next) => {
   }
 };
 
+/**
+ * Download invoice as a PDF (GST tax invoice for GST-registered partners)
+ */
+export const downloadInvoicePdf = async (req, res, next) => {
+  try {
+    const invoice = await invoiceService.getInvoiceById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found',
+      });
+    }
+
+    const denied = getInvoiceAccessError(req, invoice);
+    if (denied) {
+      return res.status(denied.status).json({
+        success: false,
+        message: denied.message,
+      });
+    }
+
+    const { filename, buffer } = await invoicePdfService.generateInvoicePdf(invoice);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(buffer);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the credit / debit notes issued against an invoice
+ */
+export const getNotesForInvoice = async (req, res, next) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id).select('agent subAgent franchise');
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found',
+      });
+    }
+
+    const denied = getInvoiceAccessError(req, invoice);
+    if (denied) {
+      return res.status(denied.status).json({
+        success: false,
+        message: denied.message,
+      });
+    }
+
+    const notes = await InvoiceNote.find({ invoice: invoice._id })
+      .populate('createdBy', 'name email')
+      .sort({ noteDate: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: notes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel an approved / paid invoice (issues a credit note for the amount still outstanding)
+ */
+export const cancelInvoice = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cancellation reason is required',
+      });
+    }
+
+    const { invoice, creditNote } = await invoiceNoteService.cancelInvoice(req.params.id, reason, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: creditNote
+        ? `Invoice cancelled; credit note ${creditNote.noteNumber} issued`
+        : 'Invoice cancelled',
+      data: { invoice, creditNote },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Accept invoice (Agent)
  */
@@ -216,8 +341,9 @@ export const acceptInvoice = async (req, res, next) => {
         return res.status(403).json({ success: false, error: 'Access denied.' });
       }
     }
+
     const { remarks } = req.body;
-    const invoice = await invoiceService.acceptInvoice(req.params.id, remarks);
+    const invoice = await invoiceService.acceptInvoice(req.params.id, remarks, req.user._id);
 
     res.status(200).json({
       success: true,
@@ -470,6 +596,52 @@ export const generateInvoiceFromLead = async (req, res, next) => {
   }
 };
 
+/**
+ * Generate Invoices for a Disbursement Tranche
+ */
+export const generateTrancheInvoices = async (req, res, next) => {
+  try {
+    const { leadId, disbursementId } = req.params;
+
+    // Check if accountant can access this lead
+    if (req.user.role === 'accounts_manager') {
+      const { getAccountantAccessibleAgentIds } = await import('../utils/accountantScope.js');
+      const accessibleAgentIds = await getAccountantAccessibleAgentIds(req);
+      const Lead = (await import('../models/lead.model.js')).default;
+      const lead = await Lead.findById(leadId).select('agent');
+      if (!lead) {
+        return res.status(404).json({
+          success: false,
+          error: 'Lead not found',
+        });
+      }
+
+      if (!accessibleAgentIds.includes(lead.agent.toString())) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied. You can only generate invoices for leads under your assigned Regional Managers.',
+        });
+      }
+    }
+
+    const invoices = await invoiceService.generateTrancheInvoices(leadId, disbursementId);
+
+    const populatedInvoices = await Invoice.find({ _id: { $in: invoices.map((i) => i._id) } })
+      .populate('lead', 'loanAccountNo loanType customerName')
+      .populate('agent', 'name email')
+      .populate('subAgent', 'name email')
+      .populate('franchise', 'name');
+
+    res.status(201).json({
+      success: true,
+      message: `${populatedInvoices.length} invoice(s) generated for the disbursement tranche`,
+      data: populatedInvoices,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Create Invoice (Manual creation - Admin only)
  */
@@ -492,15 +664,29 @@ export const createInvoice = async (req, res, next) => {
         });
       }
     }
+    // Numbers come from the financial-year series only, so the series stays gap-free
+    if (req.body.invoiceNumber) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invoice numbers are assigned automatically and cannot be supplied',
+      });
+    }
+
     const body = { ...req.body };
     if (body.commissionAmount != null && body.commissionAmount > 0) {
-      const tdsPct = body.tdsPercentage != null ? body.tdsPercentage : TDS_RATE;
-      const amounts = computeInvoiceAmounts(Number(body.commissionAmount), tdsPct);
+      const amounts = await tdsService.computeInvoiceAmounts(body, Number(body.commissionAmount), {
+        tdsPercentage: body.tdsPercentage,
+      });
       body.gstAmount = amounts.gstAmount;
+      body.gstDetails = amounts.gstDetails;
+      body.tdsPercentage = amounts.tdsPercentage;
+      body.tdsRule = amounts.tdsRule;
       body.tdsAmount = amounts.tdsAmount;
       body.netPayable = amounts.netPayable;
     }
-    const invoice = await Invoice.create(body);
+    const invoice = new Invoice(body);
+    await numberingService.createNumbered(invoice, 'invoiceNumber', () =>
+      numberingService.nextInvoiceNumber(invoice.invoiceType, invoice.invoiceDate));
 
     const populatedInvoice = await Invoice.findById(invoice._id)
       .populate('lead', 'loanAccountNo loanType')
@@ -556,11 +742,62 @@ export const updateInvoice = async (req, res, next) => {
     const previousStatus = previousInvoice.status;
     const newStatus = req.body.status;
 
+    if (req.body.invoiceNumber !== undefined && req.body.invoiceNumber !== previousInvoice.invoiceNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoice numbers cannot be changed',
+      });
+    }
+
+    // Cancellation goes through the cancel action so a credit note is issued
+    if (previousStatus === 'cancelled' || newStatus === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: previousStatus === 'cancelled'
+          ? 'Cancelled invoices cannot be edited'
+          : 'Use the cancel action to cancel an invoice',
+      });
+    }
+
+    // After approval the ledger holds the invoice amounts; corrections go through notes
+    if (!OPEN_INVOICE_STATUSES.includes(previousStatus)) {
+      const changedFields = getChangedAmountFields(previousInvoice, req.body);
+      if (changedFields.length) {
+        return res.status(400).json({
+          success: false,
+          message: `Invoice is ${previousStatus}; ${changedFields.join(', ')} can no longer be edited. ${CORRECTION_HINT}`,
+        });
+      }
+    }
+    if (POSTED_INVOICE_STATUSES.includes(previousStatus) && newStatus && !POSTED_INVOICE_STATUSES.includes(newStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invoice is ${previousStatus} and posted to the partner ledger; it cannot be moved back to ${newStatus}. ${CORRECTION_HINT}`,
+      });
+    }
+
     const body = { ...req.body };
     if (body.commissionAmount != null && body.commissionAmount > 0) {
-      const tdsPct = body.tdsPercentage != null ? body.tdsPercentage : (previousInvoice.tdsPercentage ?? TDS_RATE);
-      const amounts = computeInvoiceAmounts(Number(body.commissionAmount), tdsPct);
+      // A rate entered now or earlier by hand is kept; otherwise the rate is picked again
+      const manualRate = body.tdsPercentage != null
+        ? body.tdsPercentage
+        : (previousInvoice.tdsRule?.code === 'manual' ? previousInvoice.tdsPercentage : undefined);
+      const parties = {
+        agent: body.agent || previousInvoice.agent,
+        subAgent: body.subAgent || previousInvoice.subAgent,
+        franchise: body.franchise || previousInvoice.franchise,
+        invoiceType: body.invoiceType || previousInvoice.invoiceType,
+        commissionLedgerEntry: previousInvoice.commissionLedgerEntry,
+        invoiceDate: body.invoiceDate || previousInvoice.invoiceDate,
+      };
+      const amounts = await tdsService.computeInvoiceAmounts(parties, Number(body.commissionAmount), {
+        tdsPercentage: manualRate,
+        excludeInvoiceId: previousInvoice._id,
+      });
       body.gstAmount = amounts.gstAmount;
+      body.gstDetails = amounts.gstDetails;
+      body.tdsPercentage = amounts.tdsPercentage;
+      body.tdsRule = amounts.tdsRule;
       body.tdsAmount = amounts.tdsAmount;
       body.netPayable = amounts.netPayable;
     }
@@ -582,6 +819,11 @@ export const updateInvoice = async (req, res, next) => {
       });
     }
 
+    // Approving through an edit posts to the partner ledger like the approve action
+    if (newStatus === 'approved' && previousStatus !== 'approved') {
+      await invoiceService.postApprovalToLedger(invoice._id, req.user._id);
+    }
+
     // Send notification if status changed from 'pending' to 'paid'
     if (previousStatus === 'pending' && newStatus === 'paid') {
       try {
@@ -658,15 +900,18 @@ export const deleteInvoice = async (req, res, next) => {
         return res.status(403).json({ success: false, error: 'Access denied.' });
       }
     }
-    const invoice = await Invoice.findByIdAndDelete(req.params.id);
 
-    if (!invoice) {
-      return res.status(404).json({
+    const existing = await Invoice.findById(req.params.id).select('status');
+    if (existing && !OPEN_INVOICE_STATUSES.includes(existing.status)) {
+      return res.status(400).json({
         success: false,
-        message: 'Invoice not found',
+        message: `Invoice is ${existing.status} and can no longer be deleted. ${CORRECTION_HINT}`,
       });
     }
 
+    // Invoices with credit / debit notes, payouts or ledger entries are part of the books; cancel them instead
+    await recycleBinService.softDelete('invoice', req.params.id, req.user);
+
     res.status(200).json({
       success: true,
       message: 'Invoice deleted successfully',
@@ -0,0 +1,101 @@
+import invoiceNoteService from '../services/invoiceNote.service.js';
+import invoicePdfService from '../services/invoicePdf.service.js';
+import { getPaginationMeta } from '../utils/helpers.js';
+
+/**
+ * Get credit / debit notes
+ */
+export const getInvoiceNotes = async (req, res, next) => {
+  try {
+    const { noteType, invoice, agent, franchise, startDate, endDate, page = 1, limit = 20 } = req.query;
+
+    const { notes, total } = await invoiceNoteService.getNotes({
+      noteType,
+      invoice,
+      agent,
+      franchise,
+      startDate,
+      endDate,
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: notes,
+      pagination: getPaginationMeta(page, limit, total),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get credit / debit note by ID
+ */
+export const getInvoiceNoteById = async (req, res, next) => {
+  try {
+    const note = await invoiceNoteService.getNoteById(req.params.id);
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice note not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: note,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Issue a credit or debit note against an approved / paid invoice
+ */
+export const createInvoiceNote = async (req, res, next) => {
+  try {
+    const { invoice, noteType, taxableAmount, reason, noteDate } = req.body;
+
+    const note = await invoiceNoteService.createNote(
+      invoice,
+      { noteType, taxableAmount, reason, noteDate },
+      req.user._id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `${noteType === 'debit' ? 'Debit' : 'Credit'} note ${note.noteNumber} issued successfully`,
+      data: note,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download credit / debit note as a PDF
+ */
+export const downloadInvoiceNotePdf = async (req, res, next) => {
+  try {
+    const note = await invoiceNoteService.getNoteById(req.params.id);
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice note not found',
+      });
+    }
+
+    const { filename, buffer } = await invoicePdfService.generateNotePdf(note);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(buffer);
+  } catch (error) {
+    next(error);
+  }
+};
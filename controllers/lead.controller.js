@@ -8,51 +8,22 @@ import BankManager from '../models/bankManager.model.js';
 import RelationshipManager from '../models/relationship.model.js';
 import Franchise from '../models/franchise.model.js';
 import commissionService from '../services/commission.service.js';
-import invoiceService from '../services/invoice.service.js';
+import commissionWaterfallService from '../services/commissionWaterfall.service.js';
 import emailService from '../services/email.service.js';
 import auditService from '../services/audit.service.js';
+import leadWorkflowService from '../services/leadWorkflow.service.js';
+import leadDuplicateService from '../services/leadDuplicate.service.js';
+import leadImportService from '../services/leadImport.service.js';
+import orgHierarchyService from '../services/orgHierarchy.service.js';
+import recycleBinService from '../services/recycleBin.service.js';
 import { getPaginationMeta, trackLeadChanges } from '../utils/helpers.js';
-import { getRegionalManagerFranchiseIds, regionalManagerCanAccessFranchise, regionalManagerCanAccessRelationshipManager } from '../utils/regionalScope.js';
+import { getRegionalManagerFranchiseIds, getRegionalManagerRelationshipManagerIds } from '../utils/regionalScope.js';
 
-const getRelationshipManagerScope = async (req) => {
-  if (req._relationshipManagerScope) {
-    return req._relationshipManagerScope;
-  }
-
-  const RM = await import('../models/relationship.model.js').then(m => m.default).catch(() => null);
-  let rmId = req.user.relationshipManagerOwned;
-
-  if (!rmId && RM) {
-    const rmDoc = await RM.findOne({ owner: req.user._id }).select('_id');
-    if (rmDoc) rmId = rmDoc._id;
-  }
-
-  const managedAgentIds = rmId
-    ? await User.find({ managedByModel: 'RelationshipManager', managedBy: rmId }).distinct('_id')
-    : [];
-
-  const allowedAgentIds = [...managedAgentIds];
-  allowedAgentIds.push(req.user._id);
+// Roles whose access to a lead depends on where they sit in the org hierarchy
+const HIERARCHY_SCOPED_ROLES = ['franchise', 'regional_manager', 'relationship_manager'];
 
-  const scope = { rmId, managedAgentIds, allowedAgentIds };
-  req._relationshipManagerScope = scope;
-  return scope;
-};
-
-const relationshipManagerCanAccessLead = async (req, lead) => {
-  const { rmId, allowedAgentIds } = await getRelationshipManagerScope(req);
-  if (!rmId) return false;
-
-  const leadAgentId = lead.agent?._id?.toString?.() || lead.agent?.toString?.();
-  const leadAssociatedId = lead.associated?._id?.toString?.() || lead.associated?.toString?.();
-
-  const hasAgentAccess = allowedAgentIds.map(String).includes(String(leadAgentId));
-  const hasDirectAssociation =
-    lead.associatedModel === 'RelationshipManager' &&
-    String(leadAssociatedId) === String(rmId);
-
-  return hasAgentAccess || hasDirectAssociation;
-};
+const canAccessLeadInHierarchy = async (req, lead) =>
+  !HIERARCHY_SCOPED_ROLES.includes(req.user.role) || orgHierarchyService.canAccessLead(req.user, lead);
 
 /**
  * Create Lead
@@ -520,6 +491,21 @@ export const createLead = async (req, res, next) => {
       agentName: leadData.agentName
     });
     
+    // Duplicate detection: block, warn or route to the possible-duplicate review queue
+    delete leadData.duplicateCheck;
+    const duplicateResult = await leadDuplicateService.evaluate(leadData);
+    if (duplicateResult.action === 'block') {
+      return res.status(409).json({
+        success: false,
+        error: 'A lead for this applicant already exists. Duplicate leads cannot be created.',
+        duplicates: leadDuplicateService.summarizeMatches(duplicateResult.matches),
+      });
+    }
+    const duplicateCheck = leadDuplicateService.buildDuplicateCheck(duplicateResult);
+    if (duplicateCheck) {
+      leadData.duplicateCheck = duplicateCheck;
+    }
+
     const lead = await Lead.create(leadData);
     
     console.log('🔍 DEBUG: Lead created:', {
@@ -545,11 +531,23 @@ export const createLead = async (req, res, next) => {
       remarks: 'Lead created',
     });
 
-    res.status(201).json({
+    const response = {
       success: true,
       message: 'Lead created successfully',
       data: populatedLead,
-    });
+    };
+    if (duplicateCheck) {
+      response.duplicateWarning = {
+        status: duplicateCheck.status,
+        score: duplicateCheck.score,
+        message: duplicateCheck.status === 'pending_review'
+          ? 'Possible duplicate lead. It has been sent for review.'
+          : 'A similar lead already exists for this applicant.',
+        duplicates: leadDuplicateService.summarizeMatches(duplicateResult.matches),
+      };
+    }
+
+    res.status(201).json(response);
   } catch (error) {
     next(error);
   }
@@ -565,56 +563,17 @@ export const getLeads = async (req, res, next) => {
 
     const query = {};
 
-    // Role-based filtering: agent = own leads, franchise = own + agents' leads, super_admin = all, regional_manager = their franchises
-    if (req.user.role === 'agent') {
-      query.agent = req.user._id;
-    } else if (req.user.role === 'franchise') {
-      if (!req.user.franchiseOwned) {
-        return res.status(400).json({
-          success: false,
-          message: 'Franchise owner does not have an associated franchise',
-        });
-      }
-      // Franchise owners can only see leads for agents under their franchise (and leads where they are the agent)
-      const agentIds = await User.find({ managedByModel: 'Franchise', managedBy: req.user.franchiseOwned }).distinct('_id');
-      const allowedAgentIds = (agentIds || []).map(String);
-      allowedAgentIds.push(req.user._id.toString());
-      if (!allowedAgentIds.length) {
-        return res.status(200).json({
-          success: true,
-          data: [],
-          pagination: getPaginationMeta(page, limit, 0),
-        });
-      }
-      query.agent = { $in: allowedAgentIds };
-    } else if (req.user.role === 'regional_manager') {
-      const franchiseIds = await getRegionalManagerFranchiseIds(req);
-      if (franchiseIds === null || franchiseIds.length === 0) {
-        return res.status(200).json({
-          success: true,
-          data: [],
-          pagination: getPaginationMeta(page, limit, 0),
-        });
-      }
-      // regional managers only manage franchises; restrict to leads associated with franchises in their scope
-      query.associated = { $in: franchiseIds };
-      query.associatedModel = 'Franchise';
-    } else if (req.user.role === 'relationship_manager') {
-      // Relationship managers can see leads from their managed agents
-      // and leads directly assigned/forwarded to their RM profile.
-      const { rmId, allowedAgentIds } = await getRelationshipManagerScope(req);
-      if (!rmId) {
-        return res.status(200).json({
-          success: true,
-          data: [],
-          pagination: getPaginationMeta(page, limit, 0),
-        });
-      }
-      query.$or = [
-        { agent: { $in: allowedAgentIds } },
-        { associated: rmId, associatedModel: 'RelationshipManager' },
-      ];
+    // Role-based filtering: agent = own leads, franchise / relationship_manager = their agents' leads,
+    // regional_manager = leads associated with their franchises, super_admin = all
+    const scopeFilter = await orgHierarchyService.getLeadFilter(req.user);
+    if (!scopeFilter) {
+      return res.status(200).json({
+        success: true,
+        data: [],
+        pagination: getPaginationMeta(page, limit, 0),
+      });
     }
+    Object.assign(query, scopeFilter);
     // super_admin: no base filter → all leads; optional filters below
 
     if (status) query.status = status;
@@ -625,11 +584,7 @@ export const getLeads = async (req, res, next) => {
       if (agentId) {
         // If relationship_manager, ensure requested agentId is within RM's scope
         if (req.user.role === 'relationship_manager') {
-          const { rmId, allowedAgentIds } = await getRelationshipManagerScope(req);
-          const allowed =
-            allowedAgentIds.map(String).includes(String(agentId)) ||
-            await User.exists({ _id: agentId, managedByModel: 'RelationshipManager', managedBy: rmId });
-          if (!allowed) {
+          if (!(await orgHierarchyService.isBelow(req.user, agentId))) {
             return res.status(403).json({ success: false, error: 'Access denied.' });
           }
         }
@@ -699,54 +654,11 @@ export const getLeadById = async (req, res, next) => {
       });
     }
 
-    if (req.user.role === 'franchise') {
-      if (!req.user.franchiseOwned) {
-        return res.status(400).json({
-          success: false,
-          message: 'Franchise owner does not have an associated franchise',
-        });
-      }
-      // Franchise owners can view leads for agents under their franchise (and leads where they are the agent)
-      const agentIds = await User.find({ managedByModel: 'Franchise', managedBy: req.user.franchiseOwned }).distinct('_id');
-      const allowedAgentIds = (agentIds || []).map(String);
-      allowedAgentIds.push(req.user._id.toString());
-      if (!allowedAgentIds.includes(lead.agent.toString())) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied. You can only view leads associated with your franchise agents.',
-        });
-      }
-    }
-    if (req.user.role === 'regional_manager') {
-      let canAccess = false;
-      if (lead.associatedModel === 'Franchise') {
-        canAccess = await regionalManagerCanAccessFranchise(req, lead.associated);
-      } else if (lead.associatedModel === 'RelationshipManager') {
-        canAccess = await regionalManagerCanAccessRelationshipManager(req, lead.associated);
-      } else {
-        // If no associated model, check if agent is under a franchise or RM
-        const agentUser = await User.findById(lead.agent).select('managedBy managedByModel');
-        if (agentUser?.managedByModel === 'Franchise') {
-          canAccess = await regionalManagerCanAccessFranchise(req, agentUser.managedBy);
-        } else if (agentUser?.managedByModel === 'RelationshipManager') {
-          canAccess = await regionalManagerCanAccessRelationshipManager(req, agentUser.managedBy);
-        }
-      }
-      if (!canAccess) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied. You can only view leads from your hierarchy.',
-        });
-      }
-    }
-    if (req.user.role === 'relationship_manager') {
-      const canAccess = await relationshipManagerCanAccessLead(req, lead);
-      if (!canAccess) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied. You can only view leads associated with your agents or assigned to you.',
-        });
-      }
+    if (!(await canAccessLeadInHierarchy(req, lead))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You can only view leads from your hierarchy.',
+      });
     }
 
     res.status(200).json({
@@ -787,58 +699,17 @@ export const updateLead = async (req, res, next) => {
       });
     }
 
-    if (req.user.role === 'franchise') {
-      if (!req.user.franchiseOwned) {
-        return res.status(400).json({
-          success: false,
-          message: 'Franchise owner does not have an associated franchise',
-        });
-      }
-      // Franchise owners can update leads for agents under their franchise (and leads where they are the agent)
-      const agentIds = await User.find({ managedByModel: 'Franchise', managedBy: req.user.franchiseOwned }).distinct('_id');
-      const allowedAgentIds = (agentIds || []).map(String);
-      allowedAgentIds.push(req.user._id.toString());
-      if (!allowedAgentIds.includes(existingLead.agent.toString())) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied. You can only update leads associated with your franchise agents.',
-        });
-      }
-    }
-    if (req.user.role === 'regional_manager') {
-      let canAccess = false;
-      if (existingLead.associatedModel === 'Franchise') {
-        canAccess = await regionalManagerCanAccessFranchise(req, existingLead.associated);
-      } else if (existingLead.associatedModel === 'RelationshipManager') {
-        canAccess = await regionalManagerCanAccessRelationshipManager(req, existingLead.associated);
-      } else {
-        // If no associated model, check if agent is under a franchise or RM
-        const agentUser = await User.findById(existingLead.agent).select('managedBy managedByModel');
-        if (agentUser?.managedByModel === 'Franchise') {
-          canAccess = await regionalManagerCanAccessFranchise(req, agentUser.managedBy);
-        } else if (agentUser?.managedByModel === 'RelationshipManager') {
-          canAccess = await regionalManagerCanAccessRelationshipManager(req, agentUser.managedBy);
-        }
-      }
-      if (!canAccess) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied. You can only update leads from your hierarchy.',
-        });
-      }
-    }
-    if (req.user.role === 'relationship_manager') {
-      const canAccess = await relationshipManagerCanAccessLead(req, existingLead);
-      if (!canAccess) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied. You can only update leads associated with your agents or assigned to you.',
-        });
-      }
+    if (!(await canAccessLeadInHierarchy(req, existingLead))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You can only update leads from your hierarchy.',
+      });
     }
 
     // Ensure agent ID is valid ObjectId format
     const updateData = { ...req.body };
+    // Status changes go through the lead workflow (PUT /api/leads/:id/status)
+    delete updateData.status;
 
     // Cast bank to ObjectId if it's a valid string (so populate works correctly)
     if (updateData.bank && typeof updateData.bank === 'string' && mongoose.Types.ObjectId.isValid(updateData.bank)) {
@@ -928,6 +799,33 @@ export const updateLead = async (req, res, next) => {
       });
     }
 
+    // Re-run duplicate detection when applicant identifiers change
+    delete updateData.duplicateCheck;
+    let duplicateResult = null;
+    const identifierFields = ['applicantMobile', 'applicantEmail', 'loanAccountNo', 'customerName', 'formValues', 'bank'];
+    if (identifierFields.some((field) => updateData[field] !== undefined)) {
+      duplicateResult = await leadDuplicateService.evaluate(
+        { ...existingLead.toObject(), ...updateData },
+        { excludeLeadId: existingLead._id }
+      );
+      if (duplicateResult.action === 'block') {
+        return res.status(409).json({
+          success: false,
+          error: 'Another lead for this applicant already exists. Duplicate details cannot be saved.',
+          duplicates: leadDuplicateService.summarizeMatches(duplicateResult.matches),
+        });
+      }
+      const duplicateCheck = leadDuplicateService.buildDuplicateCheck(duplicateResult);
+      // Keep an earlier reviewer decision unless the lead now matches leads the reviewer has not seen
+      const previousCheck = existingLead.duplicateCheck || {};
+      const reviewedLeadIds = (previousCheck.matches || []).map((m) => m.lead.toString());
+      const reviewed = ['not_duplicate', 'duplicate'].includes(previousCheck.status);
+      const hasNewMatches = duplicateCheck && duplicateCheck.matches.some((m) => !reviewedLeadIds.includes(m.lead.toString()));
+      if (duplicateCheck && (!reviewed || hasNewMatches)) {
+        updateData.duplicateCheck = duplicateCheck;
+      }
+    }
+
     const lead = await Lead.findByIdAndUpdate(req.params.id, updateData, {
       new: true,
       runValidators: true,
@@ -961,10 +859,19 @@ export const updateLead = async (req, res, next) => {
       agentPopulated: !!lead.agent?.name
     });
 
-    res.status(200).json({
+    const response = {
       success: true,
       data: lead,
-    });
+    };
+    if (updateData.duplicateCheck) {
+      response.duplicateWarning = {
+        status: updateData.duplicateCheck.status,
+        score: updateData.duplicateCheck.score,
+        duplicates: leadDuplicateService.summarizeMatches(duplicateResult.matches),
+      };
+    }
+
+    res.status(200).json(response);
   } catch (error) {
     console.error('🔍 DEBUG: Update lead error:', error);
     next(error);
@@ -1019,6 +926,15 @@ export const updateLeadStatus = async (req, res, next) => {
           updateData.disbursementDate = new Date();
         }
 
+        const check = await leadWorkflowService.validateTransition(existingLead, updateData.status, req.user, req.body);
+        if (!check.allowed) {
+          return res.status(check.statusCode).json({
+            success: false,
+            error: check.error,
+            missingFields: check.missingFields,
+          });
+        }
+
         const lead = await Lead.findByIdAndUpdate(
           req.params.id,
           updateData,
@@ -1042,6 +958,8 @@ export const updateLeadStatus = async (req, res, next) => {
           });
         }
 
+        await leadWorkflowService.runSideEffects(check.transition, lead._id);
+
         return res.status(200).json({
           success: true,
           message: 'Lead marked as DISBURSED',
@@ -1050,54 +968,11 @@ export const updateLeadStatus = async (req, res, next) => {
       }
     }
 
-    if (req.user.role === 'franchise') {
-      if (!req.user.franchiseOwned) {
-        return res.status(400).json({
-          success: false,
-          message: 'Franchise owner does not have an associated franchise',
-        });
-      }
-      // Franchise owners can update leads for agents under their franchise (and leads where they are the agent)
-      const agentIds = await User.find({ managedByModel: 'Franchise', managedBy: req.user.franchiseOwned }).distinct('_id');
-      const allowedAgentIds = (agentIds || []).map(String);
-      allowedAgentIds.push(req.user._id.toString());
-      if (!allowedAgentIds.includes(existingLead.agent.toString())) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied. You can only update leads associated with your franchise agents.',
-        });
-      }
-    }
-    if (req.user.role === 'regional_manager') {
-      let canAccess = false;
-      if (existingLead.associatedModel === 'Franchise') {
-        canAccess = await regionalManagerCanAccessFranchise(req, existingLead.associated);
-      } else if (existingLead.associatedModel === 'RelationshipManager') {
-        canAccess = await regionalManagerCanAccessRelationshipManager(req, existingLead.associated);
-      } else {
-        // If no associated model, check if agent is under a franchise or RM
-        const agentUser = await User.findById(existingLead.agent).select('managedBy managedByModel');
-        if (agentUser?.managedByModel === 'Franchise') {
-          canAccess = await regionalManagerCanAccessFranchise(req, agentUser.managedBy);
-        } else if (agentUser?.managedByModel === 'RelationshipManager') {
-          canAccess = await regionalManagerCanAccessRelationshipManager(req, agentUser.managedBy);
-        }
-      }
-      if (!canAccess) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied. You can only update leads from your hierarchy.',
-        });
-      }
-    }
-    if (req.user.role === 'relationship_manager') {
-      const canAccess = await relationshipManagerCanAccessLead(req, existingLead);
-      if (!canAccess) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied. You can only update leads associated with your agents or assigned to you.',
-        });
-      }
+    if (!(await canAccessLeadInHierarchy(req, existingLead))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You can only update leads from your hierarchy.',
+      });
     }
 
     const updateData = { status };
@@ -1128,14 +1003,6 @@ export const updateLeadStatus = async (req, res, next) => {
       if (disbursedAmount >= (lead.loanAmount || 0)) {
         updateData.status = 'completed';
         updateData.disbursementType = 'full';
-
-        // Auto-generate invoice when completed
-        try {
-          await commissionService.recalculateCommission(req.params.id);
-          await invoiceService.generateInvoice(req.params.id);
-        } catch (error) {
-          console.error('Error auto-generating invoice:', error);
-        }
       }
 
       // Recalculate commission if basis is disbursed
@@ -1144,6 +1011,16 @@ export const updateLeadStatus = async (req, res, next) => {
       }
     }
 
+    // Guard the transition against the workflow configured for this bank / loan type
+    const check = await leadWorkflowService.validateTransition(existingLead, updateData.status, req.user, req.body);
+    if (!check.allowed) {
+      return res.status(check.statusCode).json({
+        success: false,
+        error: check.error,
+        missingFields: check.missingFields,
+      });
+    }
+
     const lead = await Lead.findByIdAndUpdate(
       req.params.id,
       updateData,
@@ -1175,6 +1052,9 @@ export const updateLeadStatus = async (req, res, next) => {
       });
     }
 
+    // Side effects (commission recalculation, invoice generation) run once the new status is saved
+    await leadWorkflowService.runSideEffects(check.transition, lead._id);
+
     res.status(200).json({
       success: true,
       message: 'Lead status updated',
@@ -1208,54 +1088,11 @@ export const verifyLead = async (req, res, next) => {
       });
     }
 
-    if (req.user.role === 'franchise') {
-      if (!req.user.franchiseOwned) {
-        return res.status(400).json({
-          success: false,
-          message: 'Franchise owner does not have an associated franchise',
-        });
-      }
-      // Franchise owners can verify leads for agents under their franchise (and leads where they are the agent)
-      const agentIds = await User.find({ managedByModel: 'Franchise', managedBy: req.user.franchiseOwned }).distinct('_id');
-      const allowedAgentIds = (agentIds || []).map(String);
-      allowedAgentIds.push(req.user._id.toString());
-      if (!allowedAgentIds.includes(existingLead.agent.toString())) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied. You can only verify leads associated with your franchise agents.',
-        });
-      }
-    }
-    if (req.user.role === 'regional_manager') {
-      let canAccess = false;
-      if (existingLead.associatedModel === 'Franchise') {
-        canAccess = await regionalManagerCanAccessFranchise(req, existingLead.associated);
-      } else if (existingLead.associatedModel === 'RelationshipManager') {
-        canAccess = await regionalManagerCanAccessRelationshipManager(req, existingLead.associated);
-      } else {
-        // If no associated model, check if agent is under a franchise or RM
-        const agentUser = await User.findById(existingLead.agent).select('managedBy managedByModel');
-        if (agentUser?.managedByModel === 'Franchise') {
-          canAccess = await regionalManagerCanAccessFranchise(req, agentUser.managedBy);
-        } else if (agentUser?.managedByModel === 'RelationshipManager') {
-          canAccess = await regionalManagerCanAccessRelationshipManager(req, agentUser.managedBy);
-        }
-      }
-      if (!canAccess) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied. You can only verify leads from your hierarchy.',
-        });
-      }
-    }
-    if (req.user.role === 'relationship_manager') {
-      const canAccess = await relationshipManagerCanAccessLead(req, existingLead);
-      if (!canAccess) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied. You can only verify leads associated with your agents or assigned to you.',
-        });
-      }
+    if (!(await canAccessLeadInHierarchy(req, existingLead))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You can only verify leads from your hierarchy.',
+      });
     }
 
     const updateData = {
@@ -1404,53 +1241,11 @@ export const deleteLead = async (req, res, next) => {
         message: 'Lead not found',
       });
     }
-    if (req.user.role === 'regional_manager') {
-      let canAccess = false;
-      if (lead.associatedModel === 'Franchise') {
-        canAccess = await regionalManagerCanAccessFranchise(req, lead.associated);
-      } else if (lead.associatedModel === 'RelationshipManager') {
-        canAccess = await regionalManagerCanAccessRelationshipManager(req, lead.associated);
-      } else {
-        // If no associated model, check if agent is under a franchise or RM
-        const agentUser = await User.findById(lead.agent).select('managedBy managedByModel');
-        if (agentUser?.managedByModel === 'Franchise') {
-          canAccess = await regionalManagerCanAccessFranchise(req, agentUser.managedBy);
-        } else if (agentUser?.managedByModel === 'RelationshipManager') {
-          canAccess = await regionalManagerCanAccessRelationshipManager(req, agentUser.managedBy);
-        }
-      }
-      if (!canAccess) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied. You can only delete leads from your hierarchy.',
-        });
-      }
-    }
-    if (req.user.role === 'franchise') {
-      if (!req.user.franchiseOwned) {
-        return res.status(400).json({
-          success: false,
-          message: 'Franchise owner does not have an associated franchise',
-        });
-      }
-      const agentIds = await User.find({ managedByModel: 'Franchise', managedBy: req.user.franchiseOwned }).distinct('_id');
-      const allowedAgentIds = (agentIds || []).map(String);
-      allowedAgentIds.push(req.user._id.toString());
-      if (!allowedAgentIds.includes(lead.agent.toString())) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied. You can only delete leads associated with your franchise agents.',
-        });
-      }
-    }
-    if (req.user.role === 'relationship_manager') {
-      const canAccess = await relationshipManagerCanAccessLead(req, lead);
-      if (!canAccess) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied. You can only delete leads associated with your agents or assigned to you.',
-        });
-      }
+    if (!(await canAccessLeadInHierarchy(req, lead))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You can only delete leads from your hierarchy.',
+      });
     }
     if (req.user.role === 'accounts_manager') {
       // Accountant can only delete leads under assigned Regional Managers
@@ -1464,11 +1259,8 @@ export const deleteLead = async (req, res, next) => {
       }
     }
     
-    // Log deletion to audit log
-    const leadData = lead.toObject();
-    await auditService.logDelete(req.user._id, 'Lead', req.params.id, leadData, req);
-    
-    await Lead.findByIdAndDelete(req.params.id);
+    // Moves the lead to the recycle bin (refused while it has invoices or commission entries)
+    await recycleBinService.softDelete('lead', lead._id, req.user);
 
     res.status(200).json({
       success: true,
@@ -1504,53 +1296,11 @@ export const getLeadHistory = async (req, res, next) => {
       });
     }
 
-    if (req.user.role === 'franchise') {
-      if (!req.user.franchiseOwned) {
-        return res.status(400).json({
-          success: false,
-          message: 'Franchise owner does not have an associated franchise',
-        });
-      }
-      const agentIds = await User.find({ managedByModel: 'Franchise', managedBy: req.user.franchiseOwned }).distinct('_id');
-      const allowedAgentIds = (agentIds || []).map(String);
-      allowedAgentIds.push(req.user._id.toString());
-      if (!allowedAgentIds.includes(lead.agent.toString())) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied. You can only view history of leads associated with your franchise agents.',
-        });
-      }
-    }
-    if (req.user.role === 'regional_manager') {
-      let canAccess = false;
-      if (lead.associatedModel === 'Franchise') {
-        canAccess = await regionalManagerCanAccessFranchise(req, lead.associated);
-      } else if (lead.associatedModel === 'RelationshipManager') {
-        canAccess = await regionalManagerCanAccessRelationshipManager(req, lead.associated);
-      } else {
-        // If no associated model, check if agent is under a franchise or RM
-        const agentUser = await User.findById(lead.agent).select('managedBy managedByModel');
-        if (agentUser?.managedByModel === 'Franchise') {
-          canAccess = await regionalManagerCanAccessFranchise(req, agentUser.managedBy);
-        } else if (agentUser?.managedByModel === 'RelationshipManager') {
-          canAccess = await regionalManagerCanAccessRelationshipManager(req, agentUser.managedBy);
-        }
-      }
-      if (!canAccess) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied. You can only view history of leads from your hierarchy.',
-        });
-      }
-    }
-    if (req.user.role === 'relationship_manager') {
-      const canAccess = await relationshipManagerCanAccessLead(req, lead);
-      if (!canAccess) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied. You can only view history of leads associated with your agents or assigned to you.',
-        });
-      }
+    if (!(await canAccessLeadInHierarchy(req, lead))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You can only view history of leads from your hierarchy.',
+      });
     }
 
     if (req.user.role === 'agent' && lead.agent.toString() !== req.user._id.toString()) {
@@ -1624,6 +1374,212 @@ export const getApprovedLeads = async (req, res, next) => {
   }
 };
 
+/**
+ * Bulk import leads from a spreadsheet mapped to a lead form
+ * Pass dryRun=true to validate without creating leads.
+ */
+export const importLeads = async (req, res, next) => {
+  try {
+    const { leadFormId } = req.body;
+    const dryRun = String(req.body.dryRun ?? req.query.dryRun) === 'true';
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Spreadsheet file is required',
+      });
+    }
+    if (!leadFormId || !mongoose.Types.ObjectId.isValid(leadFormId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid lead form ID is required',
+      });
+    }
+
+    const result = await leadImportService.importLeads({
+      buffer: req.file.buffer,
+      formId: leadFormId,
+      user: req.user,
+      dryRun,
+    });
+
+    if (result.errorFile) {
+      result.errorFileUrl = `/api/leads/import/errors/${result.errorFile}`;
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `Dry run complete: ${result.validRows} valid, ${result.rejectedCount} rejected`
+        : `${result.createdCount} leads imported, ${result.rejectedCount} rejected`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download the rejected-rows workbook of a lead import
+ */
+export const downloadLeadImportErrors = async (req, res, next) => {
+  try {
+    const filePath = leadImportService.getErrorWorkbookPath(req.params.filename, req.user);
+    if (!filePath) {
+      return res.status(404).json({
+        success: false,
+        error: 'Import error file not found',
+      });
+    }
+
+    res.download(filePath, req.params.filename, (err) => {
+      if (err && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          error: 'Import error file not found',
+        });
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get possible-duplicate review queue (Super Admin / Regional Manager)
+ */
+export const getDuplicateReviewQueue = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status = 'pending_review' } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = { 'duplicateCheck.status': status };
+
+    if (req.user.role === 'regional_manager') {
+      const franchiseIds = await getRegionalManagerFranchiseIds(req);
+      const rmIds = await getRegionalManagerRelationshipManagerIds(req);
+      if (!franchiseIds?.length && !rmIds?.length) {
+        return res.status(200).json({
+          success: true,
+          data: [],
+          pagination: getPaginationMeta(page, limit, 0),
+        });
+      }
+      query.$or = [
+        { associated: { $in: franchiseIds || [] }, associatedModel: 'Franchise' },
+        { associated: { $in: rmIds || [] }, associatedModel: 'RelationshipManager' },
+      ];
+    }
+
+    const leads = await Lead.find(query)
+      .populate('agent', 'name email mobile')
+      .populate('associated', 'name email mobile')
+      .populate('bank', 'name type')
+      .populate({
+        path: 'duplicateCheck.matches.lead',
+        select: 'customerName applicantMobile loanAccountNo agent agentName associated associatedModel bankName status createdAt',
+        populate: { path: 'associated', select: 'name' },
+      })
+      .sort({ 'duplicateCheck.checkedAt': -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Lead.countDocuments(query);
+    const pagination = getPaginationMeta(page, limit, total);
+
+    res.status(200).json({
+      success: true,
+      data: leads,
+      pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resolve a possible-duplicate lead (Super Admin / Regional Manager)
+ * decision 'not_duplicate' clears the flag; 'duplicate' rejects the lead.
+ */
+export const reviewDuplicateLead = async (req, res, next) => {
+  try {
+    const { decision, remarks } = req.body;
+
+    if (!['not_duplicate', 'duplicate'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Decision must be either "not_duplicate" or "duplicate"',
+      });
+    }
+
+    const existingLead = await Lead.findById(req.params.id);
+    if (!existingLead) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lead not found',
+      });
+    }
+
+    if (!['pending_review', 'warned'].includes(existingLead.duplicateCheck?.status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Lead is not flagged as a possible duplicate',
+      });
+    }
+
+    if (!(await canAccessLeadInHierarchy(req, existingLead))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You can only review leads from your hierarchy.',
+      });
+    }
+
+    const updateData = {
+      'duplicateCheck.status': decision,
+      'duplicateCheck.reviewedBy': req.user._id,
+      'duplicateCheck.reviewedAt': new Date(),
+      'duplicateCheck.reviewRemarks': remarks || null,
+    };
+    // Rejecting a duplicate is a status change like any other: the lead workflow decides whether it is allowed
+    let check = { transition: null };
+    if (decision === 'duplicate' && existingLead.status !== 'rejected') {
+      check = await leadWorkflowService.validateTransition(existingLead, 'rejected', req.user, req.body);
+      if (!check.allowed) {
+        return res.status(check.statusCode).json({
+          success: false,
+          error: check.error,
+          missingFields: check.missingFields,
+        });
+      }
+      updateData.status = 'rejected';
+    }
+
+    const lead = await Lead.findByIdAndUpdate(req.params.id, updateData, { new: true, runValidators: true })
+      .populate('agent', 'name email mobile')
+      .populate('associated', 'name email mobile')
+      .populate('bank', 'name type');
+
+    await leadWorkflowService.runSideEffects(check.transition, lead._id);
+
+    const changes = trackLeadChanges(existingLead.toObject(), lead.toObject(), ['status']);
+    await LeadHistory.create({
+      lead: lead._id,
+      changedBy: req.user._id,
+      action: changes.length > 0 ? 'status_changed' : 'updated',
+      changes,
+      remarks: remarks || (decision === 'duplicate' ? 'Rejected as duplicate lead' : 'Cleared as not a duplicate'),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: decision === 'duplicate' ? 'Lead rejected as duplicate' : 'Lead cleared as not a duplicate',
+      data: lead,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Forward Lead to Relationship Manager
  * Allows Franchise users to forward a lead to a Relationship Manager
@@ -1777,7 +1733,13 @@ export const addDisbursement = async (req, res, next) => {
     }
 
     const trancheAmount = parseFloat(amount);
-    const trancheCommission = parseFloat(commission) || 0;
+    const trancheDate = date ? new Date(date) : new Date();
+
+    // Tranche commission accrues under the rule in effect on the tranche date unless entered explicitly
+    const accrued = await commissionService.calculateTrancheCommission(lead, trancheAmount, trancheDate);
+    const trancheCommission = commission !== undefined && commission !== ''
+      ? parseFloat(commission) || 0
+      : accrued.commission;
     const trancheGst = parseFloat(gst) || 0;
     const netCommission = trancheCommission - trancheGst;
 
@@ -1785,23 +1747,29 @@ export const addDisbursement = async (req, res, next) => {
     lead.disbursedAmount = (lead.disbursedAmount || 0) + trancheAmount;
     lead.commissionAmount = (lead.commissionAmount || 0) + trancheCommission;
 
-    // Update status
-    if (lead.disbursedAmount >= (lead.loanAmount || 0)) {
-      lead.status = 'completed';
-    } else {
-      lead.status = 'partial_disbursed';
+    // Update status (guarded by the lead workflow)
+    const nextStatus = leadWorkflowService.getDisbursementStatus(lead);
+    const check = await leadWorkflowService.validateTransition(lead, nextStatus, req.user, req.body);
+    if (!check.allowed) {
+      return res.status(check.statusCode).json({
+        success: false,
+        error: check.error,
+        missingFields: check.missingFields,
+      });
     }
+    lead.status = nextStatus;
 
     // Add to history
     if (!lead.disbursementHistory) lead.disbursementHistory = [];
 
     lead.disbursementHistory.push({
       amount: trancheAmount,
-      date: date || new Date(),
+      date: trancheDate,
       type: lead.status === 'completed' ? 'full' : 'partial',
       utr,
       bankRef,
       commission: trancheCommission,
+      commissionRule: accrued.rule?._id,
       gst: trancheGst,
       netCommission,
       remarks: notes
@@ -1822,10 +1790,17 @@ export const addDisbursement = async (req, res, next) => {
       remarks: `Disbursement of ₹${trancheAmount} added. UTR: ${utr || 'N/A'}`
     });
 
+    // Accrue each party's share of this tranche in the commission ledger
+    const tranche = lead.disbursementHistory[lead.disbursementHistory.length - 1];
+    const commissionAccrual = await commissionWaterfallService.accrueTranche(lead._id, tranche, req.user._id);
+
+    await leadWorkflowService.runSideEffects(check.transition, lead._id);
+
     res.status(200).json({
       success: true,
       message: 'Disbursement added successfully',
-      data: lead
+      data: lead,
+      commissionAccrual,
     });
   } catch (error) {
     next(error);
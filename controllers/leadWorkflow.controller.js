@@ -0,0 +1,225 @@
+import LeadWorkflow from '../models/leadWorkflow.model.js';
+import Bank from '../models/bank.model.js';
+import leadWorkflowService from '../services/leadWorkflow.service.js';
+
+/**
+ * Get all lead workflows
+ */
+export const getLeadWorkflows = async (req, res, next) => {
+  try {
+    const { bankId, loanType, status } = req.query;
+    const query = {};
+    if (bankId) query.bank = bankId;
+    if (loanType) query.loanType = loanType;
+    if (status) query.status = status;
+
+    const workflows = await LeadWorkflow.find(query)
+      .populate('bank', 'name type')
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: workflows,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the workflow that applies to a bank / loan type (falls back to the built-in default)
+ */
+export const resolveLeadWorkflow = async (req, res, next) => {
+  try {
+    const { bankId, loanType } = req.query;
+    const workflow = await leadWorkflowService.getWorkflow(bankId || null, loanType || null);
+
+    res.status(200).json({
+      success: true,
+      data: workflow,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get lead workflow by ID
+ */
+export const getLeadWorkflowById = async (req, res, next) => {
+  try {
+    const workflow = await LeadWorkflow.findById(req.params.id)
+      .populate('bank', 'name type')
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email');
+
+    if (!workflow) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lead workflow not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: workflow,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create lead workflow
+ */
+export const createLeadWorkflow = async (req, res, next) => {
+  try {
+    const { name, bankId, loanType, transitions, status } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Workflow name is required',
+      });
+    }
+
+    const definitionError = leadWorkflowService.validateDefinition(transitions);
+    if (definitionError) {
+      return res.status(400).json({
+        success: false,
+        error: definitionError,
+      });
+    }
+
+    if (bankId) {
+      const bank = await Bank.findById(bankId);
+      if (!bank) {
+        return res.status(404).json({
+          success: false,
+          error: 'Bank not found',
+        });
+      }
+    }
+
+    const workflow = await LeadWorkflow.create({
+      name,
+      bank: bankId || null,
+      loanType: loanType || 'all',
+      transitions,
+      status: status || 'active',
+      createdBy: req.user._id,
+      updatedBy: req.user._id,
+    });
+
+    const populatedWorkflow = await LeadWorkflow.findById(workflow._id)
+      .populate('bank', 'name type')
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email');
+
+    res.status(201).json({
+      success: true,
+      data: populatedWorkflow,
+      message: 'Lead workflow created successfully',
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'An active workflow already exists for this bank and loan type. Deactivate it first or update it instead.',
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Update lead workflow
+ */
+export const updateLeadWorkflow = async (req, res, next) => {
+  try {
+    const { name, bankId, loanType, transitions, status } = req.body;
+
+    const workflow = await LeadWorkflow.findById(req.params.id);
+    if (!workflow) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lead workflow not found',
+      });
+    }
+
+    if (transitions !== undefined) {
+      const definitionError = leadWorkflowService.validateDefinition(transitions);
+      if (definitionError) {
+        return res.status(400).json({
+          success: false,
+          error: definitionError,
+        });
+      }
+      workflow.transitions = transitions;
+    }
+
+    if (bankId !== undefined) {
+      if (bankId) {
+        const bank = await Bank.findById(bankId);
+        if (!bank) {
+          return res.status(404).json({
+            success: false,
+            error: 'Bank not found',
+          });
+        }
+      }
+      workflow.bank = bankId || null;
+    }
+
+    if (name !== undefined) workflow.name = name;
+    if (loanType !== undefined) workflow.loanType = loanType || 'all';
+    if (status !== undefined) workflow.status = status;
+    workflow.updatedBy = req.user._id;
+    await workflow.save();
+
+    const populatedWorkflow = await LeadWorkflow.findById(workflow._id)
+      .populate('bank', 'name type')
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email');
+
+    res.status(200).json({
+      success: true,
+      data: populatedWorkflow,
+      message: 'Lead workflow updated successfully',
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'An active workflow already exists for this bank and loan type.',
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Delete lead workflow
+ */
+export const deleteLeadWorkflow = async (req, res, next) => {
+  try {
+    const workflow = await LeadWorkflow.findById(req.params.id);
+    if (!workflow) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lead workflow not found',
+      });
+    }
+
+    await LeadWorkflow.findByIdAndDelete(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Lead workflow deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
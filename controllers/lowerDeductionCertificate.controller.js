@@ -0,0 +1,192 @@
+import LowerDeductionCertificate, { LOWER_DEDUCTION_PARTY_TYPES_LIST } from '../models/lowerDeductionCertificate.model.js';
+import User from '../models/user.model.js';
+import Franchise from '../models/franchise.model.js';
+import RelationshipManager from '../models/relationship.model.js';
+import tdsService from '../services/tds.service.js';
+import partnerLedgerService from '../services/partnerLedger.service.js';
+
+const CERTIFICATE_FIELDS = [
+  'partyType', 'partyId', 'pan', 'certificateNumber', 'section', 'rate',
+  'validFrom', 'validTo', 'amountLimit', 'status', 'remarks',
+];
+
+const PARTY_COLLECTIONS = {
+  User,
+  Franchise,
+  RelationshipManager,
+};
+
+const pickCertificateFields = (body) =>
+  CERTIFICATE_FIELDS.reduce((data, key) => {
+    if (body[key] !== undefined) data[key] = body[key];
+    return data;
+  }, {});
+
+/**
+ * Why a certificate cannot be saved (null when valid)
+ * @returns {Promise<String|null>} Error message
+ */
+const validateCertificate = async (data) => {
+  if (!LOWER_DEDUCTION_PARTY_TYPES_LIST.includes(data.partyType)) {
+    return `Party type must be one of: ${LOWER_DEDUCTION_PARTY_TYPES_LIST.join(', ')}`;
+  }
+  if (new Date(data.validFrom) > new Date(data.validTo)) {
+    return 'Valid from date must be on or before the valid to date';
+  }
+
+  const party = await PARTY_COLLECTIONS[partnerLedgerService.getPartyModel(data.partyType)]
+    .findById(data.partyId)
+    .select('kyc.pan');
+  if (!party) {
+    return 'Partner not found';
+  }
+  const partyPan = String(party.kyc?.pan || '').trim().toUpperCase();
+  if (partyPan && data.pan && partyPan !== String(data.pan).trim().toUpperCase()) {
+    return 'Certificate PAN does not match the partner\'s PAN';
+  }
+  return null;
+};
+
+/**
+ * Get lower deduction certificates (with the amount already credited against each)
+ */
+export const getLowerDeductionCertificates = async (req, res, next) => {
+  try {
+    const { partyType, partyId, status } = req.query;
+    const query = {};
+    if (partyType) query.partyType = partyType;
+    if (partyId) query.partyId = partyId;
+    if (status) query.status = status;
+
+    const certificates = await LowerDeductionCertificate.find(query)
+      .populate('partyId', 'name email')
+      .populate('createdBy', 'name email')
+      .sort({ validTo: -1 });
+
+    const data = await Promise.all(certificates.map(async (certificate) => {
+      const usedAmount = await tdsService.getCertificateUsage(certificate._id);
+      return {
+        ...certificate.toObject(),
+        usedAmount,
+        remainingAmount: Math.max(certificate.amountLimit - usedAmount, 0),
+      };
+    }));
+
+    res.status(200).json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create lower deduction certificate
+ */
+export const createLowerDeductionCertificate = async (req, res, next) => {
+  try {
+    const data = pickCertificateFields(req.body);
+
+    const validationError = await validateCertificate(data);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    const certificate = await LowerDeductionCertificate.create({
+      ...data,
+      partyModel: partnerLedgerService.getPartyModel(data.partyType),
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: certificate,
+      message: 'Lower deduction certificate created successfully',
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A certificate with this number already exists',
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Update lower deduction certificate (set status to revoked to stop applying it)
+ */
+export const updateLowerDeductionCertificate = async (req, res, next) => {
+  try {
+    const certificate = await LowerDeductionCertificate.findById(req.params.id);
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lower deduction certificate not found',
+      });
+    }
+
+    certificate.set(pickCertificateFields(req.body));
+    certificate.partyModel = partnerLedgerService.getPartyModel(certificate.partyType);
+
+    const validationError = await validateCertificate(certificate.toObject());
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    await certificate.save();
+
+    res.status(200).json({
+      success: true,
+      data: certificate,
+      message: 'Lower deduction certificate updated successfully',
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A certificate with this number already exists',
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Delete lower deduction certificate (only while no invoice has used it)
+ */
+export const deleteLowerDeductionCertificate = async (req, res, next) => {
+  try {
+    const certificate = await LowerDeductionCertificate.findById(req.params.id);
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lower deduction certificate not found',
+      });
+    }
+
+    if (await tdsService.getCertificateUsage(certificate._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Certificate has been applied to invoices; revoke it instead',
+      });
+    }
+
+    await LowerDeductionCertificate.findByIdAndDelete(certificate._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Lower deduction certificate deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
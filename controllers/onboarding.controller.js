@@ -0,0 +1,162 @@
+import onboardingService from '../services/onboarding.service.js';
+import { ONBOARDING_REJECTION_REASONS_LIST } from '../models/onboardingApplication.model.js';
+
+/**
+ * Access token the applicant received on submission (header, body or query)
+ */
+const getAccessToken = (req) =>
+  req.headers['x-application-token'] || req.body?.token || req.query.token;
+
+/**
+ * Get franchises and relationship managers open for applications (public)
+ */
+export const getOnboardingPartners = async (req, res, next) => {
+  try {
+    const partners = await onboardingService.getPartners();
+
+    res.status(200).json({
+      success: true,
+      data: partners,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Submit onboarding application (public, multipart with pan / aadhaar / gst / cancelled_cheque files)
+ */
+export const submitApplication = async (req, res, next) => {
+  try {
+    const { application, accessToken } = await onboardingService.submitApplication(req.body, req.files);
+
+    res.status(201).json({
+      success: true,
+      message: 'Application submitted. Keep the access token to check its status or resubmit.',
+      data: { application, accessToken },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get application status for the applicant (public, needs the access token)
+ */
+export const getApplicationStatus = async (req, res, next) => {
+  try {
+    const application = await onboardingService.getApplicationForApplicant(req.params.id, getAccessToken(req));
+
+    res.status(200).json({
+      success: true,
+      data: application,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resubmit a rejected application (public, needs the access token)
+ */
+export const resubmitApplication = async (req, res, next) => {
+  try {
+    const application = await onboardingService.resubmitApplication(
+      req.params.id,
+      getAccessToken(req),
+      req.body,
+      req.files
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Application resubmitted',
+      data: application,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get onboarding applications (review queue, submitted by default)
+ */
+export const getApplications = async (req, res, next) => {
+  try {
+    const { status, search } = req.query;
+    const scope = await onboardingService.getReviewScope(req.user);
+    const applications = await onboardingService.getApplications({ status, search }, scope);
+
+    res.status(200).json({
+      success: true,
+      data: applications,
+      rejectionReasons: ONBOARDING_REJECTION_REASONS_LIST,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get onboarding application by ID
+ */
+export const getApplicationById = async (req, res, next) => {
+  try {
+    const scope = await onboardingService.getReviewScope(req.user);
+    const application = await onboardingService.getApplicationById(req.params.id, scope);
+
+    res.status(200).json({
+      success: true,
+      data: application,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve onboarding application (creates the agent)
+ */
+export const approveApplication = async (req, res, next) => {
+  try {
+    const scope = await onboardingService.getReviewScope(req.user);
+    const { application } = await onboardingService.approveApplication(
+      req.params.id,
+      scope,
+      req.user._id,
+      req.body.remarks
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Application approved and agent created',
+      data: application,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject onboarding application with reasons
+ */
+export const rejectApplication = async (req, res, next) => {
+  try {
+    const { reasons, remarks } = req.body;
+    const scope = await onboardingService.getReviewScope(req.user);
+    const application = await onboardingService.rejectApplication(
+      req.params.id,
+      scope,
+      { reasons, remarks },
+      req.user._id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Application rejected',
+      data: application,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,287 @@
+import OrgUnit from '../models/orgUnit.model.js';
+import User from '../models/user.model.js';
+import orgHierarchyService from '../services/orgHierarchy.service.js';
+
+/**
+ * Validate the parent, head and regional managers of an org unit.
+ * Returns an error message, or null when the unit is valid.
+ */
+const validateOrgUnit = async ({ unitId, type, parent, head, regionalManagers }) => {
+  if (parent) {
+    if (type !== 'region') return 'Only regions can belong to a zone';
+    const zone = await OrgUnit.findOne({ _id: parent, type: 'zone' }).select('_id');
+    if (!zone) return 'Parent zone not found';
+  }
+
+  const managerIds = [...new Set([head, ...(regionalManagers || [])].filter(Boolean).map(String))];
+  if (managerIds.length) {
+    const found = await User.countDocuments({ _id: { $in: managerIds }, role: 'regional_manager' });
+    if (found !== managerIds.length) return 'Unit head and members must be regional managers';
+  }
+
+  if (type === 'region' && regionalManagers?.length) {
+    const taken = await OrgUnit.findOne({
+      _id: { $ne: unitId },
+      type: 'region',
+      status: 'active',
+      regionalManagers: { $in: regionalManagers },
+    }).select('name');
+    if (taken) return `A regional manager is already in region ${taken.name}`;
+  }
+
+  return null;
+};
+
+/**
+ * Get the org tree (the caller's part of it unless super_admin)
+ */
+export const getOrgTree = async (req, res, next) => {
+  try {
+    const tree = await orgHierarchyService.getTree(req.user);
+
+    res.status(200).json({
+      success: true,
+      data: tree,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get who is above a user (franchise / RM, regional manager, region, zone, accountants)
+ */
+export const getUserAncestors = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id).select('name email role managedBy managedByModel franchiseOwned relationshipManagerOwned');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+      });
+    }
+
+    if (!(await orgHierarchyService.isBelow(req.user, user._id))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You can only view users from your hierarchy.',
+      });
+    }
+
+    const ancestors = await orgHierarchyService.getAncestors(user);
+
+    res.status(200).json({
+      success: true,
+      data: { user: { _id: user._id, name: user.name, email: user.email, role: user.role }, ...ancestors },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get who is below a user (regional managers, franchises, relationship managers, agents)
+ */
+export const getUserDescendants = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id).select('name email role franchiseOwned relationshipManagerOwned');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+      });
+    }
+
+    if (!(await orgHierarchyService.isBelow(req.user, user._id))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You can only view users from your hierarchy.',
+      });
+    }
+
+    const descendants = user.role === 'super_admin' ? null : await orgHierarchyService.getDescendants(user);
+
+    res.status(200).json({
+      success: true,
+      data: { user: { _id: user._id, name: user.name, email: user.email, role: user.role }, descendants },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get zones and regions
+ */
+export const getOrgUnits = async (req, res, next) => {
+  try {
+    const { type, status } = req.query;
+    const query = {};
+    if (type) query.type = type;
+    if (status) query.status = status;
+
+    const units = await OrgUnit.find(query)
+      .populate('parent', 'name code')
+      .populate('head', 'name email')
+      .populate('regionalManagers', 'name email')
+      .sort({ type: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: units,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create zone or region
+ */
+export const createOrgUnit = async (req, res, next) => {
+  try {
+    const { name, code, type, parent, head, regionalManagers, status } = req.body;
+
+    if (!name || !code || !type) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name, code and type are required',
+      });
+    }
+
+    const invalid = await validateOrgUnit({ type, parent, head, regionalManagers });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+      });
+    }
+
+    const unit = await OrgUnit.create({
+      name,
+      code,
+      type,
+      parent: parent || null,
+      head: head || null,
+      regionalManagers: type === 'region' ? regionalManagers || [] : [],
+      status: status || 'active',
+      createdBy: req.user._id,
+    });
+
+    orgHierarchyService.invalidate();
+
+    res.status(201).json({
+      success: true,
+      data: unit,
+      message: 'Org unit created successfully',
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'An org unit with this code already exists',
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Update zone or region
+ */
+export const updateOrgUnit = async (req, res, next) => {
+  try {
+    const { name, code, parent, head, regionalManagers, status } = req.body;
+
+    const unit = await OrgUnit.findById(req.params.id);
+    if (!unit) {
+      return res.status(404).json({
+        success: false,
+        error: 'Org unit not found',
+      });
+    }
+
+    const invalid = await validateOrgUnit({
+      unitId: unit._id,
+      type: unit.type,
+      parent: parent === undefined ? unit.parent : parent,
+      head: head === undefined ? unit.head : head,
+      regionalManagers: regionalManagers === undefined ? unit.regionalManagers : regionalManagers,
+    });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+      });
+    }
+
+    if (name !== undefined) unit.name = name;
+    if (code !== undefined) unit.code = code;
+    if (parent !== undefined) unit.parent = parent || null;
+    if (head !== undefined) unit.head = head || null;
+    if (regionalManagers !== undefined && unit.type === 'region') unit.regionalManagers = regionalManagers;
+    if (status !== undefined) unit.status = status;
+    await unit.save();
+
+    orgHierarchyService.invalidate();
+
+    res.status(200).json({
+      success: true,
+      data: unit,
+      message: 'Org unit updated successfully',
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'An org unit with this code already exists',
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Delete zone or region (a zone only when no region belongs to it)
+ */
+export const deleteOrgUnit = async (req, res, next) => {
+  try {
+    const unit = await OrgUnit.findById(req.params.id);
+    if (!unit) {
+      return res.status(404).json({
+        success: false,
+        error: 'Org unit not found',
+      });
+    }
+
+    const children = await OrgUnit.countDocuments({ parent: unit._id });
+    if (children) {
+      return res.status(400).json({
+        success: false,
+        error: `${children} region(s) belong to this zone. Move them first.`,
+      });
+    }
+
+    await OrgUnit.findByIdAndDelete(unit._id);
+    orgHierarchyService.invalidate();
+
+    res.status(200).json({
+      success: true,
+      message: 'Org unit deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
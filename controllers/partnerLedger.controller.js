@@ -0,0 +1,121 @@
+import partnerLedgerService from '../services/partnerLedger.service.js';
+import User from '../models/user.model.js';
+import { PARTNER_LEDGER_PARTY_TYPES_LIST } from '../models/partnerLedger.model.js';
+import { regionalManagerCanAccessFranchise, regionalManagerCanAccessRelationshipManager } from '../utils/regionalScope.js';
+
+/**
+ * Whether the current user may view a partner's ledger
+ * Admin and accounts see every account; partners see their own and those of agents they manage.
+ */
+const canViewPartyLedger = async (req, partyType, partyId) => {
+  const { role } = req.user;
+  const id = String(partyId);
+
+  if (role === 'super_admin' || role === 'accounts_manager') return true;
+
+  if (partyType === 'franchise') {
+    if (role === 'franchise') return String(req.user.franchiseOwned || '') === id;
+    if (role === 'regional_manager') return regionalManagerCanAccessFranchise(req, id);
+    return false;
+  }
+
+  if (partyType === 'relationship_manager') {
+    if (role === 'relationship_manager') return String(req.user.relationshipManagerOwned || '') === id;
+    if (role === 'regional_manager') return regionalManagerCanAccessRelationshipManager(req, id);
+    return false;
+  }
+
+  // agent / sub_agent accounts
+  if (role === 'agent') return String(req.user._id) === id;
+
+  const agent = await User.findById(id).select('managedBy managedByModel parentAgent').lean();
+  if (!agent) return false;
+  // Sub-agents are checked through their parent agent's manager
+  const manager = agent.managedBy
+    ? agent
+    : await User.findById(agent.parentAgent).select('managedBy managedByModel').lean();
+  if (!manager?.managedBy) return false;
+
+  if (role === 'franchise') {
+    return manager.managedByModel === 'Franchise' && String(manager.managedBy) === String(req.user.franchiseOwned || '');
+  }
+  if (role === 'relationship_manager') {
+    return manager.managedByModel === 'RelationshipManager'
+      && String(manager.managedBy) === String(req.user.relationshipManagerOwned || '');
+  }
+  if (role === 'regional_manager') {
+    return manager.managedByModel === 'Franchise'
+      ? regionalManagerCanAccessFranchise(req, manager.managedBy)
+      : regionalManagerCanAccessRelationshipManager(req, manager.managedBy);
+  }
+  return false;
+};
+
+/**
+ * Get partner ledger statement (opening balance, transactions, closing balance)
+ * Pass ?format=excel to download the statement as an Excel file.
+ */
+export const getLedgerStatement = async (req, res, next) => {
+  try {
+    const { partyType, partyId } = req.params;
+    const { from, to, format } = req.query;
+
+    if (!PARTNER_LEDGER_PARTY_TYPES_LIST.includes(partyType)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid party type. Allowed: ${PARTNER_LEDGER_PARTY_TYPES_LIST.join(', ')}`,
+      });
+    }
+
+    if (!(await canViewPartyLedger(req, partyType, partyId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You can only view your own ledger or ledgers of partners you manage.',
+      });
+    }
+
+    const statement = await partnerLedgerService.getStatement(partyType, partyId, { from, to });
+    if (!statement.party) {
+      return res.status(404).json({
+        success: false,
+        error: 'Party not found',
+      });
+    }
+
+    if (format === 'excel') {
+      const file = await partnerLedgerService.exportStatement(statement);
+      return res.download(file.path, file.filename, (err) => {
+        if (err && !res.headersSent) {
+          res.status(500).json({
+            success: false,
+            message: 'Error downloading statement',
+          });
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: statement,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Post a manual ledger adjustment
+ */
+export const createLedgerAdjustment = async (req, res, next) => {
+  try {
+    const entry = await partnerLedgerService.postAdjustment(req.body, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Ledger adjustment posted successfully',
+      data: entry,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,4 +1,8 @@
 import payoutService from '../services/payout.service.js';
+import partnerLedgerService from '../services/partnerLedger.service.js';
+import payoutFileService from '../services/payoutFile.service.js';
+import numberingService from '../services/numbering.service.js';
+import recycleBinService from '../services/recycleBin.service.js';
 import { getPaginationMeta } from '../utils/helpers.js';
 import Payout from '../models/payout.model.js';
 import { getRegionalManagerFranchiseIds, regionalManagerCanAccessFranchise } from '../utils/regionalScope.js';
@@ -175,7 +179,12 @@ export const generateBankCsvFile = async (req, res, next) => {
         return res.status(403).json({ success: false, error: 'Access denied.' });
       }
     }
-    const payout = await payoutService.generateBankCsvFile(req.params.id, req.user._id);
+    const payout = await payoutService.generateBankCsvFile(
+      req.params.id,
+      req.user._id,
+      req.body?.templateCode,
+      req.body?.regenerate === true
+    );
 
     res.status(200).json({
       success: true,
@@ -187,6 +196,80 @@ export const generateBankCsvFile = async (req, res, next) => {
   }
 };
 
+/**
+ * Generate one bank payment file for a batch of payouts
+ */
+export const generatePayoutBatchFile = async (req, res, next) => {
+  try {
+    const { payoutIds, templateCode, valueDate, regenerate } = req.body;
+
+    if (!Array.isArray(payoutIds) || payoutIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'payoutIds must be a non-empty array',
+      });
+    }
+
+    const result = await payoutFileService.generateBatchFile(payoutIds, {
+      templateCode,
+      valueDate,
+      userId: req.user._id,
+      regenerate: regenerate === true,
+    });
+
+    if (result.errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Some payouts failed validation. Fix their bank details and try again.',
+        errors: result.errors,
+      });
+    }
+
+    // The server path stays internal; clients download through the API
+    const { path: filePath, ...fileInfo } = result;
+
+    res.status(201).json({
+      success: true,
+      message: `Payment file generated for ${result.payoutCount} payout(s)`,
+      data: {
+        ...fileInfo,
+        downloadUrl: `/api/payouts/bank-files/${result.filename}`,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download a generated bank payment file
+ */
+export const downloadPayoutFile = async (req, res, next) => {
+  try {
+    const filePath = payoutFileService.getFilePath(req.params.filename);
+    const payout = filePath && await Payout.findOne({
+      $or: [{ 'bankCsvFile.filename': req.params.filename }, { 'previousBankFiles.filename': req.params.filename }],
+    }).select('_id');
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment file not found',
+      });
+    }
+
+    res.download(filePath, req.params.filename, (err) => {
+      if (err && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          error: 'Payment file not found',
+        });
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Confirm payment
  */
@@ -228,6 +311,51 @@ export const confirmPayment = async (req, res, next) => {
   }
 };
 
+/**
+ * Mark payout as failed (payment failed or returned by the bank)
+ */
+export const markPayoutFailed = async (req, res, next) => {
+  try {
+    const { remarks, transactionId } = req.body;
+
+    if (!remarks) {
+      return res.status(400).json({
+        success: false,
+        error: 'Failure remarks are required',
+      });
+    }
+
+    const existing = await Payout.findById(req.params.id).select('status');
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payout not found',
+      });
+    }
+    if (!['payment_pending', 'complete'].includes(existing.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Only payouts awaiting payment or paid can be marked as failed (payout is ${existing.status})`,
+      });
+    }
+
+    const payout = await payoutService.markPayoutFailed(
+      req.params.id,
+      remarks,
+      req.user._id,
+      { transactionId, source: 'manual' }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Payout marked as failed',
+      data: payout,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Create Payout
  */
@@ -250,6 +378,14 @@ export const createPayout = async (req, res, next) => {
         });
       }
     }
+
+    // Numbers come from the financial-year series only, so the series stays gap-free
+    if (req.body.payoutNumber) {
+      return res.status(400).json({
+        success: false,
+        error: 'Payout numbers are assigned automatically and cannot be supplied',
+      });
+    }
     
     // Handle file upload for bank payment receipt
     let bankPaymentReceipt = null;
@@ -279,11 +415,8 @@ export const createPayout = async (req, res, next) => {
       }
     }
     
-    // Generate payoutNumber if not provided
-    const { generatePayoutNumber } = await import('../utils/helpers.js');
     const payoutData = {
       ...req.body,
-      payoutNumber: req.body.payoutNumber || await generatePayoutNumber(),
       ...(bankPaymentReceipt && { bankPaymentReceipt }),
     };
 
@@ -303,7 +436,8 @@ export const createPayout = async (req, res, next) => {
       }
     }
 
-    const payout = await Payout.create(payoutData);
+    const payout = await numberingService.createNumbered(new Payout(payoutData), 'payoutNumber', () =>
+      numberingService.nextPayoutNumber());
 
     // Update document entityId if file was uploaded
     if (bankPaymentReceipt && req.file) {
@@ -314,6 +448,14 @@ export const createPayout = async (req, res, next) => {
       );
     }
 
+    if (payout.recoveryAmount) {
+      try {
+        await partnerLedgerService.postRecovery(payout._id, req.user._id);
+      } catch (ledgerError) {
+        console.error('Error posting recovery to partner ledger:', ledgerError);
+      }
+    }
+
     const populatedPayout = await Payout.findById(payout._id)
       .populate('agent', 'name email mobile')
       .populate('franchise', 'name')
@@ -352,6 +494,16 @@ export const updatePayout = async (req, res, next) => {
         return res.status(403).json({ success: false, error: 'Access denied.' });
       }
     }
+
+    if (req.body.payoutNumber !== undefined) {
+      const current = await Payout.findById(req.params.id).select('payoutNumber');
+      if (current && req.body.payoutNumber !== current.payoutNumber) {
+        return res.status(400).json({
+          success: false,
+          error: 'Payout numbers cannot be changed',
+        });
+      }
+    }
     
     // Handle file upload for bank payment receipt if new file is provided
     let bankPaymentReceipt = null;
@@ -420,6 +572,15 @@ export const updatePayout = async (req, res, next) => {
       });
     }
 
+    // Post any change in the recovery amount to the partner ledger
+    if (updateData.recoveryAmount !== undefined) {
+      try {
+        await partnerLedgerService.postRecovery(payout._id, req.user._id);
+      } catch (ledgerError) {
+        console.error('Error posting recovery to partner ledger:', ledgerError);
+      }
+    }
+
     res.status(200).json({
       success: true,
       message: 'Payout updated successfully',
@@ -449,14 +610,7 @@ export const deletePayout = async (req, res, next) => {
         return res.status(403).json({ success: false, error: 'Access denied.' });
       }
     }
-    const payout = await Payout.findByIdAndDelete(req.params.id);
-
-    if (!payout) {
-      return res.status(404).json({
-        success: false,
-        message: 'Payout not found',
-      });
-    }
+    await recycleBinService.softDelete('payout', req.params.id, req.user);
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,162 @@
+import PayoutFileTemplate from '../models/payoutFileTemplate.model.js';
+import payoutFileService from '../services/payoutFile.service.js';
+
+const TEMPLATE_FIELDS = [
+  'code', 'name', 'bankName', 'format', 'delimiter', 'includeHeaderRow', 'fileExtension',
+  'debitAccountNumber', 'modeRules', 'modeCodes', 'headerFields', 'fields', 'trailerFields', 'status',
+];
+
+const pickTemplateFields = (body) =>
+  TEMPLATE_FIELDS.reduce((data, key) => {
+    if (body[key] !== undefined) data[key] = body[key];
+    return data;
+  }, {});
+
+/**
+ * Get payout file templates (saved templates and built-in bank layouts)
+ */
+export const getPayoutFileTemplates = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const query = {};
+    if (status) query.status = status;
+
+    const saved = await PayoutFileTemplate.find(query)
+      .populate('createdBy', 'name email')
+      .sort({ code: 1 });
+
+    // Built-ins overridden by a saved template of the same code are not listed twice
+    const savedCodes = new Set(saved.map((t) => t.code));
+    const builtIn = payoutFileService.getBuiltInTemplates().filter((t) => !savedCodes.has(t.code));
+
+    res.status(200).json({
+      success: true,
+      data: [...saved, ...builtIn],
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get payout file template by ID
+ */
+export const getPayoutFileTemplateById = async (req, res, next) => {
+  try {
+    const template = await PayoutFileTemplate.findById(req.params.id).populate('createdBy', 'name email');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payout file template not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create payout file template
+ */
+export const createPayoutFileTemplate = async (req, res, next) => {
+  try {
+    const data = pickTemplateFields(req.body);
+
+    const layoutError = payoutFileService.validateTemplate(data);
+    if (layoutError) {
+      return res.status(400).json({
+        success: false,
+        error: layoutError,
+      });
+    }
+
+    const template = await PayoutFileTemplate.create({
+      ...data,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: template,
+      message: 'Payout file template created successfully',
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A payout file template with this code already exists',
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Update payout file template
+ */
+export const updatePayoutFileTemplate = async (req, res, next) => {
+  try {
+    const template = await PayoutFileTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payout file template not found',
+      });
+    }
+
+    template.set(pickTemplateFields(req.body));
+
+    const layoutError = payoutFileService.validateTemplate(template.toObject());
+    if (layoutError) {
+      return res.status(400).json({
+        success: false,
+        error: layoutError,
+      });
+    }
+
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      data: template,
+      message: 'Payout file template updated successfully',
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A payout file template with this code already exists',
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Delete payout file template
+ */
+export const deletePayoutFileTemplate = async (req, res, next) => {
+  try {
+    const template = await PayoutFileTemplate.findByIdAndDelete(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payout file template not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Payout file template deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,78 @@
+import bankReconciliationService from '../services/bankReconciliation.service.js';
+import { getPaginationMeta } from '../utils/helpers.js';
+
+/**
+ * Import a bank statement / payment response file and reconcile payouts
+ * Pass dryRun=true to preview the matches without confirming or failing any payout.
+ */
+export const importBankStatement = async (req, res, next) => {
+  try {
+    const dryRun = String(req.body.dryRun ?? req.query.dryRun) === 'true';
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Statement file is required',
+      });
+    }
+
+    const result = await bankReconciliationService.importStatement({
+      buffer: req.file.buffer,
+      filename: req.file.originalname,
+      userId: req.user._id,
+      dryRun,
+    });
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `Dry run complete: ${result.confirmedCount} to confirm, ${result.failedCount} to fail, ${result.exceptionCount} exceptions`
+        : `${result.confirmedCount} payouts confirmed, ${result.failedCount} failed, ${result.exceptionCount} exceptions`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get reconciliation exceptions
+ */
+export const getReconciliationExceptions = async (req, res, next) => {
+  try {
+    const { status, reason, importReference, page = 1, limit = 20 } = req.query;
+
+    const { exceptions, total } = await bankReconciliationService.getExceptions({
+      status,
+      reason,
+      importReference,
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: exceptions,
+      pagination: getPaginationMeta(page, limit, total),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resolve a reconciliation exception (confirm or fail a payout, or ignore the row)
+ */
+export const resolveReconciliationException = async (req, res, next) => {
+  try {
+    const exception = await bankReconciliationService.resolveException(req.params.id, req.body, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Reconciliation exception resolved successfully',
+      data: exception,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,68 @@
+import recycleBinService from '../services/recycleBin.service.js';
+
+/**
+ * Get the number of deleted records per entity type
+ */
+export const getRecycleBinSummary = async (req, res, next) => {
+  try {
+    const summary = await recycleBinService.getSummary();
+
+    res.status(200).json({
+      success: true,
+      data: summary,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get deleted records of one entity type
+ */
+export const getDeletedRecords = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const { items, pagination } = await recycleBinService.list(req.params.entityType, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: items,
+      pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore a deleted record
+ */
+export const restoreRecord = async (req, res, next) => {
+  try {
+    const record = await recycleBinService.restore(req.params.entityType, req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: record,
+      message: 'Record restored successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Permanently delete a record from the recycle bin
+ */
+export const purgeRecord = async (req, res, next) => {
+  try {
+    await recycleBinService.purge(req.params.entityType, req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Record permanently deleted',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
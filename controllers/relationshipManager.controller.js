@@ -7,6 +7,9 @@ import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import auditService from '../services/audit.service.js';
 import { getPaginationMeta } from '../utils/helpers.js';
+import passwordService from '../services/password.service.js';
+import orgHierarchyService from '../services/orgHierarchy.service.js';
+import recycleBinService from '../services/recycleBin.service.js';
 
 /**
  * Create Relationship Manager (and RM User for login)
@@ -39,10 +42,17 @@ export const createRelationshipManager = async (req, res, next) => {
         message: 'Owner mobile is required',
       });
     }
-    if (!password || password.length < 6) {
+    if (!password) {
       return res.status(400).json({
         success: false,
-        message: 'Password is required and must be at least 6 characters',
+        message: 'Password is required',
+      });
+    }
+    const passwordErrors = await passwordService.validatePassword(password);
+    if (passwordErrors.length) {
+      return res.status(400).json({
+        success: false,
+        message: passwordErrors.join('; '),
       });
     }
 
@@ -96,6 +106,7 @@ export const createRelationshipManager = async (req, res, next) => {
 
     relationshipManager.owner = ownerUser._id;
     await relationshipManager.save();
+    orgHierarchyService.invalidate();
 
     const populatedRM = await RelationshipManager.findById(relationshipManager._id)
       .populate('owner', 'name email')
@@ -238,6 +249,7 @@ export const updateRelationshipManager = async (req, res, next) => {
     })
       .populate('owner', 'name email')
       .populate('regionalManager', 'name email');
+    orgHierarchyService.invalidate();
 
     if (!relationshipManager) {
       return res.status(404).json({
@@ -390,11 +402,7 @@ export const deleteRelationshipManager = async (req, res, next) => {
       });
     }
     
-    // Log deletion to audit log
-    const rmData = relationshipManager.toObject();
-    await auditService.logDelete(req.user._id, 'RelationshipManager', req.params.id, rmData, req);
-    
-    await RelationshipManager.findByIdAndDelete(req.params.id);
+    await recycleBinService.softDelete('relationship_manager', relationshipManager._id, req.user);
 
     res.status(200).json({
       success: true,
@@ -1,4 +1,5 @@
 import reportService from '../services/report.service.js';
+import tdsReturnService from '../services/tdsReturn.service.js';
 import path from 'path';
 import fs from 'fs/promises';
 
@@ -87,3 +88,24 @@ export const generateTDSReport = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Generate 26Q-style quarterly TDS return data file
+ */
+export const generate26QReport = async (req, res, next) => {
+  try {
+    const { financialYear, quarter } = req.query;
+    const report = await tdsReturnService.generate26QFile(financialYear, quarter);
+
+    res.download(report.path, report.filename, async (err) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error downloading report',
+        });
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
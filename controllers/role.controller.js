@@ -0,0 +1,242 @@
+import Role from '../models/role.model.js';
+import User, { USER_ROLES_LIST } from '../models/user.model.js';
+import permissionService from '../services/permission.service.js';
+import { getDefaultRolePermissions } from '../config/permissions.js';
+
+/**
+ * Role key from a name ("Senior Accountant" -> "senior_accountant")
+ */
+const toRoleKey = (value) =>
+  String(value || '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+/**
+ * Get the permission catalog and the default permissions of the built-in roles
+ */
+export const getPermissionCatalog = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        catalog: permissionService.getCatalog(),
+        builtInRoles: USER_ROLES_LIST.map((role) => ({ role, permissions: getDefaultRolePermissions(role) })),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all custom roles (with the number of users assigned)
+ */
+export const getRoles = async (req, res, next) => {
+  try {
+    const { baseRole, status } = req.query;
+    const query = {};
+    if (baseRole) query.baseRole = baseRole;
+    if (status) query.status = status;
+
+    const roles = await Role.find(query)
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email')
+      .sort({ name: 1 });
+
+    const counts = await User.aggregate([
+      { $match: { customRole: { $in: roles.map((role) => role._id) } } },
+      { $group: { _id: '$customRole', count: { $sum: 1 } } },
+    ]);
+    const countByRole = Object.fromEntries(counts.map((entry) => [entry._id.toString(), entry.count]));
+
+    res.status(200).json({
+      success: true,
+      data: roles.map((role) => ({ ...role.toObject(), userCount: countByRole[role._id.toString()] || 0 })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get custom role by ID
+ */
+export const getRoleById = async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email');
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found',
+      });
+    }
+
+    const users = await User.find({ customRole: role._id }).select('name email role status');
+
+    res.status(200).json({
+      success: true,
+      data: { ...role.toObject(), users },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create custom role
+ */
+export const createRole = async (req, res, next) => {
+  try {
+    const { name, key, description, baseRole, permissions, status } = req.body;
+
+    if (!name || !baseRole) {
+      return res.status(400).json({
+        success: false,
+        error: 'Role name and base role are required',
+      });
+    }
+
+    const roleKey = toRoleKey(key || name);
+    if (!roleKey || USER_ROLES_LIST.includes(roleKey)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Choose a different role key',
+      });
+    }
+
+    const rolePermissions = permissions === undefined ? getDefaultRolePermissions(baseRole) : permissions;
+    const unknown = permissionService.findUnknownPermissions(rolePermissions);
+    if (!Array.isArray(rolePermissions) || unknown.length) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown permissions: ${unknown.join(', ')}`,
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      key: roleKey,
+      description,
+      baseRole,
+      permissions: [...new Set(rolePermissions)],
+      status: status || 'active',
+      createdBy: req.user._id,
+      updatedBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: role,
+      message: 'Role created successfully',
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A role with this key already exists',
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Update custom role (changes apply to every user with the role)
+ */
+export const updateRole = async (req, res, next) => {
+  try {
+    const { name, description, baseRole, permissions, status } = req.body;
+
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found',
+      });
+    }
+
+    if (permissions !== undefined) {
+      const unknown = permissionService.findUnknownPermissions(permissions);
+      if (!Array.isArray(permissions) || unknown.length) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown permissions: ${unknown.join(', ')}`,
+        });
+      }
+      role.permissions = [...new Set(permissions)];
+    }
+
+    if (baseRole !== undefined && baseRole !== role.baseRole) {
+      const assigned = await User.countDocuments({ customRole: role._id });
+      if (assigned) {
+        return res.status(400).json({
+          success: false,
+          error: `Base role cannot change while ${assigned} user(s) have this role`,
+        });
+      }
+      role.baseRole = baseRole;
+    }
+
+    if (name !== undefined) role.name = name;
+    if (description !== undefined) role.description = description;
+    if (status !== undefined) role.status = status;
+    role.updatedBy = req.user._id;
+    await role.save();
+
+    permissionService.invalidateRole(role._id);
+
+    res.status(200).json({
+      success: true,
+      data: role,
+      message: 'Role updated successfully',
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Delete custom role (only when no user has it)
+ */
+export const deleteRole = async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found',
+      });
+    }
+
+    const assigned = await User.countDocuments({ customRole: role._id });
+    if (assigned) {
+      return res.status(400).json({
+        success: false,
+        error: `${assigned} user(s) have this role. Reassign them or deactivate the role instead.`,
+      });
+    }
+
+    await Role.findByIdAndDelete(role._id);
+    permissionService.invalidateRole(role._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
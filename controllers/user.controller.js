@@ -3,8 +3,25 @@ import Franchise from '../models/franchise.model.js';
 import RelationshipManager from '../models/relationship.model.js';
 import { getPaginationMeta } from '../utils/helpers.js';
 import auditService from '../services/audit.service.js';
+import sessionService from '../services/session.service.js';
+import passwordService from '../services/password.service.js';
+import loginSecurityService from '../services/loginSecurity.service.js';
+import twoFactorService from '../services/twoFactor.service.js';
+import permissionService from '../services/permission.service.js';
+import orgHierarchyService from '../services/orgHierarchy.service.js';
+import recycleBinService from '../services/recycleBin.service.js';
+import Role from '../models/role.model.js';
 import { getRegionalManagerFranchiseIds, regionalManagerCanAccessFranchise } from '../utils/regionalScope.js';
 
+// Set only through the permissions and two-factor endpoints
+const ACCESS_CONTROL_FIELDS = ['permissions', 'revokedPermissions', 'customRole', 'twoFactor'];
+
+const omitAccessControlFields = (body = {}) => {
+  const data = { ...body };
+  for (const field of ACCESS_CONTROL_FIELDS) delete data[field];
+  return data;
+};
+
 /**
  * Get all users (role-based filtering)
  */
@@ -112,7 +129,7 @@ export const getUserById = async (req, res, next) => {
  */
 export const createUser = async (req, res, next) => {
   try {
-    const { role, franchise, ...userData } = req.body;
+    const { role, franchise, ...userData } = omitAccessControlFields(req.body);
 
     // Validate role
     const validRoles = ['super_admin', 'regional_manager', 'relationship_manager', 'franchise', 'agent', 'accounts_manager'];
@@ -145,13 +162,21 @@ export const createUser = async (req, res, next) => {
       userData.franchise = franchise;
     }
 
+    if (userData.password) {
+      const passwordErrors = await passwordService.validatePassword(userData.password);
+      if (passwordErrors.length) {
+        return res.status(400).json({
+          success: false,
+          message: passwordErrors.join('; '),
+        });
+      }
+    }
+
     userData.role = role;
     userData.createdBy = req.user._id;
 
     const user = await User.create(userData);
-
-    // Log audit
-    await auditService.logCreate(req.user._id, 'user', user._id, user.toObject(), req);
+    orgHierarchyService.invalidate();
 
     const userResponse = await User.findById(user._id).select('-password').populate('franchise', 'name');
 
@@ -201,14 +226,28 @@ export const updateUser = async (req, res, next) => {
       }
     }
 
-    const previousValues = user.toObject();
-    const updatedUser = await User.findByIdAndUpdate(req.params.id, req.body, {
+    if (req.body.password) {
+      const passwordErrors = await passwordService.validatePassword(req.body.password);
+      if (passwordErrors.length) {
+        return res.status(400).json({
+          success: false,
+          message: passwordErrors.join('; '),
+        });
+      }
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(req.params.id, omitAccessControlFields(req.body), {
       new: true,
       runValidators: true,
     }).select('-password').populate('franchise', 'name');
+    orgHierarchyService.invalidate();
 
-    // Log audit
-    await auditService.logUpdate(req.user._id, 'user', updatedUser._id, previousValues, updatedUser.toObject(), req);
+    // Deactivation or a password reset signs the user out of every device
+    if (req.body.password) {
+      await sessionService.revokeAllSessions(updatedUser._id, 'password_changed');
+    } else if (req.body.status && req.body.status !== 'active') {
+      await sessionService.revokeAllSessions(updatedUser._id, 'deactivated');
+    }
 
     res.status(200).json({
       success: true,
@@ -267,12 +306,9 @@ export const transferAgent = async (req, res, next) => {
       }
     }
 
-    const previousValues = user.toObject();
     user.franchise = franchiseId;
     await user.save();
-
-    // Log audit
-    await auditService.logUpdate(req.user._id, 'user', user._id, previousValues, user.toObject(), req);
+    orgHierarchyService.invalidate();
 
     const updatedUser = await User.findById(user._id).select('-password').populate('franchise', 'name');
 
@@ -322,11 +358,13 @@ export const activateUser = async (req, res, next) => {
       }
     }
 
-    const previousValues = user.toObject();
     user.status = status;
     await user.save();
 
-    await auditService.logUpdate(req.user._id, 'user', user._id, previousValues, user.toObject(), req);
+    // A deactivated or blocked user is signed out of every device
+    if (status !== 'active') {
+      await sessionService.revokeAllSessions(user._id, 'deactivated');
+    }
 
     const updatedUser = await User.findById(user._id).select('-password');
 
@@ -340,6 +378,188 @@ export const activateUser = async (req, res, next) => {
   }
 };
 
+/**
+ * Unlock user (clear failed login attempts and lockout)
+ */
+export const unlockUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const previousStatus = await loginSecurityService.getAccountStatus(user.email);
+    await loginSecurityService.clearAccount(user.email);
+
+    await auditService.logUpdate(
+      req.user._id,
+      'user',
+      user._id,
+      { loginLock: previousStatus },
+      { loginLock: { failedCount: 0, lockedUntil: null, retryAt: null } },
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'User unlocked successfully',
+      data: { previous: previousStatus },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reset two-factor authentication (lost device) - the user enrolls again at next login
+ */
+export const resetUserTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    await twoFactorService.clear(user._id);
+    // Sessions verified with the old device are ended
+    await sessionService.revokeAllSessions(user._id, 'revoked');
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication reset successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a user's custom role, grants, revocations and effective permissions
+ */
+export const getUserPermissions = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id).populate('customRole', 'name key baseRole status');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        role: user.role,
+        customRole: user.customRole,
+        permissions: user.permissions,
+        revokedPermissions: user.revokedPermissions,
+        effectivePermissions: await permissionService.getEffectivePermissions(user),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set a user's custom role and per-user permission grants / revocations
+ */
+export const updateUserPermissions = async (req, res, next) => {
+  try {
+    const { customRole, permissions, revokedPermissions } = req.body;
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot change your own permissions',
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user.role === 'super_admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'Super admins always have every permission',
+      });
+    }
+
+    for (const list of [permissions, revokedPermissions]) {
+      if (list === undefined) continue;
+      const unknown = Array.isArray(list) ? permissionService.findUnknownPermissions(list) : [];
+      if (!Array.isArray(list) || unknown.length) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown permissions: ${unknown.join(', ')}`,
+        });
+      }
+    }
+
+    let role = null;
+    if (customRole) {
+      role = await Role.findById(customRole);
+      if (!role || role.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          message: 'Role not found or inactive',
+        });
+      }
+      if (role.baseRole !== user.role) {
+        return res.status(400).json({
+          success: false,
+          message: `Role "${role.name}" is for ${role.baseRole} users; this user is ${user.role}`,
+        });
+      }
+    }
+
+    // Only super admins hand out permissions they do not hold themselves
+    if (req.user.role !== 'super_admin') {
+      const held = await permissionService.getEffectivePermissions(req.user);
+      const granting = (permissions || []).filter((permission) => !(user.permissions || []).includes(permission));
+      if (role && String(role._id) !== String(user.customRole || '')) {
+        granting.push(...(role.permissions || []));
+      }
+      const notHeld = [...new Set(granting.filter((permission) => !held.includes(permission)))];
+      if (notHeld.length) {
+        return res.status(403).json({
+          success: false,
+          message: `You cannot grant permissions you do not hold: ${notHeld.join(', ')}`,
+        });
+      }
+    }
+
+    if (customRole !== undefined) user.customRole = customRole || null;
+    if (permissions !== undefined) user.permissions = [...new Set(permissions)];
+    if (revokedPermissions !== undefined) user.revokedPermissions = [...new Set(revokedPermissions)];
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'User permissions updated successfully',
+      data: {
+        customRole: user.customRole,
+        permissions: user.permissions,
+        revokedPermissions: user.revokedPermissions,
+        effectivePermissions: await permissionService.getEffectivePermissions(user),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Delete user
  */
@@ -373,11 +593,7 @@ export const deleteUser = async (req, res, next) => {
       }
     }
 
-    const previousValues = user.toObject();
-    await User.findByIdAndDelete(req.params.id);
-
-    // Log audit
-    await auditService.logDelete(req.user._id, 'user', req.params.id, previousValues, req);
+    await recycleBinService.softDelete('user', user._id, req.user);
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+import versionHistoryService from '../services/versionHistory.service.js';
+
+const invalidId = (res) =>
+  res.status(400).json({
+    success: false,
+    error: 'Invalid record ID',
+  });
+
+/**
+ * Get the versions of a record, newest first
+ */
+export const getVersions = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return invalidId(res);
+
+    const { page = 1, limit = 20 } = req.query;
+    const { versions, pagination } = await versionHistoryService.getVersions(
+      req.params.entityType,
+      req.params.id,
+      { page, limit }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: versions,
+      pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Compare two versions of a record (?from=&to=, defaults to the latest change)
+ */
+export const getVersionDiff = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return invalidId(res);
+
+    const { from, to } = req.query;
+    const diff = await versionHistoryService.diffVersions(req.params.entityType, req.params.id, { from, to });
+
+    res.status(200).json({
+      success: true,
+      data: diff,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one version of a record with its snapshot
+ */
+export const getVersion = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return invalidId(res);
+
+    const version = await versionHistoryService.getVersion(req.params.entityType, req.params.id, req.params.version);
+
+    res.status(200).json({
+      success: true,
+      data: version,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore an earlier version of a record (saved as a new version)
+ */
+export const restoreVersion = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return invalidId(res);
+
+    const { record, version } = await versionHistoryService.restore(
+      req.params.entityType,
+      req.params.id,
+      req.params.version
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { record, version },
+      message: `Version ${req.params.version} restored as version ${version}`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,8 +1,6 @@
 import cron from 'node-cron';
 import Ticket from '../models/ticket.model.js';
-import User from '../models/user.model.js';
-import RelationshipManager from '../models/relationship.model.js';
-import Franchise from '../models/franchise.model.js';
+import orgHierarchyService from '../services/orgHierarchy.service.js';
 import {
   getRegionalManagerUser,
   getAdminUsers,
@@ -26,7 +24,7 @@ function runEscalationCheck() {
     status: { $nin: ['Resolved'] },
     escalationLevel: { $lte: 2 },
   })
-    .populate('raisedBy', 'managedBy managedByModel')
+    .populate('raisedBy', '_id')
     .lean()
     .then(async (tickets) => {
       for (const ticket of tickets) {
@@ -37,19 +35,8 @@ function runEscalationCheck() {
           const agent = ticket.raisedBy;
           if (!agent) continue;
 
-          let regionalManagerId = null;
-
-          if (agent.managedByModel === 'RelationshipManager') {
-            const rm = await RelationshipManager.findById(agent.managedBy)
-              .select('regionalManager')
-              .lean();
-            regionalManagerId = rm?.regionalManager;
-          } else if (agent.managedByModel === 'Franchise') {
-            const franchise = await Franchise.findById(agent.managedBy)
-              .select('regionalManager')
-              .lean();
-            regionalManagerId = franchise?.regionalManager;
-          }
+          const manager = await orgHierarchyService.getAgentManager(agent._id);
+          const regionalManagerId = manager?.unit.regionalManager;
 
           if (!regionalManagerId) continue;
 
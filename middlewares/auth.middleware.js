@@ -1,66 +1,110 @@
 import jwt from 'jsonwebtoken';
 import { JWT_SECRET } from '../config/env.js';
 import User from '../models/user.model.js';
+import sessionService, { DOWNLOAD_TOKEN_PARAM } from '../services/session.service.js';
+import twoFactorService from '../services/twoFactor.service.js';
+
+// Routes still open to a required role that has not enrolled in two-factor authentication yet
+const TWO_FACTOR_SETUP_PATHS = ['/api/auth/me', '/api/auth/logout', '/api/auth/2fa'];
+
+const isTwoFactorSetupPath = (req) => {
+  const path = req.originalUrl.split('?')[0];
+  return TWO_FACTOR_SETUP_PATHS.some((allowed) => path === allowed || path.startsWith(`${allowed}/`));
+};
 
 /**
- * Protect routes - Verify JWT token from cookies or Authorization header
+ * Get access token from cookies or Authorization header
+ */
+const getAccessToken = (req) => {
+  if (req.cookies && req.cookies.token) {
+    return req.cookies.token;
+  }
+  if (req.headers.authorization?.startsWith('Bearer ')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  return null;
+};
+
+/**
+ * Verify an access token and its session (null when invalid, expired or revoked)
+ * @returns {Promise<Object|null>} { user, session } - user is null when it no longer exists
+ */
+const resolveAccessToken = async (token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    const session = await sessionService.getActiveSession(decoded.sid);
+    if (!session || session.user.toString() !== String(decoded.userId)) return null;
+
+    const user = await User.findById(decoded.userId);
+    return { user, session };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Protect routes - Verify access token from cookies or Authorization header,
+ * or a single-use signed download URL (?download=...) on GET requests
  */
 export const authenticate = async (req, res, next) => {
   try {
-    let token;
-
-    // Get token from cookies, Authorization header, or query param (for file downloads via window.open)
-    if (req.cookies && req.cookies.token) {
-      token = req.cookies.token;
-    } else if (req.headers.authorization?.startsWith('Bearer ')) {
-      token = req.headers.authorization.split(' ')[1];
-    } else if (req.query?.token) {
-      token = req.query.token;
-    }
+    const token = getAccessToken(req);
+    const downloadToken = req.method === 'GET' ? req.query?.[DOWNLOAD_TOKEN_PARAM] : null;
 
     // Make sure token exists
-    if (!token) {
+    if (!token && !downloadToken) {
       return res.status(401).json({
         success: false,
         message: 'Not authorized to access this route',
       });
     }
 
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, JWT_SECRET);
-
-      // Check if user still exists (using unified User model)
-      const user = await User.findById(decoded.userId);
-
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          message: 'User no longer exists',
-        });
-      }
-
-      // Check if user is active
-      if (user.status !== 'active') {
-        return res.status(403).json({
-          success: false,
-          message: 'Account is not active',
-        });
-      }
-
-      // Attach full user object to request
-      req.user = user;
-      
-      // Debug log for role verification
-      console.log(`User ${user.email} authenticated with role: ${user.role}`);
-
-      next();
-    } catch (error) {
+    const auth = token
+      ? await resolveAccessToken(token)
+      : await sessionService.consumeDownloadToken(downloadToken, req.originalUrl);
+
+    if (!auth) {
       return res.status(401).json({
         success: false,
         message: 'Not authorized to access this route',
       });
     }
+
+    const { user, session } = auth;
+
+    // Check if user still exists (using unified User model)
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User no longer exists',
+      });
+    }
+
+    // Check if user is active
+    if (user.status !== 'active') {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is not active',
+      });
+    }
+
+    // Required roles must enroll in two-factor authentication before using anything else
+    if (twoFactorService.isSetupPending(user) && !isTwoFactorSetupPath(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role. Please set it up to continue.',
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+      });
+    }
+
+    // Attach full user object and session to request
+    req.user = user;
+    req.authSession = session;
+
+    // Debug log for role verification
+    console.log(`User ${user.email} authenticated with role: ${user.role}`);
+
+    next();
   } catch (error) {
     next(error);
   }
@@ -72,18 +116,42 @@ export const authenticate = async (req, res, next) => {
  */
 export const optionalAuthenticate = async (req, res, next) => {
   try {
-    let token;
-    if (req.cookies && req.cookies.token) {
-      token = req.cookies.token;
-    } else if (req.headers.authorization?.startsWith('Bearer ')) {
-      token = req.headers.authorization.split(' ')[1];
-    }
+    const token = getAccessToken(req);
     if (!token) return next();
-    try {
-      const decoded = jwt.verify(token, JWT_SECRET);
-      const user = await User.findById(decoded.userId);
-      if (user && user.status === 'active') req.user = user;
-    } catch (_) { /* ignore invalid token */ }
+
+    const auth = await resolveAccessToken(token);
+    if (auth?.user && auth.user.status === 'active') {
+      req.user = auth.user;
+      req.authSession = auth.session;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require a recent two-factor check in this session (POST /api/auth/2fa/verify) before a
+ * sensitive action. Use after authenticate.
+ */
+export const requireTwoFactorStepUp = (req, res, next) => {
+  try {
+    if (!req.user?.twoFactor?.enabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Enable two-factor authentication to perform this action',
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+      });
+    }
+
+    if (!twoFactorService.isStepUpFresh(req.authSession)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Confirm a two-factor code to perform this action',
+        code: 'TWO_FACTOR_STEP_UP_REQUIRED',
+      });
+    }
+
     next();
   } catch (error) {
     next(error);
@@ -0,0 +1,19 @@
+import crypto from 'crypto';
+import { runWithRequestContext } from '../utils/requestContext.js';
+
+// Request IDs passed in by a proxy or the client are kept when they look sane
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+
+/**
+ * Give every request an ID (X-Request-Id) and make the request reachable from model hooks
+ * and services through utils/requestContext.js
+ */
+export const requestContext = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.requestId = REQUEST_ID_PATTERN.test(incoming || '') ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.requestId);
+
+  runWithRequestContext({ req, requestId: req.requestId }, () => next());
+};
+
+export default requestContext;
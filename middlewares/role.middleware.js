@@ -1,3 +1,4 @@
+import permissionService from '../services/permission.service.js';
 
 export function requireRole(...roles) {
   return (req, res, next) => {
@@ -30,8 +31,14 @@ export function requireRole(...roles) {
 }
 
 
-export function requirePermission(permission) {
-  return (req, res, next) => {
+/**
+ * Require at least one of the permissions (see config/permissions.js). Permissions come from
+ * the user's role or custom role plus per-user grants and revocations; super_admin has all.
+ * @param {...String} permissions - Permission keys
+ * @returns {Function} Express middleware
+ */
+export function requirePermission(...permissions) {
+  return async (req, res, next) => {
     try {
       if (!req.user) {
         return res.status(401).json({
@@ -40,16 +47,11 @@ export function requirePermission(permission) {
         });
       }
 
-      // Super admin has all permissions
-      if (req.user.role === 'super_admin') {
-        return next();
-      }
-
-      // Check if user has permission
-      if (!req.user.hasPermission(permission)) {
+      if (!(await permissionService.hasAnyPermission(req.user, permissions))) {
+        console.log(`Permission check failed: User ${req.user.email || req.user._id} lacks [${permissions.join(', ')}]`);
         return res.status(403).json({
           success: false,
-          message: 'Insufficient permissions',
+          message: `Insufficient permissions. Required: ${permissions.join(' or ')}`,
         });
       }
 
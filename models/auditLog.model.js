@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 
+const AUDIT_SOURCES = ['manual', 'model'];
+
 /**
  * Audit Log Model
  * Tracks all user actions and system changes for compliance and auditing
@@ -7,10 +9,27 @@ import mongoose from 'mongoose';
 const auditLogSchema = new mongoose.Schema(
   {
     // User who performed the action
+    // Not set for failed logins with an unknown email, or model changes made outside a request (jobs, scripts)
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true,
+      required: function () {
+        return this.entityType !== 'login' && this.source !== 'model';
+      },
+      index: true,
+    },
+
+    // manual: written by a controller / service; model: recorded by the audit plugin on every write
+    source: {
+      type: String,
+      enum: AUDIT_SOURCES,
+      default: 'manual',
+      index: true,
+    },
+
+    // X-Request-Id of the API request that made the change
+    requestId: {
+      type: String,
       index: true,
     },
 
@@ -30,7 +49,9 @@ const auditLogSchema = new mongoose.Schema(
 
     entityId: {
       type: mongoose.Schema.Types.ObjectId,
-      required: true,
+      required: function () {
+        return this.entityType !== 'login';
+      },
       index: true,
     },
 
@@ -50,6 +71,13 @@ const auditLogSchema = new mongoose.Schema(
       default: {},
     },
 
+    // Dotted paths changed (e.g. bankDetails.accountNumber), for searching by field
+    changedFields: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+
     // IP address and user agent
     ipAddress: String,
     userAgent: String,
@@ -66,7 +94,9 @@ const auditLogSchema = new mongoose.Schema(
 // Indexes for efficient queries
 auditLogSchema.index({ userId: 1, createdAt: -1 });
 auditLogSchema.index({ entityType: 1, entityId: 1 });
+auditLogSchema.index({ entityId: 1, createdAt: -1 });
 auditLogSchema.index({ action: 1, createdAt: -1 });
 auditLogSchema.index({ createdAt: -1 });
 
+export const AUDIT_SOURCES_LIST = AUDIT_SOURCES;
 export default mongoose.model('AuditLog', auditLogSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import softDeletePlugin from './plugins/softDelete.plugin.js';
 
 /**
  * Bank/NBFC Model (Enhanced)
@@ -9,7 +10,6 @@ const bankSchema = new mongoose.Schema(
     name: {
       type: String,
       required: true,
-      unique: true,
       index: true,
     },
 
@@ -134,4 +134,9 @@ const bankSchema = new mongoose.Schema(
 // Indexes
 bankSchema.index({ type: 1, status: 1 });
 
+// Unique name among live records only (deleted ones keep their deletedAt time)
+bankSchema.index({ name: 1, deletedAt: 1 }, { unique: true });
+
+bankSchema.plugin(softDeletePlugin);
+
 export default mongoose.model('Bank', bankSchema);
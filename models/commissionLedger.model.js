@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+
+const PARTY_TYPES = ['company', 'franchise', 'relationship_manager', 'referral_franchise', 'agent', 'sub_agent'];
+
+// Fields that may be filled in once after an entry is written (linking it to the invoice that bills it)
+const MUTABLE_FIELDS = ['invoice', 'invoicedAt', 'updatedAt'];
+
+/**
+ * Commission Ledger Model
+ * Immutable record of each party's share of the bank payout for a lead / disbursement,
+ * written by the commission waterfall service. Corrections are posted as reversal entries.
+ */
+const commissionLedgerSchema = new mongoose.Schema(
+  {
+    lead: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lead',
+      required: true,
+      index: true,
+    },
+
+    // Disbursement tranche (lead.disbursementHistory entry); null for a lead-level waterfall
+    disbursement: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+      index: true,
+    },
+
+    bank: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bank',
+      index: true,
+    },
+
+    // Commission rule used for the bank payout (if any)
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CommissionRule',
+    },
+
+    partyType: {
+      type: String,
+      enum: PARTY_TYPES,
+      required: true,
+      index: true,
+    },
+
+    // Party reference: User (agent/sub-agent), Franchise or RelationshipManager; null for company
+    partyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'partyModel',
+      default: null,
+      index: true,
+    },
+    partyModel: {
+      type: String,
+      enum: ['User', 'Franchise', 'RelationshipManager'],
+    },
+
+    entryType: {
+      type: String,
+      enum: ['accrual', 'reversal'],
+      default: 'accrual',
+      index: true,
+    },
+
+    // For reversal entries: the accrual being reversed
+    reverses: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CommissionLedger',
+      default: null,
+    },
+
+    // Amount the share was calculated on (loan / disbursed amount)
+    baseAmount: {
+      type: Number,
+      required: true,
+    },
+
+    // Total paid by the bank for this base amount (null when no commission rule applies)
+    bankPayoutAmount: {
+      type: Number,
+      default: null,
+    },
+
+    percentage: {
+      type: Number,
+      default: 0,
+    },
+
+    // Party share; negative on reversal entries
+    amount: {
+      type: Number,
+      required: true,
+    },
+
+    // Date the share accrued (disbursement / tranche date)
+    accrualDate: {
+      type: Date,
+      default: Date.now,
+    },
+
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      default: null,
+      index: true,
+    },
+    invoicedAt: Date,
+
+    remarks: String,
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+commissionLedgerSchema.index({ lead: 1, disbursement: 1, partyType: 1, entryType: 1 });
+commissionLedgerSchema.index({ partyModel: 1, partyId: 1, createdAt: -1 });
+
+// Entries are append-only: only the invoice link may be set after creation
+commissionLedgerSchema.pre('save', function () {
+  if (this.isNew) return;
+  const changed = this.modifiedPaths().filter((p) => !MUTABLE_FIELDS.includes(p));
+  if (changed.length > 0) {
+    throw new Error(`Commission ledger entries are immutable (attempted to change: ${changed.join(', ')})`);
+  }
+});
+
+commissionLedgerSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function () {
+  const update = this.getUpdate() || {};
+  // timestamps add $setOnInsert.createdAt to every update; it only applies when a new entry is inserted
+  const fields = Object.keys(update)
+    .filter((key) => key !== '$setOnInsert')
+    .flatMap((key) => (key.startsWith('$') ? Object.keys(update[key] || {}) : [key]));
+  const changed = fields.filter((f) => !MUTABLE_FIELDS.includes(f));
+  if (changed.length > 0) {
+    throw new Error(`Commission ledger entries are immutable (attempted to change: ${changed.join(', ')})`);
+  }
+});
+
+commissionLedgerSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], function () {
+  throw new Error('Commission ledger entries cannot be deleted; post a reversal instead');
+});
+
+export const LEDGER_PARTY_TYPES_LIST = PARTY_TYPES;
+export default mongoose.model('CommissionLedger', commissionLedgerSchema);
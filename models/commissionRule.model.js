@@ -1,4 +1,87 @@
 import mongoose from 'mongoose';
+import versionHistoryPlugin from './plugins/versionHistory.plugin.js';
+
+const LOAN_PURPOSES = ['fresh', 'top_up'];
+
+// Loan amount band; maxAmount null means no upper limit
+const loanAmountSlabSchema = new mongoose.Schema(
+  {
+    minAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    maxAmount: {
+      type: Number,
+      default: null,
+    },
+    // Restrict the slab to fresh or top-up loans
+    loanPurpose: {
+      type: String,
+      enum: ['any', ...LOAN_PURPOSES],
+      default: 'any',
+    },
+    commissionType: {
+      type: String,
+      enum: ['percentage', 'fixed'],
+      required: true,
+    },
+    commissionValue: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+// Monthly volume tier for the franchise / RM the lead belongs to; adds a bonus on top of the rate
+const volumeTierSchema = new mongoose.Schema(
+  {
+    minVolume: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    maxVolume: {
+      type: Number,
+      default: null,
+    },
+    bonusType: {
+      type: String,
+      enum: ['percentage', 'fixed'],
+      required: true,
+    },
+    bonusValue: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+// Rate override for fresh vs top-up loans (used when no slab matches)
+const loanPurposeRateSchema = new mongoose.Schema(
+  {
+    loanPurpose: {
+      type: String,
+      enum: LOAN_PURPOSES,
+      required: true,
+    },
+    commissionType: {
+      type: String,
+      enum: ['percentage', 'fixed'],
+      required: true,
+    },
+    commissionValue: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
 
 /**
  * Commission Rule Model
@@ -66,10 +149,34 @@ const commissionRuleSchema = new mongoose.Schema(
       index: true,
     },
 
-    // Additional conditions (optional JSON field for complex rules)
+    // Structured conditions evaluated by CommissionService.evaluateRule.
+    // Precedence: matching loan amount slab, then loan purpose rate, then commissionType/commissionValue.
+    // A matching volume tier adds its bonus; min/max commission apply last.
     conditions: {
-      type: mongoose.Schema.Types.Mixed,
-      default: {},
+      loanAmountSlabs: {
+        type: [loanAmountSlabSchema],
+        default: [],
+      },
+      // flat: whole amount at the matching slab's rate; incremental: each band's portion at its own rate
+      slabMode: {
+        type: String,
+        enum: ['flat', 'incremental'],
+        default: 'flat',
+      },
+      loanPurposeRates: {
+        type: [loanPurposeRateSchema],
+        default: [],
+      },
+      volumeTiers: {
+        type: [volumeTierSchema],
+        default: [],
+      },
+      // Monthly volume measured as total loan amount or number of leads for the bank in the calendar month
+      volumeBasis: {
+        type: String,
+        enum: ['amount', 'count'],
+        default: 'amount',
+      },
     },
 
     createdBy: {
@@ -92,4 +199,7 @@ commissionRuleSchema.methods.isEffective = function (date = new Date()) {
   return true;
 };
 
+commissionRuleSchema.plugin(versionHistoryPlugin);
+
+export const LOAN_PURPOSES_LIST = LOAN_PURPOSES;
 export default mongoose.model('CommissionRule', commissionRuleSchema);
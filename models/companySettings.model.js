@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import versionHistoryPlugin from './plugins/versionHistory.plugin.js';
 
 /**
  * Company Settings Model
@@ -21,10 +22,20 @@ const companySettingsSchema = new mongoose.Schema(
       required: true,
       default: '27AABCY2731J28',
     },
+    // Used for the place of supply when the GSTIN does not carry a state code
+    state: {
+      type: String,
+      default: 'Maharashtra',
+    },
     panNo: {
       type: String,
       required: false,
     },
+    // Tax deduction account number, printed on TDS certificates and the quarterly return
+    tanNo: {
+      type: String,
+      required: false,
+    },
     email: {
       type: String,
       required: false,
@@ -63,10 +74,115 @@ const companySettingsSchema = new mongoose.Schema(
         type: Number,
         default: 9, // 9%
       },
+      // Inter-state supplies
+      igstRate: {
+        type: Number,
+        default: 18, // 18%
+      },
+      // SAC printed on tax invoices (services auxiliary to financial services)
+      sacCode: {
+        type: String,
+        default: '997159',
+      },
+      // Section rate, applied when the partner's PAN is on file and verified
       defaultTdsRate: {
         type: Number,
         default: 2, // 2%
       },
+      // Section partner commission is deducted under
+      tdsSection: {
+        type: String,
+        default: '194H',
+      },
+      // Higher rate when the PAN is missing or not verified (section 206AA)
+      noPanTdsRate: {
+        type: Number,
+        default: 20, // 20%
+      },
+      // No TDS while a partner's commission credited in the financial year stays within this amount
+      tdsAnnualThreshold: {
+        type: Number,
+        default: 20000,
+      },
+    },
+    // Document numbering: <prefix>-<FY>-<sequence>, e.g. AGI-2627-00001 (restarts every April)
+    // Prefixes are kept short so invoice numbers stay within GST's 16-character limit.
+    numbering: {
+      agentInvoice: {
+        prefix: { type: String, default: 'AGI', match: /^[A-Za-z0-9]{1,6}$/ },
+        padding: { type: Number, default: 5, min: 3, max: 8 },
+      },
+      franchiseInvoice: {
+        prefix: { type: String, default: 'FRI', match: /^[A-Za-z0-9]{1,6}$/ },
+        padding: { type: Number, default: 5, min: 3, max: 8 },
+      },
+      creditNote: {
+        prefix: { type: String, default: 'CN', match: /^[A-Za-z0-9]{1,6}$/ },
+        padding: { type: Number, default: 5, min: 3, max: 8 },
+      },
+      debitNote: {
+        prefix: { type: String, default: 'DN', match: /^[A-Za-z0-9]{1,6}$/ },
+        padding: { type: Number, default: 5, min: 3, max: 8 },
+      },
+      payout: {
+        prefix: { type: String, default: 'PAY', match: /^[A-Za-z0-9]{1,6}$/ },
+        padding: { type: Number, default: 5, min: 3, max: 8 },
+      },
+      ticket: {
+        prefix: { type: String, default: 'SRN', match: /^[A-Za-z0-9]{1,6}$/ },
+        padding: { type: Number, default: 6, min: 3, max: 8 },
+      },
+    },
+    // Duplicate lead detection (scores are the sum of weights of matching identifiers, max 100)
+    duplicateDetection: {
+      enabled: {
+        type: Boolean,
+        default: true,
+      },
+      // Only leads created within this many days are compared
+      windowDays: {
+        type: Number,
+        default: 90,
+      },
+      // Compare only against leads for the same bank
+      sameBankOnly: {
+        type: Boolean,
+        default: false,
+      },
+      weights: {
+        mobile: { type: Number, default: 40 },
+        email: { type: Number, default: 30 },
+        pan: { type: Number, default: 50 },
+        loanAccountNo: { type: Number, default: 60 },
+        customerName: { type: Number, default: 20 },
+      },
+      // Score at or above which the lead is saved with a warning
+      warnThreshold: {
+        type: Number,
+        default: 30,
+      },
+      // Score at or above which the lead is saved and routed to the possible-duplicate review queue
+      reviewThreshold: {
+        type: Number,
+        default: 50,
+      },
+      // Score at or above which the lead is rejected outright
+      blockThreshold: {
+        type: Number,
+        default: 90,
+      },
+    },
+    // Rules for new passwords; the last historySize passwords cannot be reused
+    passwordPolicy: {
+      minLength: { type: Number, default: 8, min: 6, max: 64 },
+      requireUppercase: { type: Boolean, default: true },
+      requireLowercase: { type: Boolean, default: true },
+      requireNumber: { type: Boolean, default: true },
+      requireSpecial: { type: Boolean, default: false },
+      historySize: { type: Number, default: 5, min: 0, max: 24 },
+      // Forgot-password OTP sent by email
+      otpExpiryMinutes: { type: Number, default: 10, min: 1, max: 60 },
+      otpMaxAttempts: { type: Number, default: 5, min: 1, max: 10 },
     },
   },
   { timestamps: true }
@@ -81,5 +197,7 @@ companySettingsSchema.statics.getSettings = async function () {
   return settings;
 };
 
+companySettingsSchema.plugin(versionHistoryPlugin);
+
 export default mongoose.model('CompanySettings', companySettingsSchema);
 
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+const SERIES = ['agent_invoice', 'franchise_invoice', 'credit_note', 'debit_note', 'payout', 'ticket'];
+
+/**
+ * Counter Model
+ * Last number issued per document series and Indian financial year (April-March).
+ * Incremented atomically so concurrent requests never receive the same number.
+ */
+const counterSchema = new mongoose.Schema(
+  {
+    series: {
+      type: String,
+      enum: SERIES,
+      required: true,
+    },
+
+    // e.g. '2026-27'
+    financialYear: {
+      type: String,
+      required: true,
+    },
+
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+counterSchema.index({ series: 1, financialYear: 1 }, { unique: true });
+
+export const COUNTER_SERIES_LIST = SERIES;
+export default mongoose.model('Counter', counterSchema);
@@ -9,7 +9,7 @@ const documentSchema = new mongoose.Schema(
     // Reference to the entity this document belongs to
     entityType: {
       type: String,
-      enum: ['lead', 'invoice', 'payout', 'user', 'franchise', 'banner', 'form16', 'ticket'],
+      enum: ['lead', 'invoice', 'payout', 'user', 'franchise', 'banner', 'form16', 'ticket', 'onboarding'],
       required: true,
       index: true,
     },
@@ -92,10 +92,13 @@ const documentSchema = new mongoose.Schema(
     verificationRemarks: String,
 
     // Upload metadata
+    // Not set for onboarding documents uploaded by applicants who have no account yet
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true,
+      required: function () {
+        return this.entityType !== 'onboarding';
+      },
     },
 
     description: String,
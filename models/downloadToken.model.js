@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+/**
+ * Download Token Model
+ * Single-use, short-lived token that authorizes one GET of one URL (file downloads opened in
+ * a new window, where no Authorization header can be sent).
+ */
+const downloadTokenSchema = new mongoose.Schema(
+  {
+    // SHA-256 of the token placed in the URL
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    // Session the URL was signed in; revoking it also invalidates the URL
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Session',
+      required: true,
+    },
+
+    // Path and query string the token is valid for (without the token itself)
+    url: {
+      type: String,
+      required: true,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    usedAt: Date,
+  },
+  { timestamps: true }
+);
+
+downloadTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('DownloadToken', downloadTokenSchema);
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+const VERSION_ACTIONS = ['baseline', 'create', 'update', 'restore'];
+
+/**
+ * Entity Version Model
+ * Full snapshots of financial records (invoices, payouts, commission rules, franchise
+ * commission limits, company settings), one per change. Written by
+ * models/plugins/versionHistory.plugin.js; never edited afterwards.
+ */
+const entityVersionSchema = new mongoose.Schema(
+  {
+    // Model name, e.g. Invoice
+    entityType: {
+      type: String,
+      required: true,
+    },
+
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+
+    // 1, 2, 3... per record
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    // baseline: state before the first recorded change of a record that predates version history
+    action: {
+      type: String,
+      enum: VERSION_ACTIONS,
+      required: true,
+    },
+
+    // The record as it was after this change (without _id / __v)
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+
+    // Fields that differ from the previous version
+    changedFields: {
+      type: [String],
+      default: [],
+    },
+
+    // Null for changes made outside a request (jobs, scripts) and for baselines
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    requestId: String,
+
+    // Version whose snapshot a restore brought back
+    restoredFrom: {
+      type: Number,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// One row per version of a record
+entityVersionSchema.index({ entityType: 1, entityId: 1, version: -1 }, { unique: true });
+
+export const VERSION_ACTIONS_LIST = VERSION_ACTIONS;
+export default mongoose.model('EntityVersion', entityVersionSchema);
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import softDeletePlugin from './plugins/softDelete.plugin.js';
 
 /**
  * Franchise model - canonical version
@@ -20,14 +21,12 @@ const franchiseSchema = new mongoose.Schema(
       type: String,
       required: true,
       lowercase: true,
-      unique: true,
       index: true,
     },
 
     mobile: {
       type: String,
       required: true,
-      unique: true,
       index: true,
     },
 
@@ -135,7 +134,13 @@ const franchiseSchema = new mongoose.Schema(
 franchiseSchema.index({ owner: 1, status: 1 });
 franchiseSchema.index({ status: 1 });
 franchiseSchema.index({ regionalManager: 1 });
+
+// Unique email and mobile among live records only (deleted ones keep their deletedAt time)
+franchiseSchema.index({ email: 1, deletedAt: 1 }, { unique: true });
+franchiseSchema.index({ mobile: 1, deletedAt: 1 }, { unique: true });
 // Note: Authentication credentials (password) are stored on the related User model.
 // Franchise is a profile document and should not contain password fields.
 
+franchiseSchema.plugin(softDeletePlugin);
+
 export default mongoose.model('Franchise', franchiseSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import versionHistoryPlugin from './plugins/versionHistory.plugin.js';
 
 /**
  * Franchise Commission Limit Model
@@ -50,6 +51,8 @@ const franchiseCommissionLimitSchema = new mongoose.Schema(
 // Ensure one limit per bank
 franchiseCommissionLimitSchema.index({ bank: 1 }, { unique: true });
 
+franchiseCommissionLimitSchema.plugin(versionHistoryPlugin);
+
 const FranchiseCommissionLimit = mongoose.model('FranchiseCommissionLimit', franchiseCommissionLimitSchema);
 
 export default FranchiseCommissionLimit;
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import softDeletePlugin from './plugins/softDelete.plugin.js';
+import versionHistoryPlugin from './plugins/versionHistory.plugin.js';
 
 /**
  * Invoice Model
@@ -48,6 +50,19 @@ const invoiceSchema = new mongoose.Schema(
       index: true,
     },
 
+    // Disbursement tranche billed by this invoice (null for lead-level invoices)
+    disbursement: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+
+    // Commission ledger entry billed by this invoice
+    commissionLedgerEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CommissionLedger',
+      default: null,
+    },
+
     // Invoice type: 'agent', 'sub_agent', or 'franchise'
     invoiceType: {
       type: String,
@@ -72,12 +87,62 @@ const invoiceSchema = new mongoose.Schema(
       default: 2, // 2% TDS
     },
 
-    // GST = 18% of Taxable (commission). Gross = Taxable + GST - TDS
+    // Rule that produced tdsPercentage (see tdsService.resolveRate)
+    tdsRule: {
+      code: {
+        type: String,
+        enum: ['section_rate', 'no_pan', 'pan_unverified', 'lower_deduction_certificate', 'below_threshold', 'manual'],
+      },
+      section: String,
+      description: String,
+      partyType: {
+        type: String,
+        enum: ['agent', 'sub_agent', 'franchise', 'relationship_manager'],
+      },
+      partyId: mongoose.Schema.Types.ObjectId,
+      pan: String,
+      certificate: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LowerDeductionCertificate',
+      },
+      // Part of the TDS base deducted at the certificate's rate (the rest is at the section rate)
+      certificateAmount: Number,
+      financialYear: String,
+      // Commission credited to the party in the financial year, including this invoice
+      aggregateAmount: Number,
+      threshold: Number,
+      // Earlier credits of the year left at 0% below the threshold, taxed on the invoice that crossed it
+      catchUpAmount: Number,
+      resolvedAt: Date,
+    },
+
+    // GST on Taxable (commission), charged only to GST-registered partners. Gross = Taxable + GST - TDS
     gstAmount: {
       type: Number,
       default: 0,
     },
 
+    // GST split: CGST + SGST within the company's state, IGST across states
+    gstDetails: {
+      gstApplicable: {
+        type: Boolean,
+        default: false,
+      },
+      supplyType: {
+        type: String,
+        enum: ['intra_state', 'inter_state'],
+      },
+      supplierStateCode: String,
+      placeOfSupply: String,
+      sacCode: String,
+      cgstRate: { type: Number, default: 0 },
+      cgstAmount: { type: Number, default: 0 },
+      sgstRate: { type: Number, default: 0 },
+      sgstAmount: { type: Number, default: 0 },
+      igstRate: { type: Number, default: 0 },
+      igstAmount: { type: Number, default: 0 },
+    },
+
     netPayable: {
       type: Number,
       required: true,
@@ -86,7 +151,7 @@ const invoiceSchema = new mongoose.Schema(
     // Invoice status workflow
     status: {
       type: String,
-      enum: ['draft', 'pending', 'approved', 'rejected', 'escalated', 'gst_paid', 'paid', 'regular_paid'],
+      enum: ['draft', 'pending', 'approved', 'rejected', 'escalated', 'gst_paid', 'paid', 'regular_paid', 'cancelled'],
       default: 'pending',
       index: true,
     },
@@ -128,6 +193,20 @@ const invoiceSchema = new mongoose.Schema(
     },
     rejectionReason: String,
 
+    // Cancellation details (the amounts stay as billed; the credit note reverses them)
+    cancellation: {
+      reason: String,
+      cancelledAt: Date,
+      cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      creditNote: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'InvoiceNote',
+      },
+    },
+
     // Agent acceptance
     acceptedAt: Date,
     agentRemarks: String,
@@ -153,5 +232,10 @@ invoiceSchema.index({ subAgent: 1, status: 1 });
 invoiceSchema.index({ franchise: 1, status: 1 });
 invoiceSchema.index({ status: 1, createdAt: -1 });
 invoiceSchema.index({ isEscalated: 1, status: 1 });
+invoiceSchema.index({ 'tdsRule.partyId': 1, invoiceDate: 1 });
+invoiceSchema.index({ 'tdsRule.certificate': 1 });
+
+invoiceSchema.plugin(softDeletePlugin);
+invoiceSchema.plugin(versionHistoryPlugin);
 
 export default mongoose.model('Invoice', invoiceSchema);
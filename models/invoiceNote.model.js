@@ -0,0 +1,144 @@
+import mongoose from 'mongoose';
+
+const NOTE_TYPES = ['credit', 'debit'];
+
+/**
+ * Invoice Note Model
+ * Credit / debit notes correcting an approved or paid invoice without rewriting it.
+ * A credit note reduces the amount billed (and reverses GST and TDS proportionally),
+ * a debit note bills an additional amount against the same invoice.
+ */
+const invoiceNoteSchema = new mongoose.Schema(
+  {
+    noteNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+
+    noteType: {
+      type: String,
+      enum: NOTE_TYPES,
+      required: true,
+      index: true,
+    },
+
+    // Original invoice
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      required: true,
+      index: true,
+    },
+
+    // Copied from the invoice so notes can be filtered and reported like invoices
+    invoiceNumber: String,
+    invoiceType: {
+      type: String,
+      enum: ['agent', 'sub_agent', 'franchise'],
+      default: 'agent',
+    },
+    lead: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lead',
+    },
+    agent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+    },
+    subAgent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    franchise: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Franchise',
+      index: true,
+    },
+    commissionLedgerEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CommissionLedger',
+      default: null,
+    },
+
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // Issued by cancelling the invoice (reverses everything still outstanding on it)
+    isCancellation: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Amounts are positive; noteType gives the direction
+    taxableAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    gstAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    // GST reversed / charged, split like the original invoice
+    gstDetails: {
+      gstApplicable: {
+        type: Boolean,
+        default: false,
+      },
+      supplyType: {
+        type: String,
+        enum: ['intra_state', 'inter_state'],
+      },
+      supplierStateCode: String,
+      placeOfSupply: String,
+      sacCode: String,
+      cgstRate: { type: Number, default: 0 },
+      cgstAmount: { type: Number, default: 0 },
+      sgstRate: { type: Number, default: 0 },
+      sgstAmount: { type: Number, default: 0 },
+      igstRate: { type: Number, default: 0 },
+      igstAmount: { type: Number, default: 0 },
+    },
+
+    tdsPercentage: {
+      type: Number,
+      default: 0,
+    },
+
+    tdsAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Taxable + GST - TDS
+    netAmount: {
+      type: Number,
+      required: true,
+    },
+
+    noteDate: {
+      type: Date,
+      default: Date.now,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+invoiceNoteSchema.index({ invoice: 1, createdAt: 1 });
+invoiceNoteSchema.index({ noteType: 1, noteDate: -1 });
+
+export const INVOICE_NOTE_TYPES_LIST = NOTE_TYPES;
+export default mongoose.model('InvoiceNote', invoiceNoteSchema);
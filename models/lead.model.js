@@ -1,5 +1,15 @@
 import mongoose from 'mongoose';
 import './agent.model.js';
+import softDeletePlugin from './plugins/softDelete.plugin.js';
+
+const LEAD_STATUSES = [
+  'logged',
+  'sanctioned',
+  'partial_disbursed',
+  'disbursed',
+  'completed',
+  'rejected',
+];
 
 /**
  Acciojob
@@ -25,6 +35,13 @@ const leadSchema = new mongoose.Schema(
         'loan_against_property', 'education_loan', 'car_loan', 'gold_loan'],
     },
 
+    // Fresh loan or top-up on an existing loan (commission rules can pay different rates)
+    loanPurpose: {
+      type: String,
+      enum: ['fresh', 'top_up'],
+      default: 'fresh',
+    },
+
     // loanAmount is optional for dynamic/custom forms
     loanAmount: {
       type: Number,
@@ -94,14 +111,7 @@ const leadSchema = new mongoose.Schema(
     // Case status workflow
     status: {
       type: String,
-      enum: [
-        'logged',
-        'sanctioned',
-        'partial_disbursed',
-        'disbursed',
-        'completed',
-        'rejected',
-      ],
+      enum: LEAD_STATUSES,
       default: 'logged',
       index: true,
     },
@@ -133,6 +143,11 @@ const leadSchema = new mongoose.Schema(
         utr: String,
         bankRef: String,
         commission: Number,
+        // Commission rule in effect on the tranche date (commission accrued under it)
+        commissionRule: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'CommissionRule',
+        },
         gst: Number,
         netCommission: Number,
         remarks: String,
@@ -155,6 +170,11 @@ const leadSchema = new mongoose.Schema(
       default: 0,
     },
 
+    // How the last commission calculation was derived (slab, loan purpose, volume tier, limits)
+    commissionBreakdown: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+
     // Agent commission fields (for franchise-created leads)
     agentCommissionPercentage: {
       type: Number,
@@ -268,6 +288,38 @@ const leadSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.Mixed,
     },
 
+    // Duplicate detection result (set by the duplicate detection service on create/update)
+    duplicateCheck: {
+      status: {
+        type: String,
+        enum: ['none', 'warned', 'pending_review', 'not_duplicate', 'duplicate'],
+        default: 'none',
+        index: true,
+      },
+      score: {
+        type: Number,
+        default: 0,
+      },
+      matches: [
+        {
+          _id: false,
+          lead: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Lead',
+          },
+          score: Number,
+          matchedOn: [String],
+        },
+      ],
+      checkedAt: Date,
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      reviewedAt: Date,
+      reviewRemarks: String,
+    },
+
     // Documents submitted with lead when using dynamic forms (array of { documentType, url, uploadedBy, uploadedAt })
     documents: [
       {
@@ -293,4 +345,7 @@ leadSchema.index({ associatedModel: 1, status: 1 });
 leadSchema.index({ bank: 1, status: 1 });
 leadSchema.index({ verificationStatus: 1 });
 
+leadSchema.plugin(softDeletePlugin);
+
+export const LEAD_STATUSES_LIST = LEAD_STATUSES;
 export default mongoose.model('Lead', leadSchema);
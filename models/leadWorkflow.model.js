@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+import { LEAD_STATUSES_LIST } from './lead.model.js';
+
+const WORKFLOW_SIDE_EFFECTS = ['recalculate_commission', 'generate_invoice'];
+
+const transitionSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      enum: LEAD_STATUSES_LIST,
+      required: true,
+    },
+    to: {
+      type: String,
+      enum: LEAD_STATUSES_LIST,
+      required: true,
+    },
+    // Roles allowed to perform this transition (super_admin is always allowed)
+    roles: {
+      type: [String],
+      default: [],
+    },
+    // Lead fields that must be present (in the request or already on the lead) for this transition
+    requiredFields: {
+      type: [String],
+      default: [],
+    },
+    // Actions run after the lead has been moved to the target status
+    sideEffects: {
+      type: [String],
+      enum: WORKFLOW_SIDE_EFFECTS,
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Lead Workflow Model
+ * Defines allowed lead status transitions per bank and/or loan type.
+ * A workflow with no bank and loanType 'all' acts as the company-wide default.
+ */
+const leadWorkflowSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // Optional bank scope; null means the workflow applies to every bank
+    bank: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bank',
+      default: null,
+      index: true,
+    },
+
+    loanType: {
+      type: String,
+      enum: ['personal_loan', 'home_loan', 'business_loan',
+        'loan_against_property', 'education_loan', 'car_loan', 'gold_loan', 'all'],
+      default: 'all',
+      index: true,
+    },
+
+    transitions: {
+      type: [transitionSchema],
+      default: [],
+    },
+
+    status: {
+      type: String,
+      enum: ['active', 'inactive'],
+      default: 'active',
+      index: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+// Only one active workflow per bank + loan type scope
+leadWorkflowSchema.index(
+  { bank: 1, loanType: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+export const WORKFLOW_SIDE_EFFECTS_LIST = WORKFLOW_SIDE_EFFECTS;
+export default mongoose.model('LeadWorkflow', leadWorkflowSchema);
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+/**
+ * Login Throttle Model
+ * Failed login counter for one account (by email) or one IP address. Repeated failures push
+ * the next allowed attempt further out and eventually lock the account / IP for a while.
+ */
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    // 'account:<email>' or 'ip:<address>'
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    scope: {
+      type: String,
+      enum: ['account', 'ip'],
+      required: true,
+    },
+
+    failedCount: {
+      type: Number,
+      default: 0,
+    },
+
+    lastFailedAt: Date,
+
+    // Progressive delay: no attempt is accepted before this time
+    retryAt: Date,
+
+    lockedUntil: Date,
+
+    // Counter is forgotten after a quiet period (or the end of a lockout)
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+
+const PARTY_TYPES = ['agent', 'sub_agent', 'franchise', 'relationship_manager'];
+
+/**
+ * Lower Deduction Certificate Model
+ * Certificate issued to a partner under section 197 allowing TDS at a lower (or nil) rate
+ * on amounts credited within its validity period, up to the amount limit.
+ */
+const lowerDeductionCertificateSchema = new mongoose.Schema(
+  {
+    partyType: {
+      type: String,
+      enum: PARTY_TYPES,
+      required: true,
+    },
+
+    partyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'partyModel',
+      required: true,
+    },
+    partyModel: {
+      type: String,
+      enum: ['User', 'Franchise', 'RelationshipManager'],
+      required: true,
+    },
+
+    // PAN the certificate was issued against; must match the partner's PAN when applied
+    pan: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+      match: /^[A-Z]{5}[0-9]{4}[A-Z]$/,
+    },
+
+    certificateNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+
+    section: {
+      type: String,
+      default: '194H',
+    },
+
+    // Rate allowed by the certificate (0 for nil deduction)
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    validFrom: {
+      type: Date,
+      required: true,
+    },
+
+    validTo: {
+      type: Date,
+      required: true,
+    },
+
+    // Total amount that may be credited at the certificate rate
+    amountLimit: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    status: {
+      type: String,
+      enum: ['active', 'revoked'],
+      default: 'active',
+      index: true,
+    },
+
+    remarks: String,
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+lowerDeductionCertificateSchema.index({ partyType: 1, partyId: 1, status: 1, validFrom: 1, validTo: 1 });
+
+export const LOWER_DEDUCTION_PARTY_TYPES_LIST = PARTY_TYPES;
+export default mongoose.model('LowerDeductionCertificate', lowerDeductionCertificateSchema);
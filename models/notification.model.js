@@ -45,7 +45,7 @@ const notificationSchema = new mongoose.Schema(
 
     type: {
       type: String,
-      enum: ['ticket_assigned', 'ticket_escalated', 'ticket_resolved', 'ticket_reassigned', 'banner_created', 'invoice_paid'],
+      enum: ['ticket_assigned', 'ticket_escalated', 'ticket_resolved', 'ticket_reassigned', 'banner_created', 'invoice_paid', 'new_device_login'],
       default: 'ticket_assigned',
     },
   },
@@ -0,0 +1,173 @@
+import mongoose from 'mongoose';
+
+const APPLICATION_STATUSES = ['submitted', 'rejected', 'approved'];
+
+// Documents an applicant uploads (stored as Document records with entityType 'onboarding')
+const DOCUMENT_TYPES = ['pan', 'aadhaar', 'gst', 'cancelled_cheque'];
+
+const REJECTION_REASONS = [
+  'pan_mismatch',
+  'aadhaar_mismatch',
+  'gst_mismatch',
+  'bank_details_mismatch',
+  'document_unreadable',
+  'document_missing',
+  'duplicate_applicant',
+  'outside_service_area',
+  'other',
+];
+
+/**
+ * Onboarding Application Model
+ * A prospective agent's self-submitted details and KYC documents, waiting for the chosen
+ * franchise / relationship manager to approve (creating the agent User) or reject with reasons.
+ */
+const onboardingApplicationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      index: true,
+    },
+
+    mobile: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
+
+    // bcrypt hash of the password chosen by the applicant; copied to the User on approval
+    password: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    // Hash of the token the applicant uses to check status and resubmit
+    accessTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    address: {
+      street: String,
+      city: String,
+      state: String,
+      pincode: String,
+    },
+
+    // Franchise or relationship manager the applicant wants to work under
+    managedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'managedByModel',
+      required: true,
+    },
+    managedByModel: {
+      type: String,
+      enum: ['Franchise', 'RelationshipManager'],
+      required: true,
+    },
+
+    kyc: {
+      pan: String,
+      aadhaar: String,
+      gst: String,
+    },
+
+    bankDetails: {
+      accountHolderName: String,
+      accountNumber: String,
+      branch: String,
+      ifsc: String,
+      bankName: String,
+    },
+
+    // Latest uploaded document of each type
+    documents: [
+      {
+        documentType: {
+          type: String,
+          enum: DOCUMENT_TYPES,
+          required: true,
+        },
+        document: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Document',
+          required: true,
+        },
+      },
+    ],
+
+    status: {
+      type: String,
+      enum: APPLICATION_STATUSES,
+      default: 'submitted',
+      index: true,
+    },
+
+    submissionCount: {
+      type: Number,
+      default: 1,
+    },
+
+    submittedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Reasons of the latest rejection (cleared on resubmission)
+    rejectionReasons: [
+      {
+        type: String,
+        enum: REJECTION_REASONS,
+      },
+    ],
+    rejectionRemarks: String,
+
+    // Every approval / rejection, oldest first
+    reviews: [
+      {
+        action: {
+          type: String,
+          enum: ['approved', 'rejected'],
+          required: true,
+        },
+        reasons: [String],
+        remarks: String,
+        submission: Number,
+        reviewedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        reviewedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    // Agent created on approval
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+onboardingApplicationSchema.index({ managedByModel: 1, managedBy: 1, status: 1 });
+
+export const ONBOARDING_STATUSES_LIST = APPLICATION_STATUSES;
+export const ONBOARDING_DOCUMENT_TYPES_LIST = DOCUMENT_TYPES;
+export const ONBOARDING_REJECTION_REASONS_LIST = REJECTION_REASONS;
+export default mongoose.model('OnboardingApplication', onboardingApplicationSchema);
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+const UNIT_TYPES = ['zone', 'region'];
+
+/**
+ * Org Unit Model
+ * Optional levels above regional managers: zones contain regions, regions contain regional
+ * managers. The head of a unit sees everything below it. Companies without zones or regions
+ * simply have no units; regional managers then sit directly below the admin.
+ */
+const orgUnitSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+
+    type: {
+      type: String,
+      enum: UNIT_TYPES,
+      required: true,
+    },
+
+    // Zone a region belongs to (optional; zones have no parent)
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OrgUnit',
+      default: null,
+    },
+
+    // Regional manager (User) in charge of the unit
+    head: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    // Regional managers (User) in a region
+    regionalManagers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+
+    status: {
+      type: String,
+      enum: ['active', 'inactive'],
+      default: 'active',
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+orgUnitSchema.index({ type: 1, status: 1 });
+orgUnitSchema.index({ parent: 1 });
+orgUnitSchema.index({ head: 1 });
+orgUnitSchema.index({ regionalManagers: 1 });
+
+export const ORG_UNIT_TYPES_LIST = UNIT_TYPES;
+export default mongoose.model('OrgUnit', orgUnitSchema);
@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+
+const PARTY_TYPES = ['agent', 'sub_agent', 'franchise', 'relationship_manager'];
+
+const ENTRY_TYPES = [
+  'invoice_approved', // credit: taxable commission + GST billed on an approved invoice
+  'tds_deducted', // debit: TDS withheld on an approved invoice
+  'payout_confirmed', // debit: amount paid out to the partner
+  'payout_returned', // credit: a confirmed payout returned by the bank
+  'credit_note', // debit: taxable + GST reversed by a credit note
+  'debit_note', // credit: taxable + GST billed by a debit note
+  'tds_reversed', // credit: TDS given back on a credit note
+  'recovery', // debit: amount recovered from the partner (credit when a recovery is reduced)
+  'adjustment', // manual debit / credit
+];
+
+/**
+ * Partner Ledger Model
+ * Double-entry style account per agent, sub-agent, franchise and RM.
+ * Credits are amounts owed to the partner, debits are amounts paid, withheld or recovered;
+ * the running balance (credit - debit) is what the company still owes the partner.
+ */
+const partnerLedgerSchema = new mongoose.Schema(
+  {
+    partyType: {
+      type: String,
+      enum: PARTY_TYPES,
+      required: true,
+    },
+
+    partyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'partyModel',
+      required: true,
+    },
+    partyModel: {
+      type: String,
+      enum: ['User', 'Franchise', 'RelationshipManager'],
+      required: true,
+    },
+
+    entryType: {
+      type: String,
+      enum: ENTRY_TYPES,
+      required: true,
+      index: true,
+    },
+
+    debit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    credit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    entryDate: {
+      type: Date,
+      default: Date.now,
+      index: true,
+    },
+
+    // Source document (Invoice / InvoiceNote / Payout); empty for manual adjustments
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'sourceModel',
+      default: null,
+    },
+    sourceModel: {
+      type: String,
+      enum: ['Invoice', 'InvoiceNote', 'Payout', null],
+      default: null,
+    },
+
+    // Invoice / note / payout number shown on the statement
+    reference: String,
+
+    // Which posting of the source this is: a payout confirmed again after the bank returned it
+    // is posted in round 1, 2, ... (its return carries the round it reverses)
+    postingRound: {
+      type: Number,
+      default: 0,
+    },
+
+    narration: String,
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+partnerLedgerSchema.index({ partyType: 1, partyId: 1, entryDate: 1 });
+partnerLedgerSchema.index({ sourceModel: 1, sourceId: 1 });
+
+// One invoice / note / payout posting per party, entry type and round (recoveries are posted as deltas and may repeat)
+partnerLedgerSchema.index(
+  { sourceModel: 1, sourceId: 1, entryType: 1, partyId: 1, postingRound: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      sourceId: { $type: 'objectId' },
+      entryType: {
+        $in: ['invoice_approved', 'tds_deducted', 'payout_confirmed', 'payout_returned', 'credit_note', 'debit_note', 'tds_reversed'],
+      },
+    },
+  }
+);
+
+export const PARTNER_LEDGER_PARTY_TYPES_LIST = PARTY_TYPES;
+export const PARTNER_LEDGER_ENTRY_TYPES_LIST = ENTRY_TYPES;
+export default mongoose.model('PartnerLedger', partnerLedgerSchema);
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+/**
+ * Password Reset OTP Model
+ * One-time code emailed for the forgot-password flow. Only the hash is stored; a code stops
+ * working once used, replaced by a newer code, expired or tried too many times.
+ */
+const passwordResetOtpSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    otpHash: {
+      type: String,
+      required: true,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    // Wrong codes entered against this OTP
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+
+    usedAt: Date,
+
+    // Set when a newer code is issued or the attempts run out
+    invalidatedAt: Date,
+
+    requestIp: String,
+  },
+  { timestamps: true }
+);
+
+// Expired codes are removed by MongoDB
+passwordResetOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('PasswordResetOtp', passwordResetOtpSchema);
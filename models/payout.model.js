@@ -1,4 +1,23 @@
 import mongoose from 'mongoose';
+import softDeletePlugin from './plugins/softDelete.plugin.js';
+import versionHistoryPlugin from './plugins/versionHistory.plugin.js';
+
+// A generated bank payment file (the file may batch several payouts)
+const bankFileFields = {
+  filename: String,
+  path: String,
+  template: String,
+  batchReference: String,
+  paymentMode: {
+    type: String,
+    enum: ['NEFT', 'RTGS', 'IMPS'],
+  },
+  generatedAt: Date,
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+};
 
 /**
  * Payout Model
@@ -68,16 +87,11 @@ const payoutSchema = new mongoose.Schema(
       index: true,
     },
 
-    // Bank CSV file generation
-    bankCsvFile: {
-      filename: String,
-      path: String,
-      generatedAt: Date,
-      generatedBy: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
-      },
-    },
+    // Latest bank payment file generated for the payout
+    bankCsvFile: bankFileFields,
+
+    // Earlier files superseded by an explicit regeneration (oldest first)
+    previousBankFiles: [bankFileFields],
 
     // Payment confirmation
     paymentConfirmation: {
@@ -92,6 +106,22 @@ const payoutSchema = new mongoose.Schema(
       },
     },
 
+    // Payment failed or returned by the bank (payout moves to recovery_pending)
+    paymentFailure: {
+      reason: String,
+      transactionId: String,
+      returnedAfterPayment: Boolean,
+      source: {
+        type: String,
+        enum: ['manual', 'bank_statement'],
+      },
+      failedAt: Date,
+      failedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    },
+
     // Bank details at time of payout
     bankDetails: {
       accountHolderName: String,
@@ -138,4 +168,7 @@ payoutSchema.index({ franchise: 1, status: 1 });
 payoutSchema.index({ status: 1, createdAt: -1 });
 payoutSchema.index({ payoutNumber: 1 });
 
+payoutSchema.plugin(softDeletePlugin);
+payoutSchema.plugin(versionHistoryPlugin);
+
 export default mongoose.model('Payout', payoutSchema);
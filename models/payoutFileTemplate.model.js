@@ -0,0 +1,187 @@
+import mongoose from 'mongoose';
+
+const PAYMENT_MODES = ['NEFT', 'RTGS', 'IMPS'];
+
+// Values a column can be filled from
+const FIELD_SOURCES = [
+  'constant',
+  'serial_no',
+  'payment_mode', // mapped through modeCodes when the bank uses its own codes
+  'debit_account',
+  'beneficiary_name',
+  'account_number',
+  'ifsc',
+  'bank_name',
+  'beneficiary_email',
+  'beneficiary_mobile',
+  'amount',
+  'payout_number',
+  'remarks',
+  'value_date',
+  // header / trailer only
+  'record_count',
+  'total_amount',
+  'batch_reference',
+  'file_date',
+];
+
+const fieldSchema = new mongoose.Schema(
+  {
+    header: {
+      type: String,
+      default: '',
+    },
+    source: {
+      type: String,
+      enum: FIELD_SOURCES,
+      required: true,
+    },
+    // Value for 'constant' fields
+    value: {
+      type: String,
+      default: '',
+    },
+    // Fixed-width column size (required for fixed_width templates)
+    width: Number,
+    align: {
+      type: String,
+      enum: ['left', 'right'],
+      default: 'left',
+    },
+    padChar: {
+      type: String,
+      default: ' ',
+    },
+    // Dates: tokens DD, MM, YYYY, YY (e.g. 'DD/MM/YYYY')
+    dateFormat: {
+      type: String,
+      default: 'DD/MM/YYYY',
+    },
+    // Amounts: decimal places; impliedDecimal drops the point (12345 = 123.45)
+    decimals: {
+      type: Number,
+      default: 2,
+    },
+    impliedDecimal: {
+      type: Boolean,
+      default: false,
+    },
+    uppercase: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+// Payment mode chosen by amount; first matching band wins (maxAmount null = no limit)
+const modeRuleSchema = new mongoose.Schema(
+  {
+    mode: {
+      type: String,
+      enum: PAYMENT_MODES,
+      required: true,
+    },
+    minAmount: {
+      type: Number,
+      default: 0,
+    },
+    maxAmount: {
+      type: Number,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Payout File Template Model
+ * Bank bulk-payment upload layout (CSV or fixed-width) used to export a batch of payouts
+ */
+const payoutFileTemplateSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    bankName: String,
+
+    format: {
+      type: String,
+      enum: ['csv', 'fixed_width'],
+      required: true,
+    },
+
+    delimiter: {
+      type: String,
+      default: ',',
+    },
+
+    // CSV only: write a row of column headers
+    includeHeaderRow: {
+      type: Boolean,
+      default: true,
+    },
+
+    fileExtension: {
+      type: String,
+      default: 'csv',
+    },
+
+    // Company account debited for the batch
+    debitAccountNumber: String,
+
+    modeRules: {
+      type: [modeRuleSchema],
+      default: [],
+    },
+
+    // Bank-specific codes for payment modes, e.g. { NEFT: 'N', RTGS: 'R', IMPS: 'I' }
+    modeCodes: {
+      type: Map,
+      of: String,
+      default: {},
+    },
+
+    // Optional batch header / trailer records (fixed-width files)
+    headerFields: {
+      type: [fieldSchema],
+      default: [],
+    },
+    fields: {
+      type: [fieldSchema],
+      validate: [(v) => Array.isArray(v) && v.length > 0, 'At least one field is required'],
+    },
+    trailerFields: {
+      type: [fieldSchema],
+      default: [],
+    },
+
+    status: {
+      type: String,
+      enum: ['active', 'inactive'],
+      default: 'active',
+      index: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+export const PAYMENT_MODES_LIST = PAYMENT_MODES;
+export const PAYOUT_FILE_FIELD_SOURCES_LIST = FIELD_SOURCES;
+export default mongoose.model('PayoutFileTemplate', payoutFileTemplateSchema);
@@ -0,0 +1,212 @@
+import auditService from '../../services/audit.service.js';
+import { getRequestContext } from '../../utils/requestContext.js';
+import { REDACTED, isLeafValue, rootOf, diffObjects } from '../../utils/objectDiff.js';
+
+// High-volume or security-internal collections that are not audited field by field
+const EXCLUDED_MODELS = [
+  'AuditLog',
+  'Counter',
+  'DownloadToken',
+  'EmailLog',
+  'EntityVersion',
+  'LoginThrottle',
+  'Notification',
+  'PasswordResetOtp',
+  'Session',
+];
+
+// Bookkeeping fields that change on every write
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Values of these fields never reach the audit log
+const SENSITIVE_FIELD = /password|secret|recoveryCodes|token|otp/i;
+
+// updateMany / deleteMany record at most this many documents
+const BULK_LIMIT = 1000;
+
+const UPDATE_QUERIES = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'];
+const DELETE_QUERIES = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+const REPLACE_QUERIES = ['replaceOne', 'findOneAndReplace'];
+const MULTI_QUERIES = ['updateMany', 'deleteMany'];
+
+const redact = (value) => {
+  if (isLeafValue(value)) return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([key, child]) => [key, SENSITIVE_FIELD.test(key) ? REDACTED : redact(child)])
+  );
+};
+
+const diff = (before, after, roots = null) =>
+  diffObjects(before, after, { roots, ignore: IGNORED_FIELDS, redact: SENSITIVE_FIELD });
+
+/**
+ * Top-level fields an update touches; null when it may touch any (replacements, pipelines)
+ */
+const updatedRoots = (update, isReplace) => {
+  if (!update || isReplace || Array.isArray(update)) return null;
+  const paths = Object.entries(update).flatMap(([key, value]) =>
+    key.startsWith('$') ? Object.keys(value || {}) : [key]);
+  return [...new Set(paths.map((path) => rootOf(path.replace(/\.\$.*$/, ''))))];
+};
+
+const entry = (model, action, entityId, fields) => {
+  const context = getRequestContext();
+  return {
+    userId: context.userId || null,
+    action,
+    entityType: model.modelName,
+    entityId,
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent,
+    requestId: context.requestId,
+    source: 'model',
+    ...fields,
+  };
+};
+
+const skipped = (model) => !model || EXCLUDED_MODELS.includes(model.modelName);
+
+/**
+ * Soft delete / restore show up as updates of deletedAt; name them after what they are
+ */
+const updateAction = (changes) => {
+  if (!changes.deletedAt) return 'update';
+  return changes.deletedAt.to ? 'soft_delete' : 'restore';
+};
+
+/**
+ * Audit Plugin
+ * Registered globally (models/plugins/index.js), so every model records its creates, updates
+ * and deletes in the audit log with a field-level diff, the acting user, IP and request ID.
+ * Recording never blocks or fails the write itself.
+ */
+export default function auditPlugin(schema) {
+  // Document saves
+  schema.pre('save', async function () {
+    if (this.$isSubdocument || skipped(this.constructor)) return;
+    this.$locals.auditIsNew = this.isNew;
+    if (this.isNew) return;
+
+    const roots = [...new Set(this.modifiedPaths().map(rootOf))];
+    if (!roots.length) return;
+
+    try {
+      this.$locals.auditRoots = roots;
+      this.$locals.auditBefore = await this.constructor.findById(this._id)
+        .select(roots.join(' '))
+        .setOptions({ withDeleted: true })
+        .lean();
+    } catch (error) {
+      console.error('Error reading document for audit:', error);
+    }
+  });
+
+  schema.post('save', async function () {
+    if (this.$isSubdocument || skipped(this.constructor)) return;
+    const model = this.constructor;
+
+    if (this.$locals.auditIsNew) {
+      await auditService.logModelChanges([
+        entry(model, 'create', this._id, { newValues: redact(this.toObject({ depopulate: true })) }),
+      ]);
+      return;
+    }
+
+    const { auditBefore, auditRoots } = this.$locals;
+    delete this.$locals.auditBefore;
+    if (!auditBefore) return;
+
+    const { changes, changedFields } = diff(auditBefore, this.toObject({ depopulate: true }), auditRoots);
+    if (!changedFields.length) return;
+    await auditService.logModelChanges([entry(model, updateAction(changes), this._id, { changes, changedFields })]);
+  });
+
+  // Query updates
+  schema.pre(UPDATE_QUERIES, async function () {
+    if (skipped(this.model)) return;
+
+    try {
+      const roots = updatedRoots(this.getUpdate(), REPLACE_QUERIES.includes(this.op));
+      const finder = MULTI_QUERIES.includes(this.op)
+        ? this.model.find(this.getFilter()).limit(BULK_LIMIT)
+        : this.model.find(this.getFilter()).sort(this.getOptions().sort).limit(1);
+      if (roots) finder.select(roots.join(' '));
+
+      this._auditRoots = roots;
+      this._auditBefore = await finder.setOptions({ withDeleted: true }).lean();
+    } catch (error) {
+      console.error('Error reading documents for audit:', error);
+    }
+  });
+
+  schema.post(UPDATE_QUERIES, async function () {
+    if (skipped(this.model) || !this._auditBefore) return;
+
+    try {
+      const ids = this._auditBefore.map((doc) => doc._id);
+      if (!ids.length && !this.getOptions().upsert) return;
+
+      const finder = ids.length
+        ? this.model.find({ _id: { $in: ids } })
+        : this.model.find(this.getFilter()).limit(1);
+      if (this._auditRoots) finder.select(this._auditRoots.join(' '));
+      const afterDocs = await finder.setOptions({ withDeleted: true }).lean();
+
+      const beforeById = new Map(this._auditBefore.map((doc) => [doc._id.toString(), doc]));
+      const entries = [];
+      for (const after of afterDocs) {
+        const before = beforeById.get(after._id.toString());
+        if (!before) {
+          // Upserted
+          entries.push(entry(this.model, 'create', after._id, { newValues: redact(after) }));
+          continue;
+        }
+        const { changes, changedFields } = diff(before, after, this._auditRoots);
+        if (changedFields.length) {
+          entries.push(entry(this.model, updateAction(changes), after._id, { changes, changedFields }));
+        }
+      }
+
+      await auditService.logModelChanges(entries);
+    } catch (error) {
+      console.error('Error recording audit entries:', error);
+    }
+  });
+
+  // Query deletes
+  schema.pre(DELETE_QUERIES, async function () {
+    if (skipped(this.model)) return;
+
+    try {
+      const finder = this.model.find(this.getFilter()).limit(MULTI_QUERIES.includes(this.op) ? BULK_LIMIT : 1);
+      this._auditBefore = await finder.setOptions({ withDeleted: true }).lean();
+    } catch (error) {
+      console.error('Error reading documents for audit:', error);
+    }
+  });
+
+  schema.post(DELETE_QUERIES, async function () {
+    if (skipped(this.model) || !this._auditBefore?.length) return;
+
+    await auditService.logModelChanges(this._auditBefore.map((doc) =>
+      entry(this.model, doc.deletedAt ? 'purge' : 'delete', doc._id, { previousValues: redact(doc) })));
+  });
+
+  // Document deletes (doc.deleteOne())
+  schema.post('deleteOne', { document: true, query: false }, async function () {
+    if (this.$isSubdocument || skipped(this.constructor)) return;
+    const previousValues = redact(this.toObject({ depopulate: true }));
+
+    await auditService.logModelChanges([
+      entry(this.constructor, this.deletedAt ? 'purge' : 'delete', this._id, { previousValues }),
+    ]);
+  });
+
+  // Bulk inserts
+  schema.post('insertMany', async function (docs) {
+    if (skipped(this)) return;
+
+    await auditService.logModelChanges((docs || []).slice(0, BULK_LIMIT).map((doc) =>
+      entry(this, 'create', doc._id, { newValues: redact(doc.toObject ? doc.toObject({ depopulate: true }) : doc) })));
+  });
+}
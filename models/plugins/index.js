@@ -0,0 +1,8 @@
+import mongoose from 'mongoose';
+import auditPlugin from './audit.plugin.js';
+
+/**
+ * Plugins applied to every model. Imported first by app.js: models compiled before this
+ * module runs do not get them.
+ */
+mongoose.plugin(auditPlugin);
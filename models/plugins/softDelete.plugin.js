@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+const FILTERED_QUERIES = [
+  'countDocuments',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne',
+];
+
+/**
+ * Soft Delete Plugin
+ * Adds deletedAt / deletedBy and hides deleted documents from queries and aggregations.
+ * Queries that mention deletedAt themselves (the recycle bin), or run with the
+ * `withDeleted` option, see deleted documents too:
+ *   Lead.findById(id).setOptions({ withDeleted: true })
+ */
+export default function softDeletePlugin(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  });
+
+  schema.pre(FILTERED_QUERIES, function () {
+    if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function () {
+    if (this.options.withDeleted) return;
+    const [first] = this.pipeline();
+    if (first && ('$geoNear' in first || '$search' in first)) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+}
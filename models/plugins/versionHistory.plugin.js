@@ -0,0 +1,142 @@
+import EntityVersion from '../entityVersion.model.js';
+import { getRequestContext } from '../../utils/requestContext.js';
+import { diffObjects } from '../../utils/objectDiff.js';
+
+// Bookkeeping fields that do not make a new version on their own
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// updateMany versions at most this many documents
+const BULK_LIMIT = 1000;
+
+const UPDATE_QUERIES = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'];
+
+const snapshotOf = ({ _id, __v, ...snapshot }) => snapshot;
+
+/**
+ * Append a version for each document that changed since its latest version.
+ * A record edited for the first time since version history was enabled gets its
+ * previous state stored as a baseline version first.
+ * @param {Model} model - Mongoose model
+ * @param {Array<Object>} docs - Documents after the write (plain objects)
+ * @param {Map} beforeById - Documents before the write, by ID (plain objects)
+ * @param {Object} meta - { action, restoredFrom } for restores
+ */
+const recordVersions = async (model, docs, beforeById = new Map(), meta = {}) => {
+  const { userId, requestId } = getRequestContext();
+
+  for (const doc of docs) {
+    // A concurrent write may take the same version number; re-read and retry
+    for (let attempt = 0; attempt < 3; attempt++) {
+      try {
+        const latest = await EntityVersion.findOne({ entityType: model.modelName, entityId: doc._id })
+          .sort({ version: -1 })
+          .select('version snapshot')
+          .lean();
+
+        const versions = [];
+        let version = latest?.version || 0;
+        let previous = latest?.snapshot;
+
+        const before = beforeById.get(doc._id.toString());
+        if (!latest && before) {
+          previous = snapshotOf(before);
+          versions.push({ version: ++version, action: 'baseline', snapshot: previous });
+        }
+
+        const snapshot = snapshotOf(doc);
+        const { changedFields } = diffObjects(previous, snapshot, { ignore: IGNORED_FIELDS });
+        if (previous && !changedFields.length) break;
+
+        versions.push({
+          version: ++version,
+          action: previous ? meta.action || 'update' : 'create',
+          snapshot,
+          changedFields: previous ? changedFields : [],
+          changedBy: userId || null,
+          requestId,
+          restoredFrom: meta.restoredFrom ?? null,
+        });
+
+        await EntityVersion.insertMany(
+          versions.map((entry) => ({ entityType: model.modelName, entityId: doc._id, ...entry }))
+        );
+        break;
+      } catch (error) {
+        if (error.code !== 11000 || attempt === 2) {
+          console.error('Error recording version history:', error);
+          break;
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Version History Plugin
+ * Keeps a full snapshot of a record after every change in EntityVersion, so any two versions
+ * can be compared and an old version restored (services/versionHistory.service.js).
+ * Restores mark the save with doc.$locals.versionMeta = { action: 'restore', restoredFrom }.
+ * Recording never blocks or fails the write itself.
+ */
+export default function versionHistoryPlugin(schema) {
+  // Document saves
+  schema.pre('save', async function () {
+    if (this.isNew) return;
+
+    try {
+      this.$locals.versionBefore = await this.constructor.findById(this._id)
+        .setOptions({ withDeleted: true })
+        .lean();
+    } catch (error) {
+      console.error('Error reading document for version history:', error);
+    }
+  });
+
+  schema.post('save', async function () {
+    const before = this.$locals.versionBefore;
+    const meta = this.$locals.versionMeta;
+    delete this.$locals.versionBefore;
+    delete this.$locals.versionMeta;
+
+    const beforeById = new Map(before ? [[before._id.toString(), before]] : []);
+    await recordVersions(this.constructor, [this.toObject({ depopulate: true })], beforeById, meta);
+  });
+
+  // Query updates
+  schema.pre(UPDATE_QUERIES, async function () {
+    try {
+      this._versionBefore = await this.model.find(this.getFilter())
+        .sort(this.op === 'updateMany' ? null : this.getOptions().sort)
+        .limit(this.op === 'updateMany' ? BULK_LIMIT : 1)
+        .setOptions({ withDeleted: true })
+        .lean();
+    } catch (error) {
+      console.error('Error reading documents for version history:', error);
+    }
+  });
+
+  schema.post(UPDATE_QUERIES, async function () {
+    if (!this._versionBefore) return;
+
+    try {
+      const ids = this._versionBefore.map((doc) => doc._id);
+      if (!ids.length && !this.getOptions().upsert) return;
+
+      const finder = ids.length
+        ? this.model.find({ _id: { $in: ids } })
+        : this.model.find(this.getFilter()).limit(1);
+      const afterDocs = await finder.setOptions({ withDeleted: true }).lean();
+
+      const beforeById = new Map(this._versionBefore.map((doc) => [doc._id.toString(), doc]));
+      await recordVersions(this.model, afterDocs, beforeById);
+    } catch (error) {
+      console.error('Error recording version history:', error);
+    }
+  });
+
+  // Bulk inserts
+  schema.post('insertMany', async function (docs) {
+    await recordVersions(this, (docs || []).slice(0, BULK_LIMIT).map((doc) =>
+      (doc.toObject ? doc.toObject({ depopulate: true }) : doc)));
+  });
+}
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+const EXCEPTION_REASONS = [
+  'no_match', // no payment_pending payout matches the UTR / reference / amount
+  'multiple_matches', // more than one payout matches the amount; pick one by hand
+  'amount_only', // one payout matches, but on amount alone; confirm the match by hand
+  'amount_mismatch', // reference matches a payout but the amount differs
+  'already_processed', // payout is already confirmed or failed
+  'duplicate_row', // payout matched by an earlier row in the same file
+  'apply_failed', // match found but confirming / failing the payout errored
+];
+
+/**
+ * Reconciliation Exception Model
+ * A bank statement / response file row that could not be reconciled automatically
+ * and is left for the accounts team to resolve
+ */
+const reconciliationExceptionSchema = new mongoose.Schema(
+  {
+    // Import batch the row came from
+    importReference: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    sourceFile: String,
+    rowNumber: Number,
+
+    // Parsed statement row
+    transactionId: String,
+    amount: Number,
+    transactionDate: Date,
+    reference: String,
+    accountNumber: String,
+    bankStatus: {
+      type: String,
+      enum: ['success', 'failed'],
+    },
+    bankRemarks: String,
+    rawRow: mongoose.Schema.Types.Mixed,
+
+    reason: {
+      type: String,
+      enum: EXCEPTION_REASONS,
+      required: true,
+    },
+    details: String,
+
+    // Payouts that could be the match
+    candidatePayouts: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payout',
+      },
+    ],
+
+    status: {
+      type: String,
+      enum: ['open', 'resolved', 'ignored'],
+      default: 'open',
+      index: true,
+    },
+
+    // Resolution
+    resolvedPayout: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payout',
+    },
+    resolutionAction: {
+      type: String,
+      enum: ['confirmed', 'failed', 'ignored'],
+    },
+    resolutionRemarks: String,
+    resolvedAt: Date,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    importedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+reconciliationExceptionSchema.index({ status: 1, createdAt: -1 });
+reconciliationExceptionSchema.index({ transactionId: 1 });
+
+export const RECONCILIATION_EXCEPTION_REASONS_LIST = EXCEPTION_REASONS;
+export default mongoose.model('ReconciliationException', reconciliationExceptionSchema);
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import softDeletePlugin from './plugins/softDelete.plugin.js';
 
 /**
  * Merged RelationshipManager model
@@ -20,14 +21,12 @@ const relationshipSchema = new mongoose.Schema(
       type: String,
       required: true,
       lowercase: true,
-      unique: true,
       index: true,
     },
 
     mobile: {
       type: String,
       required: true,
-      unique: true,
       index: true,
     },
 
@@ -134,8 +133,14 @@ const relationshipSchema = new mongoose.Schema(
 relationshipSchema.index({ owner: 1, status: 1 });
 relationshipSchema.index({ status: 1 });
 relationshipSchema.index({ regionalManager: 1 });
+
+// Unique email and mobile among live records only (deleted ones keep their deletedAt time)
+relationshipSchema.index({ email: 1, deletedAt: 1 }, { unique: true });
+relationshipSchema.index({ mobile: 1, deletedAt: 1 }, { unique: true });
 // Note: Authentication credentials (password) are stored on the related User model.
 // RelationshipManager is a profile document and should not contain password fields.
 
+relationshipSchema.plugin(softDeletePlugin);
+
 export default mongoose.model('RelationshipManager', relationshipSchema);
 
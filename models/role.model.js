@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+import { USER_ROLES_LIST } from './user.model.js';
+import { PERMISSIONS_LIST } from '../config/permissions.js';
+
+const ROLE_STATUSES = ['active', 'inactive'];
+
+/**
+ * Role Model
+ * Admin-defined role that bundles permissions (e.g. "Senior Accountant").
+ * A custom role is based on a built-in role, which still decides the user's data scope
+ * (which leads, franchises, ledgers they see); the custom role decides what they may do.
+ */
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // Stable identifier, e.g. "senior_accountant"
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: /^[a-z][a-z0-9_]*$/,
+    },
+
+    description: String,
+
+    // Built-in role users of this role have; super_admin cannot be customised
+    baseRole: {
+      type: String,
+      enum: USER_ROLES_LIST.filter((role) => role !== 'super_admin'),
+      required: true,
+    },
+
+    // Replaces the default permissions of the base role
+    permissions: {
+      type: [String],
+      enum: PERMISSIONS_LIST,
+      default: [],
+    },
+
+    status: {
+      type: String,
+      enum: ROLE_STATUSES,
+      default: 'active',
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+roleSchema.index({ baseRole: 1, status: 1 });
+
+export const ROLE_STATUSES_LIST = ROLE_STATUSES;
+export default mongoose.model('Role', roleSchema);
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+const REVOKE_REASONS = [
+  'logout',
+  'revoked',
+  'revoke_all',
+  'password_changed',
+  'deactivated',
+  'token_reuse',
+];
+
+/**
+ * Session Model
+ * One login on one device. Holds the hash of the current refresh token, which is replaced on
+ * every refresh; access tokens carry the session ID and stop working once it is revoked.
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    // SHA-256 of the current refresh token secret
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    userAgent: String,
+
+    // Readable device label derived from the user agent (e.g. "Chrome on Windows")
+    device: String,
+
+    // IP at login and at the latest refresh
+    ipAddress: String,
+    lastIpAddress: String,
+
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Absolute end of the session; refreshing does not extend it
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    // Last two-factor check in this session (at login or a step-up); sensitive actions need a recent one
+    twoFactorVerifiedAt: Date,
+
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: REVOKE_REASONS,
+    },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const SESSION_REVOKE_REASONS_LIST = REVOKE_REASONS;
+export default mongoose.model('Session', sessionSchema);
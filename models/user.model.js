@@ -1,5 +1,15 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import softDeletePlugin from './plugins/softDelete.plugin.js';
+
+const ROLES = [
+  'super_admin',
+  'regional_manager',
+  'franchise',
+  'relationship_manager',
+  'agent',
+  'accounts_manager',
+];
 
 /**
  * Unified User Model
@@ -18,14 +28,12 @@ const userSchema = new mongoose.Schema(
       type: String,
       required: true,
       lowercase: true,
-      unique: true,
       index: true,
     },
 
     mobile: {
       type: String,
       required: true,
-      unique: true,
       index: true,
     },
 
@@ -48,16 +56,48 @@ const userSchema = new mongoose.Schema(
       select: false,
     },
 
+    // Hashes of previous passwords (newest last), checked to block reuse
+    passwordHistory: {
+      type: [String],
+      select: false,
+      default: undefined,
+    },
+
+    passwordChangedAt: Date,
+
+    // TOTP two-factor authentication
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Shared secret, encrypted (set once enrollment is confirmed)
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret shown during enrollment, until the first code is confirmed
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // SHA-256 hashes of unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+        default: undefined,
+      },
+      // Time step of the last accepted code, so a code cannot be used twice
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: Date,
+    },
+
     role: {
       type: String,
-      enum: [
-        'super_admin',
-        'regional_manager',
-        'franchise',
-        'relationship_manager',
-        'agent',
-        'accounts_manager',
-      ],
+      enum: ROLES,
       required: true,
       index: true,
     },
@@ -109,6 +149,13 @@ const userSchema = new mongoose.Schema(
       default: 0,
     },
 
+    // GST-registered agents (with a GSTIN in KYC) are charged GST on their invoices
+    agentType: {
+      type: String,
+      enum: ['normal', 'GST'],
+      default: 'normal',
+    },
+
     // For sub-agents: reference to parent agent
     parentAgent: {
       type: mongoose.Schema.Types.ObjectId,
@@ -116,12 +163,25 @@ const userSchema = new mongoose.Schema(
       index: true,
     },
 
-    // Permissions array for granular access control
+    // Custom role (same base role) whose permissions replace the defaults of `role`
+    customRole: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Role',
+      default: null,
+    },
+
+    // Permissions granted to this user on top of the role (checked against the catalog when set)
     permissions: {
       type: [String],
       default: [],
     },
 
+    // Permissions taken away from this user although the role has them
+    revokedPermissions: {
+      type: [String],
+      default: [],
+    },
+
     // KYC details (mainly for agents)
     kyc: {
       pan: String,
@@ -164,36 +224,52 @@ userSchema.index({ franchise: 1, role: 1 });
 userSchema.index({ managedBy: 1, role: 1 });
 userSchema.index({ parentAgent: 1, role: 1 });
 
-// Compare password method (supports both plain text and bcrypt hashed passwords)
+// Unique email and mobile among live records: deleted ones keep their deletedAt time, so a deleted record
+// does not block creating a new one with the same email and mobile
+userSchema.index({ email: 1, deletedAt: 1 }, { unique: true });
+userSchema.index({ mobile: 1, deletedAt: 1 }, { unique: true });
+
+const PASSWORD_SALT_ROUNDS = 10;
+
+/**
+ * Whether a stored password is already a bcrypt hash ($2a$, $2b$ or $2y$)
+ * @param {String} password - Stored password
+ * @returns {Boolean} Is hashed
+ */
+export const isPasswordHash = (password) => /^\$2[aby]\$\d{2}\$/.test(String(password || ''));
+
+/**
+ * Hash a password unless it is already a bcrypt hash
+ * @param {String} password - Plain or hashed password
+ * @returns {Promise<String>} bcrypt hash
+ */
+export const hashPassword = async (password) =>
+  isPasswordHash(password) ? password : bcrypt.hash(String(password), PASSWORD_SALT_ROUNDS);
+
+// Hash password on create / save
+userSchema.pre('save', async function () {
+  if (!this.isModified('password') || !this.password) return;
+  this.password = await hashPassword(this.password);
+});
+
+// Hash password set through findByIdAndUpdate / findOneAndUpdate / updateOne
+userSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], async function () {
+  const update = this.getUpdate();
+  if (!update) return;
+  if (update.password) update.password = await hashPassword(update.password);
+  if (update.$set?.password) update.$set.password = await hashPassword(update.$set.password);
+});
+
+// Compare password method (stored passwords are always bcrypt hashes)
 userSchema.methods.comparePassword = async function (enteredPassword) {
-  if (!this.password) {
+  if (!this.password || !isPasswordHash(this.password)) {
     console.log('❌ No password stored for user');
     return false;
   }
-
-  // Check if password is bcrypt hashed (starts with $2a$, $2b$, or $2y$)
-  const isHashed = this.password && (this.password.startsWith('$2a$') || this.password.startsWith('$2b$') || this.password.startsWith('$2y$'));
-  
-  if (isHashed) {
-    // Password is hashed, use bcrypt comparison
-    console.log('🔐 Comparing bcrypt hashed password');
-    const result = await bcrypt.compare(enteredPassword, this.password);
-    console.log('🔐 Bcrypt comparison result:', result);
-    return result;
-  }
-  
-  // Password is plain text, use direct comparison
-  console.log('🔐 Comparing plain text password');
-  console.log('🔐 Entered password length:', enteredPassword?.length);
-  console.log('🔐 Stored password length:', this.password?.length);
-  console.log('🔐 Passwords match:', enteredPassword === this.password);
-  return enteredPassword === this.password;
+  return bcrypt.compare(String(enteredPassword || ''), this.password);
 };
 
-// Method to check if user has permission
-userSchema.methods.hasPermission = function (permission) {
-  if (['super_admin', 'regional_manager'].includes(this.role)) return true;
-  return this.permissions.includes(permission);
-};
+userSchema.plugin(softDeletePlugin);
 
+export const USER_ROLES_LIST = ROLES;
 export default mongoose.model('User', userSchema);
@@ -12,14 +12,14 @@ import {
   addLeadNote
 } from '../controllers/accountantDashboard.controller.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
-import { requireRole } from '../middlewares/role.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
 import { validateRequired } from '../middlewares/validation.middleware.js';
 
 const accountantRouter = Router();
 
 // All routes require authentication and accounts_manager role
 accountantRouter.use(authenticate);
-accountantRouter.use(requireRole('accounts_manager'));
+accountantRouter.use(requirePermission('dashboard.accounts'));
 
 // 5️⃣ Accountant Dashboard Summary
 accountantRouter.get('/dashboard', getDashboardSummary);
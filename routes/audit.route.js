@@ -0,0 +1,16 @@
+import { Router } from 'express';
+import { getAuditLogs, getEntityTimeline, getAuditLogById } from '../controllers/audit.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+
+const auditRouter = Router();
+
+// All routes require authentication and audit access
+auditRouter.use(authenticate);
+auditRouter.use(requirePermission('audit.view'));
+
+auditRouter.get('/', getAuditLogs);
+auditRouter.get('/timeline/:entityId', getEntityTimeline);
+auditRouter.get('/:id', getAuditLogById);
+
+export default auditRouter;
@@ -1,6 +1,27 @@
 import { Router } from 'express';
-import { login, signup, logout, getMe, changePassword, updateProfile } from '../controllers/auth.controller.js';
-import { authenticate } from '../middlewares/auth.middleware.js';
+import {
+  login,
+  signup,
+  logout,
+  getMe,
+  changePassword,
+  updateProfile,
+  refreshAccessToken,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  createDownloadUrl,
+  forgotPassword,
+  resetPassword,
+  verifyLoginTwoFactor,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  stepUpTwoFactor,
+} from '../controllers/auth.controller.js';
+import { authenticate, optionalAuthenticate } from '../middlewares/auth.middleware.js';
 
 const authRouter = Router();
 
@@ -8,11 +29,34 @@ const authRouter = Router();
 authRouter.post('/login', login);
 authRouter.post('/signup', signup);
 authRouter.post('/register', signup); // Alias for signup
+authRouter.post('/refresh', refreshAccessToken);
+authRouter.post('/forgot-password', forgotPassword);
+authRouter.post('/reset-password', resetPassword);
+// Second login step for users with two-factor authentication (challenge token from /login)
+authRouter.post('/2fa/login', verifyLoginTwoFactor);
+
+// Logout works with an expired access token (the refresh token identifies the session)
+authRouter.post('/logout', optionalAuthenticate, logout);
 
 // Protected routes
-authRouter.post('/logout', authenticate, logout);
 authRouter.get('/me', authenticate, getMe);
 authRouter.put('/profile', authenticate, updateProfile);
 authRouter.post('/change-password', authenticate, changePassword);
 
+// Sessions (devices)
+authRouter.get('/sessions', authenticate, getSessions);
+authRouter.delete('/sessions', authenticate, revokeAllSessions);
+authRouter.delete('/sessions/:id', authenticate, revokeSession);
+
+// Two-factor authentication (enrollment, recovery codes, step-up before sensitive actions)
+authRouter.get('/2fa', authenticate, getTwoFactorStatus);
+authRouter.post('/2fa/setup', authenticate, setupTwoFactor);
+authRouter.post('/2fa/enable', authenticate, enableTwoFactor);
+authRouter.post('/2fa/disable', authenticate, disableTwoFactor);
+authRouter.post('/2fa/recovery-codes', authenticate, regenerateRecoveryCodes);
+authRouter.post('/2fa/verify', authenticate, stepUpTwoFactor);
+
+// Single-use signed URL for file downloads opened outside the API client
+authRouter.post('/download-url', authenticate, createDownloadUrl);
+
 export default authRouter;
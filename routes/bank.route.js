@@ -9,7 +9,7 @@ import {
   deleteBank,
 } from '../controllers/bank.controller.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
-import { requireRole } from '../middlewares/role.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
 
 const bankRouter = Router();
 
@@ -17,14 +17,14 @@ const bankRouter = Router();
 bankRouter.use(authenticate);
 
 // CRUD operations
-bankRouter.post('/', requireRole('super_admin'), createBank);
+bankRouter.post('/', requirePermission('bank.manage'), createBank);
 bankRouter.get('/', getBanks);
 bankRouter.get('/:id', getBankById);
-bankRouter.put('/:id', requireRole('super_admin'), updateBank);
-bankRouter.delete('/:id', requireRole('super_admin'), deleteBank);
-bankRouter.put('/:id/status', requireRole('super_admin'), updateBankStatus);
+bankRouter.put('/:id', requirePermission('bank.manage'), updateBank);
+bankRouter.delete('/:id', requirePermission('bank.manage'), deleteBank);
+bankRouter.put('/:id/status', requirePermission('bank.manage'), updateBankStatus);
 
 // Send email to bank
-bankRouter.post('/:id/send-email', requireRole('relationship_manager'), sendBankEmail);
+bankRouter.post('/:id/send-email', requirePermission('bank.send_email'), sendBankEmail);
 
 export default bankRouter;
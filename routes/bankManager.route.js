@@ -8,17 +8,17 @@ import {
   deleteBankManager,
 } from '../controllers/bankManager.controller.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
-import { requireRole } from '../middlewares/role.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
 
 const bankManagerRouter = Router();
 
 bankManagerRouter.use(authenticate);
 
-bankManagerRouter.post('/', requireRole('super_admin', 'regional_manager', 'relationship_manager', 'franchise'), createBankManager);
+bankManagerRouter.post('/', requirePermission('bank_manager.manage'), createBankManager);
 bankManagerRouter.get('/', getBankManagers);
 bankManagerRouter.get('/:id', getBankManagerById);
-bankManagerRouter.put('/:id', requireRole('super_admin', 'regional_manager', 'relationship_manager', 'franchise'), updateBankManager);
-bankManagerRouter.delete('/:id', requireRole('super_admin', 'regional_manager', 'relationship_manager', 'franchise'), deleteBankManager);
-bankManagerRouter.put('/:id/status', requireRole('super_admin', 'regional_manager', 'relationship_manager', 'franchise'), updateBankManagerStatus);
+bankManagerRouter.put('/:id', requirePermission('bank_manager.manage'), updateBankManager);
+bankManagerRouter.delete('/:id', requirePermission('bank_manager.manage'), deleteBankManager);
+bankManagerRouter.put('/:id/status', requirePermission('bank_manager.manage'), updateBankManagerStatus);
 
 export default bankManagerRouter;
@@ -8,7 +8,7 @@ import {
   deleteBanner,
 } from '../controllers/banner.controller.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
-import { requireRole } from '../middlewares/role.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
 
 const bannerRouter = Router();
 
@@ -19,10 +19,10 @@ bannerRouter.get('/:id', getBannerById);
 // Authenticated + role-restricted routes for managing banners
 bannerRouter.use(authenticate);
 
-bannerRouter.post('/', requireRole('super_admin'), createBanner);
-bannerRouter.put('/:id', requireRole('super_admin'), updateBanner);
-bannerRouter.delete('/:id', requireRole('super_admin'), deleteBanner);
-bannerRouter.put('/:id/status', requireRole('super_admin'), updateBannerStatus);
+bannerRouter.post('/', requirePermission('banner.manage'), createBanner);
+bannerRouter.put('/:id', requirePermission('banner.manage'), updateBanner);
+bannerRouter.delete('/:id', requirePermission('banner.manage'), deleteBanner);
+bannerRouter.put('/:id/status', requirePermission('banner.manage'), updateBannerStatus);
 
 export default bannerRouter;
 
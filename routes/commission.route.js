@@ -3,10 +3,13 @@ import {
   getCommissionRules,
   createCommissionRule,
   updateCommissionRule,
+  simulateCommissionRules,
   calculateCommission,
+  previewCommissionWaterfall,
+  getLeadCommissionLedger,
 } from '../controllers/commission.controller.js';
-import { authenticate } from '../middlewares/auth.middleware.js';
-import { requireRole } from '../middlewares/role.middleware.js';
+import { authenticate, requireTwoFactorStepUp } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
 
 const commissionRouter = Router();
 
@@ -19,8 +22,13 @@ commissionRouter.get('/rules', getCommissionRules);
 // Calculate commission for a lead
 commissionRouter.post('/calculate/:id', calculateCommission);
 
-// Admin/Manager actions
-commissionRouter.post('/rules', requireRole('super_admin'), createCommissionRule);
-commissionRouter.put('/rules/:id', requireRole('super_admin'), updateCommissionRule);
+// Commission waterfall and ledger for a lead
+commissionRouter.get('/waterfall/:id', requirePermission('commission.view_ledger'), previewCommissionWaterfall);
+commissionRouter.get('/ledger/:id', requirePermission('commission.view_ledger'), getLeadCommissionLedger);
+
+// Admin/Manager actions (rule changes need a recent two-factor check)
+commissionRouter.post('/rules', requirePermission('commission_rule.manage'), requireTwoFactorStepUp, createCommissionRule);
+commissionRouter.post('/rules/simulate', requirePermission('commission_rule.simulate'), simulateCommissionRules);
+commissionRouter.put('/rules/:id', requirePermission('commission_rule.manage'), requireTwoFactorStepUp, updateCommissionRule);
 
 export default commissionRouter;
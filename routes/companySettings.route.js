@@ -3,8 +3,8 @@ import {
   getCompanySettings,
   updateCompanySettings,
 } from '../controllers/companySettings.controller.js';
-import { authenticate } from '../middlewares/auth.middleware.js';
-import { requireRole } from '../middlewares/role.middleware.js';
+import { authenticate, requireTwoFactorStepUp } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
 
 const companySettingsRouter = Router();
 
@@ -14,8 +14,8 @@ companySettingsRouter.use(authenticate);
 // Get company settings (all authenticated users)
 companySettingsRouter.get('/', getCompanySettings);
 
-// Update company settings (Admin only)
-companySettingsRouter.put('/', requireRole('super_admin'), updateCompanySettings);
+// Update company settings (Admin only, recent two-factor check)
+companySettingsRouter.put('/', requirePermission('company_settings.update'), requireTwoFactorStepUp, updateCompanySettings);
 
 export default companySettingsRouter;
 
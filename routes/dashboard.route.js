@@ -8,7 +8,7 @@ import {
   getRelationshipManagerDashboard,
 } from '../controllers/dashboard.controller.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
-import { requireRole } from '../middlewares/role.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
 
 const dashboardRouter = Router();
 
@@ -16,10 +16,10 @@ const dashboardRouter = Router();
 dashboardRouter.use(authenticate);
 
 // Role-based dashboards
-dashboardRouter.get('/agent', requireRole('agent'), getAgentDashboard);
-dashboardRouter.get('/staff', requireRole('relationship_manager'), getRelationshipManagerDashboard);
-dashboardRouter.get('/accounts', requireRole('accounts_manager'), getAccountsDashboard);
-dashboardRouter.get('/admin', requireRole('super_admin', 'regional_manager'), getAdminDashboard);
-dashboardRouter.get('/franchise', requireRole('franchise'), getFranchiseOwnerDashboard);
+dashboardRouter.get('/agent', requirePermission('dashboard.agent'), getAgentDashboard);
+dashboardRouter.get('/staff', requirePermission('dashboard.relationship_manager'), getRelationshipManagerDashboard);
+dashboardRouter.get('/accounts', requirePermission('dashboard.accounts'), getAccountsDashboard);
+dashboardRouter.get('/admin', requirePermission('dashboard.admin'), getAdminDashboard);
+dashboardRouter.get('/franchise', requirePermission('dashboard.franchise'), getFranchiseOwnerDashboard);
 
 export default dashboardRouter;
@@ -8,7 +8,7 @@ import {
   downloadDocument,
 } from '../controllers/document.controller.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
-import { requireRole } from '../middlewares/role.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
 
 const documentRouter = Router();
 
@@ -28,7 +28,7 @@ documentRouter.get('/:entityType/:entityId', getDocuments);
 documentRouter.get('/:id', getDocumentById);
 
 // Verify document (Staff/Franchise Owner)
-documentRouter.post('/:id/verify', requireRole('relationship_manager', 'franchise'), verifyDocument);
+documentRouter.post('/:id/verify', requirePermission('document.verify'), verifyDocument);
 
 // Delete document
 documentRouter.delete('/:id', deleteDocument);
@@ -5,19 +5,26 @@ import {
   getForm16ById,
   updateForm16,
   deleteForm16,
+  getQuarterlyTdsSummary,
+  generateForm16A,
 } from '../controllers/form16.controller.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
-import { requireRole } from '../middlewares/role.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
 
 const form16Router = Router();
 
 form16Router.use(authenticate);
 
-form16Router.post('/', requireRole('super_admin', 'accounts_manager', 'agent'), createForm16);
+form16Router.post('/', requirePermission('form16.manage'), createForm16);
 form16Router.get('/', getForm16List);
+
+// Quarterly TDS per PAN and generated Form 16A certificates (before /:id)
+form16Router.get('/tds-summary', requirePermission('form16.generate'), getQuarterlyTdsSummary);
+form16Router.post('/generate-16a', requirePermission('form16.generate'), generateForm16A);
+
 form16Router.get('/:id', getForm16ById);
-form16Router.put('/:id', requireRole('super_admin', 'accounts_manager', 'agent'), updateForm16);
-form16Router.delete('/:id', requireRole('super_admin', 'accounts_manager', 'agent'), deleteForm16);
+form16Router.put('/:id', requirePermission('form16.manage'), updateForm16);
+form16Router.delete('/:id', requirePermission('form16.manage'), deleteForm16);
 
 export default form16Router;
 
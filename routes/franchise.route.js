@@ -11,7 +11,7 @@ import {
   deleteFranchise,
 } from '../controllers/franchise.controller.js';
 import { authenticate, optionalAuthenticate } from '../middlewares/auth.middleware.js';
-import { requireRole } from '../middlewares/role.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
 
 const franchiseRouter = Router();
 
@@ -22,17 +22,17 @@ franchiseRouter.get('/active', optionalAuthenticate, getActiveFranchises);
 franchiseRouter.use(authenticate);
 
 // CRUD operations
-franchiseRouter.post('/', requireRole('super_admin', 'regional_manager', 'relationship_manager'), createFranchise);
+franchiseRouter.post('/', requirePermission('franchise.manage'), createFranchise);
 franchiseRouter.get('/', getFranchises);
 franchiseRouter.get('/:id', getFranchiseById);
-franchiseRouter.put('/:id', requireRole('super_admin', 'regional_manager', 'relationship_manager'), updateFranchise);
-franchiseRouter.delete('/:id', requireRole('super_admin', 'regional_manager', 'relationship_manager'), deleteFranchise);
-franchiseRouter.put('/:id/status', requireRole('super_admin', 'regional_manager', 'relationship_manager'), updateFranchiseStatus);
+franchiseRouter.put('/:id', requirePermission('franchise.manage'), updateFranchise);
+franchiseRouter.delete('/:id', requirePermission('franchise.manage'), deleteFranchise);
+franchiseRouter.put('/:id/status', requirePermission('franchise.manage'), updateFranchiseStatus);
 
 // Franchise agents
-franchiseRouter.get('/:id/agents', requireRole('super_admin', 'regional_manager', 'franchise'), getFranchiseAgents);
+franchiseRouter.get('/:id/agents', requirePermission('franchise.view_agents'), getFranchiseAgents);
 
 // Franchise performance
-franchiseRouter.get('/:id/performance', requireRole('super_admin', 'regional_manager'), getFranchisePerformance);
+franchiseRouter.get('/:id/performance', requirePermission('franchise.view_performance'), getFranchisePerformance);
 
 export default franchiseRouter;
@@ -8,7 +8,7 @@ import {
   deleteFranchiseCommissionLimit,
 } from '../controllers/franchiseCommissionLimit.controller.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
-import { requireRole } from '../middlewares/role.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
 
 const franchiseCommissionLimitRouter = Router();
 
@@ -21,9 +21,9 @@ franchiseCommissionLimitRouter.get('/bank/:bankId', getFranchiseCommissionLimitB
 franchiseCommissionLimitRouter.get('/:id', getFranchiseCommissionLimitById);
 
 // Write operations - only for admin or accounts_manager
-franchiseCommissionLimitRouter.post('/', requireRole('super_admin', 'accounts_manager'), createFranchiseCommissionLimit);
-franchiseCommissionLimitRouter.put('/:id', requireRole('super_admin', 'accounts_manager'), updateFranchiseCommissionLimit);
-franchiseCommissionLimitRouter.delete('/:id', requireRole('super_admin', 'accounts_manager'), deleteFranchiseCommissionLimit);
+franchiseCommissionLimitRouter.post('/', requirePermission('franchise_commission_limit.manage'), createFranchiseCommissionLimit);
+franchiseCommissionLimitRouter.put('/:id', requirePermission('franchise_commission_limit.manage'), updateFranchiseCommissionLimit);
+franchiseCommissionLimitRouter.delete('/:id', requirePermission('franchise_commission_limit.manage'), deleteFranchiseCommissionLimit);
 
 export default franchiseCommissionLimitRouter;
 
@@ -2,6 +2,9 @@ import { Router } from 'express';
 import {
   getInvoices,
   getInvoiceById,
+  downloadInvoicePdf,
+  getNotesForInvoice,
+  cancelInvoice,
   acceptInvoice,
   escalateInvoice,
   resolveEscalation,
@@ -11,9 +14,10 @@ import {
   updateInvoice,
   deleteInvoice,
   generateInvoiceFromLead,
+  generateTrancheInvoices,
 } from '../controllers/invoice.controller.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
-import { requireRole } from '../middlewares/role.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
 
 const invoiceRouter = Router();
 
@@ -21,20 +25,24 @@ const invoiceRouter = Router();
 invoiceRouter.use(authenticate);
 
 // CRUD operations
-invoiceRouter.post('/', requireRole('super_admin'), createInvoice); // Only admin can manually create
-invoiceRouter.post('/generate/:leadId', requireRole('super_admin', 'accounts_manager'), generateInvoiceFromLead); // Generate from lead
+invoiceRouter.post('/', requirePermission('invoice.create'), createInvoice); // Only admin can manually create
+invoiceRouter.post('/generate/:leadId', requirePermission('invoice.generate'), generateInvoiceFromLead); // Generate from lead
+invoiceRouter.post('/generate/:leadId/disbursements/:disbursementId', requirePermission('invoice.generate'), generateTrancheInvoices); // Generate for one tranche
 invoiceRouter.get('/', getInvoices);
 invoiceRouter.get('/:id', getInvoiceById);
-invoiceRouter.put('/:id', requireRole('super_admin', 'accounts_manager'), updateInvoice);
-invoiceRouter.delete('/:id', requireRole('super_admin'), deleteInvoice);
+invoiceRouter.get('/:id/pdf', downloadInvoicePdf);
+invoiceRouter.get('/:id/notes', getNotesForInvoice);
+invoiceRouter.put('/:id', requirePermission('invoice.update'), updateInvoice);
+invoiceRouter.delete('/:id', requirePermission('invoice.delete'), deleteInvoice);
+invoiceRouter.post('/:id/cancel', requirePermission('invoice.cancel'), cancelInvoice); // Issues a credit note
 
 // Agent actions
-invoiceRouter.post('/:id/accept', requireRole('agent'), acceptInvoice);
-invoiceRouter.post('/:id/escalate', requireRole('agent'), escalateInvoice);
+invoiceRouter.post('/:id/accept', requirePermission('invoice.accept'), acceptInvoice);
+invoiceRouter.post('/:id/escalate', requirePermission('invoice.escalate'), escalateInvoice);
 
 // Staff/Franchise Owner actions
-invoiceRouter.post('/:id/resolve', requireRole('relationship_manager', 'franchise'), resolveEscalation);
-invoiceRouter.post('/:id/approve', requireRole('relationship_manager', 'accounts_manager', 'franchise'), approveInvoice);
-invoiceRouter.post('/:id/reject', requireRole('relationship_manager', 'accounts_manager', 'franchise'), rejectInvoice);
+invoiceRouter.post('/:id/resolve', requirePermission('invoice.resolve_escalation'), resolveEscalation);
+invoiceRouter.post('/:id/approve', requirePermission('invoice.approve'), approveInvoice);
+invoiceRouter.post('/:id/reject', requirePermission('invoice.approve'), rejectInvoice);
 
 export default invoiceRouter;
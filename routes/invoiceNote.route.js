@@ -0,0 +1,21 @@
+import { Router } from 'express';
+import {
+  getInvoiceNotes,
+  getInvoiceNoteById,
+  createInvoiceNote,
+  downloadInvoiceNotePdf,
+} from '../controllers/invoiceNote.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+
+const invoiceNoteRouter = Router();
+
+// All routes require authentication
+invoiceNoteRouter.use(authenticate);
+
+invoiceNoteRouter.get('/', requirePermission('invoice_note.view'), getInvoiceNotes);
+invoiceNoteRouter.post('/', requirePermission('invoice_note.create'), createInvoiceNote);
+invoiceNoteRouter.get('/:id', requirePermission('invoice_note.view'), getInvoiceNoteById);
+invoiceNoteRouter.get('/:id/pdf', requirePermission('invoice_note.view'), downloadInvoiceNotePdf);
+
+export default invoiceNoteRouter;
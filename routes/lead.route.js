@@ -15,9 +15,14 @@ import {
   forwardLeadToRM,
   getDisbursementEmailPreview,
   sendDisbursementEmail,
+  getDuplicateReviewQueue,
+  reviewDuplicateLead,
+  importLeads,
+  downloadLeadImportErrors,
 } from '../controllers/lead.controller.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
-import { requireRole } from '../middlewares/role.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+import fileUploadService from '../services/fileUpload.service.js';
 
 const leadRouter = Router();
 
@@ -25,18 +30,22 @@ const leadRouter = Router();
 leadRouter.use(authenticate);
 
 // CRUD operations
-leadRouter.post('/', createLead);
+leadRouter.post('/', requirePermission('lead.create'), createLead);
 leadRouter.get('/', getLeads);
-leadRouter.get('/approved', requireRole('super_admin', 'accounts_manager'), getApprovedLeads);
+leadRouter.get('/approved', requirePermission('lead.view_approved'), getApprovedLeads);
+leadRouter.post('/import', requirePermission('lead.import'), fileUploadService.getSpreadsheetUploadMiddleware('file'), importLeads);
+leadRouter.get('/import/errors/:filename', requirePermission('lead.import'), downloadLeadImportErrors);
+leadRouter.get('/duplicates/review-queue', requirePermission('lead.review_duplicates'), getDuplicateReviewQueue);
 leadRouter.get('/:id', getLeadById);
-leadRouter.post('/:id/disbursement', requireRole('super_admin', 'accounts_manager'), addDisbursement);
+leadRouter.post('/:id/disbursement', requirePermission('lead.disburse'), addDisbursement);
 leadRouter.put('/:id', updateLead);
-leadRouter.delete('/:id', requireRole('super_admin', 'regional_manager', 'relationship_manager', 'franchise', 'accounts_manager'), deleteLead);
+leadRouter.delete('/:id', requirePermission('lead.delete'), deleteLead);
 leadRouter.put('/:id/status', updateLeadStatus);
-leadRouter.post('/:id/forward-to-rm', requireRole('franchise'), forwardLeadToRM);
+leadRouter.post('/:id/forward-to-rm', requirePermission('lead.forward'), forwardLeadToRM);
+leadRouter.put('/:id/duplicate-review', requirePermission('lead.review_duplicates'), reviewDuplicateLead);
 
 // Verification (Staff/Franchise Owner)
-leadRouter.post('/:id/verify', requireRole('regional_manager', 'relationship_manager', 'franchise'), verifyLead);
+leadRouter.post('/:id/verify', requirePermission('lead.verify'), verifyLead);
 
 // Document management
 leadRouter.get('/:id/documents', getLeadDocuments);
@@ -46,7 +55,7 @@ leadRouter.post('/:id/documents', uploadLeadDocument);
 leadRouter.get('/:id/history', getLeadHistory);
 
 // Disbursement confirmation email endpoints - all roles except agent can access
-leadRouter.get('/:id/disbursement-email/preview', requireRole('super_admin', 'relationship_manager', 'regional_manager', 'franchise', 'accounts_manager'), getDisbursementEmailPreview);
-leadRouter.post('/:id/disbursement-email/send', requireRole('super_admin', 'relationship_manager', 'regional_manager', 'franchise', 'accounts_manager'), sendDisbursementEmail);
+leadRouter.get('/:id/disbursement-email/preview', requirePermission('lead.disbursement_email'), getDisbursementEmailPreview);
+leadRouter.post('/:id/disbursement-email/send', requirePermission('lead.disbursement_email'), sendDisbursementEmail);
 
 export default leadRouter;
@@ -1,7 +1,7 @@
 import express from 'express';
 import { createLeadForm, updateLeadForm, getLeadFormByBank, getNewLeadForm, listLeadForms } from '../controllers/leadForm.controller.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
-import { requireRole } from '../middlewares/role.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
 
 const router = express.Router();
 
@@ -11,9 +11,9 @@ router.get('/new-lead', authenticate, getNewLeadForm);
 
 // Protected admin routes for managing lead forms
 router.use(authenticate);
-router.post('/', requireRole('super_admin', 'accounts_manager', 'regional_manager'), createLeadForm);
-router.put('/:id', requireRole('super_admin', 'accounts_manager', 'regional_manager'), updateLeadForm);
-router.get('/', requireRole('super_admin', 'accounts_manager', 'regional_manager'), listLeadForms);
+router.post('/', requirePermission('lead_form.manage'), createLeadForm);
+router.put('/:id', requirePermission('lead_form.manage'), updateLeadForm);
+router.get('/', requirePermission('lead_form.manage'), listLeadForms);
 
 export default router;
 
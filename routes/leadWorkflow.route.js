@@ -0,0 +1,28 @@
+import { Router } from 'express';
+import {
+  getLeadWorkflows,
+  resolveLeadWorkflow,
+  getLeadWorkflowById,
+  createLeadWorkflow,
+  updateLeadWorkflow,
+  deleteLeadWorkflow,
+} from '../controllers/leadWorkflow.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+
+const leadWorkflowRouter = Router();
+
+// All routes require authentication
+leadWorkflowRouter.use(authenticate);
+
+// Effective workflow for a bank / loan type - used by lead screens to show allowed next statuses
+leadWorkflowRouter.get('/resolve', resolveLeadWorkflow);
+
+// Workflow configuration - super admin only
+leadWorkflowRouter.get('/', requirePermission('lead_workflow.manage'), getLeadWorkflows);
+leadWorkflowRouter.get('/:id', requirePermission('lead_workflow.manage'), getLeadWorkflowById);
+leadWorkflowRouter.post('/', requirePermission('lead_workflow.manage'), createLeadWorkflow);
+leadWorkflowRouter.put('/:id', requirePermission('lead_workflow.manage'), updateLeadWorkflow);
+leadWorkflowRouter.delete('/:id', requirePermission('lead_workflow.manage'), deleteLeadWorkflow);
+
+export default leadWorkflowRouter;
@@ -0,0 +1,21 @@
+import { Router } from 'express';
+import {
+  getLowerDeductionCertificates,
+  createLowerDeductionCertificate,
+  updateLowerDeductionCertificate,
+  deleteLowerDeductionCertificate,
+} from '../controllers/lowerDeductionCertificate.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+
+const lowerDeductionCertificateRouter = Router();
+
+// All routes require authentication
+lowerDeductionCertificateRouter.use(authenticate);
+
+lowerDeductionCertificateRouter.get('/', requirePermission('tds_certificate.view'), getLowerDeductionCertificates);
+lowerDeductionCertificateRouter.post('/', requirePermission('tds_certificate.manage'), createLowerDeductionCertificate);
+lowerDeductionCertificateRouter.put('/:id', requirePermission('tds_certificate.manage'), updateLowerDeductionCertificate);
+lowerDeductionCertificateRouter.delete('/:id', requirePermission('tds_certificate.delete'), deleteLowerDeductionCertificate);
+
+export default lowerDeductionCertificateRouter;
@@ -0,0 +1,30 @@
+import { Router } from 'express';
+import {
+  getOnboardingPartners,
+  submitApplication,
+  getApplicationStatus,
+  resubmitApplication,
+  getApplications,
+  getApplicationById,
+  approveApplication,
+  rejectApplication,
+} from '../controllers/onboarding.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+import fileUploadService from '../services/fileUpload.service.js';
+
+const onboardingRouter = Router();
+
+// Public routes (applicants have no account yet; status and resubmission need the application's access token)
+onboardingRouter.get('/partners', getOnboardingPartners);
+onboardingRouter.post('/applications', fileUploadService.getAnyUploadMiddleware(), submitApplication);
+onboardingRouter.get('/applications/:id/status', getApplicationStatus);
+onboardingRouter.put('/applications/:id/resubmit', fileUploadService.getAnyUploadMiddleware(), resubmitApplication);
+
+// Review queue
+onboardingRouter.get('/queue', authenticate, requirePermission('onboarding.review'), getApplications);
+onboardingRouter.get('/queue/:id', authenticate, requirePermission('onboarding.review'), getApplicationById);
+onboardingRouter.post('/queue/:id/approve', authenticate, requirePermission('onboarding.review'), approveApplication);
+onboardingRouter.post('/queue/:id/reject', authenticate, requirePermission('onboarding.review'), rejectApplication);
+
+export default onboardingRouter;
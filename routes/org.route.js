@@ -0,0 +1,30 @@
+import { Router } from 'express';
+import {
+  getOrgTree,
+  getUserAncestors,
+  getUserDescendants,
+  getOrgUnits,
+  createOrgUnit,
+  updateOrgUnit,
+  deleteOrgUnit,
+} from '../controllers/org.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+
+const orgRouter = Router();
+
+// All routes require authentication
+orgRouter.use(authenticate);
+
+// Hierarchy lookups
+orgRouter.get('/tree', requirePermission('org.view_tree'), getOrgTree);
+orgRouter.get('/users/:id/above', requirePermission('org.view_tree'), getUserAncestors);
+orgRouter.get('/users/:id/below', requirePermission('org.view_tree'), getUserDescendants);
+
+// Zones and regions
+orgRouter.get('/units', requirePermission('org.view_tree', 'org.manage'), getOrgUnits);
+orgRouter.post('/units', requirePermission('org.manage'), createOrgUnit);
+orgRouter.put('/units/:id', requirePermission('org.manage'), updateOrgUnit);
+orgRouter.delete('/units/:id', requirePermission('org.manage'), deleteOrgUnit);
+
+export default orgRouter;
@@ -0,0 +1,20 @@
+import { Router } from 'express';
+import {
+  getLedgerStatement,
+  createLedgerAdjustment,
+} from '../controllers/partnerLedger.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+
+const partnerLedgerRouter = Router();
+
+// All routes require authentication
+partnerLedgerRouter.use(authenticate);
+
+// Manual debit / credit adjustments - admin and accounts
+partnerLedgerRouter.post('/adjustments', requirePermission('partner_ledger.adjust'), createLedgerAdjustment);
+
+// Statement for an agent, sub-agent, franchise or RM (?from, ?to, ?format=excel); access checked per party
+partnerLedgerRouter.get('/:partyType/:partyId', getLedgerStatement);
+
+export default partnerLedgerRouter;
@@ -4,13 +4,16 @@ import {
   getPayoutById,
   processPayouts,
   generateBankCsvFile,
+  generatePayoutBatchFile,
+  downloadPayoutFile,
   confirmPayment,
+  markPayoutFailed,
   createPayout,
   updatePayout,
   deletePayout,
 } from '../controllers/payout.controller.js';
-import { authenticate } from '../middlewares/auth.middleware.js';
-import { requireRole } from '../middlewares/role.middleware.js';
+import { authenticate, requireTwoFactorStepUp } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
 
 const payoutRouter = Router();
 
@@ -24,7 +27,7 @@ const setupFileUpload = async () => {
 };
 
 // CRUD operations
-payoutRouter.post('/', requireRole('super_admin', 'accounts_manager', 'relationship_manager'), async (req, res, next) => {
+payoutRouter.post('/', requirePermission('payout.manage'), async (req, res, next) => {
   try {
     const upload = await setupFileUpload();
     upload(req, res, (err) => {
@@ -41,8 +44,13 @@ payoutRouter.post('/', requireRole('super_admin', 'accounts_manager', 'relations
   }
 });
 payoutRouter.get('/', getPayouts);
+
+// Bank payment files (one file can batch many payouts)
+payoutRouter.post('/bank-file', requirePermission('payout.bank_file'), generatePayoutBatchFile);
+payoutRouter.get('/bank-files/:filename', requirePermission('payout.bank_file'), downloadPayoutFile);
+
 payoutRouter.get('/:id', getPayoutById);
-payoutRouter.put('/:id', requireRole('super_admin', 'accounts_manager', 'relationship_manager'), async (req, res, next) => {
+payoutRouter.put('/:id', requirePermission('payout.manage'), async (req, res, next) => {
   try {
     const upload = await setupFileUpload();
     upload(req, res, (err) => {
@@ -58,11 +66,12 @@ payoutRouter.put('/:id', requireRole('super_admin', 'accounts_manager', 'relatio
     next(error);
   }
 });
-payoutRouter.delete('/:id', requireRole('super_admin', 'accounts_manager', 'relationship_manager'), deletePayout);
+payoutRouter.delete('/:id', requirePermission('payout.manage'), deletePayout);
 
 // Accounts manager actions
-payoutRouter.post('/process', requireRole('accounts_manager'), processPayouts);
-payoutRouter.post('/:id/generate-csv', requireRole('accounts_manager'), generateBankCsvFile);
-payoutRouter.post('/:id/confirm', requireRole('accounts_manager'), confirmPayment);
+payoutRouter.post('/process', requirePermission('payout.process'), processPayouts);
+payoutRouter.post('/:id/generate-csv', requirePermission('payout.bank_file'), generateBankCsvFile);
+payoutRouter.post('/:id/confirm', requirePermission('payout.confirm'), requireTwoFactorStepUp, confirmPayment);
+payoutRouter.post('/:id/mark-failed', requirePermission('payout.mark_failed'), markPayoutFailed);
 
 export default payoutRouter;
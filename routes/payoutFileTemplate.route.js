@@ -0,0 +1,26 @@
+import { Router } from 'express';
+import {
+  getPayoutFileTemplates,
+  getPayoutFileTemplateById,
+  createPayoutFileTemplate,
+  updatePayoutFileTemplate,
+  deletePayoutFileTemplate,
+} from '../controllers/payoutFileTemplate.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+
+const payoutFileTemplateRouter = Router();
+
+// All routes require authentication
+payoutFileTemplateRouter.use(authenticate);
+
+// Accounts pick a template when exporting payouts
+payoutFileTemplateRouter.get('/', requirePermission('payout_file_template.view'), getPayoutFileTemplates);
+payoutFileTemplateRouter.get('/:id', requirePermission('payout_file_template.view'), getPayoutFileTemplateById);
+
+// Template definitions - super admin only
+payoutFileTemplateRouter.post('/', requirePermission('payout_file_template.manage'), createPayoutFileTemplate);
+payoutFileTemplateRouter.put('/:id', requirePermission('payout_file_template.manage'), updatePayoutFileTemplate);
+payoutFileTemplateRouter.delete('/:id', requirePermission('payout_file_template.manage'), deletePayoutFileTemplate);
+
+export default payoutFileTemplateRouter;
@@ -0,0 +1,23 @@
+import { Router } from 'express';
+import {
+  importBankStatement,
+  getReconciliationExceptions,
+  resolveReconciliationException,
+} from '../controllers/reconciliation.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+import fileUploadService from '../services/fileUpload.service.js';
+
+const reconciliationRouter = Router();
+
+// All routes require authentication
+reconciliationRouter.use(authenticate);
+
+// Bank statement / payment response import (CSV or Excel)
+reconciliationRouter.post('/bank-statements', requirePermission('reconciliation.manage'), fileUploadService.getSpreadsheetUploadMiddleware('file'), importBankStatement);
+
+// Rows that could not be matched automatically
+reconciliationRouter.get('/exceptions', requirePermission('reconciliation.manage'), getReconciliationExceptions);
+reconciliationRouter.put('/exceptions/:id/resolve', requirePermission('reconciliation.manage'), resolveReconciliationException);
+
+export default reconciliationRouter;
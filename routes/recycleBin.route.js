@@ -0,0 +1,22 @@
+import { Router } from 'express';
+import {
+  getRecycleBinSummary,
+  getDeletedRecords,
+  restoreRecord,
+  purgeRecord,
+} from '../controllers/recycleBin.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+
+const recycleBinRouter = Router();
+
+// All routes require authentication and recycle bin access (super_admin by default)
+recycleBinRouter.use(authenticate);
+recycleBinRouter.use(requirePermission('recycle_bin.manage'));
+
+recycleBinRouter.get('/', getRecycleBinSummary);
+recycleBinRouter.get('/:entityType', getDeletedRecords);
+recycleBinRouter.post('/:entityType/:id/restore', restoreRecord);
+recycleBinRouter.delete('/:entityType/:id', purgeRecord);
+
+export default recycleBinRouter;
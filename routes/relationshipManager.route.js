@@ -10,19 +10,19 @@ import {
   deleteRelationshipManager,
 } from '../controllers/relationshipManager.controller.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
-import { requireRole } from '../middlewares/role.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
 
 const relationshipManagerRouter = Router();
 
 relationshipManagerRouter.use(authenticate);
 
-relationshipManagerRouter.post('/', requireRole('super_admin', 'regional_manager'), createRelationshipManager);
+relationshipManagerRouter.post('/', requirePermission('relationship_manager.manage'), createRelationshipManager);
 relationshipManagerRouter.get('/', getRelationshipManagers);
 relationshipManagerRouter.get('/:id', getRelationshipManagerById);
-relationshipManagerRouter.put('/:id', requireRole('super_admin', 'regional_manager'), updateRelationshipManager);
-relationshipManagerRouter.delete('/:id', requireRole('super_admin', 'regional_manager'), deleteRelationshipManager);
-relationshipManagerRouter.put('/:id/status', requireRole('super_admin', 'regional_manager'), updateRelationshipManagerStatus);
-relationshipManagerRouter.get('/:id/franchises', requireRole('super_admin', 'regional_manager'), getRelationshipManagerFranchises);
-relationshipManagerRouter.get('/:id/performance', requireRole('super_admin', 'regional_manager'), getRelationshipManagerPerformance);
+relationshipManagerRouter.put('/:id', requirePermission('relationship_manager.manage'), updateRelationshipManager);
+relationshipManagerRouter.delete('/:id', requirePermission('relationship_manager.manage'), deleteRelationshipManager);
+relationshipManagerRouter.put('/:id/status', requirePermission('relationship_manager.manage'), updateRelationshipManagerStatus);
+relationshipManagerRouter.get('/:id/franchises', requirePermission('relationship_manager.view_details'), getRelationshipManagerFranchises);
+relationshipManagerRouter.get('/:id/performance', requirePermission('relationship_manager.view_details'), getRelationshipManagerPerformance);
 
 export default relationshipManagerRouter;
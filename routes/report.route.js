@@ -4,8 +4,10 @@ import {
   generateCommissionsReport,
   generatePayoutsReport,
   generateTDSReport,
+  generate26QReport,
 } from '../controllers/report.controller.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
 
 const reportRouter = Router();
 
@@ -13,9 +15,10 @@ const reportRouter = Router();
 reportRouter.use(authenticate);
 
 // Generate reports
-reportRouter.get('/leads', generateLeadsReport);
-reportRouter.get('/commissions', generateCommissionsReport);
-reportRouter.get('/payouts', generatePayoutsReport);
-reportRouter.get('/tds', generateTDSReport);
+reportRouter.get('/leads', requirePermission('report.export'), generateLeadsReport);
+reportRouter.get('/commissions', requirePermission('report.export'), generateCommissionsReport);
+reportRouter.get('/payouts', requirePermission('report.export'), generatePayoutsReport);
+reportRouter.get('/tds', requirePermission('report.export'), generateTDSReport);
+reportRouter.get('/tds/26q', requirePermission('report.tds_26q'), generate26QReport);
 
 export default reportRouter;
@@ -0,0 +1,28 @@
+import { Router } from 'express';
+import {
+  getPermissionCatalog,
+  getRoles,
+  getRoleById,
+  createRole,
+  updateRole,
+  deleteRole,
+} from '../controllers/role.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+
+const roleRouter = Router();
+
+// All routes require authentication
+roleRouter.use(authenticate);
+
+// Permission catalog (for the role editor and per-user permission screens)
+roleRouter.get('/permissions', requirePermission('role.manage', 'user.manage_permissions'), getPermissionCatalog);
+
+// Custom roles
+roleRouter.get('/', requirePermission('role.manage', 'user.manage_permissions'), getRoles);
+roleRouter.get('/:id', requirePermission('role.manage', 'user.manage_permissions'), getRoleById);
+roleRouter.post('/', requirePermission('role.manage'), createRole);
+roleRouter.put('/:id', requirePermission('role.manage'), updateRole);
+roleRouter.delete('/:id', requirePermission('role.manage'), deleteRole);
+
+export default roleRouter;
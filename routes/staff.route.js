@@ -1,16 +1,16 @@
 import { Router } from 'express';
 import { createStaff, getStaff, getStaffById, updateStaff, updateStaffStatus, deleteStaff } from '../controllers/staff.controller.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
-import { requireRole } from '../middlewares/role.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
 
 const staffRouter = Router();
 
-staffRouter.post('/', authenticate, requireRole('super_admin', 'relationship_manager', 'agent'), createStaff);
+staffRouter.post('/', authenticate, requirePermission('staff.create'), createStaff);
 staffRouter.get('/', authenticate, getStaff);
-staffRouter.get('/:id', authenticate, requireRole('super_admin', 'relationship_manager'), getStaffById);
-staffRouter.put('/:id', authenticate, requireRole('super_admin', 'relationship_manager'), updateStaff);
-staffRouter.delete('/:id', authenticate, requireRole('super_admin', 'relationship_manager'), deleteStaff);
-staffRouter.put('/:id/status', authenticate, requireRole('super_admin', 'relationship_manager'), updateStaffStatus);
+staffRouter.get('/:id', authenticate, requirePermission('staff.manage'), getStaffById);
+staffRouter.put('/:id', authenticate, requirePermission('staff.manage'), updateStaff);
+staffRouter.delete('/:id', authenticate, requirePermission('staff.manage'), deleteStaff);
+staffRouter.put('/:id/status', authenticate, requirePermission('staff.manage'), updateStaffStatus);
 
 
 export default staffRouter;
@@ -6,10 +6,14 @@ import {
   updateUser,
   transferAgent,
   activateUser,
+  unlockUser,
+  resetUserTwoFactor,
+  getUserPermissions,
+  updateUserPermissions,
   deleteUser,
 } from '../controllers/user.controller.js';
-import { authenticate } from '../middlewares/auth.middleware.js';
-import { requireRole } from '../middlewares/role.middleware.js';
+import { authenticate, requireTwoFactorStepUp } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
 
 const userRouter = Router();
 
@@ -23,18 +27,28 @@ userRouter.get('/', getUsers);
 userRouter.get('/:id', getUserById);
 
 // Create user (Admin/Manager)
-userRouter.post('/', requireRole('super_admin', 'regional_manager'), createUser);
+userRouter.post('/', requirePermission('user.create'), createUser);
 
 // Update user
 userRouter.put('/:id', updateUser);
 
 // Transfer agent between franchises (Admin/Manager)
-userRouter.put('/:id/transfer', requireRole('super_admin', 'regional_manager'), transferAgent);
+userRouter.put('/:id/transfer', requirePermission('user.transfer'), transferAgent);
 
 // Activate/deactivate user (Admin/Manager)
-userRouter.post('/:id/activate', requireRole('super_admin', 'regional_manager'), activateUser);
+userRouter.post('/:id/activate', requirePermission('user.activate'), activateUser);
+
+// Clear failed-login lockout (Admin)
+userRouter.post('/:id/unlock', requirePermission('user.unlock'), unlockUser);
+
+// Reset two-factor authentication after a lost device (Admin, recent two-factor check)
+userRouter.post('/:id/2fa/reset', requirePermission('user.reset_two_factor'), requireTwoFactorStepUp, resetUserTwoFactor);
+
+// Custom role and per-user permission grants / revocations (Admin)
+userRouter.get('/:id/permissions', requirePermission('user.manage_permissions'), getUserPermissions);
+userRouter.put('/:id/permissions', requirePermission('user.manage_permissions'), updateUserPermissions);
 
 // Delete user (Admin/Manager)
-userRouter.delete('/:id', requireRole('super_admin', 'regional_manager'), deleteUser);
+userRouter.delete('/:id', requirePermission('user.delete'), deleteUser);
 
 export default userRouter;
@@ -0,0 +1,29 @@
+import { Router } from 'express';
+import {
+  getVersions,
+  getVersionDiff,
+  getVersion,
+  restoreVersion,
+} from '../controllers/versionHistory.controller.js';
+import { authenticate, requireTwoFactorStepUp } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+
+const versionHistoryRouter = Router();
+
+// All routes require authentication
+versionHistoryRouter.use(authenticate);
+
+// :entityType is invoice | payout | commission_rule | franchise_commission_limit | company_settings
+versionHistoryRouter.get('/:entityType/:id', requirePermission('version_history.view'), getVersions);
+versionHistoryRouter.get('/:entityType/:id/diff', requirePermission('version_history.view'), getVersionDiff);
+versionHistoryRouter.get('/:entityType/:id/:version', requirePermission('version_history.view'), getVersion);
+
+// Restore (recent two-factor check)
+versionHistoryRouter.post(
+  '/:entityType/:id/:version/restore',
+  requirePermission('version_history.restore'),
+  requireTwoFactorStepUp,
+  restoreVersion
+);
+
+export default versionHistoryRouter;
@@ -1,4 +1,5 @@
 import AuditLog from '../models/auditLog.model.js';
+import { getRequestContext } from '../utils/requestContext.js';
 
 /**
  * Audit Service
@@ -35,6 +36,7 @@ class AuditService {
         newValues,
         ipAddress,
         userAgent,
+        requestId: getRequestContext().requestId,
         metadata,
       });
 
@@ -46,6 +48,20 @@ class AuditService {
     }
   }
 
+  /**
+   * Record changes captured by the audit plugin (models/plugins/audit.plugin.js)
+   * @param {Array<Object>} entries - Audit log entries
+   */
+  async logModelChanges(entries) {
+    if (!entries.length) return;
+    try {
+      await AuditLog.insertMany(entries, { ordered: false });
+    } catch (error) {
+      // Don't throw error for audit logging failures to prevent disrupting main flow
+      console.error('Error recording model changes:', error);
+    }
+  }
+
   /**
    * Log create action
    * @param {ObjectId} userId - User ID
@@ -114,6 +130,26 @@ class AuditService {
     });
   }
 
+  /**
+   * Log a login attempt (success, failure or blocked by throttling)
+   * @param {String} action - login_success | login_failed | login_blocked
+   * @param {ObjectId} userId - User ID (null when the email is unknown)
+   * @param {Object} metadata - { email, reason, device, ... }
+   * @param {Object} req - Express request object
+   * @returns {Promise<Object>} Created audit log
+   */
+  async logLogin(action, userId, metadata, req) {
+    return await this.logAction({
+      userId,
+      action,
+      entityType: 'login',
+      entityId: userId,
+      metadata,
+      ipAddress: req.ip || req.headers['x-forwarded-for'] || req.connection.remoteAddress,
+      userAgent: req.headers['user-agent'],
+    });
+  }
+
   /**
    * Calculate changes between two objects
    * @param {Object} previous - Previous values
@@ -173,6 +209,71 @@ class AuditService {
     }
   }
 
+  /**
+   * Search audit logs
+   * @param {Object} filters - { entityType, entityId, userId, action, source, requestId, field, from, to, page, limit }
+   *   field matches a changed field and everything under it (bankDetails → bankDetails.accountNumber)
+   * @returns {Promise<Object>} { logs, total, page, limit, totalPages }
+   */
+  async searchLogs(filters = {}) {
+    try {
+      const { entityType, entityId, userId, action, source, requestId, field, from, to } = filters;
+      const page = parseInt(filters.page) || 1;
+      const limit = Math.min(parseInt(filters.limit) || 50, 200);
+
+      const query = {};
+      if (entityType) query.entityType = entityType;
+      if (entityId) query.entityId = entityId;
+      if (userId) query.userId = userId;
+      if (action) query.action = action;
+      if (source) query.source = source;
+      if (requestId) query.requestId = requestId;
+      if (field) {
+        const escaped = field.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        query.changedFields = { $regex: `^${escaped}(\\.|$)` };
+      }
+      if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = new Date(from);
+        if (to) query.createdAt.$lte = new Date(to);
+      }
+
+      const [logs, total] = await Promise.all([
+        AuditLog.find(query)
+          .populate('userId', 'name email role')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        AuditLog.countDocuments(query),
+      ]);
+
+      return {
+        logs,
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      };
+    } catch (error) {
+      throw new Error(`Error fetching audit logs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Everything that happened to one record, oldest first
+   * @param {ObjectId} entityId - Entity ID
+   * @param {Object} options - { entityType, field }
+   * @returns {Promise<Array>} Audit logs
+   */
+  async getEntityTimeline(entityId, options = {}) {
+    try {
+      const { logs } = await this.searchLogs({ ...options, entityId, page: 1, limit: 200 });
+      return logs.reverse();
+    } catch (error) {
+      throw new Error(`Error fetching audit timeline: ${error.message}`);
+    }
+  }
+
   /**
    * Get user activity logs
    * @param {ObjectId} userId - User ID
@@ -0,0 +1,560 @@
+import XLSX from 'xlsx';
+import mongoose from 'mongoose';
+import Payout from '../models/payout.model.js';
+import ReconciliationException from '../models/reconciliationException.model.js';
+import payoutService from './payout.service.js';
+import numberingService from './numbering.service.js';
+
+const MAX_STATEMENT_ROWS = 5000;
+
+// Bank title / summary lines that may sit above the column headers
+const HEADER_SEARCH_ROWS = 25;
+
+// Column aliases (compared after normalizing: lowercase, alphanumerics only)
+const COLUMN_ALIASES = {
+  utr: [
+    'utr', 'utrno', 'utrnumber', 'bankreference', 'bankrefno', 'bankreferenceno', 'transactionid', 'txnid',
+    'transactionreference', 'transactionrefno', 'chqrefno', 'chequerefno', 'refno', 'referenceno', 'rrn',
+  ],
+  reference: [
+    'customerreference', 'customerrefno', 'custrefno', 'payoutnumber', 'paymentreference', 'debitnarration',
+    'creditnarration', 'narration', 'description', 'particulars', 'remarks',
+  ],
+  amount: [
+    'amount', 'txnamount', 'transactionamount', 'paidamount', 'debitamount', 'debit', 'withdrawalamt',
+    'withdrawalamount', 'withdrawal', 'withdrawals', 'dr',
+  ],
+  credit: ['creditamount', 'credit', 'depositamt', 'depositamount', 'deposit', 'deposits', 'cr'],
+  date: ['valuedate', 'paymentdate', 'txndate', 'transactiondate', 'date', 'postingdate', 'trandate'],
+  status: ['status', 'txnstatus', 'transactionstatus', 'paymentstatus'],
+  statusReason: ['reason', 'failurereason', 'returnreason', 'rejectionreason', 'statusdescription', 'errordescription'],
+  accountNumber: [
+    'beneficiaryaccount', 'beneficiaryaccountno', 'beneficiaryaccountnumber', 'beneaccno', 'bnfaccno',
+    'accountnumber', 'creditaccount', 'creditaccountno',
+  ],
+};
+
+const FAILED_STATUS_REGEX = /fail|reject|return|revers|unpaid|cancel|declin/i;
+
+const normalizeHeader = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const toAmount = (value) => {
+  if (isBlank(value)) return null;
+  const num = Number(String(value).replace(/[,\s₹]|INR|Rs\.?/gi, ''));
+  return Number.isFinite(num) ? Math.abs(num) : null;
+};
+
+const toDate = (value) => {
+  if (isBlank(value)) return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  // Indian bank files write DD/MM/YYYY or DD-MM-YYYY
+  const match = String(value).trim().match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{2,4})/);
+  if (match) {
+    const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+    return new Date(year, Number(match[2]) - 1, Number(match[1]));
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const sameAmount = (a, b) => Math.abs((a || 0) - (b || 0)) < 0.01;
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Bank Reconciliation Service
+ * Matches bank statement / payment response rows to payouts awaiting payment,
+ * confirms or fails the matched payouts in bulk and records the rest as exceptions
+ */
+class BankReconciliationService {
+  /**
+   * Parse the first sheet of a statement (xlsx/xls/csv) into normalized rows
+   * The header row is located by looking for a UTR / reference column and an amount column.
+   * @param {Buffer} buffer - File contents
+   * @returns {Array} [{ rowNumber, utr, reference, amount, credit, date, status, statusReason, accountNumber, raw }]
+   */
+  parseStatement(buffer) {
+    const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true });
+    const sheetName = workbook.SheetNames[0];
+    if (!sheetName) return [];
+    const grid = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '', raw: true });
+
+    const findColumns = (headerRow) => {
+      const normalized = headerRow.map(normalizeHeader);
+      const columns = {};
+      for (const [key, aliases] of Object.entries(COLUMN_ALIASES)) {
+        for (const alias of aliases) {
+          const index = normalized.findIndex((h, i) => h === alias && !Object.values(columns).includes(i));
+          if (index !== -1) {
+            columns[key] = index;
+            break;
+          }
+        }
+      }
+      return columns;
+    };
+
+    let headerIndex = -1;
+    let columns = {};
+    for (let i = 0; i < Math.min(grid.length, HEADER_SEARCH_ROWS); i++) {
+      const found = findColumns(grid[i]);
+      if ((found.utr !== undefined || found.reference !== undefined)
+        && (found.amount !== undefined || found.credit !== undefined)) {
+        headerIndex = i;
+        columns = found;
+        break;
+      }
+    }
+    if (headerIndex === -1) {
+      throw badRequest('Could not find the header row. The file needs a UTR or reference column and an amount column.');
+    }
+
+    const headers = grid[headerIndex].map((h) => String(h || '').trim());
+    const cell = (row, key) => (columns[key] === undefined ? '' : row[columns[key]]);
+
+    return grid.slice(headerIndex + 1)
+      .map((row, i) => {
+        const raw = {};
+        headers.forEach((h, c) => {
+          if (h && !isBlank(row[c])) raw[h] = row[c] instanceof Date ? row[c].toISOString() : row[c];
+        });
+        return {
+          rowNumber: headerIndex + i + 2,
+          utr: String(cell(row, 'utr') || '').trim(),
+          reference: String(cell(row, 'reference') || '').trim(),
+          amount: toAmount(cell(row, 'amount')),
+          credit: toAmount(cell(row, 'credit')),
+          date: toDate(cell(row, 'date')),
+          status: String(cell(row, 'status') || '').trim(),
+          statusReason: String(cell(row, 'statusReason') || '').trim(),
+          accountNumber: String(cell(row, 'accountNumber') || '').replace(/\s/g, ''),
+          raw,
+        };
+      })
+      .filter((row) => Object.keys(row.raw).length > 0);
+  }
+
+  /**
+   * Decide whether a row reports a successful payment or a failure / return
+   * A statement credit with no debit is a returned payment.
+   * @param {Object} row - Parsed row
+   * @returns {Object} { bankStatus: 'success' | 'failed', amount, remarks }
+   */
+  classifyRow(row) {
+    const returnedCredit = !row.amount && row.credit > 0;
+    const failed = FAILED_STATUS_REGEX.test(row.status) || returnedCredit;
+    return {
+      bankStatus: failed ? 'failed' : 'success',
+      amount: row.amount || row.credit || null,
+      remarks: [row.status, row.statusReason].filter(Boolean).join(' - ')
+        || (returnedCredit ? 'Returned by bank' : ''),
+    };
+  }
+
+  /**
+   * Find the payout a row refers to
+   * Payout number in the reference / narration first, then the UTR of an earlier confirmation,
+   * then a unique payment_pending payout with the same amount (and account number, when given);
+   * an amount-only match is never applied automatically (see planRow).
+   * @param {Object} row - Parsed and classified row
+   * @param {Object} lookup - { byNumber, byUtr, pending, payoutNumberRegex }
+   * @returns {Object} { payout, matchedBy } or { reason, details, candidates }
+   */
+  findPayout(row, lookup) {
+    const referenceText = [row.reference, ...Object.values(row.raw)].join(' ');
+    const payoutNumber = referenceText.match(lookup.payoutNumberRegex)?.[0]?.toUpperCase();
+
+    if (payoutNumber && lookup.byNumber.has(payoutNumber)) {
+      return { payout: lookup.byNumber.get(payoutNumber), matchedBy: 'reference' };
+    }
+    if (row.utr && lookup.byUtr.has(row.utr)) {
+      return { payout: lookup.byUtr.get(row.utr), matchedBy: 'utr' };
+    }
+    if (!row.amount) {
+      return { reason: 'no_match', details: 'Row has no amount, UTR or payout reference to match on' };
+    }
+
+    let candidates = lookup.pending.filter((p) => sameAmount(p.netPayable, row.amount));
+    if (row.accountNumber && candidates.length > 1) {
+      const tail = row.accountNumber.slice(-4);
+      const byAccount = candidates.filter((p) => String(p.bankDetails?.accountNumber || '').endsWith(tail));
+      if (byAccount.length) candidates = byAccount;
+    }
+
+    if (candidates.length === 1) {
+      return { payout: candidates[0], matchedBy: 'amount' };
+    }
+    if (candidates.length > 1) {
+      return {
+        reason: 'multiple_matches',
+        details: `${candidates.length} payouts awaiting payment have the amount ${row.amount}`,
+        candidates: candidates.map((p) => p._id),
+      };
+    }
+    return { reason: 'no_match', details: 'No payout awaiting payment matches this row' };
+  }
+
+  /**
+   * Work out what to do with one row
+   * @param {Object} row - Parsed and classified row
+   * @param {Object} lookup - Payout lookup maps
+   * @param {Set} usedPayouts - Payouts already matched earlier in the file
+   * @returns {Object} { action: 'confirm' | 'fail' | 'skip' | 'exception', payout, reason, details, candidates }
+   */
+  planRow(row, lookup, usedPayouts) {
+    const found = this.findPayout(row, lookup);
+    if (!found.payout) {
+      return { action: 'exception', ...found };
+    }
+
+    const { payout, matchedBy } = found;
+    const id = payout._id.toString();
+    const confirmedUtr = payout.paymentConfirmation?.transactionId;
+
+    // Two partners can be owed the same amount; without a reference or UTR a person confirms the match
+    if (matchedBy === 'amount') {
+      return {
+        action: 'exception',
+        reason: 'amount_only',
+        details: `Row matches payout ${payout.payoutNumber} on amount only; confirm the match by hand`,
+        candidates: [payout._id],
+      };
+    }
+
+    if (usedPayouts.has(id)) {
+      return {
+        action: 'exception',
+        reason: 'duplicate_row',
+        details: `Payout ${payout.payoutNumber} was matched by an earlier row`,
+        candidates: [payout._id],
+      };
+    }
+    if (row.amount && !sameAmount(payout.netPayable, row.amount)) {
+      return {
+        action: 'exception',
+        reason: 'amount_mismatch',
+        details: `Payout ${payout.payoutNumber} is for ${payout.netPayable}, the bank reports ${row.amount}`,
+        candidates: [payout._id],
+      };
+    }
+
+    if (row.bankStatus === 'success') {
+      if (payout.status === 'payment_pending') {
+        if (!row.utr) {
+          return {
+            action: 'exception',
+            reason: 'no_match',
+            details: `Row matches payout ${payout.payoutNumber} by ${matchedBy} but has no UTR to confirm it with`,
+            candidates: [payout._id],
+          };
+        }
+        return { action: 'confirm', payout, matchedBy };
+      }
+      // Re-importing the same file: already confirmed with this UTR
+      if (payout.status === 'complete' && row.utr && confirmedUtr === row.utr) {
+        return { action: 'skip', payout, matchedBy };
+      }
+    } else {
+      if (payout.status === 'payment_pending') {
+        return { action: 'fail', payout, matchedBy };
+      }
+      // A payment returned after it was confirmed
+      if (payout.status === 'complete') {
+        return { action: 'fail', payout, matchedBy };
+      }
+      if (payout.status === 'recovery_pending' || payout.status === 'recovery_received') {
+        return { action: 'skip', payout, matchedBy };
+      }
+    }
+
+    return {
+      action: 'exception',
+      reason: 'already_processed',
+      details: `Payout ${payout.payoutNumber} is ${payout.status}`,
+      candidates: [payout._id],
+    };
+  }
+
+  /**
+   * Load the payouts rows can be matched against
+   * @param {Array} rows - Parsed rows
+   * @returns {Promise<Object>} { byNumber, byUtr, pending, payoutNumberRegex }
+   */
+  async buildLookup(rows) {
+    const payoutNumberRegex = new RegExp(await numberingService.getSeriesPattern('payout'), 'i');
+    const fields = 'payoutNumber netPayable status bankDetails bankCsvFile.paymentMode paymentConfirmation.transactionId';
+
+    const numbers = new Set();
+    rows.forEach((row) => {
+      const text = [row.reference, ...Object.values(row.raw)].join(' ');
+      const match = text.match(payoutNumberRegex);
+      if (match) numbers.add(match[0].toUpperCase());
+    });
+    const utrs = [...new Set(rows.map((r) => r.utr).filter(Boolean))];
+
+    const [pending, referenced] = await Promise.all([
+      Payout.find({ status: 'payment_pending' }).select(fields).lean(),
+      Payout.find({
+        $or: [
+          { payoutNumber: { $in: [...numbers] } },
+          { 'paymentConfirmation.transactionId': { $in: utrs } },
+        ],
+      }).select(fields).lean(),
+    ]);
+
+    const byNumber = new Map();
+    const byUtr = new Map();
+    [...pending, ...referenced].forEach((p) => {
+      byNumber.set(p.payoutNumber, p);
+      if (p.paymentConfirmation?.transactionId) byUtr.set(p.paymentConfirmation.transactionId, p);
+    });
+
+    return { byNumber, byUtr, pending, payoutNumberRegex };
+  }
+
+  /**
+   * Import a bank statement / response file and reconcile it against payouts
+   * @param {Object} params - { buffer, filename, userId, dryRun }
+   * @returns {Promise<Object>} Summary with confirmed, failed, skipped and exception rows
+   */
+  async importStatement({ buffer, filename, userId, dryRun = false }) {
+    let rows;
+    try {
+      rows = this.parseStatement(buffer);
+    } catch (err) {
+      if (err.statusCode) throw err;
+      throw badRequest(`Unable to read statement: ${err.message}`);
+    }
+    if (rows.length === 0) {
+      throw badRequest('The statement has no data rows');
+    }
+    if (rows.length > MAX_STATEMENT_ROWS) {
+      throw badRequest(`A maximum of ${MAX_STATEMENT_ROWS} rows can be reconciled at once`);
+    }
+
+    try {
+      const importReference = `RECON-${Date.now()}`;
+      const lookup = await this.buildLookup(rows);
+      const usedPayouts = new Set();
+
+      const confirmed = [];
+      const failed = [];
+      const skipped = [];
+      const exceptions = [];
+
+      for (const parsed of rows) {
+        const row = { ...parsed, ...this.classifyRow(parsed) };
+        const plan = this.planRow(row, lookup, usedPayouts);
+        if (plan.payout) usedPayouts.add(plan.payout._id.toString());
+
+        const result = {
+          rowNumber: row.rowNumber,
+          transactionId: row.utr || undefined,
+          amount: row.amount,
+          bankStatus: row.bankStatus,
+          payout: plan.payout?._id,
+          payoutNumber: plan.payout?.payoutNumber,
+          matchedBy: plan.matchedBy,
+        };
+
+        if (plan.action === 'skip') {
+          skipped.push(result);
+          continue;
+        }
+
+        if (plan.action === 'confirm' || plan.action === 'fail') {
+          if (dryRun) {
+            (plan.action === 'confirm' ? confirmed : failed).push(result);
+            continue;
+          }
+          try {
+            if (plan.action === 'confirm') {
+              await payoutService.confirmPayment(plan.payout._id, {
+                transactionId: row.utr,
+                transactionDate: row.date || new Date(),
+                paymentMethod: plan.payout.bankCsvFile?.paymentMode || 'NEFT',
+                uploadedFile: filename || '',
+              }, userId);
+              confirmed.push(result);
+            } else {
+              await payoutService.markPayoutFailed(
+                plan.payout._id,
+                row.remarks || 'Payment failed at bank',
+                userId,
+                { transactionId: row.utr || undefined, source: 'bank_statement' }
+              );
+              failed.push(result);
+            }
+            continue;
+          } catch (applyError) {
+            plan.reason = 'apply_failed';
+            plan.details = applyError.message;
+            plan.candidates = [plan.payout._id];
+          }
+        }
+
+        exceptions.push({
+          ...result,
+          importReference,
+          sourceFile: filename,
+          reference: row.reference || undefined,
+          transactionDate: row.date || undefined,
+          accountNumber: row.accountNumber || undefined,
+          bankRemarks: row.remarks || undefined,
+          rawRow: row.raw,
+          reason: plan.reason,
+          details: plan.details,
+          candidatePayouts: plan.candidates || [],
+          importedBy: userId,
+        });
+      }
+
+      if (!dryRun && exceptions.length) {
+        await ReconciliationException.insertMany(exceptions);
+      }
+
+      return {
+        importReference: dryRun ? null : importReference,
+        dryRun,
+        totalRows: rows.length,
+        confirmedCount: confirmed.length,
+        failedCount: failed.length,
+        skippedCount: skipped.length,
+        exceptionCount: exceptions.length,
+        confirmed,
+        failed,
+        skipped,
+        exceptions: exceptions.map(({ rawRow, importedBy, ...rest }) => rest),
+      };
+    } catch (error) {
+      throw new Error(`Error reconciling bank statement: ${error.message}`);
+    }
+  }
+
+  /**
+   * List reconciliation exceptions
+   * @param {Object} filters - { status, reason, importReference, page, limit }
+   * @returns {Promise<Object>} { exceptions, total }
+   */
+  async getExceptions({ status = 'open', reason, importReference, page = 1, limit = 20 } = {}) {
+    try {
+      const query = {};
+      if (status && status !== 'all') query.status = status;
+      if (reason) query.reason = reason;
+      if (importReference) query.importReference = importReference;
+
+      const [exceptions, total] = await Promise.all([
+        ReconciliationException.find(query)
+          .populate('candidatePayouts', 'payoutNumber netPayable status agent')
+          .populate('resolvedPayout', 'payoutNumber netPayable status')
+          .populate('resolvedBy', 'name email')
+          .sort({ createdAt: -1 })
+          .skip((parseInt(page) - 1) * parseInt(limit))
+          .limit(parseInt(limit)),
+        ReconciliationException.countDocuments(query),
+      ]);
+
+      return { exceptions, total };
+    } catch (error) {
+      throw new Error(`Error fetching reconciliation exceptions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve an exception by hand: confirm or fail a chosen payout, or ignore the row
+   * @param {ObjectId} exceptionId - Exception ID
+   * @param {Object} data - { action: 'confirm' | 'fail' | 'ignore', payoutId, transactionId, remarks }
+   * @param {ObjectId} userId - User resolving
+   * @returns {Promise<Object>} Updated exception
+   */
+  async resolveException(exceptionId, data, userId) {
+    try {
+      const { action, transactionId, remarks } = data;
+
+      const exception = await ReconciliationException.findById(exceptionId);
+      if (!exception) {
+        throw notFound('Reconciliation exception not found');
+      }
+      if (exception.status !== 'open') {
+        throw badRequest('Reconciliation exception is already closed');
+      }
+      if (!['confirm', 'fail', 'ignore'].includes(action)) {
+        throw badRequest('Action must be one of: confirm, fail, ignore');
+      }
+
+      if (action === 'ignore') {
+        if (!remarks) {
+          throw badRequest('Remarks are required to ignore an exception');
+        }
+        exception.status = 'ignored';
+        exception.resolutionAction = 'ignored';
+      } else {
+        // A single candidate is used when no payout is chosen
+        const payoutId = data.payoutId
+          || (exception.candidatePayouts.length === 1 ? exception.candidatePayouts[0] : null);
+        if (!payoutId || !mongoose.Types.ObjectId.isValid(payoutId)) {
+          throw badRequest('A valid payout ID is required');
+        }
+        const payout = await Payout.findById(payoutId).select('status bankCsvFile');
+        if (!payout) {
+          throw notFound('Payout not found');
+        }
+
+        if (action === 'confirm') {
+          const utr = transactionId || exception.transactionId;
+          if (!utr) {
+            throw badRequest('Transaction ID is required');
+          }
+          if (payout.status !== 'payment_pending') {
+            throw badRequest(`Only payouts awaiting payment can be confirmed (payout is ${payout.status})`);
+          }
+          await payoutService.confirmPayment(payout._id, {
+            transactionId: utr,
+            transactionDate: exception.transactionDate || new Date(),
+            paymentMethod: payout.bankCsvFile?.paymentMode || 'NEFT',
+            uploadedFile: exception.sourceFile || '',
+          }, userId);
+          exception.resolutionAction = 'confirmed';
+        } else {
+          if (!['payment_pending', 'complete'].includes(payout.status)) {
+            throw badRequest(`Only payouts awaiting payment or paid can be failed (payout is ${payout.status})`);
+          }
+          await payoutService.markPayoutFailed(
+            payout._id,
+            remarks || exception.bankRemarks || 'Payment failed at bank',
+            userId,
+            { transactionId: transactionId || exception.transactionId, source: 'bank_statement' }
+          );
+          exception.resolutionAction = 'failed';
+        }
+
+        exception.status = 'resolved';
+        exception.resolvedPayout = payout._id;
+      }
+
+      exception.resolutionRemarks = remarks;
+      exception.resolvedAt = new Date();
+      exception.resolvedBy = userId;
+      await exception.save();
+
+      return exception;
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error resolving reconciliation exception: ${error.message}`);
+    }
+  }
+}
+
+export default new BankReconciliationService();
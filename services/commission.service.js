@@ -1,6 +1,25 @@
 import CommissionRule from '../models/commissionRule.model.js';
 import Lead from '../models/lead.model.js';
 
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+/**
+ * Whether an amount falls inside a [min, max) band; a null max means no upper limit
+ */
+const inBand = (amount, min, max) =>
+  amount >= (min || 0) && (max === null || max === undefined || amount < max);
+
+/**
+ * Normalize a lead's loan purpose ('fresh' | 'top_up'), falling back to dynamic form values
+ */
+const getLoanPurpose = (lead) => {
+  const raw = lead.loanPurpose && lead.loanPurpose !== 'fresh'
+    ? lead.loanPurpose
+    : lead.formValues?.loanPurpose || lead.loanPurpose;
+  const normalized = String(raw || '').toLowerCase().replace(/[^a-z]/g, '');
+  return normalized === 'topup' ? 'top_up' : 'fresh';
+};
+
 /**
  * Commission Calculation Service
  * Handles commission calculation based on bank rules, loan type, and disbursement basis
@@ -47,6 +66,224 @@ class CommissionService {
     }
   }
 
+  /**
+   * Validate structured rule conditions (slabs and tiers must not overlap)
+   * @param {Object} conditions - CommissionRule.conditions
+   * @returns {String|null} Error message, or null when valid
+   */
+  validateConditions(conditions) {
+    if (!conditions) return null;
+
+    const checkBands = (bands, minKey, maxKey, label, groupKey) => {
+      const groups = {};
+      for (const band of bands || []) {
+        if (band[maxKey] !== null && band[maxKey] !== undefined && band[maxKey] <= band[minKey]) {
+          return `${label} upper limit must be greater than its lower limit`;
+        }
+        const group = groupKey ? band[groupKey] || 'any' : 'all';
+        (groups[group] = groups[group] || []).push(band);
+      }
+      for (const list of Object.values(groups)) {
+        const sorted = [...list].sort((a, b) => a[minKey] - b[minKey]);
+        for (let i = 1; i < sorted.length; i++) {
+          const prevMax = sorted[i - 1][maxKey];
+          if (prevMax === null || prevMax === undefined || prevMax > sorted[i][minKey]) {
+            return `${label}s must not overlap`;
+          }
+        }
+      }
+      return null;
+    };
+
+    const slabError = checkBands(conditions.loanAmountSlabs, 'minAmount', 'maxAmount', 'Loan amount slab', 'loanPurpose');
+    if (slabError) return slabError;
+
+    if (conditions.slabMode === 'incremental' &&
+      (conditions.loanAmountSlabs || []).some((slab) => slab.commissionType !== 'percentage')) {
+      return 'Incremental slabs must all be percentage based';
+    }
+
+    const tierError = checkBands(conditions.volumeTiers, 'minVolume', 'maxVolume', 'Volume tier');
+    if (tierError) return tierError;
+
+    const purposes = (conditions.loanPurposeRates || []).map((r) => r.loanPurpose);
+    if (new Set(purposes).size !== purposes.length) {
+      return 'Only one rate per loan purpose is allowed';
+    }
+
+    return null;
+  }
+
+  /**
+   * Monthly volume of the franchise / RM a lead belongs to, for the rule's bank
+   * @param {Object} lead - Lead document
+   * @param {Object} rule - Commission rule
+   * @param {Date} date - Date inside the month to measure
+   * @returns {Promise<Number>} Total loan amount or lead count
+   */
+  async getMonthlyVolume(lead, rule, date = new Date()) {
+    if (!lead.associated) return 0;
+
+    const monthStart = new Date(date.getFullYear(), date.getMonth(), 1);
+    const monthEnd = new Date(date.getFullYear(), date.getMonth() + 1, 1);
+    const dateField = rule.commissionBasis === 'disbursed' ? 'disbursementDate' : 'sanctionedDate';
+    const statuses = rule.commissionBasis === 'disbursed'
+      ? ['partial_disbursed', 'disbursed', 'completed']
+      : ['sanctioned', 'partial_disbursed', 'disbursed', 'completed'];
+
+    const match = {
+      associated: lead.associated?._id || lead.associated,
+      bank: rule.bank?._id || rule.bank,
+      status: { $in: statuses },
+      [dateField]: { $gte: monthStart, $lt: monthEnd },
+    };
+
+    if (rule.conditions?.volumeBasis === 'count') {
+      return Lead.countDocuments(match);
+    }
+
+    const amountField = rule.commissionBasis === 'disbursed' ? '$disbursedAmount' : '$loanAmount';
+    const [result] = await Lead.aggregate([
+      { $match: match },
+      { $group: { _id: null, total: { $sum: { $ifNull: [amountField, 0] } } } },
+    ]);
+    return result?.total || 0;
+  }
+
+  /**
+   * Evaluate a rule (including its structured conditions) for a base amount.
+   * Pure calculation: does not read or write leads.
+   * @param {Object} rule - Commission rule
+   * @param {Object} context - { baseAmount, loanPurpose, monthlyVolume }
+   * @returns {Object} { commission, commissionPercentage, breakdown }
+   */
+  evaluateRule(rule, { baseAmount, loanPurpose = 'fresh', monthlyVolume = 0 }) {
+    const conditions = rule.conditions || {};
+    const breakdown = {
+      baseAmount,
+      loanPurpose,
+      source: 'rule',
+      commissionType: rule.commissionType,
+      commissionValue: rule.commissionValue,
+      slab: null,
+      slabLines: [],
+      volumeTier: null,
+      limitApplied: null,
+    };
+
+    const applyRate = (type, value, amount) => (type === 'percentage' ? (amount * value) / 100 : value);
+
+    // Slabs for the lead's loan purpose take precedence over slabs that apply to any purpose
+    const allSlabs = conditions.loanAmountSlabs || [];
+    const purposeSlabs = allSlabs.filter((slab) => slab.loanPurpose === loanPurpose);
+    const slabs = purposeSlabs.length > 0
+      ? purposeSlabs
+      : allSlabs.filter((slab) => !slab.loanPurpose || slab.loanPurpose === 'any');
+    const purposeRate = (conditions.loanPurposeRates || []).find((r) => r.loanPurpose === loanPurpose);
+
+    let commission = 0;
+    let effectivePercentage = 0;
+
+    if (slabs.length > 0 && conditions.slabMode === 'incremental') {
+      // Each band's portion of the amount is paid at that band's rate
+      breakdown.source = 'slab';
+      const sorted = [...slabs].sort((a, b) => a.minAmount - b.minAmount);
+      for (const slab of sorted) {
+        if (baseAmount <= slab.minAmount) break;
+        const upper = slab.maxAmount === null || slab.maxAmount === undefined
+          ? baseAmount
+          : Math.min(baseAmount, slab.maxAmount);
+        const portion = upper - slab.minAmount;
+        if (portion <= 0) continue;
+        const amount = applyRate('percentage', slab.commissionValue, portion);
+        commission += amount;
+        breakdown.slabLines.push({
+          minAmount: slab.minAmount,
+          maxAmount: slab.maxAmount ?? null,
+          commissionValue: slab.commissionValue,
+          portion: round2(portion),
+          commission: round2(amount),
+        });
+      }
+      effectivePercentage = baseAmount > 0 ? (commission / baseAmount) * 100 : 0;
+      breakdown.commissionType = 'percentage';
+      breakdown.commissionValue = round2(effectivePercentage);
+    } else {
+      const slab = slabs.find((s) => inBand(baseAmount, s.minAmount, s.maxAmount));
+      let type = rule.commissionType;
+      let value = rule.commissionValue;
+
+      if (slab) {
+        breakdown.source = 'slab';
+        breakdown.slab = {
+          minAmount: slab.minAmount,
+          maxAmount: slab.maxAmount ?? null,
+          loanPurpose: slab.loanPurpose || 'any',
+          commissionType: slab.commissionType,
+          commissionValue: slab.commissionValue,
+        };
+        type = slab.commissionType;
+        value = slab.commissionValue;
+      } else if (purposeRate) {
+        breakdown.source = 'loan_purpose';
+        type = purposeRate.commissionType;
+        value = purposeRate.commissionValue;
+      }
+
+      commission = applyRate(type, value, baseAmount);
+      effectivePercentage = type === 'percentage' ? value : 0;
+      breakdown.commissionType = type;
+      breakdown.commissionValue = value;
+    }
+
+    const tier = (conditions.volumeTiers || []).find((t) => inBand(monthlyVolume, t.minVolume, t.maxVolume));
+    if (tier) {
+      const bonus = applyRate(tier.bonusType, tier.bonusValue, baseAmount);
+      commission += bonus;
+      if (tier.bonusType === 'percentage' && effectivePercentage) {
+        effectivePercentage += tier.bonusValue;
+      }
+      breakdown.volumeTier = {
+        monthlyVolume,
+        volumeBasis: conditions.volumeBasis || 'amount',
+        minVolume: tier.minVolume,
+        maxVolume: tier.maxVolume ?? null,
+        bonusType: tier.bonusType,
+        bonusValue: tier.bonusValue,
+        bonus: round2(bonus),
+      };
+    }
+
+    breakdown.commissionBeforeLimits = round2(commission);
+
+    // Apply min/max constraints
+    if (rule.minCommission && commission < rule.minCommission) {
+      commission = rule.minCommission;
+      breakdown.limitApplied = 'min';
+    }
+    if (rule.maxCommission && commission > rule.maxCommission) {
+      commission = rule.maxCommission;
+      breakdown.limitApplied = 'max';
+    }
+
+    breakdown.commission = round2(commission);
+
+    return {
+      commission: round2(commission),
+      commissionPercentage: round2(effectivePercentage),
+      breakdown,
+    };
+  }
+
+  /**
+   * Loan purpose used for rule evaluation ('fresh' | 'top_up')
+   * @param {Object} lead - Lead document
+   * @returns {String} Loan purpose
+   */
+  getLoanPurpose(lead) {
+    return getLoanPurpose(lead);
+  }
+
   /**
    * Calculate commission for a lead based on rules
    * @param {ObjectId} leadId - Lead ID
@@ -93,39 +330,34 @@ class CommissionService {
         };
       }
 
-      // Calculate commission based on type
-      let commission = 0;
-      if (rule.commissionType === 'percentage') {
-        commission = (baseAmount * rule.commissionValue) / 100;
-      } else {
-        // fixed amount
-        commission = rule.commissionValue;
-      }
+      // Volume tiers are measured for the month of sanction / disbursement
+      const volumeDate = (rule.commissionBasis === 'disbursed' ? lead.disbursementDate : lead.sanctionedDate) || new Date();
+      const monthlyVolume = rule.conditions?.volumeTiers?.length
+        ? await this.getMonthlyVolume(lead, rule, volumeDate)
+        : 0;
 
-      // Apply min/max constraints
-      if (rule.minCommission && commission < rule.minCommission) {
-        commission = rule.minCommission;
-      }
-      if (rule.maxCommission && commission > rule.maxCommission) {
-        commission = rule.maxCommission;
-      }
+      const { commission, commissionPercentage, breakdown } = this.evaluateRule(rule, {
+        baseAmount,
+        loanPurpose: getLoanPurpose(lead),
+        monthlyVolume,
+      });
 
       // Update lead with commission details
       lead.commissionBasis = rule.commissionBasis;
-      lead.commissionPercentage =
-        rule.commissionType === 'percentage' ? rule.commissionValue : 0;
+      lead.commissionPercentage = commissionPercentage;
       lead.expectedCommission = commission;
       lead.actualCommission = commission;
+      lead.commissionBreakdown = breakdown;
 
       await lead.save();
 
       return {
         commission: commission,
-        commissionPercentage:
-          rule.commissionType === 'percentage' ? rule.commissionValue : 0,
+        commissionPercentage,
         rule: rule,
         baseAmount: baseAmount,
         commissionBasis: rule.commissionBasis,
+        breakdown,
       };
     } catch (error) {
       throw new Error(`Error calculating commission: ${error.message}`);
@@ -148,36 +380,35 @@ class CommissionService {
   }
 
   /**
-   * Handle partial disbursement commission
-   * @param {ObjectId} leadId - Lead ID
-   * @param {Number} disbursedAmount - New disbursed amount
-   * @returns {Promise<Object>} Commission for partial disbursement
+   * Commission for a single disbursement tranche under the rule in effect on the tranche date.
+   * Does not modify the lead.
+   * @param {Object} lead - Lead document
+   * @param {Number} amount - Tranche amount
+   * @param {Date} date - Tranche date
+   * @returns {Promise<Object>} { rule, commission, commissionPercentage, breakdown }
    */
-  async calculatePartialDisbursementCommission(leadId, disbursedAmount) {
+  async calculateTrancheCommission(lead, amount, date = new Date()) {
     try {
-      const lead = await Lead.findById(leadId);
-      if (!lead) {
-        throw new Error('Lead not found');
+      const bankId = lead.bank?._id || lead.bank;
+      const rule = bankId ? await this.getCommissionRule(bankId, lead.loanType, date) : null;
+      if (!rule || !amount) {
+        return { rule, commission: 0, commissionPercentage: 0, breakdown: null };
       }
 
-      // Update disbursed amount
-      lead.disbursedAmount = disbursedAmount;
-      lead.disbursementType = 'partial';
+      const monthlyVolume = rule.conditions?.volumeTiers?.length
+        ? await this.getMonthlyVolume(lead, rule, date)
+        : 0;
 
-      // Recalculate commission if basis is disbursed
-      const rule = await this.getCommissionRule(lead.bank, lead.loanType);
-      if (rule && rule.commissionBasis === 'disbursed') {
-        return await this.recalculateCommission(leadId);
-      }
+      const { commission, commissionPercentage, breakdown } = this.evaluateRule(rule, {
+        baseAmount: amount,
+        loanPurpose: getLoanPurpose(lead),
+        monthlyVolume,
+      });
 
-      // If basis is sanctioned, commission remains same
-      return {
-        commission: lead.actualCommission || 0,
-        message: 'Commission based on sanctioned amount, no change required',
-      };
+      return { rule, commission, commissionPercentage, breakdown };
     } catch (error) {
       throw new Error(
-        `Error calculating partial disbursement commission: ${error.message}`
+        `Error calculating tranche commission: ${error.message}`
       );
     }
   }
@@ -0,0 +1,250 @@
+import mongoose from 'mongoose';
+import CommissionRule from '../models/commissionRule.model.js';
+import Lead from '../models/lead.model.js';
+import commissionService from './commission.service.js';
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const SIMULATED_STATUSES = ['partial_disbursed', 'disbursed', 'completed'];
+const MAX_SIMULATION_LEADS = 5000;
+// Per-lead rows returned in the response (largest changes first)
+const MAX_LEAD_ROWS = 500;
+
+const refId = (value) => (value && value._id ? value._id : value) || null;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Commission Simulation Service
+ * Replays proposed commission rule edits over historical disbursed leads in memory.
+ * Nothing is written to leads or rules.
+ */
+class CommissionSimulationService {
+  /**
+   * Pick the rule that applies to a bank / loan type on a date (same precedence as
+   * CommissionService.getCommissionRule: specific loan type first, then 'all', latest effectiveFrom)
+   * @param {Array} rules - Candidate rules
+   * @param {ObjectId} bankId - Bank ID
+   * @param {String} loanType - Loan type
+   * @param {Date} date - Date the rule must be effective on
+   * @returns {Object|null} Rule
+   */
+  pickRule(rules, bankId, loanType, date) {
+    const effective = rules.filter(
+      (r) => String(refId(r.bank)) === String(bankId) && r.isEffective(date)
+    );
+    const latest = (list) =>
+      list.sort((a, b) => new Date(b.effectiveFrom) - new Date(a.effectiveFrom))[0] || null;
+
+    return latest(effective.filter((r) => r.loanType === loanType))
+      || latest(effective.filter((r) => r.loanType === 'all'));
+  }
+
+  /**
+   * Build the proposed rule set: current rules with edits applied, plus new rules.
+   * @param {Array} currentRules - Current rule documents
+   * @param {Array} changes - [{ ruleId, ...fields }] edits, or rule definitions without ruleId for new rules
+   * @returns {Array} Unsaved rule documents
+   */
+  buildProposedRules(currentRules, changes) {
+    const proposed = new Map(currentRules.map((r) => [r._id.toString(), r]));
+
+    changes.forEach((change, index) => {
+      const { ruleId, ...fields } = change || {};
+      const label = ruleId ? `Rule ${ruleId}` : `Proposed rule #${index + 1}`;
+
+      if (fields.conditions !== undefined) {
+        const conditionsError = commissionService.validateConditions(fields.conditions);
+        if (conditionsError) throw badRequest(`${label}: ${conditionsError}`);
+      }
+
+      let rule;
+      if (ruleId) {
+        const existing = proposed.get(String(ruleId));
+        if (!existing) throw badRequest(`${label} not found`);
+        const { _id, createdAt, updatedAt, __v, ...current } = existing.toObject();
+        rule = new CommissionRule({ ...current, ...fields, _id });
+      } else {
+        rule = new CommissionRule({ ...fields, _id: new mongoose.Types.ObjectId() });
+      }
+
+      const validationError = rule.validateSync();
+      if (validationError) {
+        const messages = Object.values(validationError.errors).map((e) => e.message);
+        throw badRequest(`${label}: ${messages.join(', ')}`);
+      }
+      proposed.set(rule._id.toString(), rule);
+    });
+
+    return [...proposed.values()];
+  }
+
+  /**
+   * Commission a rule would pay on a lead, mirroring CommissionService.calculateCommission
+   * @param {Object} rule - Commission rule (or null)
+   * @param {Object} lead - Lead
+   * @param {Function} getVolume - (lead, rule, date) => Promise<Number>
+   * @returns {Promise<Number>} Commission amount
+   */
+  async evaluateLead(rule, lead, getVolume) {
+    if (!rule) return 0;
+    const baseAmount = rule.commissionBasis === 'sanctioned'
+      ? lead.loanAmount || 0
+      : lead.disbursedAmount || 0;
+    if (baseAmount === 0) return 0;
+
+    const volumeDate = (rule.commissionBasis === 'disbursed' ? lead.disbursementDate : lead.sanctionedDate) || new Date();
+    const monthlyVolume = rule.conditions?.volumeTiers?.length
+      ? await getVolume(lead, rule, volumeDate)
+      : 0;
+
+    return commissionService.evaluateRule(rule, {
+      baseAmount,
+      loanPurpose: commissionService.getLoanPurpose(lead),
+      monthlyVolume,
+    }).commission;
+  }
+
+  /**
+   * Simulate rule changes over leads disbursed in a date range
+   * @param {Object} params - { from, to, bankId, changes }
+   * @returns {Promise<Object>} Totals and deltas per bank, franchise / RM and agent
+   */
+  async simulate({ from, to, bankId, changes = [] }) {
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if (!fromDate || !toDate || isNaN(fromDate) || isNaN(toDate)) {
+      throw badRequest('Valid from and to dates are required');
+    }
+    if (fromDate > toDate) {
+      throw badRequest('from date must be before to date');
+    }
+    toDate.setHours(23, 59, 59, 999);
+    if (!Array.isArray(changes) || changes.length === 0) {
+      throw badRequest('At least one rule change is required');
+    }
+
+    try {
+      const leadQuery = {
+        status: { $in: SIMULATED_STATUSES },
+        disbursementDate: { $gte: fromDate, $lte: toDate },
+      };
+      if (bankId) leadQuery.bank = bankId;
+
+      const total = await Lead.countDocuments(leadQuery);
+      if (total > MAX_SIMULATION_LEADS) {
+        throw badRequest(`The date range covers ${total} leads; narrow it to at most ${MAX_SIMULATION_LEADS}`);
+      }
+
+      const leads = await Lead.find(leadQuery)
+        .populate('bank', 'name')
+        .populate('agent', 'name email')
+        .populate('associated', 'name');
+
+      const bankIds = new Set(leads.map((l) => String(refId(l.bank))).filter((id) => id !== 'null'));
+      changes.forEach((c) => {
+        if (c?.bank) bankIds.add(String(c.bank));
+      });
+      const ruleIds = changes.map((c) => c?.ruleId).filter(Boolean);
+      const invalidRuleId = ruleIds.find((id) => !mongoose.isValidObjectId(id));
+      if (invalidRuleId) {
+        throw badRequest(`Invalid rule ID: ${invalidRuleId}`);
+      }
+      const currentRules = await CommissionRule.find({
+        $or: [{ bank: { $in: [...bankIds] } }, { _id: { $in: ruleIds } }],
+      });
+      const proposedRules = this.buildProposedRules(currentRules, changes);
+
+      // Monthly volume depends only on lead scope, bank, basis and month, so share it between both runs
+      const volumeCache = new Map();
+      const getVolume = async (lead, rule, date) => {
+        const key = [refId(lead.associated), refId(rule.bank), rule.commissionBasis, date.getFullYear(), date.getMonth()].join(':');
+        if (!volumeCache.has(key)) {
+          volumeCache.set(key, await commissionService.getMonthlyVolume(lead, rule, date));
+        }
+        return volumeCache.get(key);
+      };
+
+      const groups = { byBank: new Map(), byFranchise: new Map(), byAgent: new Map() };
+      const addTo = (map, id, label, extra, current, proposed) => {
+        const key = String(id);
+        if (!map.has(key)) {
+          map.set(key, { id, name: label, ...extra, leads: 0, currentCommission: 0, proposedCommission: 0, delta: 0 });
+        }
+        const row = map.get(key);
+        row.leads += 1;
+        row.currentCommission = round2(row.currentCommission + current);
+        row.proposedCommission = round2(row.proposedCommission + proposed);
+        row.delta = round2(row.proposedCommission - row.currentCommission);
+      };
+
+      const leadRows = [];
+      let currentTotal = 0;
+      let proposedTotal = 0;
+
+      for (const lead of leads) {
+        const leadBankId = refId(lead.bank);
+        if (!leadBankId) continue;
+        const date = lead.disbursementDate || new Date();
+
+        const currentRule = this.pickRule(currentRules, leadBankId, lead.loanType, date);
+        const proposedRule = this.pickRule(proposedRules, leadBankId, lead.loanType, date);
+        const current = await this.evaluateLead(currentRule, lead, getVolume);
+        const proposed = await this.evaluateLead(proposedRule, lead, getVolume);
+
+        currentTotal += current;
+        proposedTotal += proposed;
+
+        addTo(groups.byBank, leadBankId, lead.bank?.name, {}, current, proposed);
+        if (lead.associated) {
+          addTo(groups.byFranchise, refId(lead.associated), lead.associated?.name, { model: lead.associatedModel }, current, proposed);
+        }
+        if (lead.agent) {
+          addTo(groups.byAgent, refId(lead.agent), lead.agent?.name, {}, current, proposed);
+        }
+
+        if (round2(proposed - current) !== 0) {
+          leadRows.push({
+            lead: lead._id,
+            customerName: lead.customerName,
+            loanAccountNo: lead.loanAccountNo,
+            bank: lead.bank?.name,
+            disbursementDate: lead.disbursementDate,
+            currentRule: currentRule?._id || null,
+            proposedRule: proposedRule?._id || null,
+            recordedCommission: lead.actualCommission || 0,
+            currentCommission: current,
+            proposedCommission: proposed,
+            delta: round2(proposed - current),
+          });
+        }
+      }
+
+      const sortByDelta = (rows) => rows.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+      return {
+        period: { from: fromDate, to: toDate },
+        summary: {
+          leads: leads.length,
+          changedLeads: leadRows.length,
+          currentCommission: round2(currentTotal),
+          proposedCommission: round2(proposedTotal),
+          delta: round2(proposedTotal - currentTotal),
+        },
+        byBank: sortByDelta([...groups.byBank.values()]),
+        byFranchise: sortByDelta([...groups.byFranchise.values()]),
+        byAgent: sortByDelta([...groups.byAgent.values()]),
+        leads: sortByDelta(leadRows).slice(0, MAX_LEAD_ROWS),
+      };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error simulating commission rules: ${error.message}`);
+    }
+  }
+}
+
+export default new CommissionSimulationService();
@@ -0,0 +1,459 @@
+import CommissionLedger from '../models/commissionLedger.model.js';
+import Lead from '../models/lead.model.js';
+import Franchise from '../models/franchise.model.js';
+import RelationshipManager from '../models/relationship.model.js';
+import FranchiseCommissionLimit from '../models/franchiseCommissionLimit.model.js';
+import User from '../models/user.model.js';
+import Invoice from '../models/invoice.model.js';
+import commissionService from './commission.service.js';
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const refId = (value) => (value && value._id ? value._id : value) || null;
+
+/**
+ * Commission Waterfall Service
+ * Splits the bank payout for a lead / disbursement between company, franchise or RM,
+ * referral franchise, agent and sub-agent, and records one immutable ledger entry per party.
+ */
+class CommissionWaterfallService {
+  /**
+   * Resolve the franchise a lead's franchise-level invoice is raised against.
+   * RM-managed leads fall back to a franchise under the RM's regional manager.
+   * @param {Object} lead - Lead populated with agent (and agent.managedBy) and associated
+   * @returns {Promise<Object|null>} Franchise document
+   */
+  async resolveFranchise(lead) {
+    if (lead.associatedModel === 'Franchise' && lead.associated) {
+      return Franchise.findById(refId(lead.associated));
+    }
+    if (lead.agent?.managedByModel === 'Franchise' && lead.agent.managedBy) {
+      return Franchise.findById(refId(lead.agent.managedBy));
+    }
+
+    let rmId = null;
+    if (lead.agent?.managedByModel === 'RelationshipManager' && lead.agent.managedBy) {
+      rmId = refId(lead.agent.managedBy);
+    } else if (lead.associatedModel === 'RelationshipManager' && lead.associated) {
+      rmId = refId(lead.associated);
+    }
+    if (!rmId) return null;
+
+    const rm = await RelationshipManager.findById(rmId).select('regionalManager').lean();
+    if (!rm?.regionalManager) return null;
+    return Franchise.findOne({ regionalManager: rm.regionalManager });
+  }
+
+  /**
+   * Resolve the sub-agent user ID of a lead (by reference, or by name under the agent)
+   * @param {Object} lead - Lead document
+   * @returns {Promise<ObjectId|null>} Sub-agent user ID
+   */
+  async resolveSubAgentId(lead) {
+    if (lead.subAgent) return refId(lead.subAgent);
+    if (!lead.subAgentName) return null;
+
+    const subAgentUser = await User.findOne({
+      name: lead.subAgentName,
+      parentAgent: refId(lead.agent),
+      role: 'agent',
+    }).select('_id');
+    if (!subAgentUser) {
+      throw new Error(`Sub-agent "${lead.subAgentName}" not found for this agent. Cannot generate sub-agent invoice.`);
+    }
+    return subAgentUser._id;
+  }
+
+  /**
+   * Compute every party's share without writing anything
+   * @param {Object} lead - Lead populated with agent, associated, referralFranchise, bank
+   * @param {Object} options - { baseAmount, date }
+   * @returns {Promise<Object>} { baseAmount, bankPayout, rule, shares: [...], unavailable: { partyType: reason } }
+   */
+  async computeWaterfall(lead, options = {}) {
+    const baseAmount = options.baseAmount ?? (lead.loanAmount || 0);
+    const date = options.date || new Date();
+    const bankId = refId(lead.bank);
+    const shares = [];
+    const unavailable = {};
+
+    // Bank payout from the commission rule in force on the accrual date
+    let rule = null;
+    let bankPayout = null;
+    if (bankId) {
+      const payout = await commissionService.calculateTrancheCommission(lead, baseAmount, date);
+      rule = payout.rule;
+      if (rule) bankPayout = payout.commission;
+    }
+
+    const hasSubAgent = !!(lead.subAgent || lead.subAgentName);
+    const subAgentPercentage = hasSubAgent ? lead.subAgentCommissionPercentage || 0 : 0;
+    // Without a sub-agent the agent's rate falls back to the lead commission rate
+    const agentTotalPercentage = hasSubAgent
+      ? lead.agentCommissionPercentage || 0
+      : lead.agentCommissionPercentage || lead.commissionPercentage || 0;
+    const referralPercentage = lead.referralFranchise ? lead.referralFranchiseCommissionPercentage || 0 : 0;
+
+    // Agent and sub-agent
+    const agentId = refId(lead.agent);
+    if (hasSubAgent) {
+      let subAgentId = null;
+      try {
+        subAgentId = await this.resolveSubAgentId(lead);
+      } catch (error) {
+        unavailable.sub_agent = error.message;
+      }
+      if (subAgentPercentage <= 0) {
+        unavailable.sub_agent = 'Sub-agent commission percentage is not set or is zero. Cannot generate split invoices. Please ensure the agent set a commission rate for the sub-agent when creating the lead.';
+      } else if (subAgentId) {
+        shares.push({
+          partyType: 'sub_agent',
+          partyId: subAgentId,
+          partyModel: 'User',
+          percentage: subAgentPercentage,
+          amount: round2((baseAmount * subAgentPercentage) / 100),
+        });
+      }
+    }
+
+    const agentNetPercentage = agentTotalPercentage - subAgentPercentage;
+    if (agentTotalPercentage <= 0) {
+      unavailable.agent = hasSubAgent
+        ? 'Partner commission percentage is not set or is zero. Cannot generate split invoices.'
+        : 'Agent commission percentage is not set or is zero. Please set the commission percentage for this lead before generating an invoice.';
+    } else if (agentNetPercentage <= 0) {
+      unavailable.agent = `Agent remaining commission percentage is zero or negative. Agent: ${agentTotalPercentage}%, SubAgent: ${subAgentPercentage}%.`;
+    } else {
+      shares.push({
+        partyType: 'agent',
+        partyId: agentId,
+        partyModel: 'User',
+        percentage: agentNetPercentage,
+        amount: round2((baseAmount * agentNetPercentage) / 100),
+      });
+    }
+
+    // Referral franchise: the agreed amount on the lead, or its percentage of the base amount
+    let referralAmount = 0;
+    if (lead.referralFranchise) {
+      referralAmount = lead.referralFranchiseCommissionAmount || round2((baseAmount * referralPercentage) / 100);
+      if (referralAmount > 0) {
+        shares.push({
+          partyType: 'referral_franchise',
+          partyId: refId(lead.referralFranchise),
+          partyModel: 'Franchise',
+          percentage: referralPercentage,
+          amount: round2(referralAmount),
+        });
+      }
+    }
+
+    // Franchise / RM keeps the franchise commission limit minus what it passes down
+    const limit = bankId ? await FranchiseCommissionLimit.findOne({ bank: bankId }) : null;
+    let branchTotal = null;
+    if (!bankId) {
+      unavailable.franchise = 'Bank information not found for this lead. Cannot determine franchise commission percentage.';
+    } else if (!limit) {
+      unavailable.franchise = 'Franchise commission limit is not set for this bank. Please set the commission limit for this bank in the Franchise Commission settings.';
+    } else if (limit.limitType !== 'percentage') {
+      unavailable.franchise = `Franchise commission limit for this bank is set as amount (₹${limit.maxCommissionValue}), not percentage. Please configure it as percentage in Franchise Commission settings.`;
+    } else {
+      const franchisePercentage = parseFloat(limit.maxCommissionValue) || 0;
+      const remainingPercentage = franchisePercentage - agentTotalPercentage - referralPercentage;
+
+      if (franchisePercentage <= 0) {
+        unavailable.franchise = 'Franchise commission percentage is zero for this bank. Please set a valid commission percentage in the Franchise Commission settings.';
+      } else if (remainingPercentage <= 0) {
+        unavailable.franchise = `Franchise commission is zero or negative. Total commission: ${franchisePercentage}%, Agent commission: ${agentTotalPercentage}%, Referral franchise commission: ${referralPercentage}%. The sum of agent and referral franchise commissions equals or exceeds the total franchise commission.`;
+      } else {
+        const isRelationshipManager = lead.associatedModel === 'RelationshipManager' && lead.associated;
+        const franchise = isRelationshipManager ? null : await this.resolveFranchise(lead);
+        if (!isRelationshipManager && !franchise) {
+          unavailable.franchise = 'Franchise information not found for this lead. Please ensure the lead is associated with a franchise or the agent is managed by a franchise.';
+        } else {
+          shares.push({
+            partyType: isRelationshipManager ? 'relationship_manager' : 'franchise',
+            partyId: isRelationshipManager ? refId(lead.associated) : franchise._id,
+            partyModel: isRelationshipManager ? 'RelationshipManager' : 'Franchise',
+            percentage: remainingPercentage,
+            amount: round2((baseAmount * remainingPercentage) / 100),
+          });
+        }
+      }
+      branchTotal = round2((baseAmount * franchisePercentage) / 100);
+    }
+
+    // Company keeps what the bank pays beyond the franchise branch
+    if (bankPayout !== null && branchTotal !== null) {
+      const companyAmount = round2(bankPayout - branchTotal);
+      if (companyAmount < 0) {
+        unavailable.company = `Bank payout (₹${bankPayout}) is lower than the franchise commission limit payout (₹${branchTotal}) for this lead.`;
+      } else {
+        shares.push({
+          partyType: 'company',
+          partyId: null,
+          partyModel: undefined,
+          percentage: baseAmount > 0 ? round2((companyAmount / baseAmount) * 100) : 0,
+          amount: companyAmount,
+        });
+      }
+    }
+
+    return { baseAmount, bankPayout, rule, shares, unavailable };
+  }
+
+  /**
+   * Compute the waterfall and write ledger entries for parties that do not have one yet.
+   * Existing (non-reversed) entries are kept as they are, so repeated calls are safe.
+   * @param {ObjectId} leadId - Lead ID
+   * @param {Object} options - { disbursementId, baseAmount, date, userId }
+   * @returns {Promise<Object>} { entries, unavailable, bankPayout, rule }
+   */
+  async postWaterfall(leadId, options = {}) {
+    try {
+      const lead = await Lead.findById(leadId)
+        .populate({ path: 'agent', select: 'name managedBy managedByModel' })
+        .populate('bank', 'name');
+      if (!lead) {
+        throw new Error('Lead not found');
+      }
+
+      const disbursementId = options.disbursementId || null;
+      const { baseAmount, bankPayout, rule, shares, unavailable } = await this.computeWaterfall(lead, options);
+
+      const existing = await this.getActiveEntries(leadId, disbursementId);
+      const entries = [...existing];
+
+      for (const share of shares) {
+        const alreadyPosted = existing.some(
+          (e) => e.partyType === share.partyType && String(e.partyId || '') === String(share.partyId || '')
+        );
+        if (alreadyPosted) continue;
+
+        const entry = await CommissionLedger.create({
+          lead: lead._id,
+          disbursement: disbursementId,
+          bank: refId(lead.bank),
+          rule: rule?._id,
+          partyType: share.partyType,
+          partyId: share.partyId,
+          partyModel: share.partyModel,
+          entryType: 'accrual',
+          baseAmount,
+          bankPayoutAmount: bankPayout,
+          percentage: share.percentage,
+          amount: share.amount,
+          accrualDate: options.date || new Date(),
+          createdBy: options.userId,
+        });
+        entries.push(entry);
+      }
+
+      return { entries, unavailable, bankPayout, rule };
+    } catch (error) {
+      throw new Error(`Error posting commission waterfall: ${error.message}`);
+    }
+  }
+
+  /**
+   * Accrual entries for a lead / disbursement that have not been reversed
+   * @param {ObjectId} leadId - Lead ID
+   * @param {ObjectId} disbursementId - Disbursement ID (null for lead-level)
+   * @returns {Promise<Array>} Ledger entries
+   */
+  async getActiveEntries(leadId, disbursementId = null) {
+    const accruals = await CommissionLedger.find({
+      lead: leadId,
+      disbursement: disbursementId,
+      entryType: 'accrual',
+    });
+    if (accruals.length === 0) return [];
+
+    const reversedIds = await CommissionLedger.find({
+      reverses: { $in: accruals.map((e) => e._id) },
+      entryType: 'reversal',
+    }).distinct('reverses');
+    const reversed = new Set(reversedIds.map(String));
+
+    return accruals.filter((e) => !reversed.has(e._id.toString()));
+  }
+
+  /**
+   * Post reversal entries for the active accruals of a lead / disbursement
+   * @param {ObjectId} leadId - Lead ID
+   * @param {Object} options - { disbursementId, partyTypes, remarks, userId }
+   * @returns {Promise<Array>} Reversal entries
+   */
+  async reverseEntries(leadId, options = {}) {
+    try {
+      const active = await this.getActiveEntries(leadId, options.disbursementId || null);
+      const toReverse = options.partyTypes
+        ? active.filter((e) => options.partyTypes.includes(e.partyType))
+        : active;
+
+      const reversals = [];
+      for (const entry of toReverse) {
+        reversals.push(await CommissionLedger.create({
+          lead: entry.lead,
+          disbursement: entry.disbursement,
+          bank: entry.bank,
+          rule: entry.rule,
+          partyType: entry.partyType,
+          partyId: entry.partyId,
+          partyModel: entry.partyModel,
+          entryType: 'reversal',
+          reverses: entry._id,
+          baseAmount: entry.baseAmount,
+          bankPayoutAmount: entry.bankPayoutAmount,
+          percentage: entry.percentage,
+          amount: -entry.amount,
+          accrualDate: new Date(),
+          remarks: options.remarks,
+          createdBy: options.userId,
+        }));
+      }
+      return reversals;
+    } catch (error) {
+      throw new Error(`Error reversing commission ledger entries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether a lead's commission is accrued per disbursement tranche
+   * @param {ObjectId} leadId - Lead ID
+   * @returns {Promise<Boolean>}
+   */
+  async hasTrancheAccruals(leadId) {
+    const count = await CommissionLedger.countDocuments({
+      lead: leadId,
+      disbursement: { $ne: null },
+      entryType: 'accrual',
+    });
+    return count > 0;
+  }
+
+  /**
+   * Accrue the waterfall for one disbursement tranche (lead must already be saved with the tranche).
+   * Skipped when the lead's commission was already accrued at lead level.
+   * @param {ObjectId} leadId - Lead ID
+   * @param {Object} tranche - disbursementHistory entry
+   * @param {ObjectId} userId - User who recorded the tranche
+   * @returns {Promise<Object>} { entries, unavailable } or { skipped, reason }
+   */
+  async accrueTranche(leadId, tranche, userId) {
+    try {
+      const leadLevel = await this.getActiveEntries(leadId, null);
+      if (leadLevel.length > 0) {
+        return {
+          skipped: true,
+          reason: 'Commission for this lead is already accrued on the full loan amount; tranche not accrued separately.',
+        };
+      }
+
+      const { entries, unavailable } = await this.postWaterfall(leadId, {
+        disbursementId: tranche._id,
+        baseAmount: tranche.amount || 0,
+        date: tranche.date || new Date(),
+        userId,
+      });
+      return { entries, unavailable };
+    } catch (error) {
+      // The tranche itself is already saved; report the accrual failure instead of failing the request
+      console.error('Error accruing tranche commission:', error);
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Live invoices billing a tranche (cancelled or rejected invoices no longer do): invoices of its
+   * active accruals or of the tranche, and lead-level invoices, which bill the whole lead including it.
+   * While any exist the tranche cannot be edited or deleted: the invoice would stay live at the old
+   * amount and a re-accrual would be billed a second time.
+   * @param {ObjectId} leadId - Lead ID
+   * @param {ObjectId} disbursementId - Disbursement ID
+   * @returns {Promise<Array>} Invoices (invoiceNumber, status)
+   */
+  async getTrancheInvoices(leadId, disbursementId) {
+    const active = await this.getActiveEntries(leadId, disbursementId);
+
+    return Invoice.find({
+      status: { $nin: ['cancelled', 'rejected'] },
+      $or: [
+        { commissionLedgerEntry: { $in: active.map((entry) => entry._id) } },
+        { lead: leadId, disbursement: disbursementId },
+        { lead: leadId, disbursement: null, commissionLedgerEntry: null },
+      ],
+    })
+      .select('invoiceNumber status')
+      .lean();
+  }
+
+  /**
+   * Reverse a tranche's accruals; when the tranche still exists, re-accrue it with its current values.
+   * Callers refuse tranches that are still invoiced first (see getTrancheInvoices).
+   * @param {ObjectId} leadId - Lead ID
+   * @param {Object} tranche - disbursementHistory entry (or { _id } for a deleted tranche)
+   * @param {Object} options - { userId, remarks, reaccrue }
+   * @returns {Promise<Object>} { reversals, accrual }
+   */
+  async reverseTranche(leadId, tranche, options = {}) {
+    try {
+      const reversals = await this.reverseEntries(leadId, {
+        disbursementId: tranche._id,
+        remarks: options.remarks,
+        userId: options.userId,
+      });
+
+      const accrual = options.reaccrue
+        ? await this.accrueTranche(leadId, tranche, options.userId)
+        : null;
+
+      return { reversals, accrual };
+    } catch (error) {
+      // The tranche change is already saved; report the reversal failure instead of failing the request
+      console.error('Error reversing tranche commission:', error);
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Link a ledger entry to the invoice that bills it
+   * @param {Object} entry - Ledger entry
+   * @param {ObjectId} invoiceId - Invoice ID
+   */
+  async markInvoiced(entry, invoiceId) {
+    await CommissionLedger.updateOne(
+      { _id: entry._id, invoice: null },
+      { $set: { invoice: invoiceId, invoicedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Unlink the ledger entries billed by an invoice that was rejected, so they can be invoiced again
+   * @param {ObjectId} invoiceId - Invoice ID
+   */
+  async releaseInvoiced(invoiceId) {
+    await CommissionLedger.updateMany(
+      { invoice: invoiceId },
+      { $set: { invoice: null, invoicedAt: null } }
+    );
+  }
+
+  /**
+   * Get ledger entries for a lead
+   * @param {ObjectId} leadId - Lead ID
+   * @returns {Promise<Array>} Ledger entries (oldest first)
+   */
+  async getLeadLedger(leadId) {
+    try {
+      return await CommissionLedger.find({ lead: leadId })
+        .populate('partyId', 'name email')
+        .populate('invoice', 'invoiceNumber status')
+        .sort({ createdAt: 1 });
+    } catch (error) {
+      throw new Error(`Error fetching commission ledger: ${error.message}`);
+    }
+  }
+}
+
+export default new CommissionWaterfallService();
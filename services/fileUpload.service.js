@@ -24,6 +24,14 @@ const ALLOWED_FILE_TYPES = [
   'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
 ];
 
+// Spreadsheet types accepted for imports (lead import, bank statements)
+const SPREADSHEET_FILE_TYPES = [
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'text/csv',
+  'application/csv',
+];
+
 // Maximum file size (10MB)
 const MAX_FILE_SIZE = 10 * 1024 * 1024;
 
@@ -61,6 +69,28 @@ class FileUploadService {
     return this.upload.single(fieldName);
   }
 
+  /**
+   * Get multer upload middleware for a single spreadsheet (xlsx/xls/csv), kept in memory for parsing
+   * @param {String} fieldName - Form field name
+   * @returns {Function} Multer middleware
+   */
+  getSpreadsheetUploadMiddleware(fieldName = 'file') {
+    return multer({
+      storage: multer.memoryStorage(),
+      limits: {
+        fileSize: MAX_FILE_SIZE,
+      },
+      fileFilter: (req, file, cb) => {
+        const isCsvName = /\.csv$/i.test(file.originalname || '');
+        if (validateFileType(file.mimetype, SPREADSHEET_FILE_TYPES) || isCsvName) {
+          cb(null, true);
+        } else {
+          cb(new Error('Invalid file type. Upload an Excel (.xlsx, .xls) or CSV file.'));
+        }
+      },
+    }).single(fieldName);
+  }
+
   /**
    * Accept any file fields (useful when clients send multiple named file inputs)
    * WARNING: returns all files in req.files array; controller should handle selection.
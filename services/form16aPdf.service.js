@@ -0,0 +1,176 @@
+import PDFDocument from 'pdfkit';
+import { amountToWords, formatDate } from '../utils/helpers.js';
+
+const PAGE_MARGIN = 40;
+const CONTENT_WIDTH = 595.28 - PAGE_MARGIN * 2; // A4
+
+// Built-in PDF fonts have no rupee glyph
+const money = (n) => `Rs. ${(Number(n) || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const joinAddress = (address) => {
+  if (!address) return '';
+  if (typeof address === 'string') return address;
+  return [address.street, address.city, address.state, address.pincode].filter(Boolean).join(', ');
+};
+
+/**
+ * Form 16A PDF Service
+ * Renders a quarterly TDS certificate (Form 16A style) for one deductee PAN
+ */
+class Form16aPdfService {
+  /**
+   * Render the certificate
+   * @param {Object} data - { settings, period, group, section } (group from tdsReturnService.groupByPan)
+   * @returns {Promise<Buffer>} PDF file contents
+   */
+  renderPdf({ settings, period, group, section }) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+      const chunks = [];
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const left = PAGE_MARGIN;
+      const half = CONTENT_WIDTH / 2;
+
+      // Title
+      doc.font('Helvetica-Bold').fontSize(14).text('FORM NO. 16A', left, PAGE_MARGIN, { width: CONTENT_WIDTH, align: 'center' });
+      doc.font('Helvetica').fontSize(9)
+        .text('[See rule 31(1)(b)] Certificate under section 203 of the Income-tax Act, 1961 for tax deducted at source', {
+          width: CONTENT_WIDTH,
+          align: 'center',
+        });
+      doc.moveDown(1);
+
+      // Deductor and deductee
+      const block = (heading, lines, x, y, width) => {
+        doc.font('Helvetica-Bold').fontSize(9).text(heading, x, y, { width });
+        doc.font('Helvetica-Bold').fontSize(10).text(lines.name || '-', { width });
+        doc.font('Helvetica').fontSize(9);
+        if (lines.address) doc.text(lines.address, { width });
+        lines.ids.filter(([, value]) => value).forEach(([label, value]) => doc.text(`${label}: ${value}`, { width }));
+        return doc.y;
+      };
+
+      const blockTop = doc.y;
+      const deductorBottom = block('Name and address of the deductor', {
+        name: settings.companyName,
+        address: settings.address,
+        ids: [['PAN', settings.panNo], ['TAN', settings.tanNo], ['Email', settings.email]],
+      }, left, blockTop, half - 10);
+      const deducteeBottom = block('Name and address of the deductee', {
+        name: group.name,
+        address: joinAddress(group.deductee?.address),
+        ids: [['PAN', group.pan], ['Email', group.deductee?.email]],
+      }, left + half, blockTop, half);
+
+      let y = Math.max(deductorBottom, deducteeBottom) + 12;
+      doc.moveTo(left, y).lineTo(left + CONTENT_WIDTH, y).stroke();
+      y += 8;
+
+      const meta = [
+        ['Financial Year', period.financialYear],
+        ['Assessment Year', period.assessmentYear],
+        ['Quarter', `${period.quarter} (${period.periodLabel})`],
+        ['Section', section],
+      ];
+      meta.forEach(([label, value], i) => {
+        const rowY = y + Math.floor(i / 2) * 14;
+        const x = left + (i % 2) * half;
+        doc.font('Helvetica-Bold').fontSize(9).text(label, x, rowY, { width: 95 });
+        doc.font('Helvetica').text(String(value ?? ''), x + 100, rowY, { width: half - 100 });
+      });
+      y += Math.ceil(meta.length / 2) * 14 + 10;
+
+      // Summary of payment and tax deducted
+      doc.font('Helvetica-Bold').fontSize(10).text('Summary of amount paid / credited and tax deducted', left, y);
+      y = doc.y + 6;
+      const summary = [
+        ['Amount paid / credited', money(group.amount)],
+        ['Tax deducted', money(group.tdsAmount)],
+        ['Tax deposited / remitted', money(group.tdsAmount)],
+      ];
+      summary.forEach(([label, value]) => {
+        doc.font('Helvetica').fontSize(9).text(label, left, y, { width: half });
+        doc.text(value, left + half, y, { width: half, align: 'right' });
+        y += 14;
+      });
+      y += 8;
+
+      // Details of each deduction
+      const cols = [
+        { key: 'no', label: '#', width: 22, align: 'left' },
+        { key: 'document', label: 'Document', width: 120, align: 'left' },
+        { key: 'date', label: 'Date of Credit', width: 70, align: 'left' },
+        { key: 'payment', label: 'Payment (UTR)', width: 105, align: 'left' },
+        { key: 'amount', label: 'Amount', width: 80, align: 'right' },
+        { key: 'rate', label: 'Rate', width: 38, align: 'right' },
+        { key: 'tds', label: 'TDS', width: CONTENT_WIDTH - 435, align: 'right' },
+      ];
+      const drawRow = (values, rowY, bold = false) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+        let x = left;
+        let height = 0;
+        cols.forEach((col) => {
+          const text = String(values[col.key] ?? '');
+          doc.text(text, x + 3, rowY + 4, { width: col.width - 6, align: col.align });
+          height = Math.max(height, doc.heightOfString(text, { width: col.width - 6 }));
+          x += col.width;
+        });
+        return rowY + height + 8;
+      };
+
+      doc.rect(left, y, CONTENT_WIDTH, 18).fillAndStroke('#eeeeee', '#000000').fillColor('#000000');
+      y = drawRow(Object.fromEntries(cols.map((c) => [c.key, c.label])), y, true);
+      group.rows.forEach((row, i) => {
+        if (y > 760) {
+          doc.addPage();
+          y = PAGE_MARGIN;
+        }
+        y = drawRow({
+          no: i + 1,
+          document: row.againstInvoice
+            ? `${row.documentType} ${row.documentNumber} (inv. ${row.againstInvoice})`
+            : `${row.documentType} ${row.documentNumber}`,
+          date: formatDate(row.creditedAt),
+          payment: row.paymentDate ? `${formatDate(row.paymentDate)}${row.utr ? ` (${row.utr})` : ''}` : '-',
+          amount: money(row.amount),
+          rate: `${row.tdsRate}%`,
+          tds: money(row.tdsAmount),
+        }, y);
+      });
+      doc.moveTo(left, y).lineTo(left + CONTENT_WIDTH, y).stroke();
+      y = drawRow({ document: 'Total', amount: money(group.amount), tds: money(group.tdsAmount) }, y, true);
+
+      if (y > 680) {
+        doc.addPage();
+        y = PAGE_MARGIN;
+      }
+
+      // Verification
+      doc.font('Helvetica-Bold').fontSize(10).text('Verification', left, y + 10);
+      doc.font('Helvetica').fontSize(9).text(
+        `I, the authorised signatory of ${settings.companyName}, certify that a sum of ${money(group.tdsAmount)} `
+        + `(${amountToWords(group.tdsAmount)}) has been deducted and deposited to the credit of the Central Government `
+        + 'on the amounts shown above, based on the books of account and other available records.',
+        { width: CONTENT_WIDTH }
+      );
+      y = doc.y + 30;
+      doc.font('Helvetica').fontSize(9).text(`Date: ${formatDate(new Date())}`, left, y, { width: half });
+      doc.font('Helvetica-Bold').text(`For ${settings.companyName}`, left + half, y, { width: half, align: 'right' });
+      doc.font('Helvetica').fontSize(8).text('Authorised Signatory', left + half, y + 40, { width: half, align: 'right' });
+
+      doc.font('Helvetica').fontSize(7).text(
+        'System-generated statement from the deductor\'s records. The certificate downloaded from TRACES prevails in case of difference.',
+        left,
+        y + 70,
+        { width: CONTENT_WIDTH, align: 'center' }
+      );
+
+      doc.end();
+    });
+  }
+}
+
+export default new Form16aPdfService();
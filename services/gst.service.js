@@ -0,0 +1,206 @@
+import CompanySettings from '../models/companySettings.model.js';
+import User from '../models/user.model.js';
+import Franchise from '../models/franchise.model.js';
+import RelationshipManager from '../models/relationship.model.js';
+import partnerLedgerService from './partnerLedger.service.js';
+
+// GST state codes (first two digits of a GSTIN)
+const GST_STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+};
+
+const PARTY_SELECT = 'name email mobile address kyc bankDetails agentType franchiseType';
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const normalizeState = (name) => String(name || '').toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * GST Service
+ * Decides whether a partner invoice carries GST and splits it into CGST + SGST (intra-state)
+ * or IGST (inter-state) using the rates in CompanySettings.taxConfig
+ */
+class GstService {
+  /**
+   * State name for a GST state code
+   * @param {String} code - Two-digit state code
+   * @returns {String} State name ('' when unknown)
+   */
+  getStateName(code) {
+    return GST_STATE_CODES[code] || '';
+  }
+
+  /**
+   * State code from a GSTIN, falling back to a state name
+   * @param {String} gstin - GSTIN
+   * @param {String} stateName - State name (e.g. from an address)
+   * @returns {String|null} Two-digit state code
+   */
+  getStateCode(gstin, stateName) {
+    const prefix = String(gstin || '').trim().slice(0, 2);
+    if (GST_STATE_CODES[prefix]) return prefix;
+
+    const wanted = normalizeState(stateName);
+    if (!wanted) return null;
+    const match = Object.entries(GST_STATE_CODES).find(([, name]) => normalizeState(name) === wanted);
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Whether a partner is GST-registered and charges GST on its invoices
+   * Agents and franchises by agentType / franchiseType; RMs when their KYC carries a GSTIN.
+   * @param {Object} party - Party document
+   * @param {String} partyType - agent | sub_agent | franchise | relationship_manager
+   * @returns {Boolean}
+   */
+  isGstRegistered(party, partyType) {
+    if (!party) return false;
+    if (partyType === 'franchise') return party.franchiseType === 'GST';
+    if (partyType === 'relationship_manager') return Boolean(party.kyc?.gst);
+    return party.agentType === 'GST';
+  }
+
+  /**
+   * Load the partner an invoice is raised by
+   * @param {Object} invoice - Invoice (document or plain fields)
+   * @returns {Promise<Object>} { partyType, party }
+   */
+  async getInvoiceParty(invoice) {
+    // Incomplete manual invoices are left to model validation
+    if (!invoice.agent || (invoice.invoiceType === 'franchise' && !invoice.franchise)) {
+      return { partyType: invoice.invoiceType || 'agent', party: null };
+    }
+
+    const { partyType, partyId } = await partnerLedgerService.resolveInvoiceParty(invoice);
+    let model = User;
+    if (partyType === 'franchise') model = Franchise;
+    if (partyType === 'relationship_manager') model = RelationshipManager;
+
+    const party = partyId ? await model.findById(partyId).select(PARTY_SELECT).lean() : null;
+    return { partyType, party };
+  }
+
+  /**
+   * Split a GST amount by supply type and rates
+   * @param {Number} taxable - Taxable value
+   * @param {Object} context - { gstApplicable, supplierStateCode, placeOfSupply, taxConfig, sacCode }
+   * @param {Number|null} gstAmount - Split this stored amount instead of computing it from the rates
+   * @returns {Object} gstDetails plus gstAmount
+   */
+  splitGst(taxable, { gstApplicable, supplierStateCode, placeOfSupply, taxConfig = {}, sacCode }, gstAmount = null) {
+    const supplyType = supplierStateCode && placeOfSupply && supplierStateCode !== placeOfSupply
+      ? 'inter_state'
+      : 'intra_state';
+    const details = {
+      gstApplicable: Boolean(gstApplicable),
+      supplyType,
+      supplierStateCode: supplierStateCode || placeOfSupply || undefined,
+      placeOfSupply: placeOfSupply || undefined,
+      sacCode,
+      cgstRate: 0,
+      cgstAmount: 0,
+      sgstRate: 0,
+      sgstAmount: 0,
+      igstRate: 0,
+      igstAmount: 0,
+    };
+    if (!gstApplicable) return { ...details, gstAmount: 0 };
+
+    const cgstRate = taxConfig.cgstRate ?? 9;
+    const sgstRate = taxConfig.sgstRate ?? 9;
+    const igstRate = taxConfig.igstRate ?? cgstRate + sgstRate;
+
+    if (supplyType === 'inter_state') {
+      details.igstRate = igstRate;
+      details.igstAmount = round2(gstAmount ?? (taxable * igstRate) / 100);
+    } else {
+      details.cgstRate = cgstRate;
+      details.sgstRate = sgstRate;
+      if (gstAmount !== null && gstAmount !== undefined) {
+        details.cgstAmount = round2((gstAmount * cgstRate) / (cgstRate + sgstRate || 1));
+        details.sgstAmount = round2(gstAmount - details.cgstAmount);
+      } else {
+        details.cgstAmount = round2((taxable * cgstRate) / 100);
+        details.sgstAmount = round2((taxable * sgstRate) / 100);
+      }
+    }
+
+    return { ...details, gstAmount: round2(details.cgstAmount + details.sgstAmount + details.igstAmount) };
+  }
+
+  /**
+   * GST context of an invoice: who raises it, whether GST applies and the place of supply
+   * @param {Object} invoice - Invoice (document or plain fields)
+   * @returns {Promise<Object>} { settings, partyType, party, gstApplicable, supplierStateCode, placeOfSupply, taxConfig, sacCode }
+   */
+  async getInvoiceContext(invoice) {
+    const [settings, { partyType, party }] = await Promise.all([
+      CompanySettings.getSettings(),
+      this.getInvoiceParty(invoice),
+    ]);
+
+    return {
+      settings,
+      partyType,
+      party,
+      gstApplicable: this.isGstRegistered(party, partyType),
+      // The company receives the service, so its state is the place of supply
+      placeOfSupply: this.getStateCode(settings.gstNo, settings.state),
+      supplierStateCode: this.getStateCode(party?.kyc?.gst, party?.address?.state),
+      taxConfig: settings.taxConfig || {},
+      sacCode: settings.taxConfig?.sacCode,
+    };
+  }
+
+  /**
+   * Invoice amounts: Gross = Taxable + GST - TDS, GST only for GST-registered partners
+   * @param {Object} invoice - Invoice parties (agent, subAgent, franchise, invoiceType, commissionLedgerEntry)
+   * @param {Number} taxable - Commission (taxable value)
+   * @param {Number} tdsPercentage - TDS rate
+   * @returns {Promise<Object>} { gstAmount, gstDetails, tdsAmount, netPayable }
+   */
+  async computeInvoiceAmounts(invoice, taxable, tdsPercentage) {
+    const context = await this.getInvoiceContext(invoice);
+    const { gstAmount, ...gstDetails } = this.splitGst(taxable, context);
+    const tdsAmount = (taxable * tdsPercentage) / 100;
+    const netPayable = taxable + gstAmount - tdsAmount;
+    return { gstAmount, gstDetails, tdsAmount, netPayable };
+  }
+}
+
+export default new GstService();
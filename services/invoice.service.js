@@ -1,20 +1,12 @@
 import Invoice from '../models/invoice.model.js';
 import Lead from '../models/lead.model.js';
-import Franchise from '../models/franchise.model.js';
-import FranchiseCommissionLimit from '../models/franchiseCommissionLimit.model.js';
-import User from '../models/user.model.js';
-import { generateInvoiceNumber } from '../utils/helpers.js';
-
-// Invoice amount formula: Commission (Taxable) = Loan Amount × Rate%; GST = 18% of Taxable; TDS = 2% of Taxable; Gross = Taxable + GST - TDS
-const GST_RATE = 18;
-const TDS_RATE = 2;
-
-function computeInvoiceAmounts(taxable, tdsPercentage = TDS_RATE) {
-  const gstAmount = (taxable * GST_RATE) / 100;
-  const tdsAmount = (taxable * tdsPercentage) / 100;
-  const netPayable = taxable + gstAmount - tdsAmount; // Gross amount
-  return { gstAmount, tdsAmount, netPayable };
-}
+import commissionWaterfallService from './commissionWaterfall.service.js';
+import partnerLedgerService from './partnerLedger.service.js';
+import tdsService from './tds.service.js';
+import numberingService from './numbering.service.js';
+import PartnerLedger from '../models/partnerLedger.model.js';
+
+// Invoice amount formula: Commission (Taxable) = ledger share from the commission waterfall; GST per CompanySettings.taxConfig (GST-registered partners only); TDS at the rate picked by tdsService; Gross = Taxable + GST - TDS
 
 /**
  * Invoice Service
@@ -23,8 +15,9 @@ function computeInvoiceAmounts(taxable, tdsPercentage = TDS_RATE) {
 class InvoiceService {
   /**
    * Generate invoice for a lead based on status
-   * - If status = "disbursed": Generate Agent Invoice
-   * - If status = "completed": Generate Franchise Invoice
+   * - If status = "disbursed": Generate Agent Invoice (split with Sub-agent when present)
+   * - If status = "completed": Generate Franchise Invoice (plus Referral Franchise Invoice)
+   * Commission amounts come from the commission waterfall ledger; each invoice is linked to its entry.
    * @param {ObjectId} leadId - Lead ID
    * @returns {Promise<Object>} Created invoice
    */
@@ -36,7 +29,6 @@ class InvoiceService {
           populate: {
             path: 'managedBy',
             // managedBy can be either Franchise or RelationshipManager
-            // We'll handle both cases in the logic below
           }
         })
         .populate('subAgent', 'name email')
@@ -53,92 +45,35 @@ class InvoiceService {
         throw new Error(`Invoice can only be generated for leads with status "disbursed" or "completed". Current status: ${lead.status}`);
       }
 
-      // Get franchise from associated field (polymorphic)
-      let franchiseId = null;
-      let franchise = null;
-      
-      if (lead.associatedModel === 'Franchise' && lead.associated) {
-        // Lead is directly associated with a Franchise
-        franchiseId = lead.associated._id || lead.associated;
-        franchise = await Franchise.findById(franchiseId);
-      } else if (lead.agent && lead.agent.managedByModel === 'Franchise' && lead.agent.managedBy) {
-        // Agent is directly managed by a Franchise
-        franchiseId = lead.agent.managedBy._id || lead.agent.managedBy;
-        franchise = await Franchise.findById(franchiseId);
-      } else if (lead.agent && lead.agent.managedByModel === 'RelationshipManager' && lead.agent.managedBy) {
-        // Agent is managed by a RelationshipManager - find franchise through regional manager
-        const RelationshipManager = (await import('../models/relationship.model.js')).default;
-        const rm = await RelationshipManager.findById(lead.agent.managedBy).select('regionalManager').lean();
-        
-        if (rm && rm.regionalManager) {
-          // Find franchises under this regional manager
-          const franchises = await Franchise.find({ regionalManager: rm.regionalManager }).limit(1);
-          if (franchises.length > 0) {
-            franchise = franchises[0];
-            franchiseId = franchise._id;
-          }
-        }
-      } else if (lead.associatedModel === 'RelationshipManager' && lead.associated) {
-        // Lead is associated with a RelationshipManager - find franchise through regional manager
-        const RelationshipManager = (await import('../models/relationship.model.js')).default;
-        const rm = await RelationshipManager.findById(lead.associated._id || lead.associated).select('regionalManager').lean();
-        
-        if (rm && rm.regionalManager) {
-          // Find franchises under this regional manager
-          const franchises = await Franchise.find({ regionalManager: rm.regionalManager }).limit(1);
-          if (franchises.length > 0) {
-            franchise = franchises[0];
-            franchiseId = franchise._id;
-          }
-        }
+      // Partially disbursed leads are billed tranche by tranche (see generateTrancheInvoices)
+      if (await commissionWaterfallService.hasTrancheAccruals(leadId)) {
+        throw new Error('Commission for this lead is accrued per disbursement. Generate invoices for each disbursement tranche instead.');
       }
 
+      // Invoices are raised against a franchise (RM-managed leads use the franchise under the RM's regional manager)
+      const franchise = await commissionWaterfallService.resolveFranchise(lead);
       if (!franchise) {
         throw new Error('Franchise information not found for this lead. Please ensure the lead is associated with a franchise or the agent is managed by a franchise.');
       }
+      const franchiseId = franchise._id;
+      const agentId = lead.agent._id || lead.agent;
 
-      let invoiceType = 'agent';
-      let commissionAmount = 0;
-      const loanAmount = lead.loanAmount || 0;
+      // Post (or reuse) the ledger entries for every party of this lead
+      const { entries, unavailable } = await commissionWaterfallService.postWaterfall(leadId);
+      const findEntry = (...partyTypes) => entries.find((e) => partyTypes.includes(e.partyType));
 
       if (lead.status === 'disbursed') {
-        // Check if lead has subAgent - if yes, generate split invoices
-        // Check both subAgent (ObjectId or populated) and subAgentName for robustness
-        // Also check the raw document in case subAgent is set but populated as null
-        const rawLead = await Lead.findById(leadId).select('subAgent subAgentName').lean();
-        const hasSubAgent = !!(lead.subAgent || lead.subAgentName || rawLead?.subAgent || rawLead?.subAgentName);
-        
+        const hasSubAgent = !!(lead.subAgent || lead.subAgentName);
+
         if (hasSubAgent) {
           // Generate split invoices: one for Agent, one for SubAgent
-          // Use the commission rate decided by the agent when creating the lead
-          const agentCommissionPercentage = lead.agentCommissionPercentage || 0;
-          const subAgentCommissionPercentage = lead.subAgentCommissionPercentage || 0;
-          
-          console.log('🔍 Split Invoice Debug - Using Agent-Decided Commission Rates:', {
-            hasSubAgent: !!hasSubAgent,
-            subAgent: lead.subAgent,
-            subAgentName: lead.subAgentName,
-            rawSubAgent: rawLead?.subAgent,
-            rawSubAgentName: rawLead?.subAgentName,
-            agentCommissionPercentage: `${agentCommissionPercentage}% (set by agent)`,
-            subAgentCommissionPercentage: `${subAgentCommissionPercentage}% (decided by agent)`,
-            loanAmount,
-            note: 'SubAgent invoice will use the commission rate decided by the agent when creating the lead'
-          });
-          
-          if (agentCommissionPercentage <= 0) {
-            throw new Error('Partner commission percentage is not set or is zero. Cannot generate split invoices.');
-          }
-
-          if (subAgentCommissionPercentage <= 0) {
-            throw new Error('Sub-agent commission percentage is not set or is zero. Cannot generate split invoices. Please ensure the agent set a commission rate for the sub-agent when creating the lead.');
-          }
+          if (unavailable.agent) throw new Error(unavailable.agent);
+          if (unavailable.sub_agent) throw new Error(unavailable.sub_agent);
 
-          // Calculate Agent's remaining commission (total - subAgent's share)
-          const agentRemainingPercentage = agentCommissionPercentage - subAgentCommissionPercentage;
-          
-          if (agentRemainingPercentage <= 0) {
-            throw new Error(`Agent remaining commission percentage is zero or negative. Agent: ${agentCommissionPercentage}%, SubAgent: ${subAgentCommissionPercentage}%.`);
+          const agentEntry = findEntry('agent');
+          const subAgentEntry = findEntry('sub_agent');
+          if (!agentEntry || !subAgentEntry || agentEntry.amount <= 0 || subAgentEntry.amount <= 0) {
+            throw new Error('Calculated commission amounts are zero. Cannot generate invoices.');
           }
 
           // Check for existing invoices
@@ -152,118 +87,23 @@ class InvoiceService {
             invoiceType: 'sub_agent'
           });
 
-          if (existingAgentInvoice || existingSubAgentInvoice) {
+          if (existingAgentInvoice || existingSubAgentInvoice || agentEntry.invoice || subAgentEntry.invoice) {
             throw new Error('Invoices already exist for this lead. Duplicate invoice generation prevented.');
           }
 
-          // Calculate commission amounts
-          // SubAgent commission uses the rate decided by the agent (subAgentCommissionPercentage)
-          const agentCommissionAmount = (loanAmount * agentRemainingPercentage) / 100;
-          const subAgentCommissionAmount = (loanAmount * subAgentCommissionPercentage) / 100;
-          
-          console.log('💰 Commission Calculation:', {
-            loanAmount,
-            agentTotalCommission: `${agentCommissionPercentage}%`,
-            subAgentCommission: `${subAgentCommissionPercentage}% (agent-decided rate)`,
-            agentRemainingCommission: `${agentRemainingPercentage}%`,
-            agentCommissionAmount: `₹${agentCommissionAmount.toLocaleString()}`,
-            subAgentCommissionAmount: `₹${subAgentCommissionAmount.toLocaleString()} (using agent-decided rate)`
-          });
-
-          if (agentCommissionAmount <= 0 || subAgentCommissionAmount <= 0) {
-            throw new Error('Calculated commission amounts are zero. Cannot generate invoices.');
-          }
-
-          // Gross = Taxable + GST - TDS (GST 18%, TDS 2%)
-          const tdsPercentage = TDS_RATE;
-          const agentAmounts = computeInvoiceAmounts(agentCommissionAmount, tdsPercentage);
-          const subAgentAmounts = computeInvoiceAmounts(subAgentCommissionAmount, tdsPercentage);
-          const agentTdsAmount = agentAmounts.tdsAmount;
-          const subAgentTdsAmount = subAgentAmounts.tdsAmount;
-          const agentNetPayable = agentAmounts.netPayable;
-          const subAgentNetPayable = subAgentAmounts.netPayable;
-          const agentGstAmount = agentAmounts.gstAmount;
-          const subAgentGstAmount = subAgentAmounts.gstAmount;
-
-          // Generate invoice numbers
-          const agentInvoiceNumber = await generateInvoiceNumber();
-          const subAgentInvoiceNumber = await generateInvoiceNumber();
-
-          // Create Agent Invoice
-          const agentInvoice = await Invoice.create({
-            invoiceNumber: agentInvoiceNumber,
+          const agentInvoice = await this.createInvoiceFromEntry(agentEntry, {
             lead: leadId,
-            agent: lead.agent._id || lead.agent,
+            agent: agentId,
             franchise: franchiseId,
             invoiceType: 'agent',
-            commissionAmount: agentCommissionAmount,
-            gstAmount: agentGstAmount,
-            tdsAmount: agentTdsAmount,
-            tdsPercentage,
-            netPayable: agentNetPayable,
-            status: 'pending',
-            invoiceDate: new Date(),
           });
 
-          // Get subAgent ID - handle both populated and unpopulated cases
-          let subAgentId = null;
-          
-          // First try to get from populated subAgent
-          if (lead.subAgent) {
-            // Handle both populated object and ObjectId
-            if (typeof lead.subAgent === 'object' && lead.subAgent._id) {
-              subAgentId = lead.subAgent._id;
-            } else {
-              subAgentId = lead.subAgent;
-            }
-          }
-          
-          // If not found, try from raw document
-          if (!subAgentId && rawLead?.subAgent) {
-            subAgentId = rawLead.subAgent;
-          }
-          
-          // If still not found, try to find by name
-          if (!subAgentId && (lead.subAgentName || rawLead?.subAgentName)) {
-            const subAgentName = lead.subAgentName || rawLead.subAgentName;
-            const subAgentUser = await User.findOne({ 
-              name: subAgentName,
-              parentAgent: lead.agent._id || lead.agent,
-              role: 'agent'
-            });
-            if (subAgentUser) {
-              subAgentId = subAgentUser._id;
-            } else {
-              throw new Error(`Sub-agent "${subAgentName}" not found for this agent. Cannot generate sub-agent invoice.`);
-            }
-          }
-          
-          if (!subAgentId) {
-            throw new Error('Sub-agent ID could not be determined. Please ensure the lead has a valid sub-agent assigned.');
-          }
-
-          // Create SubAgent Invoice
-          // Note: commissionAmount is calculated using subAgentCommissionPercentage 
-          // which was decided by the agent when creating the lead
-          const subAgentInvoice = await Invoice.create({
-            invoiceNumber: subAgentInvoiceNumber,
+          const subAgentInvoice = await this.createInvoiceFromEntry(subAgentEntry, {
             lead: leadId,
-            agent: lead.agent._id || lead.agent, // Keep agent reference for tracking
-            subAgent: subAgentId,
+            agent: agentId, // Keep agent reference for tracking
+            subAgent: subAgentEntry.partyId,
             franchise: franchiseId,
             invoiceType: 'sub_agent',
-            commissionAmount: subAgentCommissionAmount, // Uses agent-decided subAgentCommissionPercentage from lead
-            gstAmount: subAgentGstAmount,
-            tdsAmount: subAgentTdsAmount,
-            tdsPercentage,
-            netPayable: subAgentNetPayable,
-            status: 'pending',
-            invoiceDate: new Date(),
-          });
-          
-          console.log('✅ Split invoices created:', {
-            agentInvoice: agentInvoice._id,
-            subAgentInvoice: subAgentInvoice._id
           });
 
           // Update lead - mark as invoice generated
@@ -275,232 +115,224 @@ class InvoiceService {
 
           // Return both invoices (return agent invoice as primary, but both are created)
           return { agentInvoice, subAgentInvoice, isSplit: true };
-        } else {
-          // Generate single Agent Invoice (no subAgent)
-          invoiceType = 'agent';
-          
-          // Use Agent Commission % set while creating the Lead
-          // Try agentCommissionPercentage first, then fallback to commissionPercentage
-          const agentCommissionPercentage = lead.agentCommissionPercentage || lead.commissionPercentage || 0;
-          
-          if (agentCommissionPercentage <= 0) {
-            throw new Error('Agent commission percentage is not set or is zero. Please set the commission percentage for this lead before generating an invoice.');
-          }
-
-          // Calculate: Agent Commission Amount = (Loan Amount × Agent Commission %) / 100
-          commissionAmount = (loanAmount * agentCommissionPercentage) / 100;
-
-          if (commissionAmount <= 0) {
-            throw new Error('Calculated agent commission amount is zero. Cannot generate invoice.');
-          }
-
-          // Check for duplicate agent invoice
-          const existingAgentInvoice = await Invoice.findOne({
-            lead: leadId,
-            invoiceType: 'agent'
-          });
+        }
 
-          if (existingAgentInvoice) {
-            throw new Error('Partner invoice already exists for this lead. Duplicate invoice generation prevented.');
-          }
+        // Generate single Agent Invoice (no subAgent)
+        if (unavailable.agent) throw new Error(unavailable.agent);
 
-          // Gross = Taxable + GST - TDS (GST 18%, TDS 2%)
-          const tdsPercentage = TDS_RATE;
-          const amounts = computeInvoiceAmounts(commissionAmount, tdsPercentage);
+        const agentEntry = findEntry('agent');
+        if (!agentEntry || agentEntry.amount <= 0) {
+          throw new Error('Calculated agent commission amount is zero. Cannot generate invoice.');
+        }
 
-          // Generate invoice number
-          const invoiceNumber = await generateInvoiceNumber();
+        // Check for duplicate agent invoice
+        const existingAgentInvoice = await Invoice.findOne({
+          lead: leadId,
+          invoiceType: 'agent'
+        });
 
-          // Create invoice
-          const invoice = await Invoice.create({
-            invoiceNumber,
-            lead: leadId,
-            agent: lead.agent._id || lead.agent,
-            franchise: franchiseId,
-            invoiceType,
-            commissionAmount,
-            gstAmount: amounts.gstAmount,
-            tdsAmount: amounts.tdsAmount,
-            tdsPercentage,
-            netPayable: amounts.netPayable,
-            status: 'pending',
-            invoiceDate: new Date(),
-          });
+        if (existingAgentInvoice || agentEntry.invoice) {
+          throw new Error('Partner invoice already exists for this lead. Duplicate invoice generation prevented.');
+        }
 
-          // Update lead - mark as invoice generated (but don't overwrite if invoice field already exists)
-          if (!lead.invoice) {
-            lead.invoice = invoice._id;
-          }
-          lead.isInvoiceGenerated = true;
-          await lead.save();
+        const invoice = await this.createInvoiceFromEntry(agentEntry, {
+          lead: leadId,
+          agent: agentId,
+          franchise: franchiseId,
+          invoiceType: 'agent',
+        });
 
-          return invoice;
+        // Update lead - mark as invoice generated (but don't overwrite if invoice field already exists)
+        if (!lead.invoice) {
+          lead.invoice = invoice._id;
         }
+        lead.isInvoiceGenerated = true;
+        await lead.save();
 
-      } else if (lead.status === 'completed') {
-        // Generate Franchise Invoice
-        invoiceType = 'franchise';
-        
-        // Get Franchise Commission % from FranchiseCommissionLimit (set by Admin per bank)
-        // This is the default commission percentage for the franchise for this specific bank
-        let franchiseCommissionPercentage = 0;
-        
-        // Get bank ID from lead
-        const bankId = lead.bank?._id || lead.bank;
-        if (!bankId) {
-          throw new Error('Bank information not found for this lead. Cannot determine franchise commission percentage.');
-        }
-        
-        // Get Franchise Commission Limit for this bank (set by Admin)
-        const franchiseCommissionLimit = await FranchiseCommissionLimit.findOne({ bank: bankId });
-        
-        if (!franchiseCommissionLimit) {
-          throw new Error(`Franchise commission limit is not set for this bank. Please set the commission limit for this bank in the Franchise Commission settings.`);
-        }
-        
-        // Use the maxCommissionValue as franchise commission percentage
-        // Note: This assumes limitType is 'percentage' (which is the standard)
-        if (franchiseCommissionLimit.limitType === 'percentage') {
-          franchiseCommissionPercentage = parseFloat(franchiseCommissionLimit.maxCommissionValue) || 0;
-        } else {
-          // If it's amount-based, we can't use it as percentage
-          throw new Error(`Franchise commission limit for this bank is set as amount (₹${franchiseCommissionLimit.maxCommissionValue}), not percentage. Please configure it as percentage in Franchise Commission settings.`);
-        }
-        
-        if (franchiseCommissionPercentage <= 0) {
-          throw new Error(`Franchise commission percentage is zero for this bank. Please set a valid commission percentage in the Franchise Commission settings.`);
-        }
+        return invoice;
+      }
 
-        // Get Agent Commission % from lead
-        const agentCommissionPercentage = lead.agentCommissionPercentage || 0;
-        
-        // Get Referral Franchise Commission % from lead (if exists)
-        const referralFranchiseCommissionPercentage = lead.referralFranchiseCommissionPercentage || 0;
+      // status === 'completed': Generate Franchise Invoice from the franchise / RM share
+      if (unavailable.franchise) throw new Error(unavailable.franchise);
 
-        // Calculate remaining commission: Franchise Commission % - Agent Commission % - Referral Franchise Commission %
-        const remainingCommissionPercentage = franchiseCommissionPercentage - agentCommissionPercentage - referralFranchiseCommissionPercentage;
+      const franchiseEntry = findEntry('franchise', 'relationship_manager');
+      if (!franchiseEntry || franchiseEntry.amount <= 0) {
+        throw new Error(`Calculated franchise commission amount is zero. Loan Amount: ${lead.loanAmount || 0}.`);
+      }
 
-        // If remaining commission is zero or negative
-        if (remainingCommissionPercentage <= 0) {
-          throw new Error(`Franchise commission is zero or negative. Total commission: ${franchiseCommissionPercentage}%, Agent commission: ${agentCommissionPercentage}%, Referral franchise commission: ${referralFranchiseCommissionPercentage}%. The sum of agent and referral franchise commissions equals or exceeds the total franchise commission.`);
-        }
+      // Check for duplicate main franchise invoice (not referral)
+      const existingFranchiseInvoice = await Invoice.findOne({
+        lead: leadId,
+        invoiceType: 'franchise',
+        $or: [
+          { isReferralFranchise: { $exists: false } },
+          { isReferralFranchise: false }
+        ]
+      });
+
+      if (existingFranchiseInvoice || franchiseEntry.invoice) {
+        throw new Error('Main franchise invoice already exists for this lead. Duplicate invoice generation prevented.');
+      }
 
-        // Calculate: Franchise Commission Amount = (Loan Amount × Remaining Commission %) / 100
-        commissionAmount = (loanAmount * remainingCommissionPercentage) / 100;
+      const invoice = await this.createInvoiceFromEntry(franchiseEntry, {
+        lead: leadId,
+        agent: agentId,
+        franchise: franchiseId,
+        invoiceType: 'franchise',
+      });
 
-        if (commissionAmount <= 0) {
-          throw new Error(`Calculated franchise commission amount is zero. Loan Amount: ${loanAmount}, Remaining Commission %: ${remainingCommissionPercentage}%.`);
-        }
+      // Update lead - mark as invoice generated (but don't overwrite if invoice field already exists)
+      if (!lead.invoice) {
+        lead.invoice = invoice._id;
+      }
+      lead.isInvoiceGenerated = true;
+      await lead.save();
 
-        // Check for duplicate main franchise invoice (not referral)
-        const existingFranchiseInvoice = await Invoice.findOne({
+      // If referral franchise exists, create a second invoice for the referral franchise
+      const referralEntry = findEntry('referral_franchise');
+      if (referralEntry && referralEntry.amount > 0 && !referralEntry.invoice) {
+        const existingReferralInvoice = await Invoice.findOne({
           lead: leadId,
           invoiceType: 'franchise',
-          $or: [
-            { isReferralFranchise: { $exists: false } },
-            { isReferralFranchise: false }
-          ]
+          franchise: referralEntry.partyId,
+          isReferralFranchise: true
         });
 
-        if (existingFranchiseInvoice) {
-          throw new Error('Main franchise invoice already exists for this lead. Duplicate invoice generation prevented.');
+        if (!existingReferralInvoice) {
+          const referralInvoice = await this.createInvoiceFromEntry(referralEntry, {
+            lead: leadId,
+            agent: agentId,
+            franchise: referralEntry.partyId,
+            invoiceType: 'franchise',
+            isReferralFranchise: true, // Mark as referral franchise invoice
+          });
+
+          // Return both invoices (main invoice and referral invoice)
+          return {
+            mainInvoice: invoice,
+            referralInvoice: referralInvoice
+          };
         }
+      }
 
-        // Gross = Taxable + GST - TDS (GST 18%, TDS 2%)
-        const tdsPercentage = TDS_RATE;
-        const amounts = computeInvoiceAmounts(commissionAmount, tdsPercentage);
+      return invoice;
+    } catch (error) {
+      throw new Error(`Error generating invoice: ${error.message}`);
+    }
+  }
 
-        // Generate invoice number
-        const invoiceNumber = await generateInvoiceNumber();
+  /**
+   * Generate invoices for one disbursement tranche from its ledger entries
+   * (agent, sub-agent, franchise / RM and referral franchise shares not yet billed)
+   * @param {ObjectId} leadId - Lead ID
+   * @param {ObjectId} disbursementId - disbursementHistory entry ID
+   * @returns {Promise<Array>} Created invoices
+   */
+  async generateTrancheInvoices(leadId, disbursementId) {
+    try {
+      const lead = await Lead.findById(leadId)
+        .populate({ path: 'agent', populate: { path: 'managedBy' } })
+        .populate('associated');
+      if (!lead) {
+        throw new Error('Lead not found');
+      }
 
-        // Create invoice
-        const invoice = await Invoice.create({
-          invoiceNumber,
-          lead: leadId,
-          agent: lead.agent._id || lead.agent,
-          franchise: franchiseId,
-          invoiceType,
-          commissionAmount,
-          gstAmount: amounts.gstAmount,
-          tdsAmount: amounts.tdsAmount,
-          tdsPercentage,
-          netPayable: amounts.netPayable,
-          status: 'pending',
-          invoiceDate: new Date(),
-        });
+      const tranche = lead.disbursementHistory?.id(disbursementId);
+      if (!tranche) {
+        throw new Error('Disbursement tranche not found');
+      }
 
-        // Update lead - mark as invoice generated (but don't overwrite if invoice field already exists)
-        if (!lead.invoice) {
-          lead.invoice = invoice._id;
-        }
-        lead.isInvoiceGenerated = true;
-        await lead.save();
+      const franchise = await commissionWaterfallService.resolveFranchise(lead);
+      if (!franchise) {
+        throw new Error('Franchise information not found for this lead. Please ensure the lead is associated with a franchise or the agent is managed by a franchise.');
+      }
 
-        // If referral franchise exists, create a second invoice for the referral franchise
-        if (lead.referralFranchise) {
-          const referralFranchiseId = lead.referralFranchise._id || lead.referralFranchise;
-          
-          // Get referral franchise commission from lead
-          const referralCommissionPercentage = lead.referralFranchiseCommissionPercentage || 0;
-          const referralCommissionAmount = lead.referralFranchiseCommissionAmount || 0;
-
-          if (referralCommissionAmount > 0) {
-            // Check for duplicate referral franchise invoice
-            const existingReferralInvoice = await Invoice.findOne({
-              lead: leadId,
-              invoiceType: 'franchise',
-              franchise: referralFranchiseId,
-              isReferralFranchise: true
-            });
-
-            if (!existingReferralInvoice) {
-              // Gross = Taxable + GST - TDS for referral franchise
-              const referralAmounts = computeInvoiceAmounts(referralCommissionAmount, TDS_RATE);
-
-              // Generate invoice number for referral franchise
-              const referralInvoiceNumber = await generateInvoiceNumber();
-
-              // Create invoice for referral franchise (with isReferralFranchise flag)
-              const referralInvoice = await Invoice.create({
-                invoiceNumber: referralInvoiceNumber,
-                lead: leadId,
-                agent: lead.agent._id || lead.agent,
-                franchise: referralFranchiseId,
-                invoiceType: 'franchise',
-                isReferralFranchise: true, // Mark as referral franchise invoice
-                commissionAmount: referralCommissionAmount,
-                gstAmount: referralAmounts.gstAmount,
-                tdsAmount: referralAmounts.tdsAmount,
-                tdsPercentage: TDS_RATE,
-                netPayable: referralAmounts.netPayable,
-                status: 'pending',
-                invoiceDate: new Date(),
-              });
-
-              // Return both invoices (main invoice and referral invoice)
-              return {
-                mainInvoice: invoice,
-                referralInvoice: referralInvoice
-              };
-            }
-          }
+      const entries = await commissionWaterfallService.getActiveEntries(leadId, tranche._id);
+      if (entries.length === 0) {
+        throw new Error('No commission has been accrued for this disbursement tranche.');
+      }
+
+      const billable = entries.filter((e) => e.partyType !== 'company' && !e.invoice && e.amount > 0);
+      if (billable.length === 0) {
+        throw new Error('All commission for this disbursement tranche has already been invoiced. Duplicate invoice generation prevented.');
+      }
+
+      const agentId = lead.agent._id || lead.agent;
+      const invoices = [];
+      for (const entry of billable) {
+        const fields = {
+          lead: leadId,
+          agent: agentId,
+          franchise: franchise._id,
+          disbursement: tranche._id,
+          invoiceType: 'agent',
+        };
+        if (entry.partyType === 'sub_agent') {
+          fields.invoiceType = 'sub_agent';
+          fields.subAgent = entry.partyId;
+        } else if (entry.partyType === 'franchise' || entry.partyType === 'relationship_manager') {
+          fields.invoiceType = 'franchise';
+        } else if (entry.partyType === 'referral_franchise') {
+          fields.invoiceType = 'franchise';
+          fields.franchise = entry.partyId;
+          fields.isReferralFranchise = true;
         }
+        invoices.push(await this.createInvoiceFromEntry(entry, fields));
+      }
 
-        return invoice;
+      if (!lead.invoice) {
+        lead.invoice = invoices[0]._id;
       }
+      lead.isInvoiceGenerated = true;
+      await lead.save();
 
+      return invoices;
     } catch (error) {
-      throw new Error(`Error generating invoice: ${error.message}`);
+      throw new Error(`Error generating tranche invoices: ${error.message}`);
     }
   }
 
+  /**
+   * Create a pending invoice billing a commission ledger entry and link the entry to it
+   * @param {Object} entry - Commission ledger entry
+   * @param {Object} fields - Invoice parties (lead, agent, subAgent, franchise, invoiceType, isReferralFranchise)
+   * @returns {Promise<Object>} Created invoice
+   */
+  async createInvoiceFromEntry(entry, fields) {
+    // Gross = Taxable + GST - TDS
+    const invoiceDate = new Date();
+    const amounts = await tdsService.computeInvoiceAmounts(
+      { ...fields, commissionLedgerEntry: entry._id, invoiceDate },
+      entry.amount
+    );
+    const invoice = new Invoice({
+      ...fields,
+      commissionLedgerEntry: entry._id,
+      commissionAmount: entry.amount,
+      gstAmount: amounts.gstAmount,
+      gstDetails: amounts.gstDetails,
+      tdsAmount: amounts.tdsAmount,
+      tdsPercentage: amounts.tdsPercentage,
+      tdsRule: amounts.tdsRule,
+      netPayable: amounts.netPayable,
+      status: 'pending',
+      invoiceDate,
+    });
+    await numberingService.createNumbered(invoice, 'invoiceNumber', () =>
+      numberingService.nextInvoiceNumber(invoice.invoiceType, invoiceDate));
+
+    await commissionWaterfallService.markInvoiced(entry, invoice._id);
+    return invoice;
+  }
+
   /**
    * Agent accepts invoice
    * @param {ObjectId} invoiceId - Invoice ID
    * @param {String} remarks - Optional remarks from agent
+   * @param {ObjectId} userId - User ID who accepted
    * @returns {Promise<Object>} Updated invoice
    */
-  async acceptInvoice(invoiceId, remarks = '') {
+  async acceptInvoice(invoiceId, remarks = '', userId = null) {
     try {
       const invoice = await Invoice.findById(invoiceId);
       if (!invoice) {
@@ -516,6 +348,7 @@ class InvoiceService {
       invoice.agentRemarks = remarks;
 
       await invoice.save();
+      await this.postApprovalToLedger(invoice._id, userId);
 
       return invoice;
     } catch (error) {
@@ -579,8 +412,15 @@ class InvoiceService {
       // Apply adjustments if provided (Gross = Taxable + GST - TDS)
       if (adjustments.commissionAmount) {
         invoice.commissionAmount = adjustments.commissionAmount;
-        const amounts = computeInvoiceAmounts(adjustments.commissionAmount, invoice.tdsPercentage || TDS_RATE);
+        // A manually entered rate is kept; otherwise the rate is picked again for the new amount
+        const amounts = await tdsService.computeInvoiceAmounts(invoice, adjustments.commissionAmount, {
+          tdsPercentage: invoice.tdsRule?.code === 'manual' ? invoice.tdsPercentage : undefined,
+          excludeInvoiceId: invoice._id,
+        });
         invoice.gstAmount = amounts.gstAmount;
+        invoice.gstDetails = amounts.gstDetails;
+        invoice.tdsPercentage = amounts.tdsPercentage;
+        invoice.tdsRule = amounts.tdsRule;
         invoice.tdsAmount = amounts.tdsAmount;
         invoice.netPayable = amounts.netPayable;
       }
@@ -626,6 +466,7 @@ class InvoiceService {
       }
 
       await invoice.save();
+      await this.postApprovalToLedger(invoice._id, userId);
 
       return invoice;
     } catch (error) {
@@ -634,7 +475,22 @@ class InvoiceService {
   }
 
   /**
-   * Reject invoice
+   * Post an approved invoice to the partner ledger. The approval is already saved,
+   * so a posting failure is logged rather than thrown (re-posting is idempotent).
+   * @param {ObjectId} invoiceId - Invoice ID
+   * @param {ObjectId} userId - User ID who approved
+   */
+  async postApprovalToLedger(invoiceId, userId) {
+    try {
+      await partnerLedgerService.postInvoiceApproval(invoiceId, userId);
+    } catch (error) {
+      console.error('Error posting invoice approval to partner ledger:', error);
+    }
+  }
+
+  /**
+   * Reject a pending invoice and release the commission it billed so it can be invoiced again.
+   * Approved invoices are in the partner ledger; they are corrected with notes or cancelled.
    * @param {ObjectId} invoiceId - Invoice ID
    * @param {String} rejectionReason - Reason for rejection
    * @param {ObjectId} userId - User ID who rejected
@@ -647,12 +503,20 @@ class InvoiceService {
         throw new Error('Invoice not found');
       }
 
+      if (invoice.status !== 'pending') {
+        throw new Error(`Only pending invoices can be rejected (invoice is ${invoice.status}); cancel approved invoices instead`);
+      }
+      if (await PartnerLedger.exists({ sourceModel: 'Invoice', sourceId: invoice._id })) {
+        throw new Error('Invoice is posted to the partner ledger; cancel it instead');
+      }
+
       invoice.status = 'rejected';
       invoice.rejectionReason = rejectionReason;
       invoice.rejectedAt = new Date();
       invoice.rejectedBy = userId;
 
       await invoice.save();
+      await commissionWaterfallService.releaseInvoiced(invoice._id);
 
       return invoice;
     } catch (error) {
@@ -0,0 +1,332 @@
+import mongoose from 'mongoose';
+import Invoice from '../models/invoice.model.js';
+import InvoiceNote from '../models/invoiceNote.model.js';
+import Payout from '../models/payout.model.js';
+import gstService from './gst.service.js';
+import numberingService from './numbering.service.js';
+import partnerLedgerService from './partnerLedger.service.js';
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Invoices already posted to the partner ledger; only these are corrected by notes
+const NOTE_ELIGIBLE_STATUSES = ['approved', 'gst_paid', 'paid', 'regular_paid'];
+
+// A payout still in flight would pay a cancelled invoice
+const SETTLED_PAYOUT_STATUSES = ['complete', 'recovery_pending', 'recovery_received'];
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Invoice Note Service
+ * Issues credit / debit notes against approved or paid invoices and cancels invoices
+ * through a full credit note, so the original invoice is never rewritten.
+ */
+class InvoiceNoteService {
+  /**
+   * Amounts still billed on an invoice after its notes (credit notes reduce, debit notes add)
+   * @param {Object} invoice - Invoice document
+   * @param {Array} notes - Notes issued against the invoice
+   * @returns {Object} { taxable, gst, tds }
+   */
+  getOutstanding(invoice, notes) {
+    const outstanding = {
+      taxable: invoice.commissionAmount || 0,
+      gst: invoice.gstAmount || 0,
+      tds: invoice.tdsAmount || 0,
+    };
+    for (const note of notes) {
+      const sign = note.noteType === 'credit' ? -1 : 1;
+      outstanding.taxable += sign * (note.taxableAmount || 0);
+      outstanding.gst += sign * (note.gstAmount || 0);
+      outstanding.tds += sign * (note.tdsAmount || 0);
+    }
+    return {
+      taxable: round2(outstanding.taxable),
+      gst: round2(outstanding.gst),
+      tds: round2(outstanding.tds),
+    };
+  }
+
+  /**
+   * GST and TDS on a note, at the original invoice's effective rates.
+   * A credit note for everything outstanding reverses the exact remaining amounts (no rounding residue).
+   * @param {Object} invoice - Original invoice
+   * @param {String} noteType - credit | debit
+   * @param {Number} taxable - Taxable value of the note
+   * @param {Object} outstanding - From getOutstanding
+   * @returns {Promise<Object>} { gstAmount, gstDetails, tdsPercentage, tdsAmount, netAmount }
+   */
+  async computeNoteAmounts(invoice, noteType, taxable, outstanding) {
+    const fullReversal = noteType === 'credit' && taxable === outstanding.taxable;
+    const invoiceTaxable = invoice.commissionAmount || 0;
+    const gstRatio = invoiceTaxable > 0 ? (invoice.gstAmount || 0) / invoiceTaxable : 0;
+    const tdsPercentage = invoice.tdsPercentage || 0;
+
+    const gstAmount = fullReversal ? outstanding.gst : round2(taxable * gstRatio);
+    const tdsAmount = fullReversal ? outstanding.tds : round2((taxable * tdsPercentage) / 100);
+
+    // Split the GST the way the invoice was split; invoices saved before the split use today's context
+    const recorded = invoice.gstDetails?.supplyType ? invoice.gstDetails : null;
+    const context = recorded
+      ? {
+        supplierStateCode: recorded.supplierStateCode,
+        placeOfSupply: recorded.placeOfSupply,
+        sacCode: recorded.sacCode,
+        taxConfig: recorded.supplyType === 'inter_state'
+          ? { igstRate: recorded.igstRate }
+          : { cgstRate: recorded.cgstRate, sgstRate: recorded.sgstRate },
+      }
+      : await gstService.getInvoiceContext(invoice);
+    const { gstAmount: splitAmount, ...gstDetails } = gstService.splitGst(
+      taxable,
+      { ...context, gstApplicable: gstAmount > 0 },
+      gstAmount
+    );
+
+    return {
+      gstAmount: splitAmount,
+      gstDetails,
+      tdsPercentage,
+      tdsAmount,
+      netAmount: round2(taxable + splitAmount - tdsAmount),
+    };
+  }
+
+  /**
+   * Issue a credit or debit note against an invoice and post it to the partner ledger
+   * @param {ObjectId} invoiceId - Original invoice ID
+   * @param {Object} data - { noteType: 'credit' | 'debit', taxableAmount, reason, noteDate }
+   * @param {ObjectId} userId - User issuing the note
+   * @param {Object} options - { isCancellation, allowCancelled } (internal, used by cancelInvoice)
+   * @returns {Promise<Object>} Created note
+   */
+  async createNote(invoiceId, data, userId, options = {}) {
+    try {
+      const { noteType, reason } = data;
+      const taxable = round2(Number(data.taxableAmount));
+
+      if (!['credit', 'debit'].includes(noteType)) {
+        throw badRequest('Note type must be credit or debit');
+      }
+      if (!reason || !String(reason).trim()) {
+        throw badRequest('A reason is required');
+      }
+      if (!Number.isFinite(taxable) || taxable <= 0) {
+        throw badRequest('Taxable amount must be greater than zero');
+      }
+      if (!mongoose.Types.ObjectId.isValid(invoiceId)) {
+        throw badRequest('A valid invoice ID is required');
+      }
+
+      const invoice = await Invoice.findById(invoiceId);
+      if (!invoice) {
+        throw notFound('Invoice not found');
+      }
+      const allowedStatuses = options.allowCancelled ? [...NOTE_ELIGIBLE_STATUSES, 'cancelled'] : NOTE_ELIGIBLE_STATUSES;
+      if (!allowedStatuses.includes(invoice.status)) {
+        throw badRequest(
+          invoice.status === 'cancelled'
+            ? 'Invoice is cancelled'
+            : `Notes can only be issued against approved or paid invoices (invoice is ${invoice.status})`
+        );
+      }
+
+      const notes = await InvoiceNote.find({ invoice: invoice._id });
+      const outstanding = this.getOutstanding(invoice, notes);
+      if (noteType === 'credit' && taxable > outstanding.taxable) {
+        throw badRequest(`Credit note cannot exceed the outstanding taxable value of ${outstanding.taxable}`);
+      }
+
+      const amounts = await this.computeNoteAmounts(invoice, noteType, taxable, outstanding);
+      const noteDate = data.noteDate ? new Date(data.noteDate) : new Date();
+      if (Number.isNaN(noteDate.getTime())) {
+        throw badRequest('Invalid note date');
+      }
+
+      const note = new InvoiceNote({
+        noteType,
+        invoice: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        invoiceType: invoice.invoiceType,
+        lead: invoice.lead,
+        agent: invoice.agent,
+        subAgent: invoice.subAgent,
+        franchise: invoice.franchise,
+        commissionLedgerEntry: invoice.commissionLedgerEntry,
+        reason: String(reason).trim(),
+        isCancellation: Boolean(options.isCancellation),
+        taxableAmount: taxable,
+        ...amounts,
+        noteDate,
+        createdBy: userId,
+      });
+      await numberingService.createNumbered(note, 'noteNumber', () => numberingService.nextNoteNumber(noteType, noteDate));
+
+      // Logged, not thrown: the note is issued (re-posting is idempotent)
+      try {
+        await partnerLedgerService.postInvoiceNote(note._id, userId);
+      } catch (ledgerError) {
+        console.error('Error posting invoice note to partner ledger:', ledgerError);
+      }
+
+      return note;
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error creating invoice note: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancel an approved or paid invoice. The invoice keeps its amounts; a credit note
+   * reverses whatever is still outstanding on it (taxable, GST and TDS).
+   * @param {ObjectId} invoiceId - Invoice ID
+   * @param {String} reason - Cancellation reason
+   * @param {ObjectId} userId - User cancelling
+   * @returns {Promise<Object>} { invoice, creditNote }
+   */
+  async cancelInvoice(invoiceId, reason, userId) {
+    try {
+      if (!reason || !String(reason).trim()) {
+        throw badRequest('A cancellation reason is required');
+      }
+      if (!mongoose.Types.ObjectId.isValid(invoiceId)) {
+        throw badRequest('A valid invoice ID is required');
+      }
+
+      const invoice = await Invoice.findById(invoiceId);
+      if (!invoice) {
+        throw notFound('Invoice not found');
+      }
+      if (invoice.status === 'cancelled') {
+        throw badRequest('Invoice is already cancelled');
+      }
+      if (!NOTE_ELIGIBLE_STATUSES.includes(invoice.status)) {
+        throw badRequest(`Only approved or paid invoices can be cancelled (invoice is ${invoice.status}); reject it instead`);
+      }
+      if (invoice.payout) {
+        const payout = await Payout.findById(invoice.payout).select('payoutNumber status');
+        if (payout && !SETTLED_PAYOUT_STATUSES.includes(payout.status)) {
+          throw badRequest(`Invoice is on payout ${payout.payoutNumber}, which is still being processed`);
+        }
+      }
+
+      // Claim the invoice first so two concurrent cancellations cannot both issue a credit note
+      const previousStatus = invoice.status;
+      const claimed = await Invoice.findOneAndUpdate(
+        { _id: invoice._id, status: previousStatus },
+        {
+          status: 'cancelled',
+          cancellation: {
+            reason: String(reason).trim(),
+            cancelledAt: new Date(),
+            cancelledBy: userId,
+          },
+        },
+        { new: true }
+      );
+      if (!claimed) {
+        throw badRequest('Invoice was changed by someone else; reload and try again');
+      }
+
+      const notes = await InvoiceNote.find({ invoice: invoice._id });
+      const outstanding = this.getOutstanding(invoice, notes);
+
+      let creditNote = null;
+      if (outstanding.taxable > 0) {
+        try {
+          creditNote = await this.createNote(
+            invoice._id,
+            { noteType: 'credit', taxableAmount: outstanding.taxable, reason: `Cancellation: ${String(reason).trim()}` },
+            userId,
+            { isCancellation: true, allowCancelled: true }
+          );
+        } catch (noteError) {
+          await Invoice.updateOne(
+            { _id: invoice._id },
+            { status: previousStatus, $unset: { cancellation: 1 } }
+          );
+          throw noteError;
+        }
+        claimed.cancellation.creditNote = creditNote._id;
+        await claimed.save();
+      }
+
+      return { invoice: claimed, creditNote };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error cancelling invoice: ${error.message}`);
+    }
+  }
+
+  /**
+   * List notes
+   * @param {Object} filters - { noteType, invoice, agent, franchise, startDate, endDate, page, limit }
+   * @returns {Promise<Object>} { notes, total }
+   */
+  async getNotes({ noteType, invoice, agent, franchise, startDate, endDate, page = 1, limit = 20 } = {}) {
+    try {
+      const query = {};
+      if (noteType) query.noteType = noteType;
+      if (invoice) query.invoice = invoice;
+      if (agent) query.agent = agent;
+      if (franchise) query.franchise = franchise;
+      if (startDate || endDate) {
+        query.noteDate = {};
+        if (startDate) query.noteDate.$gte = new Date(startDate);
+        if (endDate) query.noteDate.$lte = new Date(endDate);
+      }
+
+      const [notes, total] = await Promise.all([
+        InvoiceNote.find(query)
+          .populate('invoice', 'invoiceNumber status commissionAmount netPayable')
+          .populate('agent', 'name email')
+          .populate('subAgent', 'name email')
+          .populate('franchise', 'name')
+          .populate('createdBy', 'name email')
+          .sort({ noteDate: -1, createdAt: -1 })
+          .skip((parseInt(page) - 1) * parseInt(limit))
+          .limit(parseInt(limit)),
+        InvoiceNote.countDocuments(query),
+      ]);
+
+      return { notes, total };
+    } catch (error) {
+      throw new Error(`Error fetching invoice notes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a note with its invoice and parties (as needed for the printed note)
+   * @param {ObjectId} noteId - Note ID
+   * @returns {Promise<Object|null>} Note
+   */
+  async getNoteById(noteId) {
+    try {
+      return await InvoiceNote.findById(noteId)
+        .populate({
+          path: 'invoice',
+          populate: [
+            { path: 'lead', populate: { path: 'bank', select: 'name' } },
+            { path: 'agent', select: 'name email mobile city address kyc bankDetails agentType gst' },
+            { path: 'subAgent', select: 'name email mobile city address kyc bankDetails agentType gst' },
+            { path: 'franchise', select: 'name email mobile address kyc bankDetails franchiseType gst' },
+          ],
+        })
+        .populate('createdBy', 'name email');
+    } catch (error) {
+      throw new Error(`Error fetching invoice note: ${error.message}`);
+    }
+  }
+}
+
+export default new InvoiceNoteService();
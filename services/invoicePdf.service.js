@@ -0,0 +1,321 @@
+import PDFDocument from 'pdfkit';
+import gstService from './gst.service.js';
+import { amountToWords, formatDate } from '../utils/helpers.js';
+
+const PAGE_MARGIN = 40;
+const CONTENT_WIDTH = 595.28 - PAGE_MARGIN * 2; // A4
+
+// Built-in PDF fonts have no rupee glyph
+const money = (n) => `Rs. ${(Number(n) || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const joinAddress = (address) => {
+  if (!address) return '';
+  if (typeof address === 'string') return address;
+  return [address.street, address.city, address.state, address.pincode].filter(Boolean).join(', ');
+};
+
+/**
+ * Invoice PDF Service
+ * Renders a partner commission invoice as a GST tax invoice
+ * (or a plain invoice for partners not registered under GST), and credit / debit notes against it
+ */
+class InvoicePdfService {
+  /**
+   * Collect everything printed on the invoice
+   * @param {Object} invoice - Invoice populated with lead (and bank), agent, subAgent, franchise
+   * @returns {Promise<Object>} Invoice print data
+   */
+  async buildInvoiceData(invoice) {
+    const context = await gstService.getInvoiceContext(invoice);
+    const { settings, party } = context;
+    const taxable = invoice.commissionAmount || 0;
+    const gstAmount = invoice.gstAmount || 0;
+
+    // Invoices saved before the split was recorded: split the stored GST by the parties' states
+    const tax = invoice.gstDetails?.supplyType
+      ? { ...invoice.gstDetails.toObject?.() ?? invoice.gstDetails, gstAmount }
+      : gstService.splitGst(taxable, { ...context, gstApplicable: gstAmount > 0 }, gstAmount);
+    const gstApplicable = gstAmount > 0;
+
+    const lead = invoice.lead || {};
+    const description = [
+      'Commission on loan disbursement',
+      lead.bank?.name,
+      lead.customerName,
+      lead.loanAccountNo ? `LAN ${lead.loanAccountNo}` : null,
+    ].filter(Boolean).join(' - ');
+
+    const placeOfSupply = tax.placeOfSupply || context.placeOfSupply;
+    const supplierStateCode = tax.supplierStateCode || context.supplierStateCode;
+
+    return {
+      title: gstApplicable ? 'TAX INVOICE' : 'INVOICE',
+      documentLabel: 'Invoice',
+      invoiceNumber: invoice.invoiceNumber,
+      invoiceDate: invoice.invoiceDate || invoice.createdAt,
+      status: invoice.status,
+      supplier: {
+        name: party?.name || '',
+        address: joinAddress(party?.address),
+        gstin: party?.kyc?.gst || '',
+        pan: party?.kyc?.pan || '',
+        stateCode: supplierStateCode,
+        state: gstService.getStateName(supplierStateCode),
+        email: party?.email || '',
+        mobile: party?.mobile || '',
+        bankDetails: party?.bankDetails || {},
+      },
+      recipient: {
+        name: settings.companyName,
+        address: settings.address,
+        gstin: settings.gstNo,
+        pan: settings.panNo || '',
+        stateCode: context.placeOfSupply,
+        state: gstService.getStateName(context.placeOfSupply) || settings.state,
+        bankDetails: settings.bankDetails || {},
+      },
+      placeOfSupply: placeOfSupply ? `${gstService.getStateName(placeOfSupply)} (${placeOfSupply})` : settings.state,
+      gstApplicable,
+      supplyType: tax.supplyType,
+      lines: [{
+        description,
+        sacCode: tax.sacCode || context.sacCode || '',
+        taxableValue: taxable,
+      }],
+      tax,
+      taxableValue: taxable,
+      gstAmount,
+      invoiceTotal: taxable + gstAmount,
+      tdsPercentage: invoice.tdsPercentage || 0,
+      tdsAmount: invoice.tdsAmount || 0,
+      netPayable: invoice.netPayable || 0,
+      amountInWords: amountToWords(taxable + gstAmount),
+    };
+  }
+
+  /**
+   * Collect everything printed on a credit / debit note: the original invoice's parties
+   * and place of supply, with the note's own number, amounts and GST split
+   * @param {Object} note - Note populated with its invoice (see invoiceNoteService.getNoteById)
+   * @returns {Promise<Object>} Print data for renderPdf
+   */
+  async buildNoteData(note) {
+    const base = await this.buildInvoiceData(note.invoice);
+    const label = note.noteType === 'debit' ? 'Debit Note' : 'Credit Note';
+    const taxable = note.taxableAmount || 0;
+    const gstAmount = note.gstAmount || 0;
+    const tax = { ...(note.gstDetails?.toObject?.() ?? note.gstDetails), gstAmount };
+
+    return {
+      ...base,
+      title: label.toUpperCase(),
+      documentLabel: label,
+      invoiceNumber: note.noteNumber,
+      invoiceDate: note.noteDate || note.createdAt,
+      originalInvoice: {
+        number: note.invoiceNumber || note.invoice.invoiceNumber,
+        date: note.invoice.invoiceDate || note.invoice.createdAt,
+      },
+      gstApplicable: gstAmount > 0,
+      supplyType: tax.supplyType || base.supplyType,
+      lines: [{
+        description: `${note.reason} (against invoice ${note.invoiceNumber || note.invoice.invoiceNumber})`,
+        sacCode: tax.sacCode || base.lines[0]?.sacCode || '',
+        taxableValue: taxable,
+      }],
+      tax,
+      taxableValue: taxable,
+      gstAmount,
+      invoiceTotal: taxable + gstAmount,
+      tdsPercentage: note.tdsPercentage || 0,
+      tdsAmount: note.tdsAmount || 0,
+      netPayable: note.netAmount || 0,
+      amountInWords: amountToWords(taxable + gstAmount),
+    };
+  }
+
+  /**
+   * Render invoice print data as a PDF
+   * @param {Object} data - From buildInvoiceData
+   * @returns {Promise<Buffer>} PDF file contents
+   */
+  renderPdf(data) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+      const chunks = [];
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const left = PAGE_MARGIN;
+      const half = CONTENT_WIDTH / 2;
+
+      // Title
+      doc.font('Helvetica-Bold').fontSize(16).text(data.title, left, PAGE_MARGIN, { width: CONTENT_WIDTH, align: 'center' });
+      if (!data.gstApplicable) {
+        doc.font('Helvetica').fontSize(8)
+          .text('Supplier not registered under GST - no GST charged', { width: CONTENT_WIDTH, align: 'center' });
+      }
+      doc.moveDown(1);
+
+      // Supplier (partner) and invoice details
+      const partyBlock = (heading, party, x, y, width) => {
+        doc.font('Helvetica-Bold').fontSize(9).text(heading, x, y, { width });
+        doc.font('Helvetica-Bold').fontSize(10).text(party.name || '-', { width });
+        doc.font('Helvetica').fontSize(9);
+        if (party.address) doc.text(party.address, { width });
+        doc.text(`GSTIN: ${party.gstin || 'Unregistered'}`, { width });
+        if (party.pan) doc.text(`PAN: ${party.pan}`, { width });
+        if (party.state) doc.text(`State: ${party.state}${party.stateCode ? ` (Code ${party.stateCode})` : ''}`, { width });
+        if (party.email || party.mobile) doc.text([party.email, party.mobile].filter(Boolean).join(' | '), { width });
+        return doc.y;
+      };
+
+      const blockTop = doc.y;
+      const supplierBottom = partyBlock('Supplier', data.supplier, left, blockTop, half - 10);
+
+      doc.font('Helvetica').fontSize(9);
+      const meta = [
+        [`${data.documentLabel} No`, data.invoiceNumber],
+        [`${data.documentLabel} Date`, formatDate(data.invoiceDate)],
+        ...(data.originalInvoice
+          ? [['Against Invoice', `${data.originalInvoice.number} dt. ${formatDate(data.originalInvoice.date)}`]]
+          : []),
+        ['Place of Supply', data.placeOfSupply || '-'],
+        ['Reverse Charge', 'No'],
+      ];
+      meta.forEach(([label, value], i) => {
+        const y = blockTop + i * 14;
+        doc.font('Helvetica-Bold').text(label, left + half, y, { width: 90 });
+        doc.font('Helvetica').text(String(value ?? ''), left + half + 95, y, { width: half - 95 });
+      });
+
+      let y = Math.max(supplierBottom, blockTop + meta.length * 14) + 12;
+      doc.moveTo(left, y).lineTo(left + CONTENT_WIDTH, y).stroke();
+      y = partyBlock('Bill To (Recipient)', data.recipient, left, y + 8, CONTENT_WIDTH) + 12;
+
+      // Line items
+      const cols = [
+        { key: 'no', label: '#', width: 25, align: 'left' },
+        { key: 'description', label: 'Description of Service', width: 290, align: 'left' },
+        { key: 'sacCode', label: 'SAC', width: 70, align: 'left' },
+        { key: 'taxableValue', label: 'Taxable Value', width: CONTENT_WIDTH - 385, align: 'right' },
+      ];
+      const drawRow = (values, rowY, bold = false) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+        let x = left;
+        let height = 0;
+        cols.forEach((col) => {
+          const text = String(values[col.key] ?? '');
+          doc.text(text, x + 4, rowY + 4, { width: col.width - 8, align: col.align });
+          height = Math.max(height, doc.heightOfString(text, { width: col.width - 8 }));
+          x += col.width;
+        });
+        return rowY + height + 8;
+      };
+
+      doc.rect(left, y, CONTENT_WIDTH, 18).fillAndStroke('#eeeeee', '#000000').fillColor('#000000');
+      y = drawRow(Object.fromEntries(cols.map((c) => [c.key, c.label])), y, true);
+      data.lines.forEach((line, i) => {
+        y = drawRow({ ...line, no: i + 1, taxableValue: money(line.taxableValue) }, y);
+      });
+      doc.moveTo(left, y).lineTo(left + CONTENT_WIDTH, y).stroke();
+
+      // Totals
+      const totals = [['Taxable Value', money(data.taxableValue)]];
+      if (data.gstApplicable) {
+        if (data.supplyType === 'inter_state') {
+          totals.push([`IGST @ ${data.tax.igstRate}%`, money(data.tax.igstAmount)]);
+        } else {
+          totals.push([`CGST @ ${data.tax.cgstRate}%`, money(data.tax.cgstAmount)]);
+          totals.push([`SGST @ ${data.tax.sgstRate}%`, money(data.tax.sgstAmount)]);
+        }
+      }
+      totals.push([`${data.documentLabel} Total`, money(data.invoiceTotal)]);
+      if (data.tdsAmount) {
+        totals.push([`Less: TDS @ ${data.tdsPercentage}%`, `(${money(data.tdsAmount)})`]);
+        totals.push(['Net Payable', money(data.netPayable)]);
+      }
+
+      y += 8;
+      totals.forEach(([label, value]) => {
+        const bold = label === `${data.documentLabel} Total` || label === 'Net Payable';
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+        doc.text(label, left + half, y, { width: half - 110 });
+        doc.text(value, left + CONTENT_WIDTH - 110, y, { width: 110, align: 'right' });
+        y += 14;
+      });
+
+      doc.font('Helvetica-Bold').fontSize(9).text('Amount in words: ', left, y + 6, { continued: true })
+        .font('Helvetica').text(data.amountInWords, { width: CONTENT_WIDTH });
+      y = doc.y + 12;
+
+      // Payment details
+      const bankLines = (heading, bank, x, width) => {
+        doc.font('Helvetica-Bold').fontSize(9).text(heading, x, y, { width });
+        doc.font('Helvetica').fontSize(9);
+        if (bank.accountHolderName) doc.text(`Account Name: ${bank.accountHolderName}`, { width });
+        doc.text(`Bank: ${bank.bankName || '-'}`, { width });
+        doc.text(`A/c No: ${bank.accountNumber || '-'}`, { width });
+        doc.text(`IFSC: ${bank.ifsc || '-'}`, { width });
+        if (bank.branch) doc.text(`Branch: ${bank.branch}`, { width });
+        return doc.y;
+      };
+      const payeeBottom = bankLines('Payee Bank (Supplier)', data.supplier.bankDetails, left, half - 10);
+      const payerBottom = bankLines('Payer Bank (Recipient)', data.recipient.bankDetails, left + half, half);
+      y = Math.max(payeeBottom, payerBottom) + 20;
+
+      // Declaration and signature
+      doc.font('Helvetica').fontSize(8).text(
+        `Declaration: We declare that this ${data.documentLabel.toLowerCase()} shows the actual price of the services described and that all particulars are true and correct.`,
+        left,
+        y,
+        { width: half + 40 }
+      );
+      doc.font('Helvetica-Bold').fontSize(9)
+        .text(`For ${data.supplier.name || ''}`, left + half + 60, y, { width: half - 60, align: 'right' });
+      doc.font('Helvetica').fontSize(8)
+        .text('Authorised Signatory', left + half + 60, y + 40, { width: half - 60, align: 'right' });
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Build the PDF for an invoice
+   * @param {Object} invoice - Populated invoice
+   * @returns {Promise<Object>} { filename, buffer }
+   */
+  async generateInvoicePdf(invoice) {
+    try {
+      const data = await this.buildInvoiceData(invoice);
+      const buffer = await this.renderPdf(data);
+      return {
+        filename: `${String(invoice.invoiceNumber).replace(/[^A-Za-z0-9_-]/g, '_')}.pdf`,
+        buffer,
+      };
+    } catch (error) {
+      throw new Error(`Error generating invoice PDF: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the PDF for a credit / debit note
+   * @param {Object} note - Note populated with its invoice
+   * @returns {Promise<Object>} { filename, buffer }
+   */
+  async generateNotePdf(note) {
+    try {
+      const data = await this.buildNoteData(note);
+      const buffer = await this.renderPdf(data);
+      return {
+        filename: `${String(note.noteNumber).replace(/[^A-Za-z0-9_-]/g, '_')}.pdf`,
+        buffer,
+      };
+    } catch (error) {
+      throw new Error(`Error generating note PDF: ${error.message}`);
+    }
+  }
+}
+
+export default new InvoicePdfService();
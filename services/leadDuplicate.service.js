@@ -0,0 +1,236 @@
+import Lead from '../models/lead.model.js';
+import CompanySettings from '../models/companySettings.model.js';
+
+// Fallbacks for settings documents created before duplicate detection existed
+const DEFAULT_CONFIG = {
+  enabled: true,
+  windowDays: 90,
+  sameBankOnly: false,
+  weights: {
+    mobile: 40,
+    email: 30,
+    pan: 50,
+    loanAccountNo: 60,
+    customerName: 20,
+  },
+  warnThreshold: 30,
+  reviewThreshold: 50,
+  blockThreshold: 90,
+};
+
+// Keys under which dynamic lead forms store the applicant PAN
+const PAN_KEYS = ['pan', 'panNumber', 'pan_number', 'panNo', 'pan_no', 'PAN'];
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function normalizeMobile(value) {
+  if (!value) return null;
+  const digits = String(value).replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : null;
+}
+
+function normalizeEmail(value) {
+  if (!value) return null;
+  const email = String(value).trim().toLowerCase();
+  return email || null;
+}
+
+function normalizePan(value) {
+  if (!value) return null;
+  const pan = String(value).replace(/\s/g, '').toUpperCase();
+  return /^[A-Z]{5}[0-9]{4}[A-Z]$/.test(pan) ? pan : null;
+}
+
+function normalizeAccountNo(value) {
+  if (!value) return null;
+  const accountNo = String(value).replace(/\s/g, '').toUpperCase();
+  return accountNo || null;
+}
+
+function normalizeName(value) {
+  if (!value) return null;
+  const name = String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+  return name.length >= 3 ? name : null;
+}
+
+/**
+ * Lead Duplicate Service
+ * Scores a lead against recent leads on mobile, email, PAN, loan account number and customer name,
+ * and decides whether to allow, warn, route to review or block it.
+ */
+class LeadDuplicateService {
+  /**
+   * Get duplicate detection settings merged over defaults
+   * @returns {Promise<Object>} Config
+   */
+  async getConfig() {
+    const settings = await CompanySettings.getSettings();
+    const config = settings.duplicateDetection?.toObject?.() || settings.duplicateDetection || {};
+    return {
+      ...DEFAULT_CONFIG,
+      ...config,
+      weights: { ...DEFAULT_CONFIG.weights, ...(config.weights || {}) },
+    };
+  }
+
+  /**
+   * Extract normalized identifiers from lead data
+   * @param {Object} data - Lead data (top-level fields and formValues)
+   * @returns {Object} { mobile, email, pan, loanAccountNo, customerName }
+   */
+  extractIdentifiers(data) {
+    const formValues = data.formValues || {};
+    const panValue = data.pan || PAN_KEYS.map((key) => formValues[key]).find(Boolean);
+
+    return {
+      mobile: normalizeMobile(data.applicantMobile || formValues.applicantMobile || formValues.mobile),
+      email: normalizeEmail(data.applicantEmail || formValues.applicantEmail || formValues.email),
+      pan: normalizePan(panValue),
+      loanAccountNo: normalizeAccountNo(data.loanAccountNo || formValues.loanAccountNo),
+      customerName: normalizeName(data.customerName || formValues.customerName),
+    };
+  }
+
+  /**
+   * Find recent leads that share identifiers with the given lead data
+   * @param {Object} data - Lead data
+   * @param {Object} options - { excludeLeadId, config }
+   * @returns {Promise<Array>} Matches sorted by score: [{ lead, score, matchedOn }]
+   */
+  async findDuplicates(data, options = {}) {
+    try {
+      const config = options.config || (await this.getConfig());
+      const ids = this.extractIdentifiers(data);
+
+      const conditions = [];
+      if (ids.mobile) {
+        conditions.push({ applicantMobile: { $in: [ids.mobile, `+91${ids.mobile}`, `91${ids.mobile}`, `0${ids.mobile}`] } });
+      }
+      if (ids.email) {
+        conditions.push({ applicantEmail: new RegExp(`^${escapeRegex(ids.email)}$`, 'i') });
+      }
+      if (ids.pan) {
+        const panPattern = new RegExp(`^\\s*${ids.pan}\\s*$`, 'i');
+        PAN_KEYS.forEach((key) => conditions.push({ [`formValues.${key}`]: panPattern }));
+      }
+      if (ids.loanAccountNo) {
+        conditions.push({ loanAccountNo: { $in: [ids.loanAccountNo, String(data.loanAccountNo || '').trim()] } });
+      }
+      if (ids.customerName) {
+        conditions.push({ customerName: new RegExp(`^${escapeRegex(ids.customerName).replace(/ /g, '\\s+')}$`, 'i') });
+      }
+
+      if (conditions.length === 0) return [];
+
+      const since = new Date();
+      since.setDate(since.getDate() - (config.windowDays || DEFAULT_CONFIG.windowDays));
+
+      const query = {
+        $or: conditions,
+        createdAt: { $gte: since },
+        status: { $ne: 'rejected' },
+        'duplicateCheck.status': { $ne: 'duplicate' },
+      };
+      if (options.excludeLeadId) {
+        query._id = { $ne: options.excludeLeadId };
+      }
+      const bankId = data.bank?._id || data.bank;
+      if (config.sameBankOnly && bankId) {
+        query.bank = bankId;
+      }
+
+      const candidates = await Lead.find(query)
+        .select('customerName applicantMobile applicantEmail loanAccountNo formValues agent agentName associated associatedModel bank bankName status createdAt')
+        .populate('associated', 'name')
+        .sort({ createdAt: 1 })
+        .limit(50)
+        .lean();
+
+      const matches = candidates.map((candidate) => {
+        const other = this.extractIdentifiers(candidate);
+        const matchedOn = Object.keys(ids).filter((key) => ids[key] && other[key] === ids[key]);
+        const score = Math.min(
+          100,
+          matchedOn.reduce((sum, key) => sum + (config.weights[key] || 0), 0)
+        );
+        return { lead: candidate, score, matchedOn };
+      });
+
+      return matches
+        .filter((m) => m.matchedOn.length > 0)
+        .sort((a, b) => b.score - a.score);
+    } catch (error) {
+      throw new Error(`Error finding duplicate leads: ${error.message}`);
+    }
+  }
+
+  /**
+   * Evaluate lead data and decide the duplicate outcome
+   * @param {Object} data - Lead data
+   * @param {Object} options - { excludeLeadId }
+   * @returns {Promise<Object>} { action: 'allow'|'warn'|'review'|'block', score, matches }
+   */
+  async evaluate(data, options = {}) {
+    const config = await this.getConfig();
+    if (!config.enabled) {
+      return { action: 'allow', score: 0, matches: [] };
+    }
+
+    const matches = await this.findDuplicates(data, { ...options, config });
+    const score = matches.length > 0 ? matches[0].score : 0;
+
+    let action = 'allow';
+    if (score >= config.blockThreshold) action = 'block';
+    else if (score >= config.reviewThreshold) action = 'review';
+    else if (score >= config.warnThreshold) action = 'warn';
+
+    return {
+      action,
+      score,
+      matches: action === 'allow' ? [] : matches,
+    };
+  }
+
+  /**
+   * Build the duplicateCheck sub-document stored on the lead
+   * @param {Object} result - Result of evaluate()
+   * @returns {Object|null} duplicateCheck value, or null when nothing matched
+   */
+  buildDuplicateCheck(result) {
+    if (result.action !== 'warn' && result.action !== 'review') return null;
+    return {
+      status: result.action === 'review' ? 'pending_review' : 'warned',
+      score: result.score,
+      matches: result.matches.map((m) => ({
+        lead: m.lead._id,
+        score: m.score,
+        matchedOn: m.matchedOn,
+      })),
+      checkedAt: new Date(),
+    };
+  }
+
+  /**
+   * Shape matches for API responses
+   * @param {Array} matches - Matches from evaluate()
+   * @returns {Array} Summaries of the matching leads
+   */
+  summarizeMatches(matches) {
+    return matches.map((m) => ({
+      leadId: m.lead._id,
+      customerName: m.lead.customerName,
+      agentName: m.lead.agentName,
+      associated: m.lead.associated?.name || null,
+      associatedModel: m.lead.associatedModel,
+      bankName: m.lead.bankName,
+      status: m.lead.status,
+      createdAt: m.lead.createdAt,
+      score: m.score,
+      matchedOn: m.matchedOn,
+    }));
+  }
+}
+
+export default new LeadDuplicateService();
@@ -0,0 +1,477 @@
+import XLSX from 'xlsx';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Lead from '../models/lead.model.js';
+import LeadForm from '../models/leadForm.model.js';
+import LeadHistory from '../models/leadHistory.model.js';
+import User from '../models/user.model.js';
+import Franchise from '../models/franchise.model.js';
+import RelationshipManager from '../models/relationship.model.js';
+import leadDuplicateService from './leadDuplicate.service.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Columns that are not form fields: the agent the lead is logged for
+const AGENT_COLUMNS = ['agent', 'agentemail', 'agentmobile', 'partner', 'partneremail', 'partnermobile'];
+
+// Standard lead fields promoted from formValues (same keys createLead promotes)
+const PROMOTED_FIELDS = [
+  'customerName', 'loanType', 'loanAmount', 'applicantEmail', 'applicantMobile',
+  'dsaCode', 'branch', 'loanAccountNo',
+];
+const ALTERNATIVE_KEYS = {
+  loanAmount: ['amount', 'loan_amount', 'loan_amt', 'amount_requested'],
+  customerName: ['name', 'applicant_name', 'client_name', 'leadName', 'lead_name'],
+  applicantMobile: ['mobile', 'phone', 'contact'],
+  applicantEmail: ['email'],
+  loanAccountNo: ['account_no', 'loan_acc_no', 'lan'],
+};
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function normalizeHeader(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+function toDateString(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Lead Import Service
+ * Bulk-creates leads from a spreadsheet mapped to a LeadForm, with a row-level validation report
+ */
+class LeadImportService {
+  /**
+   * Parse the first sheet of an uploaded workbook (xlsx/xls/csv)
+   * @param {Buffer} buffer - File contents
+   * @returns {Array} Rows as objects keyed by header
+   */
+  parseSpreadsheet(buffer) {
+    const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true });
+    const sheetName = workbook.SheetNames[0];
+    if (!sheetName) return [];
+    return XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { defval: '', raw: true });
+  }
+
+  /**
+   * Validate and convert a single value against a form field definition
+   * @param {Object} field - LeadForm field
+   * @param {*} rawValue - Cell value
+   * @returns {Object} { value, error }
+   */
+  validateFieldValue(field, rawValue) {
+    const label = field.label || field.key;
+    const validation = field.validation || {};
+
+    if (isBlank(rawValue)) {
+      return field.required ? { error: `${label} is required` } : { value: undefined };
+    }
+
+    let value = rawValue instanceof Date ? rawValue : String(rawValue).trim();
+
+    switch (field.type) {
+      case 'number': {
+        const num = Number(String(value).replace(/,/g, ''));
+        if (!Number.isFinite(num)) return { error: `${label} must be a number` };
+        if (validation.min !== undefined && num < Number(validation.min)) {
+          return { error: `${label} must be at least ${validation.min}` };
+        }
+        if (validation.max !== undefined && num > Number(validation.max)) {
+          return { error: `${label} must be at most ${validation.max}` };
+        }
+        value = num;
+        break;
+      }
+      case 'date': {
+        const date = toDateString(value);
+        if (!date) return { error: `${label} must be a valid date` };
+        value = date;
+        break;
+      }
+      case 'email':
+        if (!EMAIL_REGEX.test(value)) return { error: `${label} must be a valid email` };
+        value = value.toLowerCase();
+        break;
+      case 'tel': {
+        const digits = value.replace(/\D/g, '');
+        if (digits.length < 10 || digits.length > 13) return { error: `${label} must be a valid phone number` };
+        break;
+      }
+      case 'select': {
+        const option = (field.options || []).find((o) => o.toLowerCase() === String(value).toLowerCase());
+        if (!option) return { error: `${label} must be one of: ${(field.options || []).join(', ')}` };
+        value = option;
+        break;
+      }
+      default:
+        if (value instanceof Date) value = toDateString(value);
+        if (validation.min !== undefined && value.length < Number(validation.min)) {
+          return { error: `${label} must be at least ${validation.min} characters` };
+        }
+        if (validation.max !== undefined && value.length > Number(validation.max)) {
+          return { error: `${label} must be at most ${validation.max} characters` };
+        }
+    }
+
+    if (validation.regex) {
+      try {
+        if (!new RegExp(validation.regex).test(String(value))) {
+          return { error: `${label} is not in the expected format` };
+        }
+      } catch (_) {
+        // Ignore invalid regex definitions on the form
+      }
+    }
+
+    return { value };
+  }
+
+  /**
+   * Build the set of agents the caller may import leads for
+   * @param {Object} user - Acting user
+   * @returns {Promise<Object>} { allowedAgentIds: Set|null, selfAssociated, selfAssociatedModel }
+   */
+  async getImportScope(user) {
+    if (user.role === 'super_admin') {
+      return { allowedAgentIds: null, selfAssociated: undefined, selfAssociatedModel: undefined };
+    }
+
+    let managerQuery = null;
+    let selfAssociated;
+    let selfAssociatedModel;
+
+    if (user.role === 'franchise') {
+      selfAssociated = user.franchiseOwned || user.franchise;
+      selfAssociatedModel = 'Franchise';
+      managerQuery = selfAssociated ? { managedByModel: 'Franchise', managedBy: selfAssociated } : null;
+    } else if (user.role === 'relationship_manager') {
+      let rmId = user.relationshipManagerOwned;
+      if (!rmId) {
+        const rmDoc = await RelationshipManager.findOne({ owner: user._id }).select('_id');
+        rmId = rmDoc?._id;
+      }
+      selfAssociated = rmId;
+      selfAssociatedModel = 'RelationshipManager';
+      managerQuery = rmId ? { managedByModel: 'RelationshipManager', managedBy: rmId } : null;
+    } else if (user.role === 'regional_manager') {
+      const franchiseIds = await Franchise.find({ regionalManager: user._id }).distinct('_id');
+      const rmIds = await RelationshipManager.find({ regionalManager: user._id }).distinct('_id');
+      managerQuery = {
+        $or: [
+          { managedByModel: 'Franchise', managedBy: { $in: franchiseIds } },
+          { managedByModel: 'RelationshipManager', managedBy: { $in: rmIds } },
+        ],
+      };
+    }
+
+    const agentIds = managerQuery ? await User.find(managerQuery).distinct('_id') : [];
+    const allowedAgentIds = new Set(agentIds.map(String));
+    allowedAgentIds.add(user._id.toString());
+
+    return { allowedAgentIds, selfAssociated, selfAssociatedModel };
+  }
+
+  /**
+   * Resolve the agent (and association) a row should be logged for
+   * @param {String} agentRef - Agent email or mobile from the row (optional)
+   * @param {Object} user - Acting user
+   * @param {Object} scope - From getImportScope
+   * @param {Map} cache - Lookup cache shared across rows
+   * @returns {Promise<Object>} { agent, error }
+   */
+  async resolveAgent(agentRef, user, scope, cache) {
+    if (isBlank(agentRef)) {
+      return {
+        agent: {
+          _id: user._id,
+          name: user.name,
+          associated: scope.selfAssociated,
+          associatedModel: scope.selfAssociatedModel,
+        },
+      };
+    }
+
+    const ref = String(agentRef).trim().toLowerCase();
+    if (!cache.has(ref)) {
+      const agentUser = await User.findOne({
+        $or: [{ email: ref }, { mobile: ref }],
+        role: { $in: ['agent', 'franchise', 'relationship_manager'] },
+      }).select('name managedBy managedByModel status');
+      cache.set(ref, agentUser);
+    }
+
+    const agentUser = cache.get(ref);
+    if (!agentUser) {
+      return { error: `Partner "${agentRef}" not found` };
+    }
+    if (agentUser.status && agentUser.status !== 'active') {
+      return { error: `Partner "${agentRef}" is not active` };
+    }
+    if (scope.allowedAgentIds && !scope.allowedAgentIds.has(agentUser._id.toString())) {
+      return { error: `Partner "${agentRef}" is outside your hierarchy` };
+    }
+
+    const isSelf = agentUser._id.toString() === user._id.toString();
+    return {
+      agent: {
+        _id: agentUser._id,
+        name: agentUser.name,
+        associated: isSelf ? scope.selfAssociated : agentUser.managedBy,
+        associatedModel: isSelf ? scope.selfAssociatedModel : agentUser.managedByModel,
+      },
+    };
+  }
+
+  /**
+   * Copy standard fields out of formValues onto the lead (mirrors createLead)
+   * @param {Object} leadData - Lead data being built
+   * @param {String} leadType - 'bank' or 'new_lead'
+   */
+  promoteStandardFields(leadData, leadType) {
+    const fields = leadType === 'new_lead'
+      ? ['customerName', 'applicantEmail', 'applicantMobile']
+      : PROMOTED_FIELDS;
+
+    fields.forEach((field) => {
+      if (!isBlank(leadData[field])) return;
+      if (!isBlank(leadData.formValues[field])) {
+        leadData[field] = leadData.formValues[field];
+        return;
+      }
+      const altKey = (ALTERNATIVE_KEYS[field] || []).find((key) => !isBlank(leadData.formValues[key]));
+      if (altKey) leadData[field] = leadData.formValues[altKey];
+    });
+  }
+
+  /**
+   * Write the rejected rows (original columns plus reasons) to an Excel file in exports/
+   * @param {Array} rejected - [{ rowNumber, row, errors }]
+   * @param {Object} user - Acting user (owner of the file)
+   * @returns {Promise<Object>} { filename, path }
+   */
+  async writeErrorWorkbook(rejected, user) {
+    const reportData = rejected.map((r) => ({
+      'Row': r.rowNumber,
+      ...r.row,
+      'Errors': r.errors.join('; '),
+    }));
+
+    const workbook = XLSX.utils.book_new();
+    const worksheet = XLSX.utils.json_to_sheet(reportData);
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Rejected Rows');
+
+    const exportsDir = path.join(__dirname, '../exports');
+    await fs.mkdir(exportsDir, { recursive: true });
+
+    const filename = `lead_import_errors_${user._id}_${Date.now()}.xlsx`;
+    const filePath = path.join(exportsDir, filename);
+    XLSX.writeFile(workbook, filePath);
+
+    return { filename, path: filePath };
+  }
+
+  /**
+   * Resolve the path of an error workbook, only for the user who ran the import
+   * @param {String} filename - File name returned by importLeads
+   * @param {Object} user - Acting user
+   * @returns {String|null} Absolute path, or null when not allowed
+   */
+  getErrorWorkbookPath(filename, user) {
+    const match = /^lead_import_errors_([a-f0-9]{24})_\d+\.xlsx$/.exec(filename || '');
+    if (!match) return null;
+    if (user.role !== 'super_admin' && match[1] !== user._id.toString()) return null;
+    return path.join(__dirname, '../exports', filename);
+  }
+
+  /**
+   * Import leads from a spreadsheet
+   * @param {Object} params - { buffer, formId, user, dryRun }
+   * @returns {Promise<Object>} Import summary with per-row results and error workbook
+   */
+  async importLeads({ buffer, formId, user, dryRun = false }) {
+    const form = await LeadForm.findById(formId).populate('bank', 'name');
+    if (!form || form.active === false) {
+      const error = new Error('Lead form not found or inactive');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    let rows;
+    try {
+      rows = this.parseSpreadsheet(buffer);
+    } catch (err) {
+      const error = new Error(`Unable to read spreadsheet: ${err.message}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    if (rows.length === 0) {
+      const error = new Error('The spreadsheet has no data rows');
+      error.statusCode = 400;
+      throw error;
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      const error = new Error(`A maximum of ${MAX_IMPORT_ROWS} rows can be imported at once`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    try {
+      const fields = (form.fields || []).filter((f) => f.type !== 'file');
+      const scope = await this.getImportScope(user);
+      const agentCache = new Map();
+      const seenInFile = new Map();
+
+      const results = [];
+      const rejected = [];
+      let createdCount = 0;
+
+      for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        const rowNumber = i + 2; // header is row 1
+        const errors = [];
+
+        // Map columns to form field keys by key or label
+        const cells = {};
+        let agentRef;
+        Object.keys(row).forEach((header) => {
+          const normalized = normalizeHeader(header);
+          if (AGENT_COLUMNS.includes(normalized)) {
+            agentRef = row[header];
+            return;
+          }
+          const field = fields.find(
+            (f) => normalizeHeader(f.key) === normalized || normalizeHeader(f.label) === normalized
+          );
+          if (field) cells[field.key] = row[header];
+        });
+
+        const formValues = {};
+        fields.forEach((field) => {
+          const { value, error } = this.validateFieldValue(field, cells[field.key]);
+          if (error) errors.push(error);
+          else if (value !== undefined) formValues[field.key] = value;
+        });
+
+        const { agent, error: agentError } = await this.resolveAgent(agentRef, user, scope, agentCache);
+        if (agentError) errors.push(agentError);
+
+        const leadData = {
+          leadForm: form._id,
+          leadType: form.leadType || 'bank',
+          formValues,
+          agent: agent?._id,
+          agentName: agent?.name,
+          associated: agent?.associated,
+          associatedModel: agent?.associatedModel,
+        };
+        if (form.bank) {
+          leadData.bank = form.bank._id;
+          leadData.bankName = form.bank.name;
+        }
+        this.promoteStandardFields(leadData, leadData.leadType);
+
+        // Same applicant repeated within the file
+        const ids = leadDuplicateService.extractIdentifiers(leadData);
+        ['mobile', 'pan', 'loanAccountNo'].forEach((key) => {
+          if (!ids[key]) return;
+          const seenKey = `${key}:${ids[key]}`;
+          if (seenInFile.has(seenKey)) {
+            errors.push(`Same ${key === 'loanAccountNo' ? 'loan account number' : key} as row ${seenInFile.get(seenKey)}`);
+          } else {
+            seenInFile.set(seenKey, rowNumber);
+          }
+        });
+
+        // Schema rules (enums, required agent) the form fields do not cover
+        if (errors.length === 0) {
+          const validationError = new Lead(leadData).validateSync();
+          if (validationError) {
+            errors.push(...Object.values(validationError.errors).map((err) => err.message));
+          }
+        }
+
+        let duplicateCheck = null;
+        if (errors.length === 0) {
+          const duplicateResult = await leadDuplicateService.evaluate(leadData);
+          if (duplicateResult.action === 'block') {
+            errors.push('A lead for this applicant already exists');
+          } else {
+            duplicateCheck = leadDuplicateService.buildDuplicateCheck(duplicateResult);
+          }
+        }
+
+        if (errors.length > 0) {
+          rejected.push({ rowNumber, row, errors });
+          results.push({ row: rowNumber, status: 'rejected', errors });
+          continue;
+        }
+
+        if (duplicateCheck) leadData.duplicateCheck = duplicateCheck;
+
+        if (dryRun) {
+          results.push({
+            row: rowNumber,
+            status: 'valid',
+            customerName: leadData.customerName,
+            duplicateStatus: duplicateCheck?.status || 'none',
+          });
+          continue;
+        }
+
+        // A row that still fails to save is rejected on its own; the rest of the file carries on
+        let lead;
+        try {
+          lead = await Lead.create(leadData);
+        } catch (err) {
+          const rowErrors = err.errors ? Object.values(err.errors).map((e) => e.message) : [err.message];
+          rejected.push({ rowNumber, row, errors: rowErrors });
+          results.push({ row: rowNumber, status: 'rejected', errors: rowErrors });
+          continue;
+        }
+        await LeadHistory.create({
+          lead: lead._id,
+          changedBy: user._id,
+          action: 'created',
+          changes: [],
+          remarks: 'Lead imported from spreadsheet',
+        });
+        createdCount++;
+        results.push({
+          row: rowNumber,
+          status: 'created',
+          leadId: lead._id,
+          customerName: lead.customerName,
+          duplicateStatus: duplicateCheck?.status || 'none',
+        });
+      }
+
+      const errorFile = rejected.length > 0 ? await this.writeErrorWorkbook(rejected, user) : null;
+
+      return {
+        dryRun,
+        form: { _id: form._id, name: form.name, bank: form.bank?.name || null },
+        totalRows: rows.length,
+        validRows: rows.length - rejected.length,
+        createdCount,
+        rejectedCount: rejected.length,
+        rows: results,
+        errorFile: errorFile ? errorFile.filename : null,
+      };
+    } catch (error) {
+      throw new Error(`Error importing leads: ${error.message}`);
+    }
+  }
+}
+
+export default new LeadImportService();
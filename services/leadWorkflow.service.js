@@ -0,0 +1,249 @@
+import LeadWorkflow from '../models/leadWorkflow.model.js';
+import commissionService from './commission.service.js';
+import invoiceService from './invoice.service.js';
+
+// Roles that manage leads on behalf of the company (agents are restricted separately)
+const STAFF_ROLES = ['super_admin', 'regional_manager', 'relationship_manager', 'franchise', 'accounts_manager'];
+const STAFF_AND_AGENT_ROLES = [...STAFF_ROLES, 'agent'];
+
+/**
+ * Built-in workflow used when no LeadWorkflow document matches a lead.
+ * Mirrors the transitions the lead and accountant controllers allowed before workflows were configurable.
+ */
+const DEFAULT_WORKFLOW = {
+  name: 'Default workflow',
+  bank: null,
+  loanType: 'all',
+  isDefault: true,
+  transitions: [
+    { from: 'logged', to: 'sanctioned', roles: STAFF_ROLES, requiredFields: [], sideEffects: [] },
+    { from: 'logged', to: 'rejected', roles: STAFF_ROLES, requiredFields: [], sideEffects: [] },
+    // Disbursal is often reported before the sanction is recorded; agents could always mark their leads disbursed
+    { from: 'logged', to: 'partial_disbursed', roles: STAFF_ROLES, requiredFields: [], sideEffects: ['recalculate_commission'] },
+    { from: 'logged', to: 'disbursed', roles: STAFF_AND_AGENT_ROLES, requiredFields: [], sideEffects: ['recalculate_commission'] },
+    { from: 'logged', to: 'completed', roles: STAFF_AND_AGENT_ROLES, requiredFields: [], sideEffects: ['recalculate_commission', 'generate_invoice'] },
+    { from: 'sanctioned', to: 'partial_disbursed', roles: STAFF_ROLES, requiredFields: [], sideEffects: ['recalculate_commission'] },
+    { from: 'sanctioned', to: 'disbursed', roles: STAFF_AND_AGENT_ROLES, requiredFields: [], sideEffects: ['recalculate_commission'] },
+    { from: 'sanctioned', to: 'completed', roles: STAFF_AND_AGENT_ROLES, requiredFields: [], sideEffects: ['recalculate_commission', 'generate_invoice'] },
+    { from: 'sanctioned', to: 'rejected', roles: STAFF_ROLES, requiredFields: [], sideEffects: [] },
+    { from: 'partial_disbursed', to: 'sanctioned', roles: STAFF_ROLES, requiredFields: [], sideEffects: [] },
+    { from: 'partial_disbursed', to: 'disbursed', roles: STAFF_AND_AGENT_ROLES, requiredFields: [], sideEffects: ['recalculate_commission'] },
+    { from: 'partial_disbursed', to: 'completed', roles: STAFF_AND_AGENT_ROLES, requiredFields: [], sideEffects: ['recalculate_commission', 'generate_invoice'] },
+    { from: 'disbursed', to: 'partial_disbursed', roles: STAFF_ROLES, requiredFields: [], sideEffects: [] },
+    { from: 'disbursed', to: 'completed', roles: STAFF_AND_AGENT_ROLES, requiredFields: [], sideEffects: ['recalculate_commission', 'generate_invoice'] },
+    { from: 'completed', to: 'partial_disbursed', roles: STAFF_ROLES, requiredFields: [], sideEffects: [] },
+    { from: 'completed', to: 'sanctioned', roles: STAFF_ROLES, requiredFields: [], sideEffects: [] },
+    { from: 'rejected', to: 'logged', roles: STAFF_ROLES, requiredFields: [], sideEffects: [] },
+  ],
+};
+
+/**
+ * Read a (possibly dotted) field path from an object, e.g. 'formValues.pan'
+ */
+function readField(source, fieldPath) {
+  if (!source) return undefined;
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Lead Workflow Service
+ * Single engine for lead status transitions: resolves the workflow for a lead,
+ * guards transitions by role and required fields, and runs configured side effects.
+ */
+class LeadWorkflowService {
+  /**
+   * Get the built-in default workflow
+   * @returns {Object} Default workflow definition
+   */
+  getDefaultWorkflow() {
+    return DEFAULT_WORKFLOW;
+  }
+
+  /**
+   * Resolve the most specific active workflow for a bank and loan type.
+   * Order: bank + loanType, bank + 'all', any bank + loanType, any bank + 'all', built-in default.
+   * @param {ObjectId} bankId - Bank ID (optional)
+   * @param {String} loanType - Loan type (optional)
+   * @returns {Promise<Object>} Workflow document or default definition
+   */
+  async getWorkflow(bankId, loanType) {
+    try {
+      const scopes = [];
+      if (bankId && loanType) scopes.push({ bank: bankId, loanType });
+      if (bankId) scopes.push({ bank: bankId, loanType: 'all' });
+      if (loanType) scopes.push({ bank: null, loanType });
+      scopes.push({ bank: null, loanType: 'all' });
+
+      for (const scope of scopes) {
+        const workflow = await LeadWorkflow.findOne({ ...scope, status: 'active' }).lean();
+        if (workflow) return workflow;
+      }
+
+      return DEFAULT_WORKFLOW;
+    } catch (error) {
+      throw new Error(`Error fetching lead workflow: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve the workflow that governs a lead
+   * @param {Object} lead - Lead document
+   * @returns {Promise<Object>} Workflow
+   */
+  async getWorkflowForLead(lead) {
+    const bankId = lead.bank?._id || lead.bank || null;
+    return this.getWorkflow(bankId, lead.loanType);
+  }
+
+  /**
+   * Find the transition rule between two statuses
+   * @param {Object} workflow - Workflow definition
+   * @param {String} from - Current status
+   * @param {String} to - Target status
+   * @returns {Object|null} Transition rule
+   */
+  findTransition(workflow, from, to) {
+    return (workflow.transitions || []).find((t) => t.from === from && t.to === to) || null;
+  }
+
+  /**
+   * Check whether a user may move a lead to a target status.
+   * Staying in the same status is always allowed (e.g. adding another partial tranche).
+   * @param {Object} lead - Lead document (current state)
+   * @param {String} toStatus - Target status
+   * @param {Object} user - Acting user (req.user)
+   * @param {Object} data - Values submitted with the transition (checked for required fields)
+   * @returns {Promise<Object>} { allowed, transition, workflow } or { allowed: false, statusCode, error, missingFields }
+   */
+  async validateTransition(lead, toStatus, user, data = {}) {
+    const fromStatus = lead.status || 'logged';
+
+    if (!toStatus || fromStatus === toStatus) {
+      return { allowed: true, transition: null, workflow: null };
+    }
+
+    const workflow = await this.getWorkflowForLead(lead);
+    const transition = this.findTransition(workflow, fromStatus, toStatus);
+
+    if (!transition) {
+      const nextStatuses = (workflow.transitions || [])
+        .filter((t) => t.from === fromStatus)
+        .map((t) => t.to);
+      return {
+        allowed: false,
+        statusCode: 400,
+        error: `Cannot change lead status from ${fromStatus} to ${toStatus}. Allowed next statuses: ${nextStatuses.join(', ') || 'none'}`,
+      };
+    }
+
+    const roles = transition.roles || [];
+    if (user?.role !== 'super_admin' && !roles.includes(user?.role)) {
+      return {
+        allowed: false,
+        statusCode: 403,
+        error: `Access denied. Your role (${user?.role}) cannot change lead status from ${fromStatus} to ${toStatus}.`,
+      };
+    }
+
+    const missingFields = (transition.requiredFields || []).filter(
+      (field) => isBlank(readField(data, field)) && isBlank(readField(lead, field))
+    );
+    if (missingFields.length > 0) {
+      return {
+        allowed: false,
+        statusCode: 400,
+        error: `Missing required fields for ${toStatus}: ${missingFields.join(', ')}`,
+        missingFields,
+      };
+    }
+
+    return { allowed: true, transition, workflow };
+  }
+
+  /**
+   * Status a lead's disbursed amount puts it in after a tranche is added, edited or deleted
+   * (the change is still validated as a transition)
+   * @param {Object} lead - Lead with updated disbursedAmount
+   * @returns {String} sanctioned | partial_disbursed | completed
+   */
+  getDisbursementStatus(lead) {
+    const loanAmount = lead.loanAmount || lead.amount || 0;
+    if ((lead.disbursedAmount || 0) <= 0) return 'sanctioned';
+    return lead.disbursedAmount >= loanAmount ? 'completed' : 'partial_disbursed';
+  }
+
+  /**
+   * Run the side effects configured on a transition. Failures are logged, not thrown,
+   * so a failed invoice generation never rolls back a status change.
+   * @param {Object} transition - Transition rule (from validateTransition)
+   * @param {ObjectId} leadId - Lead ID
+   * @returns {Promise<Array>} Result per side effect
+   */
+  async runSideEffects(transition, leadId) {
+    const results = [];
+    if (!transition) return results;
+
+    for (const effect of transition.sideEffects || []) {
+      try {
+        if (effect === 'recalculate_commission') {
+          await commissionService.recalculateCommission(leadId);
+        } else if (effect === 'generate_invoice') {
+          await invoiceService.generateInvoice(leadId);
+        }
+        results.push({ effect, success: true });
+      } catch (error) {
+        console.error(`Lead workflow side effect "${effect}" failed for lead ${leadId}:`, error.message);
+        results.push({ effect, success: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * List the statuses a user can move a lead to
+   * @param {Object} lead - Lead document
+   * @param {Object} user - Acting user
+   * @returns {Promise<Array>} Transition rules available to the user
+   */
+  async getAvailableTransitions(lead, user) {
+    const workflow = await this.getWorkflowForLead(lead);
+    return (workflow.transitions || []).filter(
+      (t) => t.from === lead.status && (user?.role === 'super_admin' || (t.roles || []).includes(user?.role))
+    );
+  }
+
+  /**
+   * Validate a workflow definition before saving
+   * @param {Array} transitions - Transition rules
+   * @returns {String|null} Error message, or null when valid
+   */
+  validateDefinition(transitions) {
+    if (!Array.isArray(transitions) || transitions.length === 0) {
+      return 'At least one transition is required';
+    }
+
+    const seen = new Set();
+    for (const t of transitions) {
+      if (!t || !t.from || !t.to) {
+        return 'Each transition requires from and to statuses';
+      }
+      if (t.from === t.to) {
+        return `Transition from ${t.from} to itself is not allowed`;
+      }
+      const key = `${t.from}->${t.to}`;
+      if (seen.has(key)) {
+        return `Duplicate transition ${t.from} → ${t.to}`;
+      }
+      seen.add(key);
+    }
+
+    return null;
+  }
+}
+
+export default new LeadWorkflowService();
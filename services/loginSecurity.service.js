@@ -0,0 +1,207 @@
+import LoginThrottle from '../models/loginThrottle.model.js';
+import Session from '../models/session.model.js';
+import Notification from '../models/notification.model.js';
+import emailService from './email.service.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Failed attempts before delays start, before lockout, and how long a lockout lasts
+const THROTTLE_RULES = {
+  account: { delayAfter: 3, lockAfter: 10, lockMs: 30 * MINUTE_MS },
+  ip: { delayAfter: 10, lockAfter: 50, lockMs: 15 * MINUTE_MS },
+};
+
+// Delay doubles with every failure past delayAfter, up to this cap
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60 * 1000;
+
+// Counters are forgotten after this long without a failure
+const FAILURE_WINDOW_MS = 30 * MINUTE_MS;
+
+const accountKey = (email) => `account:${String(email || '').toLowerCase().trim()}`;
+const ipKey = (ip) => `ip:${ip || 'unknown'}`;
+
+/**
+ * Request IP
+ * @param {Object} req - Express request
+ * @returns {String} IP address
+ */
+const getRequestIp = (req) => req.ip || req.headers['x-forwarded-for'] || req.connection?.remoteAddress;
+
+/**
+ * Login Security Service
+ * Per-account and per-IP failed login counters with progressive delays and temporary lockout,
+ * and new-device login notifications.
+ */
+class LoginSecurityService {
+  /**
+   * Whether a login attempt may proceed
+   * @param {String} email - Email being logged into
+   * @param {Object} req - Express request (IP)
+   * @returns {Promise<Object>} { allowed, statusCode, retryAfter (seconds), reason, message }
+   */
+  async checkAttempt(email, req) {
+    const now = new Date();
+    const throttles = await LoginThrottle.find({
+      key: { $in: [ipKey(getRequestIp(req)), accountKey(email)] },
+      expiresAt: { $gt: now },
+    });
+    const byScope = Object.fromEntries(throttles.map((throttle) => [throttle.scope, throttle]));
+    const secondsUntil = (date) => Math.max(Math.ceil((date - now) / 1000), 1);
+
+    for (const scope of ['ip', 'account']) {
+      const throttle = byScope[scope];
+      if (throttle?.lockedUntil > now) {
+        const minutes = Math.ceil(secondsUntil(throttle.lockedUntil) / 60);
+        return {
+          allowed: false,
+          statusCode: scope === 'account' ? 423 : 429,
+          retryAfter: secondsUntil(throttle.lockedUntil),
+          reason: `${scope}_locked`,
+          message: scope === 'account'
+            ? `Account temporarily locked after too many failed login attempts. Try again in ${minutes} minute(s) or reset your password.`
+            : `Too many failed login attempts from this network. Try again in ${minutes} minute(s).`,
+        };
+      }
+    }
+
+    for (const scope of ['ip', 'account']) {
+      const throttle = byScope[scope];
+      if (throttle?.retryAt > now) {
+        return {
+          allowed: false,
+          statusCode: 429,
+          retryAfter: secondsUntil(throttle.retryAt),
+          reason: `${scope}_delayed`,
+          message: `Too many failed login attempts. Try again in ${secondsUntil(throttle.retryAt)} second(s).`,
+        };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Count a failed attempt against one counter and set its delay / lockout
+   * @param {String} scope - account | ip
+   * @param {String} key - Counter key
+   * @returns {Promise<Object>} Updated counter
+   */
+  async recordScopeFailure(scope, key) {
+    const now = new Date();
+    const rules = THROTTLE_RULES[scope];
+
+    // A counter past its quiet period starts again from zero
+    await LoginThrottle.deleteOne({ key, expiresAt: { $lte: now } });
+
+    const throttle = await LoginThrottle.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failedCount: 1 },
+        $set: { lastFailedAt: now, expiresAt: new Date(now.getTime() + FAILURE_WINDOW_MS) },
+        $setOnInsert: { scope },
+      },
+      { upsert: true, new: true }
+    );
+
+    const update = {};
+    if (throttle.failedCount >= rules.lockAfter) {
+      update.lockedUntil = new Date(now.getTime() + rules.lockMs);
+      update.expiresAt = new Date(now.getTime() + Math.max(rules.lockMs, FAILURE_WINDOW_MS));
+    } else if (throttle.failedCount >= rules.delayAfter) {
+      const delay = Math.min(BASE_DELAY_MS * 2 ** (throttle.failedCount - rules.delayAfter), MAX_DELAY_MS);
+      update.retryAt = new Date(now.getTime() + delay);
+    }
+    if (Object.keys(update).length) {
+      await LoginThrottle.updateOne({ _id: throttle._id }, update);
+    }
+    return { ...throttle.toObject(), ...update };
+  }
+
+  /**
+   * Count a failed login against the account and the IP
+   * @param {String} email - Email being logged into
+   * @param {Object} req - Express request (IP)
+   * @returns {Promise<Object>} { account, ip } counters
+   */
+  async recordFailure(email, req) {
+    try {
+      const [account, ip] = await Promise.all([
+        this.recordScopeFailure('account', accountKey(email)),
+        this.recordScopeFailure('ip', ipKey(getRequestIp(req))),
+      ]);
+      return { account, ip };
+    } catch (error) {
+      throw new Error(`Error recording failed login: ${error.message}`);
+    }
+  }
+
+  /**
+   * Clear an account's failed attempts and lockout (successful login, admin unlock, password reset).
+   * IP counters are kept so one valid login cannot reset an IP that is guessing other accounts.
+   * @param {String} email - Account email
+   * @returns {Promise<Boolean>} Whether a counter existed
+   */
+  async clearAccount(email) {
+    try {
+      const result = await LoginThrottle.deleteOne({ key: accountKey(email) });
+      return result.deletedCount > 0;
+    } catch (error) {
+      throw new Error(`Error clearing login lockout: ${error.message}`);
+    }
+  }
+
+  /**
+   * Failed attempts and lockout of an account
+   * @param {String} email - Account email
+   * @returns {Promise<Object>} { failedCount, lockedUntil, retryAt }
+   */
+  async getAccountStatus(email) {
+    const throttle = await LoginThrottle.findOne({ key: accountKey(email), expiresAt: { $gt: new Date() } });
+    return {
+      failedCount: throttle?.failedCount || 0,
+      lockedUntil: throttle?.lockedUntil > new Date() ? throttle.lockedUntil : null,
+      retryAt: throttle?.retryAt > new Date() ? throttle.retryAt : null,
+    };
+  }
+
+  /**
+   * Whether a login comes from a device (user agent) the user has not signed in from before.
+   * The very first login of an account is not treated as new.
+   * @param {ObjectId} userId - User ID
+   * @param {Object} req - Express request (user agent)
+   * @returns {Promise<Boolean>} Is a new device
+   */
+  async isNewDevice(userId, req) {
+    const userAgent = req.headers['user-agent'] || '';
+    const [hasSessions, knownDevice] = await Promise.all([
+      Session.exists({ user: userId }),
+      Session.exists({ user: userId, userAgent }),
+    ]);
+    return !!hasSessions && !knownDevice;
+  }
+
+  /**
+   * Tell a user about a login from a new device (in-app notification and email)
+   * @param {Object} user - User
+   * @param {Object} session - Session created for the login
+   */
+  async notifyNewDevice(user, session) {
+    const when = new Date(session.createdAt || Date.now()).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+    const message = `New login from ${session.device} (IP ${session.ipAddress || 'unknown'}) on ${when}. If this was not you, change your password and sign out of other sessions.`;
+
+    try {
+      await Notification.create({
+        userId: user._id,
+        title: 'New device login',
+        message,
+        type: 'new_device_login',
+      });
+      await emailService.sendNotification(user.email, 'New login to your account', message, 'new_device_login');
+    } catch (error) {
+      console.error('Error sending new device notification:', error.message);
+    }
+  }
+}
+
+export default new LoginSecurityService();
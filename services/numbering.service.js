@@ -0,0 +1,165 @@
+import Counter from '../models/counter.model.js';
+import CompanySettings from '../models/companySettings.model.js';
+
+// Series -> CompanySettings.numbering key and defaults
+const SERIES_CONFIG = {
+  agent_invoice: { key: 'agentInvoice', prefix: 'AGI', padding: 5 },
+  franchise_invoice: { key: 'franchiseInvoice', prefix: 'FRI', padding: 5 },
+  credit_note: { key: 'creditNote', prefix: 'CN', padding: 5 },
+  debit_note: { key: 'debitNote', prefix: 'DN', padding: 5 },
+  payout: { key: 'payout', prefix: 'PAY', padding: 5 },
+  ticket: { key: 'ticket', prefix: 'SRN', padding: 6 },
+};
+
+// Numbers issued before FY numbering (e.g. PAY-20260115-04821)
+const LEGACY_PATTERNS = {
+  payout: 'PAY-\\d{8}-\\d{5}',
+  agent_invoice: 'INV-\\d{8}-\\d{5}',
+  franchise_invoice: 'INV-\\d{8}-\\d{5}',
+  ticket: 'SRN-\\d{4}-\\d{6}',
+};
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+/**
+ * Numbering Service
+ * Gap-free, financial-year-wise document numbers backed by atomic counters
+ */
+class NumberingService {
+  /**
+   * Indian financial year (April-March, IST) a date falls in
+   * @param {Date} date - Date
+   * @returns {Object} { startYear, label: '2026-27', code: '2627' }
+   */
+  getFinancialYear(date = new Date()) {
+    const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+    const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    const endShort = String((startYear + 1) % 100).padStart(2, '0');
+    return {
+      startYear,
+      label: `${startYear}-${endShort}`,
+      code: `${String(startYear % 100).padStart(2, '0')}${endShort}`,
+    };
+  }
+
+  /**
+   * Prefix and padding configured for a series
+   * @param {String} series - agent_invoice | franchise_invoice | credit_note | debit_note | payout | ticket
+   * @returns {Promise<Object>} { prefix, padding }
+   */
+  async getSeriesConfig(series) {
+    const defaults = SERIES_CONFIG[series];
+    if (!defaults) {
+      throw new Error(`Unknown numbering series: ${series}`);
+    }
+    const settings = await CompanySettings.getSettings();
+    const configured = settings.numbering?.[defaults.key] || {};
+    return {
+      prefix: (configured.prefix || defaults.prefix).toUpperCase(),
+      padding: configured.padding || defaults.padding,
+    };
+  }
+
+  /**
+   * Take the next sequence number of a series for a financial year
+   * $inc with upsert is atomic; a concurrent first insert of the year is retried.
+   * @param {String} series - Series
+   * @param {String} financialYear - e.g. '2026-27'
+   * @returns {Promise<Number>} Sequence number
+   */
+  async increment(series, financialYear) {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      try {
+        const counter = await Counter.findOneAndUpdate(
+          { series, financialYear },
+          { $inc: { seq: 1 } },
+          { new: true, upsert: true }
+        );
+        return counter.seq;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+    throw new Error(`Could not allocate a ${series} number`);
+  }
+
+  /**
+   * Issue the next number of a series, e.g. AGI-2627-00001
+   * @param {String} series - agent_invoice | franchise_invoice | credit_note | debit_note | payout | ticket
+   * @param {Date} date - Document date (decides the financial year)
+   * @returns {Promise<String>} Document number
+   */
+  async next(series, date = new Date()) {
+    try {
+      const { prefix, padding } = await this.getSeriesConfig(series);
+      const fy = this.getFinancialYear(date);
+      const seq = await this.increment(series, fy.label);
+      return `${prefix}-${fy.code}-${String(seq).padStart(padding, '0')}`;
+    } catch (error) {
+      throw new Error(`Error generating document number: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save a new document under the next number of its series. The document is validated before
+   * the number is taken, so a document that would be rejected does not leave a gap in the series.
+   * @param {Document} doc - Unsaved document
+   * @param {String} field - Path that holds the number, e.g. invoiceNumber
+   * @param {Function} allocate - Issues the number, e.g. () => numberingService.nextPayoutNumber()
+   * @returns {Promise<Document>} Saved document
+   */
+  async createNumbered(doc, field, allocate) {
+    await doc.validate({ pathsToSkip: [field] });
+    doc.set(field, await allocate());
+    return doc.save();
+  }
+
+  /**
+   * Next invoice number; franchise invoices have their own series
+   * @param {String} invoiceType - agent | sub_agent | franchise
+   * @param {Date} date - Invoice date
+   * @returns {Promise<String>} Invoice number
+   */
+  async nextInvoiceNumber(invoiceType, date = new Date()) {
+    return this.next(invoiceType === 'franchise' ? 'franchise_invoice' : 'agent_invoice', date);
+  }
+
+  /**
+   * Next credit / debit note number
+   * @param {String} noteType - credit | debit
+   * @param {Date} date - Note date
+   * @returns {Promise<String>} Note number
+   */
+  async nextNoteNumber(noteType, date = new Date()) {
+    return this.next(noteType === 'debit' ? 'debit_note' : 'credit_note', date);
+  }
+
+  /**
+   * Next payout number
+   * @returns {Promise<String>} Payout number
+   */
+  async nextPayoutNumber() {
+    return this.next('payout');
+  }
+
+  /**
+   * Next service request (ticket) number
+   * @returns {Promise<String>} Ticket ID
+   */
+  async nextTicketId() {
+    return this.next('ticket');
+  }
+
+  /**
+   * Regex source matching numbers of a series (current prefix and pre-FY legacy format)
+   * @param {String} series - Series
+   * @returns {Promise<String>} Regex source
+   */
+  async getSeriesPattern(series) {
+    const { prefix } = await this.getSeriesConfig(series);
+    const current = `${prefix}-\\d{4}-\\d{3,8}`;
+    return LEGACY_PATTERNS[series] ? `(?:${current}|${LEGACY_PATTERNS[series]})` : current;
+  }
+}
+
+export default new NumberingService();
@@ -0,0 +1,573 @@
+import crypto from 'crypto';
+import OnboardingApplication, {
+  ONBOARDING_DOCUMENT_TYPES_LIST,
+  ONBOARDING_REJECTION_REASONS_LIST,
+} from '../models/onboardingApplication.model.js';
+import User, { hashPassword } from '../models/user.model.js';
+import Franchise from '../models/franchise.model.js';
+import RelationshipManager from '../models/relationship.model.js';
+import Document from '../models/document.model.js';
+import { getRegionalManagerFranchiseIds, getRegionalManagerRelationshipManagerIds } from '../utils/regionalScope.js';
+import fileUploadService from './fileUpload.service.js';
+import emailService from './email.service.js';
+import passwordService from './password.service.js';
+import orgHierarchyService from './orgHierarchy.service.js';
+import {
+  normalizeKycValue,
+  isValidPan,
+  isValidAadhaar,
+  isValidGstin,
+  isValidIfsc,
+  getPanFromGstin,
+} from '../utils/kycValidation.js';
+
+// Applications still being worked on block a second application with the same email / mobile
+const OPEN_STATUSES = ['submitted', 'rejected'];
+
+const MANAGER_COLLECTIONS = {
+  Franchise,
+  RelationshipManager,
+};
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Onboarding Service
+ * Self-onboarding of agents: applicants submit details and KYC documents, the franchise /
+ * relationship manager they chose approves (creating the agent) or rejects with reasons,
+ * and rejected applicants resubmit.
+ */
+class OnboardingService {
+  /**
+   * Active franchises and relationship managers an applicant can apply under
+   * @returns {Promise<Object>} { franchises, relationshipManagers }
+   */
+  async getPartners() {
+    try {
+      const [franchises, relationshipManagers] = await Promise.all([
+        Franchise.find({ status: 'active' }).select('name address.city address.state').sort({ name: 1 }),
+        RelationshipManager.find({ status: 'active' }).select('name address.city address.state').sort({ name: 1 }),
+      ]);
+      return { franchises, relationshipManagers };
+    } catch (error) {
+      throw new Error(`Error fetching onboarding partners: ${error.message}`);
+    }
+  }
+
+  /**
+   * Applicant details from a request body (flat multipart fields or nested kyc / bankDetails / address)
+   * Only fields present in the body are returned, so a resubmission can change a subset.
+   * @param {Object} body - Request body
+   * @returns {Object} Details
+   */
+  pickDetails(body = {}) {
+    const details = {};
+    const nested = (key) => {
+      const value = body[key];
+      if (typeof value !== 'string') return value || {};
+      try {
+        return JSON.parse(value);
+      } catch {
+        return {};
+      }
+    };
+    const kyc = nested('kyc');
+    const bankDetails = nested('bankDetails');
+    const address = nested('address');
+    const pick = (target, key, value, normalize = (v) => String(v).trim()) => {
+      if (value !== undefined && value !== null) target[key] = normalize(value);
+    };
+
+    pick(details, 'name', body.name);
+    pick(details, 'email', body.email, (v) => String(v).trim().toLowerCase());
+    pick(details, 'mobile', body.mobile);
+    pick(details, 'managedBy', body.managedBy);
+    pick(details, 'managedByModel', body.managedByModel);
+
+    details.kyc = {};
+    pick(details.kyc, 'pan', kyc.pan ?? body.pan, normalizeKycValue);
+    pick(details.kyc, 'aadhaar', kyc.aadhaar ?? body.aadhaar, normalizeKycValue);
+    pick(details.kyc, 'gst', kyc.gst ?? body.gst ?? body.gstin, normalizeKycValue);
+
+    details.bankDetails = {};
+    for (const key of ['accountHolderName', 'accountNumber', 'branch', 'bankName']) {
+      pick(details.bankDetails, key, bankDetails[key] ?? body[key]);
+    }
+    pick(details.bankDetails, 'ifsc', bankDetails.ifsc ?? body.ifsc, normalizeKycValue);
+
+    details.address = {};
+    for (const key of ['street', 'city', 'state', 'pincode']) {
+      pick(details.address, key, address[key] ?? body[key]);
+    }
+    return details;
+  }
+
+  /**
+   * Format checks on the applicant's details (PAN, Aadhaar, GSTIN with checksum, IFSC)
+   * @param {Object} details - Complete details (application merged with changes)
+   * @returns {Array<String>} Problems found (empty when valid)
+   */
+  validateDetails(details) {
+    const errors = [];
+    const { kyc = {}, bankDetails = {} } = details;
+
+    if (!details.name) errors.push('Name is required');
+    if (!/^\S+@\S+\.\S+$/.test(details.email || '')) errors.push('A valid email is required');
+    if (!/^[6-9][0-9]{9}$/.test(details.mobile || '')) errors.push('A valid 10-digit mobile number is required');
+    if (!['Franchise', 'RelationshipManager'].includes(details.managedByModel) || !details.managedBy) {
+      errors.push('Select the franchise or relationship manager to apply under');
+    }
+
+    if (!isValidPan(kyc.pan)) errors.push('PAN must be in the format AAAAA9999A');
+    if (!isValidAadhaar(kyc.aadhaar)) errors.push('Aadhaar must be a 12-digit number');
+    if (kyc.gst) {
+      if (!isValidGstin(kyc.gst)) {
+        errors.push('GSTIN is invalid (format or check digit)');
+      } else if (isValidPan(kyc.pan) && getPanFromGstin(kyc.gst) !== kyc.pan) {
+        errors.push('GSTIN does not belong to the PAN provided');
+      }
+    }
+
+    if (!bankDetails.accountHolderName) errors.push('Bank account holder name is required');
+    if (!/^[0-9]{9,18}$/.test(bankDetails.accountNumber || '')) errors.push('Bank account number must be 9 to 18 digits');
+    if (!isValidIfsc(bankDetails.ifsc)) errors.push('IFSC must be in the format AAAA0XXXXXX');
+
+    return errors;
+  }
+
+  /**
+   * Reject an email / mobile that already has an account or another open application
+   * @param {Object} details - { email, mobile }
+   * @param {ObjectId} excludeApplicationId - Application being resubmitted
+   */
+  async assertNotDuplicate(details, excludeApplicationId = null) {
+    const match = { $or: [{ email: details.email }, { mobile: details.mobile }] };
+    if (await User.exists(match)) {
+      throw badRequest('An account with this email or mobile already exists');
+    }
+
+    const applicationQuery = { ...match, status: { $in: OPEN_STATUSES } };
+    if (excludeApplicationId) applicationQuery._id = { $ne: excludeApplicationId };
+    if (await OnboardingApplication.exists(applicationQuery)) {
+      throw badRequest('An application with this email or mobile is already in progress');
+    }
+  }
+
+  /**
+   * Ensure the chosen franchise / relationship manager exists and is active
+   * @param {Object} details - { managedBy, managedByModel }
+   */
+  async assertManagerActive(details) {
+    const manager = await MANAGER_COLLECTIONS[details.managedByModel].findById(details.managedBy).select('status');
+    if (!manager || manager.status !== 'active') {
+      throw badRequest('Selected franchise or relationship manager is not available');
+    }
+  }
+
+  /**
+   * Document types still missing once the uploaded files are added
+   * @param {Object} details - Complete details
+   * @param {Array<String>} uploadedTypes - Types already on the application or uploaded now
+   * @returns {Array<String>} Missing document types
+   */
+  getMissingDocuments(details, uploadedTypes) {
+    const required = ['pan', 'aadhaar', 'cancelled_cheque'];
+    if (details.kyc?.gst) required.push('gst');
+    return required.filter((type) => !uploadedTypes.includes(type));
+  }
+
+  /**
+   * Uploaded files keyed by document type (field name); unknown fields are ignored
+   * @param {Array} files - multer files (req.files from an "any" upload)
+   * @returns {Object} { [documentType]: file }
+   */
+  getDocumentFiles(files = []) {
+    return files.reduce((byType, file) => {
+      if (ONBOARDING_DOCUMENT_TYPES_LIST.includes(file.fieldname)) byType[file.fieldname] = file;
+      return byType;
+    }, {});
+  }
+
+  /**
+   * Store uploaded documents against an application, replacing earlier ones of the same type
+   * @param {Object} application - Application document (not yet saved)
+   * @param {Object} documentFiles - { [documentType]: file }
+   */
+  async attachDocuments(application, documentFiles) {
+    for (const [documentType, file] of Object.entries(documentFiles)) {
+      const document = await fileUploadService.processUploadedFile(file, {
+        entityType: 'onboarding',
+        entityId: application._id,
+        documentType,
+        description: `Onboarding ${documentType.replace('_', ' ')} (submission ${application.submissionCount})`,
+      });
+      application.documents = application.documents.filter((entry) => entry.documentType !== documentType);
+      application.documents.push({ documentType, document: document._id });
+    }
+  }
+
+  /**
+   * Submit a new application
+   * @param {Object} body - Request body (details and password)
+   * @param {Array} files - Uploaded files named by document type
+   * @returns {Promise<Object>} { application, accessToken }
+   */
+  async submitApplication(body, files) {
+    try {
+      const details = this.pickDetails(body);
+      const errors = this.validateDetails(details);
+      errors.push(...await passwordService.validatePassword(body.password));
+      if (errors.length) throw badRequest(errors.join('; '));
+
+      const documentFiles = this.getDocumentFiles(files);
+      const missing = this.getMissingDocuments(details, Object.keys(documentFiles));
+      if (missing.length) throw badRequest(`Missing documents: ${missing.join(', ')}`);
+
+      await this.assertNotDuplicate(details);
+      await this.assertManagerActive(details);
+
+      const accessToken = crypto.randomBytes(24).toString('hex');
+      const application = new OnboardingApplication({
+        ...details,
+        password: await hashPassword(body.password),
+        accessTokenHash: hashToken(accessToken),
+      });
+      await this.attachDocuments(application, documentFiles);
+      await application.save();
+
+      return { application: await this.getApplicationById(application._id), accessToken };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error submitting onboarding application: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find an application by ID, checked against the applicant's access token
+   * @param {ObjectId} applicationId - Application ID
+   * @param {String} accessToken - Token issued on submission
+   * @returns {Promise<Object>} Application document
+   */
+  async findWithAccessToken(applicationId, accessToken) {
+    const application = await OnboardingApplication.findById(applicationId).select('+accessTokenHash');
+    const expected = Buffer.from(application?.accessTokenHash || '');
+    const given = Buffer.from(hashToken(accessToken || ''));
+    if (!application || !accessToken || expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      throw notFound('Application not found');
+    }
+    return application;
+  }
+
+  /**
+   * Application as seen by the applicant (status, rejection reasons, documents)
+   * @param {ObjectId} applicationId - Application ID
+   * @param {String} accessToken - Token issued on submission
+   * @returns {Promise<Object>} Application
+   */
+  async getApplicationForApplicant(applicationId, accessToken) {
+    await this.findWithAccessToken(applicationId, accessToken);
+    return this.getApplicationById(applicationId);
+  }
+
+  /**
+   * Resubmit a rejected application with corrected details and / or documents
+   * @param {ObjectId} applicationId - Application ID
+   * @param {String} accessToken - Token issued on submission
+   * @param {Object} body - Changed details (and optionally a new password)
+   * @param {Array} files - Replacement documents named by document type
+   * @returns {Promise<Object>} Application
+   */
+  async resubmitApplication(applicationId, accessToken, body, files) {
+    try {
+      const application = await this.findWithAccessToken(applicationId, accessToken);
+      if (application.status !== 'rejected') {
+        throw badRequest(`Only rejected applications can be resubmitted (current status: ${application.status})`);
+      }
+
+      const changes = this.pickDetails(body);
+      const current = application.toObject();
+      const details = {
+        name: changes.name ?? current.name,
+        email: changes.email ?? current.email,
+        mobile: changes.mobile ?? current.mobile,
+        managedBy: changes.managedBy ?? String(current.managedBy),
+        managedByModel: changes.managedByModel ?? current.managedByModel,
+        kyc: { ...current.kyc, ...changes.kyc },
+        bankDetails: { ...current.bankDetails, ...changes.bankDetails },
+        address: { ...current.address, ...changes.address },
+      };
+
+      const errors = this.validateDetails(details);
+      if (body.password !== undefined) {
+        errors.push(...await passwordService.validatePassword(body.password));
+      }
+      if (errors.length) throw badRequest(errors.join('; '));
+
+      const documentFiles = this.getDocumentFiles(files);
+      const uploadedTypes = [...application.documents.map((entry) => entry.documentType), ...Object.keys(documentFiles)];
+      const missing = this.getMissingDocuments(details, uploadedTypes);
+      if (missing.length) throw badRequest(`Missing documents: ${missing.join(', ')}`);
+
+      await this.assertNotDuplicate(details, application._id);
+      await this.assertManagerActive(details);
+
+      application.set(details);
+      if (body.password !== undefined) {
+        application.password = await hashPassword(body.password);
+      }
+      application.submissionCount += 1;
+      await this.attachDocuments(application, documentFiles);
+      application.status = 'submitted';
+      application.submittedAt = new Date();
+      application.rejectionReasons = [];
+      application.rejectionRemarks = undefined;
+      await application.save();
+
+      return this.getApplicationById(application._id);
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error resubmitting onboarding application: ${error.message}`);
+    }
+  }
+
+  /**
+   * Query restricting applications to those a reviewer may see and act on:
+   * franchise owners their franchise's, RMs their own, regional managers those in their region
+   * @param {Object} user - Reviewer (req.user)
+   * @returns {Promise<Object>} Query conditions
+   */
+  async getReviewScope(user) {
+    if (user.role === 'franchise') {
+      return { managedByModel: 'Franchise', managedBy: user.franchiseOwned || user.franchise || null };
+    }
+    if (user.role === 'relationship_manager') {
+      let rmId = user.relationshipManagerOwned;
+      if (!rmId) {
+        const rm = await RelationshipManager.findOne({ owner: user._id }).select('_id');
+        rmId = rm?._id;
+      }
+      return { managedByModel: 'RelationshipManager', managedBy: rmId || null };
+    }
+    if (user.role === 'regional_manager') {
+      const franchiseIds = await getRegionalManagerFranchiseIds({ user });
+      const rmIds = await getRegionalManagerRelationshipManagerIds({ user });
+      return {
+        $or: [
+          { managedByModel: 'Franchise', managedBy: { $in: franchiseIds || [] } },
+          { managedByModel: 'RelationshipManager', managedBy: { $in: rmIds || [] } },
+        ],
+      };
+    }
+    return {};
+  }
+
+  /**
+   * Get applications (review queue)
+   * @param {Object} filters - { status, search }
+   * @param {Object} scope - Query restricting the applications the reviewer may see
+   * @returns {Promise<Array>} Applications
+   */
+  async getApplications(filters = {}, scope = {}) {
+    try {
+      const query = { ...scope };
+      query.status = filters.status || 'submitted';
+      if (filters.search) {
+        const pattern = new RegExp(String(filters.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        query.$and = [{ $or: [{ name: pattern }, { email: pattern }, { mobile: pattern }, { 'kyc.pan': pattern }] }];
+      }
+
+      return await OnboardingApplication.find(query)
+        .populate('managedBy', 'name')
+        .populate('user', 'name email')
+        .sort({ submittedAt: 1 });
+    } catch (error) {
+      throw new Error(`Error fetching onboarding applications: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get application by ID with its documents and review history
+   * @param {ObjectId} applicationId - Application ID
+   * @param {Object} scope - Query restricting the applications the reviewer may see
+   * @returns {Promise<Object>} Application
+   */
+  async getApplicationById(applicationId, scope = {}) {
+    const application = await OnboardingApplication.findOne({ _id: applicationId, ...scope })
+      .populate('managedBy', 'name')
+      .populate('documents.document', 'documentType originalFileName mimeType fileSize url verificationStatus createdAt')
+      .populate('reviews.reviewedBy', 'name email')
+      .populate('user', 'name email');
+    if (!application) throw notFound('Application not found');
+    return application;
+  }
+
+  /**
+   * Approve an application: create the agent under the chosen franchise / RM and move the
+   * KYC documents onto the new user
+   * @param {ObjectId} applicationId - Application ID
+   * @param {Object} scope - Query restricting the applications the reviewer may act on
+   * @param {ObjectId} userId - Reviewer
+   * @param {String} remarks - Optional remarks
+   * @returns {Promise<Object>} { application, user }
+   */
+  async approveApplication(applicationId, scope, userId, remarks) {
+    try {
+      const application = await OnboardingApplication.findOne({ _id: applicationId, ...scope }).select('+password');
+      if (!application) throw notFound('Application not found');
+      if (application.status !== 'submitted') {
+        throw badRequest(`Only submitted applications can be approved (current status: ${application.status})`);
+      }
+      await this.assertNotDuplicate(application, application._id);
+
+      // Claim the application so a concurrent approval / rejection cannot also act on it
+      const claimed = await OnboardingApplication.findOneAndUpdate(
+        { _id: application._id, status: 'submitted' },
+        { status: 'approved' }
+      );
+      if (!claimed) throw badRequest('Application has already been reviewed');
+
+      let user;
+      try {
+        user = await User.create({
+          name: application.name,
+          email: application.email,
+          mobile: application.mobile,
+          password: application.password,
+          role: 'agent',
+          managedBy: application.managedBy,
+          managedByModel: application.managedByModel,
+          agentType: application.kyc?.gst ? 'GST' : 'normal',
+          kyc: { ...application.toObject().kyc, verified: true },
+          bankDetails: application.toObject().bankDetails,
+          status: 'active',
+          createdBy: userId,
+        });
+      } catch (error) {
+        await OnboardingApplication.updateOne({ _id: application._id }, { status: 'submitted' });
+        throw error;
+      }
+      orgHierarchyService.invalidate();
+
+      await Document.updateMany(
+        { _id: { $in: application.documents.map((entry) => entry.document) } },
+        {
+          entityType: 'user',
+          entityId: user._id,
+          uploadedBy: user._id,
+          verificationStatus: 'verified',
+          verifiedBy: userId,
+          verifiedAt: new Date(),
+        }
+      );
+
+      await OnboardingApplication.updateOne(
+        { _id: application._id },
+        {
+          user: user._id,
+          $push: {
+            reviews: {
+              action: 'approved',
+              remarks,
+              submission: application.submissionCount,
+              reviewedBy: userId,
+            },
+          },
+        }
+      );
+
+      try {
+        await emailService.sendNotification(
+          application.email,
+          'Your agent application has been approved',
+          `Hello ${application.name}, your application has been approved. You can now log in with ${application.email} and the password you chose.`,
+          'onboarding'
+        );
+      } catch (error) {
+        console.error('Error sending onboarding approval email:', error.message);
+      }
+
+      return { application: await this.getApplicationById(application._id), user };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error approving onboarding application: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reject an application with reasons; the applicant may correct and resubmit
+   * @param {ObjectId} applicationId - Application ID
+   * @param {Object} scope - Query restricting the applications the reviewer may act on
+   * @param {Object} data - { reasons: [reason codes], remarks }
+   * @param {ObjectId} userId - Reviewer
+   * @returns {Promise<Object>} Application
+   */
+  async rejectApplication(applicationId, scope, { reasons, remarks } = {}, userId) {
+    try {
+      const reasonList = [].concat(reasons || []);
+      if (!reasonList.length) throw badRequest('At least one rejection reason is required');
+      const unknown = reasonList.filter((reason) => !ONBOARDING_REJECTION_REASONS_LIST.includes(reason));
+      if (unknown.length) {
+        throw badRequest(`Rejection reasons must be from: ${ONBOARDING_REJECTION_REASONS_LIST.join(', ')}`);
+      }
+      if (reasonList.includes('other') && !remarks) {
+        throw badRequest('Remarks are required when the reason is "other"');
+      }
+
+      const existing = await OnboardingApplication.findOne({ _id: applicationId, ...scope }).select('status submissionCount');
+      if (!existing) throw notFound('Application not found');
+      if (existing.status !== 'submitted') {
+        throw badRequest(`Only submitted applications can be rejected (current status: ${existing.status})`);
+      }
+
+      const application = await OnboardingApplication.findOneAndUpdate(
+        { _id: existing._id, status: 'submitted', submissionCount: existing.submissionCount },
+        {
+          status: 'rejected',
+          rejectionReasons: reasonList,
+          rejectionRemarks: remarks,
+          $push: {
+            reviews: {
+              action: 'rejected',
+              reasons: reasonList,
+              remarks,
+              submission: existing.submissionCount,
+              reviewedBy: userId,
+            },
+          },
+        },
+        { new: true }
+      );
+      if (!application) throw badRequest('Application has already been reviewed');
+
+      try {
+        await emailService.sendNotification(
+          application.email,
+          'Your agent application needs changes',
+          `Hello ${application.name}, your application was not approved for these reasons: ${reasonList.join(', ').replace(/_/g, ' ')}.${remarks ? ` Remarks: ${remarks}.` : ''} Please correct the details and resubmit.`,
+          'onboarding'
+        );
+      } catch (error) {
+        console.error('Error sending onboarding rejection email:', error.message);
+      }
+
+      return this.getApplicationById(application._id);
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error rejecting onboarding application: ${error.message}`);
+    }
+  }
+}
+
+export default new OnboardingService();
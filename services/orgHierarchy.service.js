@@ -0,0 +1,485 @@
+import User from '../models/user.model.js';
+import Franchise from '../models/franchise.model.js';
+import RelationshipManager from '../models/relationship.model.js';
+import Accountant from '../models/accountant.model.js';
+import OrgUnit from '../models/orgUnit.model.js';
+
+// Lookups are cached this long; org changes made through the API clear the cache right away
+const CACHE_TTL_MS = 60 * 1000;
+// Keys are per user, so the cache is capped; expired entries go first, then the oldest
+const CACHE_MAX_ENTRIES = 5000;
+
+const toId = (value) => (value?._id || value)?.toString?.() || null;
+const includesId = (ids, id) => !!id && ids.some((item) => toId(item) === toId(id));
+
+const EMPTY_DESCENDANTS = () => ({
+  regionalManagerIds: [],
+  franchiseIds: [],
+  relationshipManagerIds: [],
+  agentIds: [],
+  franchiseOwnerIds: [],
+  relationshipManagerOwnerIds: [],
+});
+
+/**
+ * Org Hierarchy Service
+ * One place that knows the org tree:
+ *   [zone] → [region] → regional manager → franchise / relationship manager → agent
+ * with accountants assigned to regional managers. Zones and regions (OrgUnit) are optional.
+ * Answers who is above a user, who is below a user, and which records a user can see.
+ */
+class OrgHierarchyService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Cached value, loaded on a miss or after CACHE_TTL_MS (keeps at most CACHE_MAX_ENTRIES)
+   * @param {String} key - Cache key
+   * @param {Function} loader - Async loader
+   * @returns {Promise<*>} Value
+   */
+  async cached(key, loader) {
+    const hit = this.cache.get(key);
+    if (hit && Date.now() - hit.loadedAt < CACHE_TTL_MS) return hit.value;
+
+    const value = await loader();
+    this.cache.delete(key);
+    this.cache.set(key, { value, loadedAt: Date.now() });
+    if (this.cache.size > CACHE_MAX_ENTRIES) this.evict();
+    return value;
+  }
+
+  /**
+   * Remove expired entries, then the oldest ones while the cache is still over its cap
+   */
+  evict() {
+    const now = Date.now();
+    for (const [key, entry] of this.cache) {
+      if (now - entry.loadedAt >= CACHE_TTL_MS) this.cache.delete(key);
+    }
+    for (const key of this.cache.keys()) {
+      if (this.cache.size <= CACHE_MAX_ENTRIES) break;
+      this.cache.delete(key);
+    }
+  }
+
+  /**
+   * Drop every cached lookup (after franchises, relationship managers, agents, accountant
+   * assignments or org units change)
+   */
+  invalidate() {
+    this.cache.clear();
+  }
+
+  /**
+   * Franchise owned by a franchise user
+   * @param {Object} user - User (role franchise)
+   * @returns {Promise<Object|null>} Franchise (lean)
+   */
+  async getOwnedFranchise(user) {
+    return this.cached(`franchise-of:${toId(user)}`, async () => {
+      if (user.franchiseOwned) {
+        const owned = await Franchise.findById(user.franchiseOwned).select('name owner regionalManager status').lean();
+        if (owned) return owned;
+      }
+      return Franchise.findOne({ owner: user._id }).select('name owner regionalManager status').lean();
+    });
+  }
+
+  /**
+   * Relationship manager profile owned by a relationship manager user
+   * @param {Object} user - User (role relationship_manager)
+   * @returns {Promise<Object|null>} RelationshipManager (lean)
+   */
+  async getOwnedRelationshipManager(user) {
+    return this.cached(`rm-of:${toId(user)}`, async () => {
+      if (user.relationshipManagerOwned) {
+        const owned = await RelationshipManager.findById(user.relationshipManagerOwned)
+          .select('name owner regionalManager status')
+          .lean();
+        if (owned) return owned;
+      }
+      return RelationshipManager.findOne({ owner: user._id }).select('name owner regionalManager status').lean();
+    });
+  }
+
+  /**
+   * Franchise or relationship manager profile an agent works under
+   * @param {ObjectId} agentId - Agent user ID
+   * @returns {Promise<Object|null>} { type: franchise | relationship_manager, unit } (owner populated)
+   */
+  async getAgentManager(agentId) {
+    return this.cached(`manager-of:${toId(agentId)}`, async () => {
+      const agent = await User.findById(agentId).select('managedBy managedByModel').lean();
+      if (!agent?.managedBy) return null;
+
+      const Model = agent.managedByModel === 'RelationshipManager' ? RelationshipManager : Franchise;
+      const unit = await Model.findById(agent.managedBy)
+        .select('name owner regionalManager status')
+        .populate('owner', 'name email')
+        .lean();
+      if (!unit) return null;
+      return { type: agent.managedByModel === 'RelationshipManager' ? 'relationship_manager' : 'franchise', unit };
+    });
+  }
+
+  /**
+   * Regional manager above a user (themselves for a regional manager)
+   * @param {Object} user - User
+   * @returns {Promise<ObjectId|null>} Regional manager user ID
+   */
+  async getRegionalManagerIdOf(user) {
+    switch (user.role) {
+      case 'regional_manager':
+        return user._id;
+      case 'agent':
+        return (await this.getAgentManager(user._id))?.unit.regionalManager || null;
+      case 'franchise':
+        return (await this.getOwnedFranchise(user))?.regionalManager || null;
+      case 'relationship_manager':
+        return (await this.getOwnedRelationshipManager(user))?.regionalManager || null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Active accountants assigned to a regional manager (User records; Accountant profile
+   * details when the profile has no linked user)
+   * @param {ObjectId} regionalManagerId - Regional manager user ID
+   * @returns {Promise<Array<Object>>} Accountants
+   */
+  async getAccountantsOf(regionalManagerId) {
+    if (!regionalManagerId) return [];
+    return this.cached(`accountants-of:${toId(regionalManagerId)}`, async () => {
+      const profiles = await Accountant.find({ assignedRegionalManagers: regionalManagerId, status: 'active' })
+        .select('user name email mobile')
+        .lean();
+
+      const userIds = profiles.map((profile) => profile.user).filter(Boolean);
+      const users = userIds.length
+        ? await User.find({ _id: { $in: userIds }, status: 'active' }).select('name email phone mobile').lean()
+        : [];
+      if (users.length || !profiles.length) return users;
+
+      return profiles.map((profile) => ({
+        _id: profile._id,
+        name: profile.name,
+        email: profile.email,
+        phone: profile.mobile,
+        mobile: profile.mobile,
+      }));
+    });
+  }
+
+  /**
+   * Region and zone a regional manager belongs to
+   * @param {ObjectId} regionalManagerId - Regional manager user ID
+   * @returns {Promise<Object>} { region, zone } (null when not configured)
+   */
+  async getUnitsOf(regionalManagerId) {
+    if (!regionalManagerId) return { region: null, zone: null };
+    return this.cached(`units-of:${toId(regionalManagerId)}`, async () => {
+      const region = await OrgUnit.findOne({ type: 'region', regionalManagers: regionalManagerId, status: 'active' })
+        .select('name code parent head')
+        .lean();
+      const zone = region?.parent
+        ? await OrgUnit.findOne({ _id: region.parent, status: 'active' }).select('name code head').lean()
+        : null;
+      return { region, zone };
+    });
+  }
+
+  /**
+   * Who is above a user: their franchise / relationship manager, regional manager,
+   * region, zone and the accountants serving that regional manager
+   * @param {Object} user - User
+   * @returns {Promise<Object>} { manager, regionalManager, region, zone, accountants }
+   */
+  async getAncestors(user) {
+    try {
+      const manager = user.role === 'agent' ? await this.getAgentManager(user._id) : null;
+      const regionalManagerId = await this.getRegionalManagerIdOf(user);
+      const regionalManager = regionalManagerId && toId(regionalManagerId) !== toId(user)
+        ? await this.cached(`user:${toId(regionalManagerId)}`, () =>
+          User.findById(regionalManagerId).select('name email phone mobile address status').lean())
+        : null;
+      const { region, zone } = await this.getUnitsOf(regionalManagerId);
+      const accountants = await this.getAccountantsOf(regionalManagerId);
+
+      return { manager, regionalManager, region, zone, accountants };
+    } catch (error) {
+      throw new Error(`Error resolving hierarchy: ${error.message}`);
+    }
+  }
+
+  /**
+   * Regional managers a user oversees: themselves plus the regional managers of regions and
+   * zones they head (regional managers), or their assigned regional managers (accountants)
+   * @param {Object} user - User
+   * @returns {Promise<Array<ObjectId>>} Regional manager user IDs
+   */
+  async getRegionalManagerIdsUnder(user) {
+    if (user.role === 'accounts_manager') {
+      const profile = await Accountant.findOne({ user: user._id }).select('assignedRegionalManagers').lean();
+      return profile?.assignedRegionalManagers || [];
+    }
+    if (user.role !== 'regional_manager') return [];
+
+    const headedUnits = await OrgUnit.find({ head: user._id, status: 'active' }).select('_id type').lean();
+    const zoneIds = headedUnits.filter((unit) => unit.type === 'zone').map((unit) => unit._id);
+    const regions = await OrgUnit.find({
+      type: 'region',
+      status: 'active',
+      $or: [{ _id: { $in: headedUnits.map((unit) => unit._id) } }, { parent: { $in: zoneIds } }],
+    }).select('regionalManagers').lean();
+
+    const ids = [user._id, ...regions.flatMap((region) => region.regionalManagers || [])];
+    return [...new Map(ids.map((id) => [toId(id), id])).values()];
+  }
+
+  /**
+   * Who is below a user
+   * @param {Object} user - User
+   * @returns {Promise<Object>} { regionalManagerIds, franchiseIds, relationshipManagerIds, agentIds,
+   *   franchiseOwnerIds, relationshipManagerOwnerIds } - franchise / relationship manager IDs are
+   *   profile IDs, the *OwnerIds are their users
+   */
+  async getDescendants(user) {
+    try {
+      return await this.cached(`below:${toId(user)}`, async () => {
+        const below = EMPTY_DESCENDANTS();
+
+        if (user.role === 'franchise') {
+          const franchise = await this.getOwnedFranchise(user);
+          if (!franchise) return below;
+          below.franchiseIds = [franchise._id];
+          below.agentIds = await User.find({ managedByModel: 'Franchise', managedBy: franchise._id }).distinct('_id');
+          return below;
+        }
+
+        if (user.role === 'relationship_manager') {
+          const relationshipManager = await this.getOwnedRelationshipManager(user);
+          if (!relationshipManager) return below;
+          below.relationshipManagerIds = [relationshipManager._id];
+          below.agentIds = await User.find({
+            managedByModel: 'RelationshipManager',
+            managedBy: relationshipManager._id,
+          }).distinct('_id');
+          return below;
+        }
+
+        const regionalManagerIds = await this.getRegionalManagerIdsUnder(user);
+        if (!regionalManagerIds.length) return below;
+
+        const [franchises, relationshipManagers] = await Promise.all([
+          Franchise.find({ regionalManager: { $in: regionalManagerIds } }).select('_id owner').lean(),
+          RelationshipManager.find({ regionalManager: { $in: regionalManagerIds } }).select('_id owner').lean(),
+        ]);
+        const franchiseIds = franchises.map((franchise) => franchise._id);
+        const relationshipManagerIds = relationshipManagers.map((rm) => rm._id);
+
+        const [agentIds, franchiseOwnerIds] = await Promise.all([
+          User.find({
+            role: 'agent',
+            $or: [
+              { managedByModel: 'Franchise', managedBy: { $in: franchiseIds } },
+              { managedByModel: 'RelationshipManager', managedBy: { $in: relationshipManagerIds } },
+            ],
+          }).distinct('_id'),
+          User.find({ role: 'franchise', franchiseOwned: { $in: franchiseIds } }).distinct('_id'),
+        ]);
+
+        return {
+          regionalManagerIds,
+          franchiseIds,
+          relationshipManagerIds,
+          agentIds,
+          franchiseOwnerIds,
+          relationshipManagerOwnerIds: relationshipManagers.map((rm) => rm.owner).filter(Boolean),
+        };
+      });
+    } catch (error) {
+      throw new Error(`Error resolving hierarchy: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether a user is somewhere below another user (or is that user)
+   * @param {Object} user - Viewer
+   * @param {ObjectId} targetUserId - User looked at
+   * @returns {Promise<Boolean>} Is below
+   */
+  async isBelow(user, targetUserId) {
+    if (user.role === 'super_admin' || toId(user) === toId(targetUserId)) return true;
+    const below = await this.getDescendants(user);
+    return [
+      below.regionalManagerIds,
+      below.agentIds,
+      below.franchiseOwnerIds,
+      below.relationshipManagerOwnerIds,
+    ].some((ids) => includesId(ids, targetUserId));
+  }
+
+  /**
+   * Whether a user can see a franchise
+   * @param {Object} user - User
+   * @param {ObjectId} franchiseId - Franchise ID
+   * @returns {Promise<Boolean>} Can access
+   */
+  async canAccessFranchise(user, franchiseId) {
+    if (['super_admin', 'agent'].includes(user.role)) return true;
+    return includesId((await this.getDescendants(user)).franchiseIds, franchiseId);
+  }
+
+  /**
+   * Whether a user can see a relationship manager profile
+   * @param {Object} user - User
+   * @param {ObjectId} relationshipManagerId - RelationshipManager ID
+   * @returns {Promise<Boolean>} Can access
+   */
+  async canAccessRelationshipManager(user, relationshipManagerId) {
+    if (['super_admin', 'agent'].includes(user.role)) return true;
+    return includesId((await this.getDescendants(user)).relationshipManagerIds, relationshipManagerId);
+  }
+
+  /**
+   * Lead query filter for the leads a user can see; null when they can see none.
+   * Regional managers list the leads associated with their franchises.
+   * Accounts managers work across the whole book; their regional manager assignment limits
+   * financial actions (see utils/accountantScope.js).
+   * @param {Object} user - User
+   * @returns {Promise<Object|null>} MongoDB filter
+   */
+  async getLeadFilter(user) {
+    if (['super_admin', 'accounts_manager'].includes(user.role)) return {};
+    if (user.role === 'agent') return { agent: user._id };
+
+    const below = await this.getDescendants(user);
+
+    if (user.role === 'franchise') {
+      if (!below.franchiseIds.length) return null;
+      return { agent: { $in: [...below.agentIds, user._id] } };
+    }
+
+    if (user.role === 'relationship_manager') {
+      const [relationshipManagerId] = below.relationshipManagerIds;
+      if (!relationshipManagerId) return null;
+      return {
+        $or: [
+          { agent: { $in: [...below.agentIds, user._id] } },
+          { associated: relationshipManagerId, associatedModel: 'RelationshipManager' },
+        ],
+      };
+    }
+
+    if (user.role === 'regional_manager') {
+      if (!below.franchiseIds.length) return null;
+      return { associatedModel: 'Franchise', associated: { $in: below.franchiseIds } };
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a user can see a lead
+   * @param {Object} user - User
+   * @param {Object} lead - Lead (agent / associated may be populated)
+   * @returns {Promise<Boolean>} Can access
+   */
+  async canAccessLead(user, lead) {
+    if (['super_admin', 'accounts_manager'].includes(user.role)) return true;
+    if (user.role === 'agent') return toId(lead.agent) === toId(user);
+
+    const below = await this.getDescendants(user);
+
+    if (user.role === 'franchise') {
+      if (!below.franchiseIds.length) return false;
+      return includesId([...below.agentIds, user._id], lead.agent);
+    }
+
+    if (user.role === 'relationship_manager') {
+      const [relationshipManagerId] = below.relationshipManagerIds;
+      if (!relationshipManagerId) return false;
+      return includesId([...below.agentIds, user._id], lead.agent) ||
+        (lead.associatedModel === 'RelationshipManager' && toId(lead.associated) === toId(relationshipManagerId));
+    }
+
+    if (user.role === 'regional_manager') {
+      if (lead.associatedModel === 'Franchise') return includesId(below.franchiseIds, lead.associated);
+      if (lead.associatedModel === 'RelationshipManager') return includesId(below.relationshipManagerIds, lead.associated);
+      return includesId(below.agentIds, lead.agent);
+    }
+
+    return false;
+  }
+
+  /**
+   * Org tree: zones → regions → regional managers → franchises / relationship managers (with
+   * agent counts), plus regional managers outside any region. Limited to the user's part of the
+   * tree unless they are super_admin.
+   * @param {Object} user - User
+   * @returns {Promise<Object>} { zones, regions (without zone), regionalManagers (without region) }
+   */
+  async getTree(user) {
+    try {
+      const visibleIds = user.role === 'super_admin' ? null : (await this.getDescendants(user)).regionalManagerIds;
+
+      return await this.cached(`tree:${visibleIds ? toId(user) : 'all'}`, async () => {
+        const managerQuery = { role: 'regional_manager' };
+        if (visibleIds) managerQuery._id = { $in: visibleIds };
+
+        const [units, managers, franchises, relationshipManagers, agentCounts] = await Promise.all([
+          OrgUnit.find({ status: 'active' }).select('name code type parent head regionalManagers').populate('head', 'name email').lean(),
+          User.find(managerQuery).select('name email status').lean(),
+          Franchise.find({ regionalManager: { $ne: null } }).select('name status regionalManager owner').lean(),
+          RelationshipManager.find({ regionalManager: { $ne: null } }).select('name status regionalManager owner').lean(),
+          User.aggregate([
+            { $match: { role: 'agent', managedBy: { $ne: null } } },
+            { $group: { _id: '$managedBy', count: { $sum: 1 } } },
+          ]),
+        ]);
+
+        const agentCountOf = Object.fromEntries(agentCounts.map((entry) => [toId(entry._id), entry.count]));
+        const withAgents = (unit) => ({ ...unit, agentCount: agentCountOf[toId(unit)] || 0 });
+
+        const managerNodes = new Map(managers.map((manager) => [toId(manager), {
+          ...manager,
+          franchises: franchises.filter((f) => toId(f.regionalManager) === toId(manager)).map(withAgents),
+          relationshipManagers: relationshipManagers.filter((rm) => toId(rm.regionalManager) === toId(manager)).map(withAgents),
+        }]));
+
+        const placed = new Set();
+        const regionNode = (region) => {
+          const regionalManagers = (region.regionalManagers || [])
+            .map((id) => managerNodes.get(toId(id)))
+            .filter(Boolean);
+          regionalManagers.forEach((manager) => placed.add(toId(manager)));
+          const { regionalManagers: _ids, ...rest } = region;
+          return { ...rest, regionalManagers };
+        };
+
+        const regions = units.filter((unit) => unit.type === 'region').map(regionNode);
+        const zones = units.filter((unit) => unit.type === 'zone').map((zone) => ({
+          ...zone,
+          regions: regions.filter((region) => toId(region.parent) === toId(zone)),
+        }));
+        const zoneIds = new Set(zones.map(toId));
+        const hasContent = (region) => region.regionalManagers.length > 0;
+
+        return {
+          zones: zones
+            .map((zone) => ({ ...zone, regions: visibleIds ? zone.regions.filter(hasContent) : zone.regions }))
+            .filter((zone) => !visibleIds || zone.regions.length),
+          regions: regions.filter((region) => !zoneIds.has(toId(region.parent)) && (!visibleIds || hasContent(region))),
+          regionalManagers: [...managerNodes.values()].filter((manager) => !placed.has(toId(manager))),
+        };
+      });
+    } catch (error) {
+      throw new Error(`Error building org tree: ${error.message}`);
+    }
+  }
+}
+
+export default new OrgHierarchyService();
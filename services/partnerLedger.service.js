@@ -0,0 +1,533 @@
+import XLSX from 'xlsx';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import PartnerLedger from '../models/partnerLedger.model.js';
+import CommissionLedger from '../models/commissionLedger.model.js';
+import Invoice from '../models/invoice.model.js';
+import InvoiceNote from '../models/invoiceNote.model.js';
+import Payout from '../models/payout.model.js';
+import User from '../models/user.model.js';
+import Franchise from '../models/franchise.model.js';
+import RelationshipManager from '../models/relationship.model.js';
+import { formatDate } from '../utils/helpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const PARTY_MODELS = {
+  agent: 'User',
+  sub_agent: 'User',
+  franchise: 'Franchise',
+  relationship_manager: 'RelationshipManager',
+};
+
+const PARTY_COLLECTIONS = {
+  User,
+  Franchise,
+  RelationshipManager,
+};
+
+/**
+ * Partner Ledger Service
+ * Posts invoice approvals, credit / debit notes, TDS, payouts, recoveries and adjustments to each partner's account
+ * and builds period statements with opening / closing balances.
+ */
+class PartnerLedgerService {
+  /**
+   * Model name backing a party type
+   * @param {String} partyType - agent | sub_agent | franchise | relationship_manager
+   * @returns {String|undefined} Model name
+   */
+  getPartyModel(partyType) {
+    return PARTY_MODELS[partyType];
+  }
+
+  /**
+   * Party an invoice is payable to
+   * @param {Object} invoice - Invoice document
+   * @returns {Promise<Object>} { partyType, partyId }
+   */
+  async resolveInvoiceParty(invoice) {
+    // Franchise invoices billing an RM's waterfall share are owed to the RM
+    if (invoice.commissionLedgerEntry) {
+      const entry = await CommissionLedger.findById(invoice.commissionLedgerEntry).select('partyType partyId');
+      if (entry?.partyType === 'relationship_manager') {
+        return { partyType: 'relationship_manager', partyId: entry.partyId };
+      }
+    }
+    if (invoice.invoiceType === 'sub_agent' && invoice.subAgent) {
+      return { partyType: 'sub_agent', partyId: invoice.subAgent._id || invoice.subAgent };
+    }
+    if (invoice.invoiceType === 'franchise') {
+      return { partyType: 'franchise', partyId: invoice.franchise._id || invoice.franchise };
+    }
+    return { partyType: 'agent', partyId: invoice.agent._id || invoice.agent };
+  }
+
+  /**
+   * Write a ledger entry; repeated postings of the same source document and round are ignored
+   * @param {Object} data - Entry fields
+   * @returns {Promise<Object|null>} Created entry, or null if already posted / zero
+   */
+  async postEntry(data) {
+    const debit = round2(data.debit || 0);
+    const credit = round2(data.credit || 0);
+    if (debit === 0 && credit === 0) return null;
+
+    try {
+      return await PartnerLedger.create({
+        ...data,
+        partyModel: this.getPartyModel(data.partyType),
+        debit,
+        credit,
+      });
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Post an approved invoice: credit the billed amount (taxable + GST) and debit the TDS withheld
+   * @param {ObjectId} invoiceId - Invoice ID
+   * @param {ObjectId} userId - User who approved
+   * @returns {Promise<Array>} Created entries
+   */
+  async postInvoiceApproval(invoiceId, userId) {
+    try {
+      const invoice = await Invoice.findById(invoiceId);
+      if (!invoice) {
+        throw new Error('Invoice not found');
+      }
+
+      const party = await this.resolveInvoiceParty(invoice);
+      const common = {
+        ...party,
+        sourceId: invoice._id,
+        sourceModel: 'Invoice',
+        reference: invoice.invoiceNumber,
+        entryDate: invoice.approvedAt || invoice.acceptedAt || new Date(),
+        createdBy: userId,
+      };
+
+      const entries = [
+        await this.postEntry({
+          ...common,
+          entryType: 'invoice_approved',
+          credit: (invoice.commissionAmount || 0) + (invoice.gstAmount || 0),
+          narration: `Invoice ${invoice.invoiceNumber} approved`,
+        }),
+        await this.postEntry({
+          ...common,
+          entryType: 'tds_deducted',
+          debit: invoice.tdsAmount || 0,
+          narration: `TDS @ ${invoice.tdsPercentage || 0}% on invoice ${invoice.invoiceNumber}`,
+        }),
+      ];
+      return entries.filter(Boolean);
+    } catch (error) {
+      throw new Error(`Error posting invoice to partner ledger: ${error.message}`);
+    }
+  }
+
+  /**
+   * Post a credit / debit note to the party of its invoice.
+   * Credit note: debit the taxable + GST reversed and credit back the TDS reversed.
+   * Debit note: credit the additional taxable + GST billed and debit the TDS withheld on it.
+   * @param {ObjectId} noteId - Invoice note ID
+   * @param {ObjectId} userId - User who issued the note
+   * @returns {Promise<Array>} Created entries
+   */
+  async postInvoiceNote(noteId, userId) {
+    try {
+      const note = await InvoiceNote.findById(noteId);
+      if (!note) {
+        throw new Error('Invoice note not found');
+      }
+
+      const party = await this.resolveInvoiceParty(note);
+      const common = {
+        ...party,
+        sourceId: note._id,
+        sourceModel: 'InvoiceNote',
+        reference: note.noteNumber,
+        entryDate: note.noteDate || new Date(),
+        createdBy: userId,
+      };
+      const billed = (note.taxableAmount || 0) + (note.gstAmount || 0);
+      const isCredit = note.noteType === 'credit';
+      const label = `${isCredit ? 'Credit' : 'Debit'} note ${note.noteNumber} against invoice ${note.invoiceNumber}`;
+
+      const entries = [
+        await this.postEntry({
+          ...common,
+          entryType: isCredit ? 'credit_note' : 'debit_note',
+          ...(isCredit ? { debit: billed } : { credit: billed }),
+          narration: `${label}: ${note.reason}`,
+        }),
+        await this.postEntry({
+          ...common,
+          entryType: isCredit ? 'tds_reversed' : 'tds_deducted',
+          ...(isCredit ? { credit: note.tdsAmount || 0 } : { debit: note.tdsAmount || 0 }),
+          narration: `TDS @ ${note.tdsPercentage || 0}% on ${label.charAt(0).toLowerCase()}${label.slice(1)}`,
+        }),
+      ];
+      return entries.filter(Boolean);
+    } catch (error) {
+      throw new Error(`Error posting invoice note to partner ledger: ${error.message}`);
+    }
+  }
+
+  /**
+   * Posting round of a payout's latest confirmation (see PartnerLedger.postingRound)
+   * @param {ObjectId} payoutId - Payout ID
+   * @returns {Promise<Object>} { round, returned } - returned when that confirmation was reversed
+   */
+  async getPayoutRound(payoutId) {
+    const latest = await PartnerLedger.findOne({
+      sourceModel: 'Payout',
+      sourceId: payoutId,
+      entryType: 'payout_confirmed',
+    })
+      .sort({ postingRound: -1 })
+      .select('postingRound');
+    if (!latest) return { round: 0, returned: false };
+
+    const round = latest.postingRound || 0;
+    const returned = await PartnerLedger.exists({
+      sourceModel: 'Payout',
+      sourceId: payoutId,
+      entryType: 'payout_returned',
+      postingRound: round,
+    });
+    return { round, returned: Boolean(returned) };
+  }
+
+  /**
+   * Post a confirmed payout: debit each included invoice's net payable to its party.
+   * A payout confirmed again after a bank return is posted in a new round.
+   * @param {ObjectId} payoutId - Payout ID
+   * @param {ObjectId} userId - User who confirmed
+   * @returns {Promise<Array>} Created entries
+   */
+  async postPayoutConfirmation(payoutId, userId) {
+    try {
+      const payout = await Payout.findById(payoutId).populate('invoices');
+      if (!payout) {
+        throw new Error('Payout not found');
+      }
+
+      const { round, returned } = await this.getPayoutRound(payout._id);
+      const common = {
+        entryType: 'payout_confirmed',
+        postingRound: returned ? round + 1 : round,
+        sourceId: payout._id,
+        sourceModel: 'Payout',
+        reference: payout.payoutNumber,
+        entryDate: payout.paymentConfirmation?.transactionDate || new Date(),
+        createdBy: userId,
+      };
+      const utr = payout.paymentConfirmation?.transactionId;
+      const narration = `Payout ${payout.payoutNumber} paid${utr ? ` (UTR ${utr})` : ''}`;
+
+      // Manual payouts without invoices are paid to the agent
+      if (!payout.invoices || payout.invoices.length === 0) {
+        const entry = await this.postEntry({
+          ...common,
+          partyType: 'agent',
+          partyId: payout.agent,
+          debit: payout.netPayable || 0,
+          narration,
+        });
+        return entry ? [entry] : [];
+      }
+
+      // A payout can carry invoices of more than one party (agent, sub-agent, franchise)
+      const byParty = new Map();
+      for (const invoice of payout.invoices) {
+        const party = await this.resolveInvoiceParty(invoice);
+        const key = `${party.partyType}:${party.partyId}`;
+        if (!byParty.has(key)) byParty.set(key, { ...party, amount: 0 });
+        byParty.get(key).amount += invoice.netPayable || 0;
+      }
+
+      const entries = [];
+      for (const { partyType, partyId, amount } of byParty.values()) {
+        const entry = await this.postEntry({ ...common, partyType, partyId, debit: amount, narration });
+        if (entry) entries.push(entry);
+      }
+      return entries;
+    } catch (error) {
+      throw new Error(`Error posting payout to partner ledger: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reverse a confirmed payout the bank returned: credit back the payout_confirmed debits of its latest round
+   * @param {ObjectId} payoutId - Payout ID
+   * @param {String} reason - Return reason from the bank
+   * @param {ObjectId} userId - User recording the return
+   * @returns {Promise<Array>} Created entries
+   */
+  async postPayoutReturn(payoutId, reason, userId) {
+    try {
+      const payout = await Payout.findById(payoutId).select('payoutNumber');
+      if (!payout) {
+        throw new Error('Payout not found');
+      }
+
+      const { round } = await this.getPayoutRound(payout._id);
+      const paid = await PartnerLedger.find({
+        sourceModel: 'Payout',
+        sourceId: payout._id,
+        entryType: 'payout_confirmed',
+        postingRound: round,
+      });
+
+      const entries = [];
+      for (const debit of paid) {
+        const entry = await this.postEntry({
+          partyType: debit.partyType,
+          partyId: debit.partyId,
+          entryType: 'payout_returned',
+          postingRound: round,
+          credit: debit.debit,
+          sourceId: payout._id,
+          sourceModel: 'Payout',
+          reference: payout.payoutNumber,
+          entryDate: new Date(),
+          narration: `Payout ${payout.payoutNumber} returned by bank${reason ? `: ${reason}` : ''}`,
+          createdBy: userId,
+        });
+        if (entry) entries.push(entry);
+      }
+      return entries;
+    } catch (error) {
+      throw new Error(`Error posting payout return to partner ledger: ${error.message}`);
+    }
+  }
+
+  /**
+   * Bring the recovery posted for a payout in line with Payout.recoveryAmount (posts the difference)
+   * @param {ObjectId} payoutId - Payout ID
+   * @param {ObjectId} userId - User who recorded the recovery
+   * @returns {Promise<Object|null>} Created entry, or null when nothing changed
+   */
+  async postRecovery(payoutId, userId) {
+    try {
+      const payout = await Payout.findById(payoutId).populate('invoices');
+      if (!payout) {
+        throw new Error('Payout not found');
+      }
+
+      // Recovered from the party the payout was made to
+      const party = payout.invoices?.length
+        ? await this.resolveInvoiceParty(payout.invoices[0])
+        : { partyType: 'agent', partyId: payout.agent };
+
+      const posted = await PartnerLedger.find({
+        sourceModel: 'Payout',
+        sourceId: payout._id,
+        entryType: 'recovery',
+      }).select('debit credit');
+      const postedTotal = posted.reduce((sum, e) => sum + (e.debit || 0) - (e.credit || 0), 0);
+      const difference = round2((payout.recoveryAmount || 0) - postedTotal);
+      if (difference === 0) return null;
+
+      return await this.postEntry({
+        ...party,
+        entryType: 'recovery',
+        debit: difference > 0 ? difference : 0,
+        credit: difference < 0 ? -difference : 0,
+        sourceId: payout._id,
+        sourceModel: 'Payout',
+        reference: payout.payoutNumber,
+        entryDate: new Date(),
+        narration: difference > 0
+          ? `Recovery against payout ${payout.payoutNumber}${payout.recoveryReason ? `: ${payout.recoveryReason}` : ''}`
+          : `Recovery against payout ${payout.payoutNumber} reduced`,
+        createdBy: userId,
+      });
+    } catch (error) {
+      throw new Error(`Error posting recovery to partner ledger: ${error.message}`);
+    }
+  }
+
+  /**
+   * Post a manual adjustment
+   * @param {Object} data - { partyType, partyId, direction: 'credit' | 'debit', amount, narration, entryDate }
+   * @param {ObjectId} userId - User posting the adjustment
+   * @returns {Promise<Object>} Created entry
+   */
+  async postAdjustment(data, userId) {
+    const { partyType, partyId, direction, narration, entryDate } = data;
+    const amount = parseFloat(data.amount);
+
+    const badRequest = (message) => {
+      const error = new Error(message);
+      error.statusCode = 400;
+      return error;
+    };
+    if (!this.getPartyModel(partyType)) throw badRequest(`Invalid party type: ${partyType}`);
+    if (!mongoose.isValidObjectId(partyId)) throw badRequest('Valid partyId is required');
+    if (!['credit', 'debit'].includes(direction)) throw badRequest('direction must be credit or debit');
+    if (!(amount > 0)) throw badRequest('amount must be greater than 0');
+    if (!narration || !String(narration).trim()) throw badRequest('narration is required for an adjustment');
+
+    const party = await this.getParty(partyType, partyId);
+    if (!party) {
+      const error = new Error('Party not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return this.postEntry({
+      partyType,
+      partyId,
+      entryType: 'adjustment',
+      debit: direction === 'debit' ? amount : 0,
+      credit: direction === 'credit' ? amount : 0,
+      entryDate: entryDate ? new Date(entryDate) : new Date(),
+      narration: String(narration).trim(),
+      createdBy: userId,
+    });
+  }
+
+  /**
+   * Load the party document for a ledger account
+   * @param {String} partyType - Party type
+   * @param {ObjectId} partyId - Party ID
+   * @returns {Promise<Object|null>} Party (name, email)
+   */
+  async getParty(partyType, partyId) {
+    const model = PARTY_COLLECTIONS[this.getPartyModel(partyType)];
+    if (!model) return null;
+    return model.findById(partyId).select('name email mobile').lean();
+  }
+
+  /**
+   * Balance (credit - debit) of an account before a date
+   * @param {String} partyType - Party type
+   * @param {ObjectId} partyId - Party ID
+   * @param {Date} before - Exclusive upper bound (null for all time)
+   * @returns {Promise<Number>} Balance
+   */
+  async getBalance(partyType, partyId, before = null) {
+    const match = { partyType, partyId: new mongoose.Types.ObjectId(String(partyId)) };
+    if (before) match.entryDate = { $lt: before };
+
+    const [totals] = await PartnerLedger.aggregate([
+      { $match: match },
+      { $group: { _id: null, debit: { $sum: '$debit' }, credit: { $sum: '$credit' } } },
+    ]);
+    return round2((totals?.credit || 0) - (totals?.debit || 0));
+  }
+
+  /**
+   * Statement for a period: opening balance, transactions with running balance, closing balance
+   * @param {String} partyType - Party type
+   * @param {ObjectId} partyId - Party ID
+   * @param {Object} period - { from, to } (defaults: start of the current financial year, today)
+   * @returns {Promise<Object>} Statement
+   */
+  async getStatement(partyType, partyId, { from, to } = {}) {
+    try {
+      const now = new Date();
+      const fyStartYear = now.getMonth() >= 3 ? now.getFullYear() : now.getFullYear() - 1;
+      const fromDate = from ? new Date(from) : new Date(fyStartYear, 3, 1);
+      const toDate = to ? new Date(to) : now;
+      toDate.setHours(23, 59, 59, 999);
+
+      const party = await this.getParty(partyType, partyId);
+      const openingBalance = await this.getBalance(partyType, partyId, fromDate);
+
+      const entries = await PartnerLedger.find({
+        partyType,
+        partyId,
+        entryDate: { $gte: fromDate, $lte: toDate },
+      })
+        .populate('createdBy', 'name')
+        .sort({ entryDate: 1, createdAt: 1 });
+
+      let balance = openingBalance;
+      let totalDebit = 0;
+      let totalCredit = 0;
+      const transactions = entries.map((entry) => {
+        totalDebit += entry.debit || 0;
+        totalCredit += entry.credit || 0;
+        balance = round2(balance + (entry.credit || 0) - (entry.debit || 0));
+        return {
+          _id: entry._id,
+          date: entry.entryDate,
+          entryType: entry.entryType,
+          reference: entry.reference,
+          narration: entry.narration,
+          sourceModel: entry.sourceModel,
+          sourceId: entry.sourceId,
+          debit: entry.debit,
+          credit: entry.credit,
+          balance,
+          postedBy: entry.createdBy?.name,
+        };
+      });
+
+      return {
+        party: party ? { _id: party._id, name: party.name, email: party.email, partyType } : null,
+        period: { from: fromDate, to: toDate },
+        openingBalance,
+        totalDebit: round2(totalDebit),
+        totalCredit: round2(totalCredit),
+        closingBalance: balance,
+        transactions,
+      };
+    } catch (error) {
+      throw new Error(`Error generating ledger statement: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write a statement to an Excel file in exports/
+   * @param {Object} statement - Result of getStatement
+   * @returns {Promise<Object>} { filename, path }
+   */
+  async exportStatement(statement) {
+    try {
+      const rows = [
+        { Date: formatDate(statement.period.from), Type: 'Opening Balance', Reference: '', Narration: '', Debit: '', Credit: '', Balance: statement.openingBalance },
+        ...statement.transactions.map((t) => ({
+          Date: formatDate(t.date),
+          Type: t.entryType,
+          Reference: t.reference || '',
+          Narration: t.narration || '',
+          Debit: t.debit || '',
+          Credit: t.credit || '',
+          Balance: t.balance,
+        })),
+        { Date: formatDate(statement.period.to), Type: 'Closing Balance', Reference: '', Narration: '', Debit: statement.totalDebit, Credit: statement.totalCredit, Balance: statement.closingBalance },
+      ];
+
+      const workbook = XLSX.utils.book_new();
+      const worksheet = XLSX.utils.json_to_sheet(rows);
+      XLSX.utils.book_append_sheet(workbook, worksheet, 'Statement');
+
+      const exportsDir = path.join(__dirname, '../exports');
+      await fs.mkdir(exportsDir, { recursive: true });
+
+      const partyName = (statement.party?.name || 'partner').replace(/[^a-zA-Z0-9]/g, '_');
+      const filename = `ledger_${partyName}_${Date.now()}.xlsx`;
+      const filePath = path.join(exportsDir, filename);
+
+      XLSX.writeFile(workbook, filePath);
+
+      return { filename, path: filePath };
+    } catch (error) {
+      throw new Error(`Error exporting ledger statement: ${error.message}`);
+    }
+  }
+}
+
+export default new PartnerLedgerService();
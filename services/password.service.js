@@ -0,0 +1,222 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import User, { hashPassword, isPasswordHash } from '../models/user.model.js';
+import PasswordResetOtp from '../models/passwordResetOtp.model.js';
+import CompanySettings from '../models/companySettings.model.js';
+import emailService from './email.service.js';
+import sessionService from './session.service.js';
+import loginSecurityService from './loginSecurity.service.js';
+
+// A new code is not sent while the previous one is this fresh
+const OTP_RESEND_INTERVAL_MS = 60 * 1000;
+
+const DEFAULT_POLICY = {
+  minLength: 8,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireNumber: true,
+  requireSpecial: false,
+  historySize: 5,
+  otpExpiryMinutes: 10,
+  otpMaxAttempts: 5,
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const hashOtp = (userId, otp) =>
+  crypto.createHash('sha256').update(`${userId}:${String(otp).trim()}`).digest('hex');
+
+/**
+ * Password Service
+ * Password policy and history checks, and the forgot / reset password flow with emailed OTP codes.
+ */
+class PasswordService {
+  /**
+   * Password policy from company settings (defaults for unset fields)
+   * @returns {Promise<Object>} Policy
+   */
+  async getPolicy() {
+    const settings = await CompanySettings.getSettings();
+    const configured = settings.passwordPolicy?.toObject?.() || settings.passwordPolicy || {};
+    return { ...DEFAULT_POLICY, ...configured };
+  }
+
+  /**
+   * Check a new password against the policy
+   * @param {String} password - Plain password
+   * @returns {Promise<Array<String>>} Problems found (empty when valid)
+   */
+  async validatePassword(password) {
+    const policy = await this.getPolicy();
+    const value = String(password || '');
+    const errors = [];
+
+    if (value.length < policy.minLength) errors.push(`Password must be at least ${policy.minLength} characters`);
+    if (policy.requireUppercase && !/[A-Z]/.test(value)) errors.push('Password must contain an uppercase letter');
+    if (policy.requireLowercase && !/[a-z]/.test(value)) errors.push('Password must contain a lowercase letter');
+    if (policy.requireNumber && !/[0-9]/.test(value)) errors.push('Password must contain a number');
+    if (policy.requireSpecial && !/[^A-Za-z0-9]/.test(value)) errors.push('Password must contain a special character');
+
+    return errors;
+  }
+
+  /**
+   * Throw a 400 when a new password breaks the policy
+   * @param {String} password - Plain password
+   */
+  async assertValidPassword(password) {
+    const errors = await this.validatePassword(password);
+    if (errors.length) throw badRequest(errors.join('; '));
+  }
+
+  /**
+   * Whether a password matches the current one or one in the history
+   * @param {Object} user - User selected with +password +passwordHistory
+   * @param {String} password - Plain password
+   * @param {Number} historySize - Number of previous passwords checked
+   * @returns {Promise<Boolean>} Is reused
+   */
+  async isReused(user, password, historySize) {
+    const recent = [user.password, ...(user.passwordHistory || []).slice(-historySize)]
+      .filter((hash) => isPasswordHash(hash));
+    for (const hash of recent) {
+      if (await bcrypt.compare(String(password), hash)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Set a new password after policy and reuse checks, keeping the old hash in the history
+   * @param {Object} user - User selected with +password +passwordHistory
+   * @param {String} newPassword - Plain password
+   * @returns {Promise<Object>} Saved user
+   */
+  async setPassword(user, newPassword) {
+    try {
+      await this.assertValidPassword(newPassword);
+
+      const policy = await this.getPolicy();
+      if (policy.historySize > 0 && await this.isReused(user, newPassword, policy.historySize)) {
+        throw badRequest(`Password cannot be the same as any of your last ${policy.historySize} passwords`);
+      }
+
+      const history = [...(user.passwordHistory || [])];
+      if (isPasswordHash(user.password)) history.push(user.password);
+      user.passwordHistory = history.slice(-Math.max(policy.historySize, 0));
+      user.password = await hashPassword(newPassword);
+      user.passwordChangedAt = new Date();
+      await user.save();
+      return user;
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error setting password: ${error.message}`);
+    }
+  }
+
+  /**
+   * Email a reset code to an active user. Unknown emails are ignored so the response
+   * does not reveal which accounts exist.
+   * @param {String} email - Account email
+   * @param {Object} req - Express request (IP)
+   */
+  async requestReset(email, req) {
+    try {
+      const user = await User.findOne({ email: String(email || '').toLowerCase().trim(), status: 'active' });
+      if (!user) return;
+
+      const recent = await PasswordResetOtp.findOne({
+        user: user._id,
+        usedAt: null,
+        invalidatedAt: null,
+        createdAt: { $gt: new Date(Date.now() - OTP_RESEND_INTERVAL_MS) },
+      });
+      if (recent) return;
+
+      const policy = await this.getPolicy();
+      const otp = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+      await PasswordResetOtp.updateMany(
+        { user: user._id, usedAt: null, invalidatedAt: null },
+        { invalidatedAt: new Date() }
+      );
+      await PasswordResetOtp.create({
+        user: user._id,
+        otpHash: hashOtp(user._id, otp),
+        expiresAt: new Date(Date.now() + policy.otpExpiryMinutes * 60 * 1000),
+        requestIp: req?.ip,
+      });
+
+      await emailService.sendNotification(
+        user.email,
+        'Password reset code',
+        `Hello ${user.name}, your password reset code is <b>${otp}</b>. It expires in ${policy.otpExpiryMinutes} minutes. If you did not ask to reset your password, you can ignore this email.`,
+        'password_reset'
+      );
+    } catch (error) {
+      throw new Error(`Error requesting password reset: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reset a password with an emailed code; signs the user out of every device
+   * @param {String} email - Account email
+   * @param {String} otp - Code from the email
+   * @param {String} newPassword - Plain password
+   * @returns {Promise<Object>} User
+   */
+  async resetPassword(email, otp, newPassword) {
+    try {
+      const invalidCode = () => badRequest('Invalid or expired reset code');
+
+      const user = await User.findOne({ email: String(email || '').toLowerCase().trim(), status: 'active' })
+        .select('+password +passwordHistory');
+      if (!user || !otp) throw invalidCode();
+
+      const record = await PasswordResetOtp.findOne({
+        user: user._id,
+        usedAt: null,
+        invalidatedAt: null,
+        expiresAt: { $gt: new Date() },
+      }).sort({ createdAt: -1 });
+      if (!record) throw invalidCode();
+
+      if (record.otpHash !== hashOtp(user._id, otp)) {
+        const policy = await this.getPolicy();
+        const failed = await PasswordResetOtp.findByIdAndUpdate(record._id, { $inc: { attempts: 1 } }, { new: true });
+        if (failed.attempts >= policy.otpMaxAttempts) {
+          await PasswordResetOtp.updateOne({ _id: record._id }, { invalidatedAt: new Date() });
+        }
+        throw invalidCode();
+      }
+
+      // Claim the code first so it cannot be used twice
+      const claimed = await PasswordResetOtp.updateOne(
+        { _id: record._id, usedAt: null },
+        { usedAt: new Date() }
+      );
+      if (!claimed.modifiedCount) throw invalidCode();
+
+      try {
+        await this.setPassword(user, newPassword);
+      } catch (error) {
+        // Policy / reuse errors leave the code usable so the user can pick another password
+        await PasswordResetOtp.updateOne({ _id: record._id }, { usedAt: null });
+        throw error;
+      }
+
+      await sessionService.revokeAllSessions(user._id, 'password_changed');
+      // A reset also lifts a lockout from failed logins
+      await loginSecurityService.clearAccount(user.email);
+      return user;
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error resetting password: ${error.message}`);
+    }
+  }
+}
+
+export default new PasswordService();
@@ -1,6 +1,8 @@
 import Payout from '../models/payout.model.js';
 import Invoice from '../models/invoice.model.js';
-import { generatePayoutNumber, generateBankCsv } from '../utils/helpers.js';
+import partnerLedgerService from './partnerLedger.service.js';
+import payoutFileService from './payoutFile.service.js';
+import numberingService from './numbering.service.js';
 
 /**
  * Payout Service
@@ -56,10 +58,7 @@ class PayoutService {
       
       for (const agentId in agentPayouts) {
         const payoutData = agentPayouts[agentId];
-        const payoutNumber = await generatePayoutNumber();
-
-        const payout = await Payout.create({
-          payoutNumber,
+        const payout = new Payout({
           invoices: payoutData.invoices,
           agent: payoutData.agent,
           franchise: payoutData.franchise,
@@ -71,6 +70,7 @@ class PayoutService {
           processedBy: userId,
           processedAt: new Date(),
         });
+        await numberingService.createNumbered(payout, 'payoutNumber', () => numberingService.nextPayoutNumber());
 
         // Update invoices with payout reference
         await Invoice.updateMany(
@@ -88,36 +88,26 @@ class PayoutService {
   }
 
   /**
-   * Generate bank CSV file for payout
+   * Generate bank payment file for a single payout
    * @param {ObjectId} payoutId - Payout ID
    * @param {ObjectId} userId - User ID generating the file
-   * @returns {Promise<Object>} Payout with CSV file details
+   * @param {String} templateCode - Payout file template (defaults to the generic CSV)
+   * @param {Boolean} regenerate - Replace a file already generated for the payout
+   * @returns {Promise<Object>} Payout with file details
    */
-  async generateBankCsvFile(payoutId, userId) {
+  async generateBankCsvFile(payoutId, userId, templateCode = 'GENERIC', regenerate = false) {
     try {
-      const payout = await Payout.findById(payoutId)
-        .populate('agent')
-        .populate('invoices');
-
+      const payout = await Payout.findById(payoutId);
       if (!payout) {
         throw new Error('Payout not found');
       }
 
-      // Generate CSV file
-      const csvData = await generateBankCsv(payout);
-
-      // Update payout with file details
-      payout.bankCsvFile = {
-        filename: `payout_${payout.payoutNumber}_${Date.now()}.csv`,
-        path: csvData.path,
-        generatedAt: new Date(),
-        generatedBy: userId,
-      };
-
-      payout.status = 'payment_pending';
-      await payout.save();
+      const result = await payoutFileService.generateBatchFile([payoutId], { templateCode, userId, regenerate });
+      if (result.errors) {
+        throw new Error(result.errors[0].errors.join('; '));
+      }
 
-      return payout;
+      return await Payout.findById(payoutId);
     } catch (error) {
       throw new Error(`Error generating bank CSV file: ${error.message}`);
     }
@@ -159,6 +149,13 @@ class PayoutService {
         { status: 'paid' }
       );
 
+      // Debit the paid amount from each partner's ledger (logged, not thrown: the payment is already confirmed)
+      try {
+        await partnerLedgerService.postPayoutConfirmation(payout._id, userId);
+      } catch (ledgerError) {
+        console.error('Error posting payout to partner ledger:', ledgerError);
+      }
+
       return payout;
     } catch (error) {
       throw new Error(`Error confirming payment: ${error.message}`);
@@ -167,22 +164,53 @@ class PayoutService {
 
   /**
    * Mark payout as failed
+   * A payout already confirmed as paid can be failed when the bank returns it: its invoices
+   * go back to approved and the partner ledger debit is credited back.
    * @param {ObjectId} payoutId - Payout ID
    * @param {String} remarks - Failure remarks
    * @param {ObjectId} userId - User ID
+   * @param {Object} details - { transactionId, source: 'manual' | 'bank_statement' }
    * @returns {Promise<Object>} Updated payout
    */
-  async markPayoutFailed(payoutId, remarks, userId) {
+  async markPayoutFailed(payoutId, remarks, userId, details = {}) {
     try {
       const payout = await Payout.findById(payoutId);
       if (!payout) {
         throw new Error('Payout not found');
       }
 
+      if (payout.status === 'recovery_pending' || payout.status === 'recovery_received') {
+        throw new Error('Payout is already marked as failed');
+      }
+
+      const returnedAfterPayment = payout.status === 'complete';
+
       payout.status = 'recovery_pending';
       payout.remarks = remarks;
+      payout.paymentFailure = {
+        reason: remarks,
+        transactionId: details.transactionId || payout.paymentConfirmation?.transactionId,
+        returnedAfterPayment,
+        source: details.source || 'manual',
+        failedAt: new Date(),
+        failedBy: userId,
+      };
       await payout.save();
 
+      if (returnedAfterPayment) {
+        await Invoice.updateMany(
+          { payout: payoutId, status: 'paid' },
+          { status: 'approved' }
+        );
+
+        // Logged, not thrown: the failure is already recorded on the payout
+        try {
+          await partnerLedgerService.postPayoutReturn(payout._id, remarks, userId);
+        } catch (ledgerError) {
+          console.error('Error posting payout return to partner ledger:', ledgerError);
+        }
+      }
+
       return payout;
     } catch (error) {
       throw new Error(`Error marking payout as failed: ${error.message}`);
@@ -0,0 +1,459 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Payout from '../models/payout.model.js';
+import PayoutFileTemplate from '../models/payoutFileTemplate.model.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PAYOUT_FILES_DIR = path.join(__dirname, '../exports/payout_files');
+
+const IFSC_REGEX = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const ACCOUNT_NUMBER_REGEX = /^\d{9,18}$/;
+
+// Regulatory limits per mode (RTGS minimum, IMPS maximum)
+const MODE_LIMITS = {
+  RTGS: { min: 200000, max: null },
+  IMPS: { min: 0, max: 500000 },
+  NEFT: { min: 0, max: null },
+};
+
+const DEFAULT_MODE_RULES = [
+  { mode: 'NEFT', minAmount: 0, maxAmount: 200000 },
+  { mode: 'RTGS', minAmount: 200000, maxAmount: null },
+];
+
+/**
+ * Built-in templates; a saved template with the same code takes precedence
+ */
+const BUILT_IN_TEMPLATES = [
+  {
+    code: 'GENERIC',
+    name: 'Generic CSV',
+    format: 'csv',
+    includeHeaderRow: true,
+    fileExtension: 'csv',
+    modeRules: DEFAULT_MODE_RULES,
+    fields: [
+      { header: 'Account Number', source: 'account_number' },
+      { header: 'IFSC', source: 'ifsc' },
+      { header: 'Account Holder Name', source: 'beneficiary_name' },
+      { header: 'Amount', source: 'amount' },
+      { header: 'Remarks', source: 'remarks' },
+    ],
+  },
+  {
+    code: 'HDFC',
+    name: 'HDFC Bank bulk upload (CSV)',
+    bankName: 'HDFC Bank',
+    format: 'csv',
+    includeHeaderRow: false,
+    fileExtension: 'csv',
+    modeRules: [
+      { mode: 'IMPS', minAmount: 0, maxAmount: 25000 },
+      { mode: 'NEFT', minAmount: 25000, maxAmount: 200000 },
+      { mode: 'RTGS', minAmount: 200000, maxAmount: null },
+    ],
+    modeCodes: { NEFT: 'N', RTGS: 'R', IMPS: 'I' },
+    fields: [
+      { header: 'Transaction Type', source: 'payment_mode' },
+      { header: 'Beneficiary Code', source: 'payout_number' },
+      { header: 'Beneficiary Account Number', source: 'account_number' },
+      { header: 'Instrument Amount', source: 'amount' },
+      { header: 'Beneficiary Name', source: 'beneficiary_name', uppercase: true },
+      { header: 'Customer Reference Number', source: 'payout_number' },
+      { header: 'Payment Details', source: 'remarks' },
+      { header: 'Value Date', source: 'value_date', dateFormat: 'DD/MM/YYYY' },
+      { header: 'IFSC Code', source: 'ifsc' },
+      { header: 'Beneficiary Bank Name', source: 'bank_name' },
+      { header: 'Beneficiary Email ID', source: 'beneficiary_email' },
+    ],
+  },
+  {
+    code: 'ICICI',
+    name: 'ICICI Bank bulk payment (CSV)',
+    bankName: 'ICICI Bank',
+    format: 'csv',
+    includeHeaderRow: true,
+    fileExtension: 'csv',
+    modeRules: DEFAULT_MODE_RULES,
+    fields: [
+      { header: 'PYMT_PROD_TYPE_CODE', source: 'constant', value: 'PAB_VENDOR' },
+      { header: 'PYMT_MODE', source: 'payment_mode' },
+      { header: 'DEBIT_ACC_NO', source: 'debit_account' },
+      { header: 'BNF_NAME', source: 'beneficiary_name', uppercase: true },
+      { header: 'BENE_ACC_NO', source: 'account_number' },
+      { header: 'BENE_IFSC', source: 'ifsc' },
+      { header: 'AMOUNT', source: 'amount' },
+      { header: 'DEBIT_NARR', source: 'payout_number' },
+      { header: 'CREDIT_NARR', source: 'remarks' },
+      { header: 'MOBILE_NUM', source: 'beneficiary_mobile' },
+      { header: 'EMAIL_ID', source: 'beneficiary_email' },
+      { header: 'PYMT_DATE', source: 'value_date', dateFormat: 'DD-MM-YYYY' },
+    ],
+  },
+  {
+    code: 'SBI',
+    name: 'SBI CMP bulk file (fixed width)',
+    bankName: 'State Bank of India',
+    format: 'fixed_width',
+    fileExtension: 'txt',
+    modeRules: DEFAULT_MODE_RULES,
+    headerFields: [
+      { source: 'constant', value: 'H', width: 1 },
+      { source: 'batch_reference', width: 20 },
+      { source: 'debit_account', width: 17, align: 'right', padChar: '0' },
+      { source: 'file_date', width: 8, dateFormat: 'DDMMYYYY' },
+    ],
+    fields: [
+      { source: 'constant', value: 'D', width: 1 },
+      { source: 'serial_no', width: 6, align: 'right', padChar: '0' },
+      { source: 'payment_mode', width: 4 },
+      { source: 'account_number', width: 20 },
+      { source: 'ifsc', width: 11 },
+      { source: 'beneficiary_name', width: 35, uppercase: true },
+      { source: 'amount', width: 15, align: 'right', padChar: '0', impliedDecimal: true },
+      { source: 'remarks', width: 30 },
+      { source: 'value_date', width: 8, dateFormat: 'DDMMYYYY' },
+    ],
+    trailerFields: [
+      { source: 'constant', value: 'T', width: 1 },
+      { source: 'record_count', width: 6, align: 'right', padChar: '0' },
+      { source: 'total_amount', width: 17, align: 'right', padChar: '0', impliedDecimal: true },
+    ],
+  },
+];
+
+const formatDateWith = (date, format = 'DD/MM/YYYY') => {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, '0');
+  return format
+    .replace('YYYY', String(d.getFullYear()))
+    .replace('YY', String(d.getFullYear()).slice(-2))
+    .replace('MM', pad(d.getMonth() + 1))
+    .replace('DD', pad(d.getDate()));
+};
+
+/**
+ * Payout File Service
+ * Builds bank bulk-payment files from templates and batches payouts into them
+ */
+class PayoutFileService {
+  /**
+   * Built-in template definitions
+   * @returns {Array} Templates
+   */
+  getBuiltInTemplates() {
+    return BUILT_IN_TEMPLATES.map((t) => ({ ...t, builtIn: true }));
+  }
+
+  /**
+   * Resolve a template by code (saved active template first, then built-in)
+   * @param {String} code - Template code
+   * @returns {Promise<Object|null>} Template
+   */
+  async getTemplate(code = 'GENERIC') {
+    const normalized = String(code || 'GENERIC').toUpperCase();
+    const saved = await PayoutFileTemplate.findOne({ code: normalized, status: 'active' }).lean();
+    if (saved) {
+      return { ...saved, modeCodes: saved.modeCodes || {} };
+    }
+    return this.getBuiltInTemplates().find((t) => t.code === normalized) || null;
+  }
+
+  /**
+   * Validate a template definition's layout
+   * @param {Object} template - Template fields
+   * @returns {String|null} Error message, or null when valid
+   */
+  validateTemplate(template) {
+    const sections = ['headerFields', 'fields', 'trailerFields'];
+    for (const section of sections) {
+      for (const [index, field] of (template[section] || []).entries()) {
+        if (template.format === 'fixed_width' && !(field.width > 0)) {
+          return `${section}[${index}]: width is required for fixed-width templates`;
+        }
+        if (section === 'fields' && ['record_count', 'total_amount', 'batch_reference', 'file_date'].includes(field.source)) {
+          return `fields[${index}]: ${field.source} can only be used in header or trailer fields`;
+        }
+      }
+    }
+    for (const rule of template.modeRules || []) {
+      if (rule.maxAmount !== null && rule.maxAmount !== undefined && rule.maxAmount <= (rule.minAmount || 0)) {
+        return `Mode rule ${rule.mode}: maxAmount must be greater than minAmount`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Payment mode for an amount under a template's rules
+   * @param {Object} template - Template
+   * @param {Number} amount - Amount
+   * @returns {String|null} NEFT | RTGS | IMPS
+   */
+  selectPaymentMode(template, amount) {
+    const rules = template.modeRules?.length ? template.modeRules : DEFAULT_MODE_RULES;
+    const rule = rules.find((r) =>
+      amount >= (r.minAmount || 0) && (r.maxAmount === null || r.maxAmount === undefined || amount < r.maxAmount)
+    );
+    return rule ? rule.mode : null;
+  }
+
+  /**
+   * Check a payout's beneficiary details and amount before export
+   * @param {Object} payout - Payout document
+   * @param {String} mode - Selected payment mode
+   * @param {Object} options - { regenerate } to export a payout that already has a file
+   * @returns {Array<String>} Validation errors
+   */
+  validatePayout(payout, mode, { regenerate = false } = {}) {
+    const errors = [];
+    const bank = payout.bankDetails || {};
+    const ifsc = String(bank.ifsc || '').trim().toUpperCase();
+    const accountNumber = String(bank.accountNumber || '').replace(/\s/g, '');
+    const amount = payout.netPayable || 0;
+
+    if (!bank.accountHolderName || !String(bank.accountHolderName).trim()) {
+      errors.push('Account holder name is missing');
+    }
+    if (!ACCOUNT_NUMBER_REGEX.test(accountNumber)) {
+      errors.push(`Invalid account number "${bank.accountNumber || ''}" (9-18 digits expected)`);
+    }
+    if (!IFSC_REGEX.test(ifsc)) {
+      errors.push(`Invalid IFSC "${bank.ifsc || ''}"`);
+    }
+    if (!(amount > 0)) {
+      errors.push('Net payable must be greater than 0');
+    }
+    if (!mode) {
+      errors.push(`No payment mode is configured for amount ${amount}`);
+    } else {
+      const limit = MODE_LIMITS[mode];
+      if (amount < limit.min || (limit.max !== null && amount > limit.max)) {
+        errors.push(`Amount ${amount} is outside the ${mode} limit`);
+      }
+    }
+    if (payout.status === 'complete') {
+      errors.push('Payout is already complete');
+    }
+    // The earlier file may already be with the bank; exporting again risks paying twice
+    if (payout.bankCsvFile?.filename && !regenerate) {
+      errors.push(`Bank file ${payout.bankCsvFile.filename} was already generated; regenerate explicitly to export it again`);
+    }
+    return errors;
+  }
+
+  /**
+   * Render one field value
+   * @param {Object} field - Field definition
+   * @param {Object} values - Source values for the record
+   * @param {Object} template - Template
+   * @returns {String} Formatted value
+   */
+  formatField(field, values, template) {
+    let value;
+    switch (field.source) {
+      case 'constant':
+        value = field.value || '';
+        break;
+      case 'value_date':
+      case 'file_date':
+        value = formatDateWith(values[field.source], field.dateFormat);
+        break;
+      case 'amount':
+      case 'total_amount': {
+        const fixed = Number(values[field.source] || 0).toFixed(field.decimals ?? 2);
+        value = field.impliedDecimal ? fixed.replace('.', '') : fixed;
+        break;
+      }
+      case 'payment_mode': {
+        const codes = template.modeCodes instanceof Map ? Object.fromEntries(template.modeCodes) : template.modeCodes || {};
+        value = codes[values.payment_mode] || values.payment_mode;
+        break;
+      }
+      default:
+        value = values[field.source] ?? '';
+    }
+
+    value = String(value);
+    if (field.uppercase) value = value.toUpperCase();
+
+    if (template.format === 'fixed_width') {
+      const width = field.width;
+      const padChar = (field.padChar || ' ').charAt(0);
+      value = value.length > width
+        ? value.slice(0, width)
+        : field.align === 'right' ? value.padStart(width, padChar) : value.padEnd(width, padChar);
+      return value;
+    }
+
+    // CSV: quote values containing the delimiter, quotes or line breaks
+    const delimiter = template.delimiter || ',';
+    if (value.includes(delimiter) || value.includes('"') || /[\r\n]/.test(value)) {
+      value = `"${value.replace(/"/g, '""')}"`;
+    }
+    return value;
+  }
+
+  /**
+   * Render a record (header / detail / trailer line)
+   * @param {Array} fields - Field definitions
+   * @param {Object} values - Source values
+   * @param {Object} template - Template
+   * @returns {String} Line
+   */
+  renderRecord(fields, values, template) {
+    const parts = fields.map((field) => this.formatField(field, values, template));
+    return template.format === 'fixed_width' ? parts.join('') : parts.join(template.delimiter || ',');
+  }
+
+  /**
+   * Build file content for a set of payouts
+   * @param {Object} template - Template
+   * @param {Array} rows - [{ payout, mode }]
+   * @param {Object} options - { valueDate, batchReference }
+   * @returns {String} File content
+   */
+  buildContent(template, rows, { valueDate, batchReference }) {
+    const lines = [];
+    const totalAmount = rows.reduce((sum, r) => sum + (r.payout.netPayable || 0), 0);
+    const batchValues = {
+      record_count: rows.length,
+      total_amount: totalAmount,
+      batch_reference: batchReference,
+      file_date: new Date(),
+      debit_account: template.debitAccountNumber || '',
+    };
+
+    if (template.format === 'csv' && template.includeHeaderRow !== false) {
+      lines.push(template.fields.map((f) => f.header || f.source).join(template.delimiter || ','));
+    }
+    if (template.headerFields?.length) {
+      lines.push(this.renderRecord(template.headerFields, batchValues, template));
+    }
+
+    rows.forEach(({ payout, mode }, index) => {
+      const bank = payout.bankDetails || {};
+      lines.push(this.renderRecord(template.fields, {
+        serial_no: index + 1,
+        payment_mode: mode,
+        debit_account: template.debitAccountNumber || '',
+        beneficiary_name: bank.accountHolderName || '',
+        account_number: String(bank.accountNumber || '').replace(/\s/g, ''),
+        ifsc: String(bank.ifsc || '').trim().toUpperCase(),
+        bank_name: bank.bankName || '',
+        beneficiary_email: payout.agent?.email || '',
+        beneficiary_mobile: payout.agent?.mobile || '',
+        amount: payout.netPayable || 0,
+        payout_number: payout.payoutNumber,
+        remarks: `Payout ${payout.payoutNumber}`,
+        value_date: valueDate,
+      }, template));
+    });
+
+    if (template.trailerFields?.length) {
+      lines.push(this.renderRecord(template.trailerFields, batchValues, template));
+    }
+    return lines.join('\r\n');
+  }
+
+  /**
+   * Export payouts into one bank file and record it on every included payout.
+   * Nothing is written when any payout fails validation. Payouts that already have a file are
+   * refused unless regenerate is set; the file they had is kept in previousBankFiles.
+   * @param {Array<ObjectId>} payoutIds - Payout IDs
+   * @param {Object} options - { templateCode, valueDate, userId, regenerate }
+   * @returns {Promise<Object>} { filename, path, batchReference, ... } or { errors }
+   */
+  async generateBatchFile(payoutIds, { templateCode, valueDate, userId, regenerate = false } = {}) {
+    try {
+      if (!Array.isArray(payoutIds) || payoutIds.length === 0) {
+        throw new Error('At least one payout is required');
+      }
+
+      const template = await this.getTemplate(templateCode);
+      if (!template) {
+        throw new Error(`Payout file template "${templateCode}" not found`);
+      }
+
+      const payouts = await Payout.find({ _id: { $in: payoutIds } }).populate('agent', 'name email mobile');
+      if (payouts.length !== new Set(payoutIds.map(String)).size) {
+        throw new Error('One or more payouts were not found');
+      }
+
+      const rows = payouts.map((payout) => ({
+        payout,
+        mode: this.selectPaymentMode(template, payout.netPayable || 0),
+      }));
+
+      const errors = rows
+        .map(({ payout, mode }) => ({
+          payout: payout._id,
+          payoutNumber: payout.payoutNumber,
+          errors: this.validatePayout(payout, mode, { regenerate }),
+        }))
+        .filter((r) => r.errors.length > 0);
+      if (errors.length > 0) {
+        return { errors };
+      }
+
+      const date = valueDate ? new Date(valueDate) : new Date();
+      const batchReference = `${template.code}-${formatDateWith(new Date(), 'YYYYMMDD')}-${Date.now().toString().slice(-6)}`;
+      const content = this.buildContent(template, rows, { valueDate: date, batchReference });
+
+      await fs.mkdir(PAYOUT_FILES_DIR, { recursive: true });
+      const filename = `${batchReference}.${template.fileExtension || 'csv'}`;
+      const filePath = path.join(PAYOUT_FILES_DIR, filename);
+      await fs.writeFile(filePath, content, 'utf8');
+
+      for (const { payout, mode } of rows) {
+        if (payout.bankCsvFile?.filename) {
+          payout.previousBankFiles.push(payout.toObject().bankCsvFile);
+        }
+        payout.bankCsvFile = {
+          filename,
+          path: filePath,
+          template: template.code,
+          batchReference,
+          paymentMode: mode,
+          generatedAt: new Date(),
+          generatedBy: userId,
+        };
+        payout.status = 'payment_pending';
+        await payout.save();
+      }
+
+      return {
+        filename,
+        path: filePath,
+        template: template.code,
+        batchReference,
+        payoutCount: rows.length,
+        totalAmount: rows.reduce((sum, r) => sum + (r.payout.netPayable || 0), 0),
+        payouts: rows.map(({ payout, mode }) => ({
+          _id: payout._id,
+          payoutNumber: payout.payoutNumber,
+          amount: payout.netPayable,
+          paymentMode: mode,
+        })),
+      };
+    } catch (error) {
+      throw new Error(`Error generating payout file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Absolute path of a generated payout file (rejects path traversal)
+   * @param {String} filename - File name
+   * @returns {String|null} Path
+   */
+  getFilePath(filename) {
+    const safeName = path.basename(String(filename || ''));
+    if (!safeName || safeName !== filename) return null;
+    return path.join(PAYOUT_FILES_DIR, safeName);
+  }
+}
+
+export default new PayoutFileService();
@@ -0,0 +1,108 @@
+import Role from '../models/role.model.js';
+import { PERMISSION_CATALOG, PERMISSIONS_LIST, getDefaultRolePermissions } from '../config/permissions.js';
+
+// Custom roles are read on every permission check; edits on another instance show up after this long
+const ROLE_CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Permission Service
+ * Effective permissions of a user: the built-in role defaults (or the user's custom role),
+ * plus per-user grants, minus per-user revocations. super_admin always has every permission.
+ */
+class PermissionService {
+  constructor() {
+    this.roleCache = new Map();
+  }
+
+  /**
+   * Permission catalog grouped for display
+   * @returns {Array<Object>} [{ group, permissions: [{ key, description, defaultRoles }] }]
+   */
+  getCatalog() {
+    const groups = new Map();
+    for (const key of PERMISSIONS_LIST) {
+      const { group, description, roles } = PERMISSION_CATALOG[key];
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push({ key, description, defaultRoles: ['super_admin', ...roles] });
+    }
+    return [...groups].map(([group, permissions]) => ({ group, permissions }));
+  }
+
+  /**
+   * Permissions that are not in the catalog
+   * @param {Array<String>} permissions - Permission keys
+   * @returns {Array<String>} Unknown keys
+   */
+  findUnknownPermissions(permissions = []) {
+    return permissions.filter((permission) => !PERMISSION_CATALOG[permission]);
+  }
+
+  /**
+   * Custom role by ID (cached)
+   * @param {ObjectId} roleId - Role ID
+   * @returns {Promise<Object|null>} Role
+   */
+  async getRole(roleId) {
+    const key = roleId.toString();
+    const cached = this.roleCache.get(key);
+    if (cached && Date.now() - cached.loadedAt < ROLE_CACHE_TTL_MS) return cached.role;
+
+    const role = await Role.findById(roleId).lean();
+    this.roleCache.set(key, { role, loadedAt: Date.now() });
+    return role;
+  }
+
+  /**
+   * Forget cached roles after a role is changed
+   * @param {ObjectId} roleId - Role ID (all roles when omitted)
+   */
+  invalidateRole(roleId) {
+    if (roleId) this.roleCache.delete(roleId.toString());
+    else this.roleCache.clear();
+  }
+
+  /**
+   * Permissions a user gets from their role. An inactive custom role, or one based on a
+   * different built-in role than the user now has, falls back to the built-in defaults.
+   * @param {Object} user - User
+   * @returns {Promise<Array<String>>} Permissions
+   */
+  async getRolePermissions(user) {
+    if (user.customRole) {
+      const role = await this.getRole(user.customRole._id || user.customRole);
+      if (role && role.status === 'active' && role.baseRole === user.role) return role.permissions;
+    }
+    return getDefaultRolePermissions(user.role);
+  }
+
+  /**
+   * Everything a user may do
+   * @param {Object} user - User
+   * @returns {Promise<Array<String>>} Permissions
+   */
+  async getEffectivePermissions(user) {
+    try {
+      if (user.role === 'super_admin') return PERMISSIONS_LIST;
+
+      const granted = new Set([...(await this.getRolePermissions(user)), ...(user.permissions || [])]);
+      for (const permission of user.revokedPermissions || []) granted.delete(permission);
+      return PERMISSIONS_LIST.filter((permission) => granted.has(permission));
+    } catch (error) {
+      throw new Error(`Error resolving permissions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether a user has at least one of the permissions
+   * @param {Object} user - User
+   * @param {Array<String>} permissions - Permission keys
+   * @returns {Promise<Boolean>} Has permission
+   */
+  async hasAnyPermission(user, permissions) {
+    if (user.role === 'super_admin') return true;
+    const effective = await this.getEffectivePermissions(user);
+    return permissions.some((permission) => effective.includes(permission));
+  }
+}
+
+export default new PermissionService();
@@ -0,0 +1,296 @@
+import Lead from '../models/lead.model.js';
+import Invoice from '../models/invoice.model.js';
+import InvoiceNote from '../models/invoiceNote.model.js';
+import Payout from '../models/payout.model.js';
+import User from '../models/user.model.js';
+import Franchise from '../models/franchise.model.js';
+import RelationshipManager from '../models/relationship.model.js';
+import Bank from '../models/bank.model.js';
+import CommissionLedger from '../models/commissionLedger.model.js';
+import PartnerLedger from '../models/partnerLedger.model.js';
+import sessionService from './session.service.js';
+import orgHierarchyService from './orgHierarchy.service.js';
+import { getPaginationMeta } from '../utils/helpers.js';
+
+// Invoices in these statuses are settled; anything else still has money outstanding
+const SETTLED_INVOICE_STATUSES = ['paid', 'regular_paid', 'cancelled', 'rejected'];
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Soft-deletable entities.
+ *   label(doc)               - how the record is shown in the recycle bin
+ *   dependents(doc, options) - [description, query] pairs; any match blocks delete and purge
+ *                              (options carries withDeleted when purging)
+ *   parents(doc)             - [description, Model, id] records that must not be deleted for a restore
+ *   unique                   - fields no live record may share with the record being restored
+ */
+const ENTITIES = {
+  lead: {
+    model: Lead,
+    label: (doc) => doc.customerName || doc.loanAccountNo || doc.applicantMobile,
+    dependents: (doc, options) => [
+      ['invoices', Invoice.exists({ lead: doc._id }).setOptions(options)],
+      ['commission ledger entries', CommissionLedger.exists({ lead: doc._id })],
+    ],
+    parents: (doc) => [['agent', User, doc.agent]],
+  },
+  invoice: {
+    model: Invoice,
+    label: (doc) => doc.invoiceNumber,
+    dependents: (doc, options) => [
+      ['credit / debit notes', InvoiceNote.exists({ invoice: doc._id })],
+      ['payouts', Payout.exists({ invoices: doc._id }).setOptions(options)],
+      ['partner ledger entries', PartnerLedger.exists({ sourceModel: 'Invoice', sourceId: doc._id })],
+    ],
+    parents: (doc) => [['lead', Lead, doc.lead]],
+  },
+  payout: {
+    model: Payout,
+    label: (doc) => doc.payoutNumber,
+    dependents: (doc) => [
+      ['a completed payment', Promise.resolve(doc.status === 'complete')],
+      ['partner ledger entries', PartnerLedger.exists({ sourceModel: 'Payout', sourceId: doc._id })],
+    ],
+    parents: (doc) => (doc.invoices || []).map((invoiceId) => ['invoice', Invoice, invoiceId]),
+  },
+  user: {
+    model: User,
+    label: (doc) => `${doc.name} (${doc.email})`,
+    dependents: (doc, options) => [
+      ['unpaid payouts', Payout.exists({ agent: doc._id, status: { $ne: 'complete' } }).setOptions(options)],
+      ['open invoices', Invoice.exists({ agent: doc._id, status: { $nin: SETTLED_INVOICE_STATUSES } }).setOptions(options)],
+    ],
+    parents: (doc) => {
+      if (!doc.managedBy) return [];
+      const Model = doc.managedByModel === 'RelationshipManager' ? RelationshipManager : Franchise;
+      return [[doc.managedByModel === 'RelationshipManager' ? 'relationship manager' : 'franchise', Model, doc.managedBy]];
+    },
+    unique: ['email', 'mobile'],
+    afterDelete: async (doc) => {
+      await sessionService.revokeAllSessions(doc._id, 'user_deleted');
+    },
+  },
+  franchise: {
+    model: Franchise,
+    label: (doc) => doc.name,
+    dependents: (doc, options) => [
+      ['agents', User.exists({ managedByModel: 'Franchise', managedBy: doc._id }).setOptions(options)],
+      ['unpaid payouts', Payout.exists({ franchise: doc._id, status: { $ne: 'complete' } }).setOptions(options)],
+      ['open invoices', Invoice.exists({ franchise: doc._id, status: { $nin: SETTLED_INVOICE_STATUSES } }).setOptions(options)],
+    ],
+    parents: () => [],
+    unique: ['email', 'mobile'],
+  },
+  relationship_manager: {
+    model: RelationshipManager,
+    label: (doc) => doc.name,
+    dependents: (doc, options) => [
+      ['agents', User.exists({ managedByModel: 'RelationshipManager', managedBy: doc._id }).setOptions(options)],
+      ['commission ledger entries', CommissionLedger.exists({ partyModel: 'RelationshipManager', partyId: doc._id })],
+    ],
+    parents: () => [],
+    unique: ['email', 'mobile'],
+  },
+  bank: {
+    model: Bank,
+    label: (doc) => doc.name,
+    dependents: (doc, options) => [
+      ['leads', Lead.exists({ bank: doc._id }).setOptions(options)],
+      ['commission ledger entries', CommissionLedger.exists({ bank: doc._id })],
+    ],
+    parents: () => [],
+    unique: ['name'],
+  },
+};
+
+export const RECYCLE_BIN_ENTITY_TYPES = Object.keys(ENTITIES);
+
+/**
+ * Recycle Bin Service
+ * Soft delete for leads, invoices, payouts, users, franchises, relationship managers and banks.
+ * Deleted records drop out of normal queries (see models/plugins/softDelete.plugin.js) and stay
+ * in the recycle bin until super_admin restores or purges them. The audit plugin records each
+ * step as soft_delete / restore / purge.
+ */
+class RecycleBinService {
+  /**
+   * Entity definition
+   * @param {String} entityType - lead | invoice | payout | user | franchise | relationship_manager | bank
+   * @returns {Object} Entity
+   */
+  getEntity(entityType) {
+    const entity = ENTITIES[entityType];
+    if (!entity) throw badRequest(`Unknown entity type: ${entityType}`);
+    return entity;
+  }
+
+  /**
+   * Descriptions of the dependent records that exist for a document
+   * @param {Object} entity - Entity definition
+   * @param {Object} doc - Document
+   * @param {Object} options - Query options ({ withDeleted } when purging)
+   * @returns {Promise<Array<String>>} Dependents found
+   */
+  async findDependents(entity, doc, options = {}) {
+    const checks = entity.dependents(doc, options);
+    const found = await Promise.all(checks.map(([, check]) => check));
+    return checks.filter((_, index) => found[index]).map(([description]) => description);
+  }
+
+  /**
+   * Soft delete a record (refused while dependent financial records exist)
+   * @param {String} entityType - Entity type
+   * @param {ObjectId} id - Record ID
+   * @param {Object} user - User deleting
+   * @returns {Promise<Object>} Deleted document
+   */
+  async softDelete(entityType, id, user) {
+    try {
+      const entity = this.getEntity(entityType);
+      const doc = await entity.model.findById(id);
+      if (!doc) throw notFound(`${entity.model.modelName} not found`);
+
+      const dependents = await this.findDependents(entity, doc);
+      if (dependents.length) {
+        throw badRequest(`${entity.model.modelName} cannot be deleted because it has ${dependents.join(', ')}`);
+      }
+
+      const deletedAt = new Date();
+      await entity.model.updateOne({ _id: doc._id }, { $set: { deletedAt, deletedBy: user._id } });
+      doc.set({ deletedAt, deletedBy: user._id });
+
+      if (entity.afterDelete) await entity.afterDelete(doc);
+      orgHierarchyService.invalidate();
+
+      return doc;
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error deleting record: ${error.message}`);
+    }
+  }
+
+  /**
+   * Number of deleted records per entity type
+   * @returns {Promise<Object>} { lead: 3, invoice: 0, ... }
+   */
+  async getSummary() {
+    const counts = await Promise.all(
+      RECYCLE_BIN_ENTITY_TYPES.map((entityType) =>
+        ENTITIES[entityType].model.countDocuments({ deletedAt: { $ne: null } }))
+    );
+    return Object.fromEntries(RECYCLE_BIN_ENTITY_TYPES.map((entityType, index) => [entityType, counts[index]]));
+  }
+
+  /**
+   * Deleted records of one entity type, newest first
+   * @param {String} entityType - Entity type
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { items, pagination }
+   */
+  async list(entityType, { page = 1, limit = 20 } = {}) {
+    const entity = this.getEntity(entityType);
+    const query = { deletedAt: { $ne: null } };
+
+    const [docs, total] = await Promise.all([
+      entity.model.find(query)
+        .select('-password')
+        .populate('deletedBy', 'name email')
+        .sort({ deletedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit))
+        .lean(),
+      entity.model.countDocuments(query),
+    ]);
+
+    return {
+      items: docs.map((doc) => ({
+        entityType,
+        _id: doc._id,
+        label: entity.label(doc),
+        deletedAt: doc.deletedAt,
+        deletedBy: doc.deletedBy,
+        record: doc,
+      })),
+      pagination: getPaginationMeta(page, limit, total),
+    };
+  }
+
+  /**
+   * Bring a deleted record back (its parent records must not be deleted, and no live record
+   * may have taken its email / mobile / name meanwhile)
+   * @param {String} entityType - Entity type
+   * @param {ObjectId} id - Record ID
+   * @param {Object} user - User restoring
+   * @returns {Promise<Object>} Restored document
+   */
+  async restore(entityType, id, user) {
+    try {
+      const entity = this.getEntity(entityType);
+      const doc = await entity.model.findOne({ _id: id, deletedAt: { $ne: null } });
+      if (!doc) throw notFound(`Deleted ${entity.model.modelName} not found`);
+
+      for (const [description, Model, parentId] of entity.parents(doc)) {
+        if (parentId && await Model.exists({ _id: parentId, deletedAt: { $ne: null } })) {
+          throw badRequest(`Restore the ${description} first; it is in the recycle bin`);
+        }
+      }
+
+      for (const field of entity.unique || []) {
+        if (await entity.model.exists({ [field]: doc[field], _id: { $ne: doc._id } })) {
+          throw badRequest(`Another ${entity.model.modelName} now has ${field} ${doc[field]}; change or delete it first`);
+        }
+      }
+
+      await entity.model.updateOne(
+        { _id: doc._id, deletedAt: { $ne: null } },
+        { $set: { deletedAt: null, deletedBy: null } }
+      );
+      doc.set({ deletedAt: null, deletedBy: null });
+
+      orgHierarchyService.invalidate();
+
+      return doc;
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error restoring record: ${error.message}`);
+    }
+  }
+
+  /**
+   * Permanently remove a deleted record
+   * @param {String} entityType - Entity type
+   * @param {ObjectId} id - Record ID
+   * @param {Object} user - User purging
+   */
+  async purge(entityType, id, user) {
+    try {
+      const entity = this.getEntity(entityType);
+      const doc = await entity.model.findOne({ _id: id, deletedAt: { $ne: null } });
+      if (!doc) throw notFound(`Deleted ${entity.model.modelName} not found`);
+
+      // Deleted dependents still point at the record, so they block a purge too
+      const dependents = await this.findDependents(entity, doc, { withDeleted: true });
+      if (dependents.length) {
+        throw badRequest(`${entity.model.modelName} cannot be purged because it has ${dependents.join(', ')}`);
+      }
+
+      await entity.model.deleteOne({ _id: doc._id, deletedAt: { $ne: null } });
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error purging record: ${error.message}`);
+    }
+  }
+}
+
+export default new RecycleBinService();
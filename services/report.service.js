@@ -3,6 +3,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import Invoice from '../models/invoice.model.js';
+import InvoiceNote from '../models/invoiceNote.model.js';
 import Payout from '../models/payout.model.js';
 import Lead from '../models/lead.model.js';
 import { formatCurrency, formatDate } from '../utils/helpers.js';
@@ -194,6 +195,7 @@ class ReportService {
 
   /**
    * Generate TDS report
+   * Credit notes appear as negative rows (TDS reversed) and debit notes as positive rows.
    * @param {Object} filters - Filter criteria
    * @returns {Promise<Object>} Report file data
    */
@@ -209,23 +211,58 @@ class ReportService {
         if (filters.endDate) query.createdAt.$lte = new Date(filters.endDate);
       }
 
-      const invoices = await Invoice.find(query)
-        .populate('agent', 'name email pan')
-        .populate('franchise', 'name')
-        .sort({ createdAt: -1 });
-
-      const reportData = invoices.map((invoice) => ({
-        'Invoice Number': invoice.invoiceNumber,
-        'Agent Name': invoice.agent?.name || 'N/A',
-        'Agent PAN': invoice.agent?.kyc?.pan || 'N/A',
-        'Franchise': invoice.franchise?.name || 'N/A',
-        'Commission Amount': formatCurrency(invoice.commissionAmount),
-        'TDS Amount': formatCurrency(invoice.tdsAmount),
-        'TDS %': `${invoice.tdsPercentage}%`,
-        'Invoice Date': formatDate(invoice.invoiceDate),
-        'Financial Year': this.getFinancialYear(invoice.invoiceDate),
+      const [invoices, notes] = await Promise.all([
+        Invoice.find(query)
+          .populate('agent', 'name email pan')
+          .populate('franchise', 'name')
+          .sort({ createdAt: -1 }),
+        InvoiceNote.find(query)
+          .populate('agent', 'name email pan')
+          .populate('franchise', 'name')
+          .sort({ createdAt: -1 }),
+      ]);
+
+      const invoiceRows = invoices.map((invoice) => ({
+        createdAt: invoice.createdAt,
+        row: {
+          'Document': 'Invoice',
+          'Invoice Number': invoice.invoiceNumber,
+          'Against Invoice': '',
+          'Agent Name': invoice.agent?.name || 'N/A',
+          'Agent PAN': invoice.agent?.kyc?.pan || 'N/A',
+          'Franchise': invoice.franchise?.name || 'N/A',
+          'Commission Amount': formatCurrency(invoice.commissionAmount),
+          'TDS Amount': formatCurrency(invoice.tdsAmount),
+          'TDS %': `${invoice.tdsPercentage}%`,
+          'Invoice Date': formatDate(invoice.invoiceDate),
+          'Financial Year': this.getFinancialYear(invoice.invoiceDate),
+        },
       }));
 
+      const noteRows = notes.map((note) => {
+        const sign = note.noteType === 'credit' ? -1 : 1;
+        return {
+          createdAt: note.createdAt,
+          row: {
+            'Document': note.noteType === 'credit' ? 'Credit Note' : 'Debit Note',
+            'Invoice Number': note.noteNumber,
+            'Against Invoice': note.invoiceNumber || '',
+            'Agent Name': note.agent?.name || 'N/A',
+            'Agent PAN': note.agent?.kyc?.pan || 'N/A',
+            'Franchise': note.franchise?.name || 'N/A',
+            'Commission Amount': formatCurrency(sign * note.taxableAmount),
+            'TDS Amount': formatCurrency(sign * note.tdsAmount),
+            'TDS %': `${note.tdsPercentage}%`,
+            'Invoice Date': formatDate(note.noteDate),
+            'Financial Year': this.getFinancialYear(note.noteDate),
+          },
+        };
+      });
+
+      const reportData = [...invoiceRows, ...noteRows]
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .map(({ row }) => row);
+
       const workbook = XLSX.utils.book_new();
       const worksheet = XLSX.utils.json_to_sheet(reportData);
       XLSX.utils.book_append_sheet(workbook, worksheet, 'TDS Report');
@@ -0,0 +1,354 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/session.model.js';
+import DownloadToken from '../models/downloadToken.model.js';
+import User from '../models/user.model.js';
+import { JWT_SECRET, ACCESS_TOKEN_EXPIRE, REFRESH_TOKEN_EXPIRE } from '../config/env.js';
+
+// Signed download URLs are meant to be opened right away
+const DOWNLOAD_URL_TTL_MS = 2 * 60 * 1000;
+export const DOWNLOAD_TOKEN_PARAM = 'download';
+
+const DURATION_UNITS_MS = {
+  d: 24 * 60 * 60 * 1000,
+  h: 60 * 60 * 1000,
+  m: 60 * 1000,
+  s: 1000,
+};
+
+const unauthorized = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+};
+
+/**
+ * Duration such as "15m", "30d" or a plain number of seconds, in milliseconds
+ * @param {String} value - Duration
+ * @param {String} fallback - Duration used when value is missing or invalid
+ * @returns {Number} Milliseconds
+ */
+const parseDuration = (value, fallback) => {
+  const match = String(value || '').trim().match(/^(\d+)\s*([dhms])?$/);
+  if (!match) return fallback ? parseDuration(fallback) : 0;
+  return parseInt(match[1], 10) * DURATION_UNITS_MS[match[2] || 's'];
+};
+
+const ACCESS_TOKEN_MAX_AGE = parseDuration(ACCESS_TOKEN_EXPIRE, '15m');
+const REFRESH_TOKEN_MAX_AGE = parseDuration(REFRESH_TOKEN_EXPIRE, '30d');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Short device label from a user agent ("Chrome on Windows")
+ * @param {String} userAgent - User-Agent header
+ * @returns {String} Device label
+ */
+const describeUserAgent = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/],
+  ];
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  if (!browser && !system) return userAgent ? 'Other device' : 'Unknown device';
+  return [browser || 'Browser', system].filter(Boolean).join(' on ');
+};
+
+/**
+ * Request IP (first hop when behind a proxy)
+ * @param {Object} req - Express request
+ * @returns {String} IP address
+ */
+const getRequestIp = (req) =>
+  req.ip || String(req.headers?.['x-forwarded-for'] || '').split(',')[0].trim() || req.connection?.remoteAddress;
+
+/**
+ * Path and query string of a URL with the download token removed, so the URL that was signed
+ * and the URL that is requested compare equal
+ * @param {String} url - Absolute or relative URL
+ * @returns {String} Normalized path and query
+ */
+const normalizeDownloadUrl = (url) => {
+  const parsed = new URL(url, 'http://localhost');
+  parsed.searchParams.delete(DOWNLOAD_TOKEN_PARAM);
+  parsed.searchParams.delete('token');
+  const query = parsed.searchParams.toString();
+  return query ? `${parsed.pathname}?${query}` : parsed.pathname;
+};
+
+/**
+ * Session Service
+ * Short-lived access tokens bound to server-side sessions with rotating refresh tokens,
+ * session listing / revocation, and single-use signed download URLs.
+ */
+class SessionService {
+  /**
+   * Lifetimes of the two tokens (for cookie expiry)
+   * @returns {Object} { accessTokenMaxAge, refreshTokenMaxAge } in milliseconds
+   */
+  getTokenLifetimes() {
+    return { accessTokenMaxAge: ACCESS_TOKEN_MAX_AGE, refreshTokenMaxAge: REFRESH_TOKEN_MAX_AGE };
+  }
+
+  /**
+   * Sign an access token for a session
+   * @param {Object} user - User
+   * @param {Object} session - Session
+   * @returns {String} JWT
+   */
+  signAccessToken(user, session) {
+    return jwt.sign({ userId: user._id, role: user.role, sid: session._id }, JWT_SECRET, {
+      expiresIn: Math.floor(ACCESS_TOKEN_MAX_AGE / 1000),
+    });
+  }
+
+  /**
+   * Start a session after a successful login
+   * @param {Object} user - User
+   * @param {Object} req - Express request (IP and user agent)
+   * @param {Object} options - { twoFactorVerified } when the login passed a two-factor check
+   * @returns {Promise<Object>} { session, accessToken, refreshToken }
+   */
+  async createSession(user, req, options = {}) {
+    try {
+      const secret = crypto.randomBytes(32).toString('hex');
+      const userAgent = req.headers?.['user-agent'] || '';
+      const ipAddress = getRequestIp(req);
+      const session = await Session.create({
+        user: user._id,
+        refreshTokenHash: hashToken(secret),
+        userAgent,
+        device: describeUserAgent(userAgent),
+        ipAddress,
+        lastIpAddress: ipAddress,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_MAX_AGE),
+        twoFactorVerifiedAt: options.twoFactorVerified ? new Date() : undefined,
+      });
+
+      return {
+        session,
+        accessToken: this.signAccessToken(user, session),
+        refreshToken: `${session._id}.${secret}`,
+      };
+    } catch (error) {
+      throw new Error(`Error creating session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and a new refresh token.
+   * Presenting a refresh token that was already rotated revokes the whole session (token reuse).
+   * @param {String} refreshToken - Refresh token ("<sessionId>.<secret>")
+   * @param {Object} req - Express request (IP)
+   * @returns {Promise<Object>} { session, user, accessToken, refreshToken }
+   */
+  async refreshSession(refreshToken, req) {
+    try {
+      const [sessionId, secret] = String(refreshToken || '').split('.');
+      if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+        throw unauthorized('Invalid refresh token');
+      }
+
+      const nextSecret = crypto.randomBytes(32).toString('hex');
+      const now = new Date();
+      const session = await Session.findOneAndUpdate(
+        { _id: sessionId, refreshTokenHash: hashToken(secret), revokedAt: null, expiresAt: { $gt: now } },
+        { refreshTokenHash: hashToken(nextSecret), lastUsedAt: now, lastIpAddress: getRequestIp(req) },
+        { new: true }
+      );
+
+      if (!session) {
+        await Session.updateOne(
+          { _id: sessionId, revokedAt: null, expiresAt: { $gt: now } },
+          { revokedAt: now, revokedReason: 'token_reuse' }
+        );
+        throw unauthorized('Session expired. Please log in again.');
+      }
+
+      const user = await User.findById(session.user);
+      if (!user || user.status !== 'active') {
+        await this.revokeSession(session.user, session._id, 'deactivated');
+        throw unauthorized('Account is not active');
+      }
+
+      return {
+        session,
+        user,
+        accessToken: this.signAccessToken(user, session),
+        refreshToken: `${session._id}.${nextSecret}`,
+      };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error refreshing session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Active (not revoked, not expired) session by ID
+   * @param {ObjectId} sessionId - Session ID
+   * @returns {Promise<Object|null>} Session
+   */
+  async getActiveSession(sessionId) {
+    if (!sessionId) return null;
+    return Session.findOne({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to (logout when the access token has expired)
+   * @param {String} refreshToken - Refresh token
+   * @param {String} reason - Revoke reason
+   * @returns {Promise<Object|null>} Revoked session
+   */
+  async revokeByRefreshToken(refreshToken, reason = 'logout') {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!secret || !/^[a-f0-9]{24}$/.test(sessionId || '')) return null;
+    return Session.findOneAndUpdate(
+      { _id: sessionId, refreshTokenHash: hashToken(secret), revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason },
+      { new: true }
+    );
+  }
+
+  /**
+   * Active sessions of a user, newest activity first
+   * @param {ObjectId} userId - User ID
+   * @param {ObjectId} currentSessionId - Session of the request (flagged as current)
+   * @returns {Promise<Array>} Sessions
+   */
+  async getSessions(userId, currentSessionId = null) {
+    try {
+      const sessions = await Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .select('device userAgent ipAddress lastIpAddress lastUsedAt expiresAt createdAt')
+        .sort({ lastUsedAt: -1 });
+
+      return sessions.map((session) => ({
+        ...session.toObject(),
+        current: !!currentSessionId && session._id.toString() === currentSessionId.toString(),
+      }));
+    } catch (error) {
+      throw new Error(`Error fetching sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke one session of a user
+   * @param {ObjectId} userId - Owner of the session
+   * @param {ObjectId} sessionId - Session ID
+   * @param {String} reason - Revoke reason
+   * @returns {Promise<Object>} Revoked session
+   */
+  async revokeSession(userId, sessionId, reason = 'revoked') {
+    try {
+      const session = await Session.findOneAndUpdate(
+        { _id: sessionId, user: userId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason },
+        { new: true }
+      );
+      if (!session) throw notFound('Session not found');
+      return session;
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error revoking session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke every session of a user (deactivation, password change, "log out everywhere")
+   * @param {ObjectId} userId - User ID
+   * @param {String} reason - Revoke reason
+   * @param {ObjectId} exceptSessionId - Session to keep (the one making the request)
+   * @returns {Promise<Number>} Sessions revoked
+   */
+  async revokeAllSessions(userId, reason = 'revoke_all', exceptSessionId = null) {
+    try {
+      const query = { user: userId, revokedAt: null };
+      if (exceptSessionId) query._id = { $ne: exceptSessionId };
+      const result = await Session.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+      return result.modifiedCount;
+    } catch (error) {
+      throw new Error(`Error revoking sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sign a URL for a single GET without an Authorization header
+   * @param {Object} user - User requesting the URL
+   * @param {Object} session - Session of the request
+   * @param {String} url - API path (and query) to download, e.g. /api/documents/:id/download
+   * @returns {Promise<Object>} { url, expiresAt }
+   */
+  async createDownloadUrl(user, session, url) {
+    try {
+      if (typeof url !== 'string' || !url.startsWith('/api/')) {
+        throw badRequest('URL must be an API path starting with /api/');
+      }
+      const normalized = normalizeDownloadUrl(url);
+      const token = crypto.randomBytes(32).toString('hex');
+      const expiresAt = new Date(Date.now() + DOWNLOAD_URL_TTL_MS);
+
+      await DownloadToken.create({
+        tokenHash: hashToken(token),
+        user: user._id,
+        session: session._id,
+        url: normalized,
+        expiresAt,
+      });
+
+      const separator = normalized.includes('?') ? '&' : '?';
+      return { url: `${normalized}${separator}${DOWNLOAD_TOKEN_PARAM}=${token}`, expiresAt };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error signing download URL: ${error.message}`);
+    }
+  }
+
+  /**
+   * Use a signed download token for the requested URL (each token works once)
+   * @param {String} token - Token from the query string
+   * @param {String} requestUrl - req.originalUrl
+   * @returns {Promise<Object|null>} { user, session } or null when the token is not valid for this URL
+   */
+  async consumeDownloadToken(token, requestUrl) {
+    const downloadToken = await DownloadToken.findOneAndUpdate(
+      {
+        tokenHash: hashToken(token),
+        url: normalizeDownloadUrl(requestUrl),
+        usedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      { usedAt: new Date() },
+      { new: true }
+    );
+    if (!downloadToken) return null;
+
+    const session = await this.getActiveSession(downloadToken.session);
+    if (!session) return null;
+    const user = await User.findById(downloadToken.user);
+    return user ? { user, session } : null;
+  }
+}
+
+export default new SessionService();
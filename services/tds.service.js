@@ -0,0 +1,312 @@
+import mongoose from 'mongoose';
+import Invoice from '../models/invoice.model.js';
+import LowerDeductionCertificate from '../models/lowerDeductionCertificate.model.js';
+import CompanySettings from '../models/companySettings.model.js';
+import gstService from './gst.service.js';
+import numberingService from './numbering.service.js';
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+// Invoices that do not count towards the annual threshold or a certificate's limit
+const UNBILLED_STATUSES = ['draft', 'rejected', 'cancelled'];
+
+const PAN_PATTERN = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * TDS on an amount under rate tiers ([{ limit, rate }], each applying to the next `limit` of the amount)
+ */
+const deductionOn = (tiers, amount) => {
+  let left = amount;
+  let total = 0;
+  for (const { limit, rate } of tiers) {
+    const portion = Math.min(left, limit);
+    total += (portion * rate) / 100;
+    left -= portion;
+  }
+  return total;
+};
+
+/**
+ * Largest amount whose TDS under the tiers does not exceed a deduction
+ */
+const amountFor = (tiers, deduction) => {
+  let left = deduction;
+  let amount = 0;
+  for (const { limit, rate } of tiers) {
+    if (!(rate > 0)) return Infinity;
+    const tierTds = (limit * rate) / 100;
+    if (left <= tierTds) return amount + (left * 100) / rate;
+    amount += limit;
+    left -= tierTds;
+  }
+  return amount;
+};
+
+/**
+ * TDS Service
+ * Picks the TDS rate for an invoice from the partner's PAN status, lower-deduction certificates
+ * and the annual threshold, and records the rule that produced it on the invoice.
+ */
+class TdsService {
+  /**
+   * Commission credited to a party in a date range (invoices still billed)
+   * @param {String} partyType - agent | sub_agent | franchise | relationship_manager
+   * @param {ObjectId} partyId - Party ID
+   * @param {Date} from - Range start
+   * @param {Date} to - Range end (exclusive)
+   * @param {ObjectId} excludeInvoiceId - Invoice being (re)computed
+   * @returns {Promise<Number>} Total commission
+   */
+  async getCreditedAmount(partyType, partyId, from, to, excludeInvoiceId = null) {
+    const [result] = await Invoice.aggregate([
+      { $match: this.getPartyInvoiceMatch(partyType, partyId, from, to, excludeInvoiceId) },
+      { $group: { _id: null, total: { $sum: '$commissionAmount' } } },
+    ]);
+    return result?.total || 0;
+  }
+
+  /**
+   * Billed invoices of a party in a date range
+   * Invoices saved before rules were recorded are matched by their invoice type and party field.
+   * @param {String} partyType - agent | sub_agent | franchise | relationship_manager
+   * @param {ObjectId} partyId - Party ID
+   * @param {Date} from - Range start
+   * @param {Date} to - Range end (exclusive)
+   * @param {ObjectId} excludeInvoiceId - Invoice being (re)computed
+   * @returns {Object} Aggregation $match
+   */
+  getPartyInvoiceMatch(partyType, partyId, from, to, excludeInvoiceId = null) {
+    const id = new mongoose.Types.ObjectId(String(partyId));
+    const legacy = { 'tdsRule.partyId': { $exists: false } };
+    const byParty = [{ 'tdsRule.partyId': id }];
+    if (partyType === 'agent') byParty.push({ ...legacy, invoiceType: 'agent', agent: id });
+    if (partyType === 'sub_agent') byParty.push({ ...legacy, invoiceType: 'sub_agent', subAgent: id });
+    if (partyType === 'franchise') byParty.push({ ...legacy, invoiceType: 'franchise', franchise: id });
+
+    const match = {
+      $or: byParty,
+      status: { $nin: UNBILLED_STATUSES },
+      invoiceDate: { $gte: from, $lt: to },
+    };
+    if (excludeInvoiceId) match._id = { $ne: new mongoose.Types.ObjectId(String(excludeInvoiceId)) };
+    return match;
+  }
+
+  /**
+   * Credits of a party in a date range that were left at 0% below the threshold and have not
+   * yet been taxed by a catch-up deduction
+   * @param {String} partyType - Party type
+   * @param {ObjectId} partyId - Party ID
+   * @param {Date} from - Range start
+   * @param {Date} to - Range end (exclusive)
+   * @param {ObjectId} excludeInvoiceId - Invoice being (re)computed
+   * @returns {Promise<Number>} Amount still to be taxed
+   */
+  async getUntaxedThresholdCredits(partyType, partyId, from, to, excludeInvoiceId = null) {
+    const [result] = await Invoice.aggregate([
+      { $match: this.getPartyInvoiceMatch(partyType, partyId, from, to, excludeInvoiceId) },
+      {
+        $group: {
+          _id: null,
+          belowThreshold: {
+            $sum: { $cond: [{ $eq: ['$tdsRule.code', 'below_threshold'] }, '$commissionAmount', 0] },
+          },
+          caughtUp: { $sum: { $ifNull: ['$tdsRule.catchUpAmount', 0] } },
+        },
+      },
+    ]);
+    return Math.max((result?.belowThreshold || 0) - (result?.caughtUp || 0), 0);
+  }
+
+  /**
+   * Amount already credited at a certificate's rate
+   * @param {ObjectId} certificateId - Certificate ID
+   * @param {ObjectId} excludeInvoiceId - Invoice being (re)computed
+   * @returns {Promise<Number>} Amount used
+   */
+  async getCertificateUsage(certificateId, excludeInvoiceId = null) {
+    const match = {
+      'tdsRule.certificate': new mongoose.Types.ObjectId(String(certificateId)),
+      status: { $nin: UNBILLED_STATUSES },
+    };
+    if (excludeInvoiceId) match._id = { $ne: new mongoose.Types.ObjectId(String(excludeInvoiceId)) };
+
+    // Invoices saved before split deductions were recorded used the certificate for their whole amount
+    const [result] = await Invoice.aggregate([
+      { $match: match },
+      { $group: { _id: null, total: { $sum: { $ifNull: ['$tdsRule.certificateAmount', '$commissionAmount'] } } } },
+    ]);
+    return result?.total || 0;
+  }
+
+  /**
+   * Active certificate of a party covering a date with limit left
+   * @param {String} partyType - Party type
+   * @param {ObjectId} partyId - Party ID
+   * @param {String} pan - Partner's PAN
+   * @param {Date} date - Credit date
+   * @param {ObjectId} excludeInvoiceId - Invoice being (re)computed
+   * @returns {Promise<Object|null>} { certificate, available }
+   */
+  async findApplicableCertificate(partyType, partyId, pan, date, excludeInvoiceId = null) {
+    const certificates = await LowerDeductionCertificate.find({
+      partyType,
+      partyId,
+      pan,
+      status: 'active',
+      validFrom: { $lte: date },
+      validTo: { $gte: date },
+    }).sort({ rate: 1, validTo: 1 });
+
+    for (const certificate of certificates) {
+      const used = await this.getCertificateUsage(certificate._id, excludeInvoiceId);
+      const available = certificate.amountLimit - used;
+      if (available > 0) return { certificate, available };
+    }
+    return null;
+  }
+
+  /**
+   * TDS rate for an invoice and the rule behind it, in order:
+   * manual rate, annual threshold, missing / unverified PAN (206AA), lower-deduction certificate, section rate.
+   * The invoice that takes the year's credits over the threshold also carries the TDS on the earlier
+   * credits left at 0%, as far as maxTds allows; the rest of that catch-up is deducted from the next
+   * invoices. A certificate with too little limit left covers part of the amount and the section rate
+   * applies to the rest. tdsPercentage is then the blended rate on the invoice's own amount.
+   * @param {Object} invoice - Invoice parties (agent, subAgent, franchise, invoiceType, commissionLedgerEntry, invoiceDate)
+   * @param {Number} taxable - Commission (taxable value)
+   * @param {Object} options - { tdsPercentage (manual override), excludeInvoiceId, maxTds (what the invoice pays out) }
+   * @returns {Promise<Object>} { tdsPercentage, tdsAmount, tdsRule }
+   */
+  async resolveRate(invoice, taxable, options = {}) {
+    const settings = await CompanySettings.getSettings();
+    const taxConfig = settings.taxConfig || {};
+    const section = taxConfig.tdsSection || '194H';
+    const sectionRate = taxConfig.defaultTdsRate ?? 2;
+    const noPanRate = taxConfig.noPanTdsRate ?? 20;
+    const threshold = taxConfig.tdsAnnualThreshold ?? 0;
+    const date = invoice.invoiceDate ? new Date(invoice.invoiceDate) : new Date();
+    const fy = numberingService.getFinancialYear(date);
+
+    const { partyType, party } = await gstService.getInvoiceParty(invoice);
+    const pan = String(party?.kyc?.pan || '').trim().toUpperCase();
+    const rule = {
+      section,
+      partyType,
+      partyId: party?._id,
+      pan: pan || undefined,
+      financialYear: fy.label,
+      resolvedAt: new Date(),
+    };
+    // tdsAmount defaults to the rate on the invoice's own amount
+    const result = (tdsPercentage, code, description, tdsAmount = (taxable * tdsPercentage) / 100) => ({
+      tdsPercentage: taxable > 0 ? Math.round((tdsAmount / taxable) * 10000) / 100 : tdsPercentage,
+      tdsAmount: round2(tdsAmount),
+      tdsRule: { ...rule, code, description },
+    });
+
+    if (options.tdsPercentage !== undefined && options.tdsPercentage !== null && options.tdsPercentage !== '') {
+      return result(Number(options.tdsPercentage), 'manual', 'Rate entered manually');
+    }
+
+    // Incomplete manual invoices are left to model validation
+    if (!party) {
+      return result(sectionRate, 'section_rate', `Section ${section} rate`);
+    }
+
+    if (threshold > 0) {
+      const from = new Date(Date.UTC(fy.startYear, 3, 1) - IST_OFFSET_MS);
+      const to = new Date(Date.UTC(fy.startYear + 1, 3, 1) - IST_OFFSET_MS);
+      const credited = await this.getCreditedAmount(partyType, party._id, from, to, options.excludeInvoiceId);
+      rule.aggregateAmount = credited + taxable;
+      rule.threshold = threshold;
+      if (credited + taxable <= threshold) {
+        return result(0, 'below_threshold', `Commission credited in FY ${fy.label} within the threshold of ${threshold}`);
+      }
+
+      // Once the year's credits cross the threshold, TDS is due on all of them
+      const catchUp = await this.getUntaxedThresholdCredits(partyType, party._id, from, to, options.excludeInvoiceId);
+      if (catchUp > 0) rule.catchUpAmount = round2(catchUp);
+    }
+
+    // Rate tiers on the TDS base: a certificate's rate up to its remaining limit, the section rate beyond it
+    let code;
+    let description;
+    let tiers;
+    if (!PAN_PATTERN.test(pan)) {
+      code = 'no_pan';
+      description = 'PAN not furnished - higher rate under section 206AA';
+      tiers = [{ limit: Infinity, rate: noPanRate }];
+    } else if (!party.kyc?.verified) {
+      code = 'pan_unverified';
+      description = 'PAN not verified - higher rate under section 206AA';
+      tiers = [{ limit: Infinity, rate: noPanRate }];
+    } else {
+      const applicable = await this.findApplicableCertificate(partyType, party._id, pan, date, options.excludeInvoiceId);
+      if (applicable) {
+        const { certificate, available } = applicable;
+        rule.certificate = certificate._id;
+        code = 'lower_deduction_certificate';
+        description = `Lower deduction certificate ${certificate.certificateNumber} (section 197)`;
+        tiers = [{ limit: available, rate: certificate.rate }, { limit: Infinity, rate: sectionRate }];
+      } else {
+        code = 'section_rate';
+        description = `Section ${section} rate`;
+        tiers = [{ limit: Infinity, rate: sectionRate }];
+      }
+    }
+
+    // The invoice deducts no more than it pays out; the rest of the catch-up moves to the next invoice
+    const fullCatchUp = rule.catchUpAmount || 0;
+    const maxTds = options.maxTds ?? Infinity;
+    if (fullCatchUp > 0 && deductionOn(tiers, taxable + fullCatchUp) > maxTds) {
+      const fitting = Math.floor((amountFor(tiers, maxTds) - taxable) * 100) / 100;
+      rule.catchUpAmount = Math.max(fitting, 0) || undefined;
+    }
+
+    // Amount TDS is deducted on: this invoice plus the catch-up on earlier credits
+    const base = taxable + (rule.catchUpAmount || 0);
+    if (rule.certificate) {
+      const covered = Math.min(base, tiers[0].limit);
+      rule.certificateAmount = covered;
+      if (covered < base) description += ` on ${covered}; section ${section} rate on the remaining ${round2(base - covered)}`;
+    }
+    if (rule.catchUpAmount) {
+      description += `, including ${rule.catchUpAmount} credited earlier in FY ${fy.label} below the threshold`;
+    }
+    if (fullCatchUp > (rule.catchUpAmount || 0)) {
+      description += `; ${round2(fullCatchUp - (rule.catchUpAmount || 0))} carried to the next invoice`;
+    }
+
+    return result(tiers[0].rate, code, description, Math.min(deductionOn(tiers, base), maxTds));
+  }
+
+  /**
+   * Invoice amounts with the engine's TDS rate: Gross = Taxable + GST - TDS
+   * @param {Object} invoice - Invoice parties (see resolveRate)
+   * @param {Number} taxable - Commission (taxable value)
+   * @param {Object} options - { tdsPercentage (manual override), excludeInvoiceId }
+   * @returns {Promise<Object>} { gstAmount, gstDetails, tdsPercentage, tdsRule, tdsAmount, netPayable }
+   */
+  async computeInvoiceAmounts(invoice, taxable, options = {}) {
+    const { gstAmount, gstDetails } = await gstService.computeInvoiceAmounts(invoice, taxable, 0);
+    // TDS comes out of what the invoice pays, so it can never take net payable below zero
+    const { tdsPercentage, tdsAmount, tdsRule } = await this.resolveRate(invoice, taxable, {
+      ...options,
+      maxTds: round2(taxable + gstAmount),
+    });
+    // The rule's amount is exact; the blended percentage is rounded
+    return {
+      gstAmount,
+      gstDetails,
+      tdsAmount,
+      netPayable: round2(taxable + gstAmount - tdsAmount),
+      tdsPercentage,
+      tdsRule,
+    };
+  }
+}
+
+export default new TdsService();
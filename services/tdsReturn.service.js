@@ -0,0 +1,490 @@
+import XLSX from 'xlsx';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import Invoice from '../models/invoice.model.js';
+import InvoiceNote from '../models/invoiceNote.model.js';
+import Form16 from '../models/form16.model.js';
+import User from '../models/user.model.js';
+import Franchise from '../models/franchise.model.js';
+import RelationshipManager from '../models/relationship.model.js';
+import CompanySettings from '../models/companySettings.model.js';
+import partnerLedgerService from './partnerLedger.service.js';
+import fileUploadService from './fileUpload.service.js';
+import form16aPdfService from './form16aPdf.service.js';
+import { formatDate } from '../utils/helpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+// Quarter -> first month (0-based) and months covered, within an April-March financial year
+const QUARTERS = {
+  Q1: { startMonth: 3, label: 'April - June' },
+  Q2: { startMonth: 6, label: 'July - September' },
+  Q3: { startMonth: 9, label: 'October - December' },
+  Q4: { startMonth: 12, label: 'January - March' },
+};
+
+// Partner commission is deducted under section 194H (invoices record the section they were deducted under)
+const TDS_SECTION = '194H';
+
+// 26Q reason for lower / higher / no deduction, by the rule that set the invoice's rate
+const DEDUCTION_REASON_CODES = {
+  lower_deduction_certificate: 'A', // certificate under section 197
+  no_pan: 'C', // higher rate, PAN not furnished
+  pan_unverified: 'C',
+  below_threshold: 'Y', // threshold not crossed
+};
+
+// 26Q placeholder for deductees without a PAN
+const PAN_NOT_AVAILABLE = 'PANNOTAVBL';
+
+// Invoices whose TDS has been credited to the partner's account (cancelled ones are reversed by a credit note)
+const DEDUCTED_STATUSES = ['approved', 'gst_paid', 'paid', 'regular_paid', 'cancelled'];
+
+const PARTY_COLLECTIONS = {
+  agent: User,
+  sub_agent: User,
+  franchise: Franchise,
+  relationship_manager: RelationshipManager,
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * TDS Return Service
+ * Quarterly TDS deducted per partner PAN (from invoices, credit / debit notes and their payouts),
+ * the 26Q-style deduction return data file, and Form 16A-style certificates stored as Form16 records.
+ */
+class TdsReturnService {
+  /**
+   * Date range of a quarter of a financial year (IST day boundaries, end exclusive)
+   * @param {String} financialYear - e.g. '2026-27'
+   * @param {String} quarter - Q1 | Q2 | Q3 | Q4
+   * @returns {Object} { financialYear, quarter, startDate, endDate, assessmentYear, periodLabel }
+   */
+  getQuarterPeriod(financialYear, quarter) {
+    const match = /^(\d{4})-(\d{2})$/.exec(String(financialYear || ''));
+    if (!match || (Number(match[1]) + 1) % 100 !== Number(match[2])) {
+      throw badRequest('Financial year must look like 2026-27');
+    }
+    const q = String(quarter || '').toUpperCase();
+    if (!QUARTERS[q]) {
+      throw badRequest('Quarter must be one of Q1, Q2, Q3, Q4');
+    }
+
+    const startYear = Number(match[1]);
+    const { startMonth, label } = QUARTERS[q];
+    const startDate = new Date(Date.UTC(startYear, startMonth, 1) - IST_OFFSET_MS);
+    const endDate = new Date(Date.UTC(startYear, startMonth + 3, 1) - IST_OFFSET_MS);
+    const ayStart = startYear + 1;
+
+    return {
+      financialYear: `${startYear}-${match[2]}`,
+      quarter: q,
+      startDate,
+      endDate,
+      assessmentYear: `${ayStart}-${String((ayStart + 1) % 100).padStart(2, '0')}`,
+      periodLabel: `${label} ${startMonth >= 12 ? startYear + 1 : startYear}`,
+    };
+  }
+
+  /**
+   * Deductee details for a partner: name, address, PAN and the login user who receives the certificate
+   * @param {String} partyType - agent | sub_agent | franchise | relationship_manager
+   * @param {ObjectId} partyId - Party ID
+   * @param {Map} cache - Lookups already made in this run
+   * @returns {Promise<Object>} { name, pan, address, userId }
+   */
+  async getDeductee(partyType, partyId, cache) {
+    const key = `${partyType}:${partyId}`;
+    if (cache.has(key)) return cache.get(key);
+
+    const Model = PARTY_COLLECTIONS[partyType];
+    const party = await Model.findById(partyId).lean();
+    let userId = null;
+    if (partyType === 'agent' || partyType === 'sub_agent') {
+      userId = party?._id || null;
+    } else if (party?.owner) {
+      userId = party.owner;
+    } else if (partyType === 'franchise' && party) {
+      const owner = await User.findOne({ role: 'franchise', franchiseOwned: party._id }).select('_id');
+      userId = owner?._id || null;
+    }
+
+    const pan = String(party?.kyc?.pan || '').trim().toUpperCase();
+    const deductee = {
+      name: party?.name || 'Unknown',
+      pan: /^[A-Z]{5}[0-9]{4}[A-Z]$/.test(pan) ? pan : '',
+      address: party?.address,
+      email: party?.email,
+      userId,
+    };
+    cache.set(key, deductee);
+    return deductee;
+  }
+
+  /**
+   * Every TDS deduction of a quarter: one row per invoice credited in the quarter
+   * and per credit / debit note issued in it (credit notes carry negative amounts)
+   * @param {Object} period - From getQuarterPeriod
+   * @returns {Promise<Array>} Deduction rows
+   */
+  async collectDeductions(period) {
+    const range = { $gte: period.startDate, $lt: period.endDate };
+
+    // TDS is deducted when the commission is credited (approval / acceptance of the invoice)
+    const [invoices, notes] = await Promise.all([
+      // Credits below the threshold are reported too, with no tax deducted
+      Invoice.find({
+        status: { $in: DEDUCTED_STATUSES },
+        $and: [
+          { $or: [{ tdsAmount: { $gt: 0 } }, { 'tdsRule.code': 'below_threshold' }] },
+          {
+            $or: [
+              { approvedAt: range },
+              { approvedAt: null, acceptedAt: range },
+              { approvedAt: null, acceptedAt: null, invoiceDate: range },
+            ],
+          },
+        ],
+      })
+        .populate('payout', 'payoutNumber status paymentConfirmation')
+        .populate('tdsRule.certificate', 'certificateNumber')
+        .sort({ invoiceDate: 1 }),
+      InvoiceNote.find({ noteDate: range, tdsAmount: { $gt: 0 } }).sort({ noteDate: 1 }),
+    ]);
+
+    const cache = new Map();
+    const rows = [];
+
+    for (const invoice of invoices) {
+      const party = await partnerLedgerService.resolveInvoiceParty(invoice);
+      const deductee = await this.getDeductee(party.partyType, party.partyId, cache);
+      const creditedAt = invoice.approvedAt || invoice.acceptedAt || invoice.invoiceDate;
+      const paid = invoice.payout?.status === 'complete' ? invoice.payout.paymentConfirmation : null;
+
+      rows.push({
+        ...party,
+        deductee,
+        documentType: 'Invoice',
+        documentNumber: invoice.invoiceNumber,
+        againstInvoice: '',
+        creditedAt,
+        // Paid or credited, whichever is earlier
+        paidOrCreditedAt: paid?.transactionDate && paid.transactionDate < creditedAt ? paid.transactionDate : creditedAt,
+        amount: invoice.commissionAmount || 0,
+        tdsRate: invoice.tdsPercentage || 0,
+        tdsAmount: invoice.tdsAmount || 0,
+        section: invoice.tdsRule?.section || TDS_SECTION,
+        ruleCode: invoice.tdsRule?.code || '',
+        certificateNumber: invoice.tdsRule?.certificate?.certificateNumber || '',
+        payoutNumber: invoice.payout?.payoutNumber || '',
+        utr: paid?.transactionId || '',
+        paymentDate: paid?.transactionDate || null,
+      });
+    }
+
+    for (const note of notes) {
+      const party = await partnerLedgerService.resolveInvoiceParty(note);
+      const deductee = await this.getDeductee(party.partyType, party.partyId, cache);
+      const sign = note.noteType === 'credit' ? -1 : 1;
+
+      rows.push({
+        ...party,
+        deductee,
+        documentType: note.noteType === 'credit' ? 'Credit Note' : 'Debit Note',
+        documentNumber: note.noteNumber,
+        againstInvoice: note.invoiceNumber || '',
+        creditedAt: note.noteDate,
+        paidOrCreditedAt: note.noteDate,
+        amount: sign * (note.taxableAmount || 0),
+        tdsRate: note.tdsPercentage || 0,
+        tdsAmount: sign * (note.tdsAmount || 0),
+        section: TDS_SECTION,
+        ruleCode: '',
+        certificateNumber: '',
+        payoutNumber: '',
+        utr: '',
+        paymentDate: null,
+      });
+    }
+
+    return rows;
+  }
+
+  /**
+   * Group deductions by PAN (deductees without a PAN are kept apart per partner)
+   * @param {Array} rows - From collectDeductions
+   * @returns {Array} [{ key, pan, name, partyType, partyId, userId, deductee, amount, tdsAmount, rows }]
+   */
+  groupByPan(rows) {
+    const groups = new Map();
+    for (const row of rows) {
+      const key = row.deductee.pan || `${PAN_NOT_AVAILABLE}:${row.partyType}:${row.partyId}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          key,
+          pan: row.deductee.pan || PAN_NOT_AVAILABLE,
+          name: row.deductee.name,
+          partyType: row.partyType,
+          partyId: row.partyId,
+          userId: row.deductee.userId,
+          deductee: row.deductee,
+          amount: 0,
+          tdsAmount: 0,
+          rows: [],
+        });
+      }
+      const group = groups.get(key);
+      group.amount = round2(group.amount + row.amount);
+      group.tdsAmount = round2(group.tdsAmount + row.tdsAmount);
+      group.userId = group.userId || row.deductee.userId;
+      group.rows.push(row);
+    }
+    return [...groups.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Quarterly TDS per partner PAN
+   * @param {String} financialYear - e.g. '2026-27'
+   * @param {String} quarter - Q1 | Q2 | Q3 | Q4
+   * @returns {Promise<Object>} { period, totals, deductees }
+   */
+  async getQuarterlySummary(financialYear, quarter) {
+    try {
+      const period = this.getQuarterPeriod(financialYear, quarter);
+      const groups = this.groupByPan(await this.collectDeductions(period));
+
+      return {
+        period,
+        totals: {
+          deductees: groups.length,
+          amount: round2(groups.reduce((sum, g) => sum + g.amount, 0)),
+          tdsAmount: round2(groups.reduce((sum, g) => sum + g.tdsAmount, 0)),
+        },
+        deductees: groups.map(({ deductee, rows, ...group }) => ({
+          ...group,
+          entries: rows.length,
+        })),
+      };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error computing quarterly TDS: ${error.message}`);
+    }
+  }
+
+  /**
+   * 26Q-style deduction return data file (deductor, deductee details and PAN summary sheets)
+   * @param {String} financialYear - e.g. '2026-27'
+   * @param {String} quarter - Q1 | Q2 | Q3 | Q4
+   * @returns {Promise<Object>} Report file data
+   */
+  async generate26QFile(financialYear, quarter) {
+    try {
+      const period = this.getQuarterPeriod(financialYear, quarter);
+      const [settings, rows] = await Promise.all([
+        CompanySettings.getSettings(),
+        this.collectDeductions(period),
+      ]);
+      const groups = this.groupByPan(rows);
+
+      const deductor = [
+        { Field: 'Form', Value: '26Q' },
+        { Field: 'Financial Year', Value: period.financialYear },
+        { Field: 'Assessment Year', Value: period.assessmentYear },
+        { Field: 'Quarter', Value: period.quarter },
+        { Field: 'Period', Value: period.periodLabel },
+        { Field: 'TAN of Deductor', Value: settings.tanNo || '' },
+        { Field: 'PAN of Deductor', Value: settings.panNo || '' },
+        { Field: 'Name of Deductor', Value: settings.companyName },
+        { Field: 'Address', Value: settings.address },
+        { Field: 'Email', Value: settings.email || '' },
+        { Field: 'Mobile', Value: settings.mobile || '' },
+        { Field: 'Total Amount Paid / Credited', Value: round2(rows.reduce((sum, r) => sum + r.amount, 0)) },
+        { Field: 'Total Tax Deducted', Value: round2(rows.reduce((sum, r) => sum + r.tdsAmount, 0)) },
+      ];
+
+      const deducteeRows = rows
+        .slice()
+        .sort((a, b) => new Date(a.paidOrCreditedAt) - new Date(b.paidOrCreditedAt))
+        .map((row, index) => ({
+          'Sr No': index + 1,
+          // 01 company / 02 other than company (4th character of the PAN)
+          'Deductee Code': row.deductee.pan?.[3] === 'C' ? '01' : '02',
+          'PAN of Deductee': row.deductee.pan || PAN_NOT_AVAILABLE,
+          'Name of Deductee': row.deductee.name,
+          'Section Code': row.section,
+          'Date of Payment / Credit': formatDate(row.paidOrCreditedAt),
+          'Amount Paid / Credited': round2(row.amount),
+          'TDS': round2(row.tdsAmount),
+          'Surcharge': 0,
+          'Education Cess': 0,
+          'Total Tax Deducted': round2(row.tdsAmount),
+          'Total Tax Deposited': round2(row.tdsAmount),
+          'Date of Deduction': formatDate(row.creditedAt),
+          'Rate of Deduction': row.tdsRate,
+          'Reason for Non / Lower / Higher Deduction': DEDUCTION_REASON_CODES[row.ruleCode]
+            || (row.deductee.pan ? '' : DEDUCTION_REASON_CODES.no_pan),
+          'Lower Deduction Certificate No': row.certificateNumber,
+          'Document': row.documentType,
+          'Document Number': row.documentNumber,
+          'Against Invoice': row.againstInvoice,
+          'Payout Number': row.payoutNumber,
+          'UTR': row.utr,
+        }));
+
+      const summaryRows = groups.map((group) => ({
+        'PAN': group.pan,
+        'Name': group.name,
+        'Partner Type': group.partyType,
+        'Entries': group.rows.length,
+        'Amount Paid / Credited': group.amount,
+        'TDS Deducted': group.tdsAmount,
+      }));
+
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(deductor), 'Deductor');
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(deducteeRows), 'Deductee Details');
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(summaryRows), 'PAN Summary');
+
+      const exportsDir = path.join(__dirname, '../exports');
+      await fs.mkdir(exportsDir, { recursive: true });
+
+      const filename = `26Q_${period.financialYear}_${period.quarter}_${Date.now()}.xlsx`;
+      const filePath = path.join(exportsDir, filename);
+
+      XLSX.writeFile(workbook, filePath);
+
+      return {
+        filename,
+        path: filePath,
+        rowCount: deducteeRows.length,
+      };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error generating 26Q file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate Form 16A-style certificates for a quarter and attach each as a Form16 record
+   * (formType 'form16a') assigned to the partner's login, replacing an earlier one for the same PAN and quarter.
+   * @param {Object} data - { financialYear, quarter, pan } (pan limits generation to one deductee)
+   * @param {ObjectId} userId - User generating
+   * @returns {Promise<Object>} { period, generated: [Form16], skipped: [{ pan, name, reason }] }
+   */
+  async generateForm16A({ financialYear, quarter, pan }, userId) {
+    try {
+      const period = this.getQuarterPeriod(financialYear, quarter);
+      const settings = await CompanySettings.getSettings();
+      const section = settings.taxConfig?.tdsSection || TDS_SECTION;
+      let groups = this.groupByPan(await this.collectDeductions(period));
+      if (pan) {
+        groups = groups.filter((group) => group.pan === String(pan).trim().toUpperCase());
+        if (groups.length === 0) {
+          throw badRequest(`No TDS deducted for PAN ${pan} in ${period.quarter} ${period.financialYear}`);
+        }
+      }
+
+      const generated = [];
+      const skipped = [];
+
+      for (const group of groups) {
+        if (group.tdsAmount <= 0) {
+          skipped.push({ pan: group.pan, name: group.name, reason: 'No net TDS deducted in the quarter' });
+          continue;
+        }
+        if (!group.userId) {
+          skipped.push({ pan: group.pan, name: group.name, reason: 'Partner has no login to assign the certificate to' });
+          continue;
+        }
+
+        const buffer = await form16aPdfService.renderPdf({ settings, period, group, section });
+        const existing = await Form16.findOne({
+          formType: 'form16a',
+          'metadata.financialYear': period.financialYear,
+          'metadata.quarter': period.quarter,
+          'metadata.deducteeKey': group.key,
+        });
+        const formId = existing?._id || new mongoose.Types.ObjectId();
+        const panLabel = group.pan === PAN_NOT_AVAILABLE ? 'NOPAN' : group.pan;
+
+        const document = await fileUploadService.processUploadedFile(
+          {
+            buffer,
+            size: buffer.length,
+            mimetype: 'application/pdf',
+            originalname: `Form16A_${panLabel}_${period.financialYear}_${period.quarter}.pdf`,
+          },
+          {
+            entityType: 'form16',
+            entityId: formId,
+            documentType: 'form16a',
+            description: `Form 16A ${period.quarter} ${period.financialYear}`,
+            uploadedBy: userId,
+          }
+        );
+
+        const previousDocumentId = existing?.metadata?.documentId;
+        const fields = {
+          formType: 'form16a',
+          attachmentName: `Form 16A - ${period.quarter} ${period.financialYear}`,
+          attachment: document.url || `/api/documents/${document._id}/download`,
+          attachmentDate: new Date(),
+          fileName: document.originalFileName,
+          fileSize: document.fileSize,
+          mimeType: 'application/pdf',
+          user: group.userId,
+          status: 'active',
+          metadata: {
+            financialYear: period.financialYear,
+            quarter: period.quarter,
+            deducteeKey: group.key,
+            pan: group.pan,
+            partyType: group.partyType,
+            partyId: group.partyId,
+            section,
+            amountPaid: group.amount,
+            tdsAmount: group.tdsAmount,
+            entries: group.rows.length,
+            documentId: document._id,
+            generatedAt: new Date(),
+            generatedBy: userId,
+          },
+        };
+
+        const form = existing
+          ? await Form16.findByIdAndUpdate(formId, fields, { new: true })
+          : await Form16.create({ _id: formId, ...fields });
+
+        // The regenerated certificate replaces the earlier file (logged, not thrown)
+        if (previousDocumentId) {
+          try {
+            await fileUploadService.deleteDocument(previousDocumentId);
+          } catch (deleteError) {
+            console.error('Error deleting previous Form 16A file:', deleteError);
+          }
+        }
+
+        generated.push(form);
+      }
+
+      return { period, generated, skipped };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error generating Form 16A: ${error.message}`);
+    }
+  }
+}
+
+export default new TdsReturnService();
@@ -1,7 +1,7 @@
 import User from '../models/user.model.js';
-import RelationshipManager from '../models/relationship.model.js';
-import Franchise from '../models/franchise.model.js';
 import Notification from '../models/notification.model.js';
+import numberingService from './numbering.service.js';
+import orgHierarchyService from './orgHierarchy.service.js';
 
 // Working hours: 7:00 AM - 6:00 PM (11 hours)
 const WORK_START_HOUR = 7;
@@ -14,43 +14,17 @@ const SLA_WORKING_HOURS_PER_LEVEL = 2;
  * @returns {Promise<{assignedUser: Object, assignedRole: string}>}
  */
 export async function getAssignedUserForAgent(agentUserId) {
-  const agent = await User.findById(agentUserId)
-    .select('managedBy managedByModel')
-    .lean();
+  const manager = await orgHierarchyService.getAgentManager(agentUserId);
 
-  if (!agent || !agent.managedBy) {
+  if (!manager?.unit.owner) {
     return { assignedUser: null, assignedRole: null };
   }
 
-  if (agent.managedByModel === 'RelationshipManager') {
-    const rm = await RelationshipManager.findById(agent.managedBy)
-      .select('owner regionalManager')
-      .populate('owner', 'name email')
-      .lean();
-
-    if (rm?.owner) {
-      return {
-        assignedUser: rm.owner,
-        assignedRole: 'relationship_manager',
-        regionalManagerId: rm.regionalManager,
-      };
-    }
-  } else if (agent.managedByModel === 'Franchise') {
-    const franchise = await Franchise.findById(agent.managedBy)
-      .select('owner regionalManager')
-      .populate('owner', 'name email')
-      .lean();
-
-    if (franchise?.owner) {
-      return {
-        assignedUser: franchise.owner,
-        assignedRole: 'franchise',
-        regionalManagerId: franchise.regionalManager,
-      };
-    }
-  }
-
-  return { assignedUser: null, assignedRole: null };
+  return {
+    assignedUser: manager.unit.owner,
+    assignedRole: manager.type,
+    regionalManagerId: manager.unit.regionalManager,
+  };
 }
 
 /**
@@ -202,34 +176,11 @@ function addWorkingHours(start, hours) {
 }
 
 /**
- * Generate unique Service Request Number (SRN) (e.g., SRN-2026-000145)
- * Format: SRN-YYYY-XXXXXX (6-digit sequential number per year)
+ * Generate unique Service Request Number (SRN) (e.g., SRN-2627-000145)
+ * Sequential per Indian financial year; prefix is configured in company settings
  */
 export async function generateTicketId() {
-  const year = new Date().getFullYear();
-  const prefix = `SRN-${year}-`;
-  
-  // Find the last ticket for this year to get the next sequence number
-  const Ticket = (await import('../models/ticket.model.js')).default;
-  const lastTicket = await Ticket.findOne({
-    ticketId: { $regex: `^${prefix}` }
-  })
-    .sort({ ticketId: -1 })
-    .select('ticketId')
-    .lean();
-  
-  let sequence = 1;
-  if (lastTicket && lastTicket.ticketId) {
-    // Extract sequence number from last ticket (e.g., "SRN-2026-000145" -> 145)
-    const match = lastTicket.ticketId.match(/-(\d+)$/);
-    if (match) {
-      sequence = parseInt(match[1], 10) + 1;
-    }
-  }
-  
-  // Format as 6-digit number with leading zeros
-  const sequenceStr = sequence.toString().padStart(6, '0');
-  return `${prefix}${sequenceStr}`;
+  return numberingService.nextTicketId();
 }
 
 /**
@@ -0,0 +1,331 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/user.model.js';
+import Session from '../models/session.model.js';
+import CompanySettings from '../models/companySettings.model.js';
+import { JWT_SECRET, TWO_FACTOR_ENCRYPTION_KEY } from '../config/env.js';
+import { base32Encode, generateTotpSecret, verifyTotp, getOtpauthUri } from '../utils/totp.js';
+
+// Roles that must have two-factor authentication; everyone else may opt in
+const REQUIRED_ROLES = ['super_admin', 'accounts_manager'];
+
+// A step-up check covers sensitive actions for this long
+const STEP_UP_WINDOW_MS = 5 * 60 * 1000;
+
+// Time allowed between the password step and the code step of a login
+const LOGIN_CHALLENGE_EXPIRE = '5m';
+const LOGIN_CHALLENGE_PURPOSE = 'two_factor_login';
+
+const RECOVERY_CODE_COUNT = 10;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const unauthorized = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+};
+
+// Secrets are stored encrypted (AES-256-GCM) so a database dump alone cannot generate codes
+const encryptionKey = () =>
+  crypto.createHash('sha256').update(String(TWO_FACTOR_ENCRYPTION_KEY || JWT_SECRET)).digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (value) => {
+  const [iv, tag, encrypted] = String(value || '').split('.').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * New set of recovery codes ("ABCD-EFGH")
+ * @returns {Array<String>} Plain codes
+ */
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = base32Encode(crypto.randomBytes(5));
+    return `${code.slice(0, 4)}-${code.slice(4, 8)}`;
+  });
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+/**
+ * Two-Factor Service
+ * TOTP enrollment with recovery codes, the code step of the login, and step-up checks
+ * before sensitive actions. Mandatory for REQUIRED_ROLES, optional for everyone else.
+ */
+class TwoFactorService {
+  /**
+   * Whether the user's role must use two-factor authentication
+   * @param {Object} user - User
+   * @returns {Boolean} Is required
+   */
+  isRequired(user) {
+    return REQUIRED_ROLES.includes(user?.role);
+  }
+
+  /**
+   * Whether the user must enroll before using the rest of the API
+   * @param {Object} user - User
+   * @returns {Boolean} Enrollment pending
+   */
+  isSetupPending(user) {
+    return this.isRequired(user) && !user.twoFactor?.enabled;
+  }
+
+  /**
+   * Whether a session passed a two-factor check recently enough for a sensitive action
+   * @param {Object} session - Session
+   * @returns {Boolean} Step-up is fresh
+   */
+  isStepUpFresh(session) {
+    const verifiedAt = session?.twoFactorVerifiedAt;
+    return !!verifiedAt && Date.now() - new Date(verifiedAt).getTime() <= STEP_UP_WINDOW_MS;
+  }
+
+  /**
+   * Two-factor status of a user
+   * @param {ObjectId} userId - User ID
+   * @returns {Promise<Object>} { enabled, required, enabledAt, recoveryCodesRemaining }
+   */
+  async getStatus(userId) {
+    const user = await User.findById(userId).select('+twoFactor.recoveryCodes');
+    if (!user) throw notFound('User not found');
+    return {
+      enabled: !!user.twoFactor?.enabled,
+      required: this.isRequired(user),
+      enabledAt: user.twoFactor?.enabledAt || null,
+      recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0,
+    };
+  }
+
+  /**
+   * Start enrollment: create a pending secret and the provisioning data for the QR code
+   * @param {ObjectId} userId - User ID
+   * @returns {Promise<Object>} { secret, otpauthUrl, issuer, accountName }
+   */
+  async startSetup(userId) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) throw notFound('User not found');
+      if (user.twoFactor?.enabled) throw badRequest('Two-factor authentication is already enabled');
+
+      const secret = generateTotpSecret();
+      await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } });
+
+      const settings = await CompanySettings.getSettings();
+      const issuer = settings.companyName;
+      return {
+        secret,
+        otpauthUrl: getOtpauthUri({ secret, accountName: user.email, issuer }),
+        issuer,
+        accountName: user.email,
+      };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error starting two-factor setup: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finish enrollment with the first code from the app
+   * @param {ObjectId} userId - User ID
+   * @param {String} code - Code from the authenticator app
+   * @returns {Promise<Array<String>>} Recovery codes (shown once)
+   */
+  async enable(userId, code) {
+    try {
+      const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+      if (!user) throw notFound('User not found');
+      if (user.twoFactor?.enabled) throw badRequest('Two-factor authentication is already enabled');
+      if (!user.twoFactor?.pendingSecret) throw badRequest('Start two-factor setup first');
+
+      const pendingSecret = decryptSecret(user.twoFactor.pendingSecret);
+      const step = verifyTotp(pendingSecret, code);
+      if (step === null) throw badRequest('Invalid two-factor code');
+
+      const recoveryCodes = generateRecoveryCodes();
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            'twoFactor.enabled': true,
+            'twoFactor.secret': encryptSecret(pendingSecret),
+            'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode),
+            'twoFactor.lastUsedStep': step,
+            'twoFactor.enabledAt': new Date(),
+          },
+          $unset: { 'twoFactor.pendingSecret': 1 },
+        }
+      );
+      return recoveryCodes;
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error enabling two-factor authentication: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check a code from the app or a recovery code. Each TOTP code and each recovery code
+   * is accepted only once.
+   * @param {ObjectId} userId - User ID
+   * @param {Object} credentials - { code } or { recoveryCode }
+   * @returns {Promise<Object>} { method: totp | recovery_code, recoveryCodesRemaining }
+   */
+  async verify(userId, { code, recoveryCode } = {}) {
+    try {
+      const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+      if (!user) throw notFound('User not found');
+      if (!user.twoFactor?.enabled) throw badRequest('Two-factor authentication is not enabled');
+
+      if (recoveryCode) {
+        const hash = hashRecoveryCode(recoveryCode);
+        const updated = await User.findOneAndUpdate(
+          { _id: user._id, 'twoFactor.recoveryCodes': hash },
+          { $pull: { 'twoFactor.recoveryCodes': hash } },
+          { new: true }
+        ).select('+twoFactor.recoveryCodes');
+        if (!updated) throw unauthorized('Invalid recovery code');
+        return { method: 'recovery_code', recoveryCodesRemaining: updated.twoFactor.recoveryCodes.length };
+      }
+
+      const step = verifyTotp(decryptSecret(user.twoFactor.secret), code);
+      if (step === null) throw unauthorized('Invalid two-factor code');
+
+      // Record the step atomically; a code already used (or an older one) is refused
+      const accepted = await User.updateOne(
+        { _id: user._id, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      if (!accepted.modifiedCount) throw unauthorized('This code was already used. Wait for the next one.');
+
+      return { method: 'totp', recoveryCodesRemaining: user.twoFactor.recoveryCodes?.length || 0 };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error verifying two-factor code: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace the recovery codes (after a valid code)
+   * @param {ObjectId} userId - User ID
+   * @param {Object} credentials - { code } or { recoveryCode }
+   * @returns {Promise<Array<String>>} New recovery codes (shown once)
+   */
+  async regenerateRecoveryCodes(userId, credentials) {
+    try {
+      await this.verify(userId, credentials);
+      const recoveryCodes = generateRecoveryCodes();
+      await User.updateOne(
+        { _id: userId },
+        { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) } }
+      );
+      return recoveryCodes;
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error regenerating recovery codes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Turn two-factor authentication off (password and a valid code); not allowed for required roles
+   * @param {ObjectId} userId - User ID
+   * @param {String} password - Current password
+   * @param {Object} credentials - { code } or { recoveryCode }
+   */
+  async disable(userId, password, credentials) {
+    try {
+      const user = await User.findById(userId).select('+password');
+      if (!user) throw notFound('User not found');
+      if (this.isRequired(user)) {
+        throw badRequest('Two-factor authentication is mandatory for your role and cannot be disabled');
+      }
+      if (!(await user.comparePassword(password))) throw unauthorized('Password is incorrect');
+
+      await this.verify(userId, credentials);
+      await this.clear(userId);
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error disabling two-factor authentication: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove a user's two-factor enrollment (disable, or admin reset after a lost device)
+   * @param {ObjectId} userId - User ID
+   */
+  async clear(userId) {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.recoveryCodes': 1,
+          'twoFactor.lastUsedStep': 1,
+          'twoFactor.enabledAt': 1,
+        },
+      }
+    );
+  }
+
+  /**
+   * Record a passed step-up check on a session
+   * @param {ObjectId} sessionId - Session ID
+   * @returns {Promise<Date>} Verified at
+   */
+  async markSessionVerified(sessionId) {
+    const verifiedAt = new Date();
+    await Session.updateOne({ _id: sessionId }, { twoFactorVerifiedAt: verifiedAt });
+    return verifiedAt;
+  }
+
+  /**
+   * Short-lived token that carries a login from the password step to the code step
+   * @param {Object} user - User
+   * @returns {String} Challenge token
+   */
+  createLoginChallenge(user) {
+    return jwt.sign({ userId: user._id, purpose: LOGIN_CHALLENGE_PURPOSE }, JWT_SECRET, {
+      expiresIn: LOGIN_CHALLENGE_EXPIRE,
+    });
+  }
+
+  /**
+   * User ID from a login challenge token
+   * @param {String} token - Challenge token
+   * @returns {String} User ID
+   */
+  readLoginChallenge(token) {
+    try {
+      const decoded = jwt.verify(String(token || ''), JWT_SECRET);
+      if (decoded.purpose !== LOGIN_CHALLENGE_PURPOSE) throw new Error('Wrong token purpose');
+      return decoded.userId;
+    } catch (error) {
+      throw unauthorized('Login challenge expired. Please log in again.');
+    }
+  }
+}
+
+export default new TwoFactorService();
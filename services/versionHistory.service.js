@@ -0,0 +1,282 @@
+import EntityVersion from '../models/entityVersion.model.js';
+import Invoice from '../models/invoice.model.js';
+import InvoiceNote from '../models/invoiceNote.model.js';
+import Payout from '../models/payout.model.js';
+import CommissionRule from '../models/commissionRule.model.js';
+import CommissionLedger from '../models/commissionLedger.model.js';
+import FranchiseCommissionLimit from '../models/franchiseCommissionLimit.model.js';
+import CompanySettings from '../models/companySettings.model.js';
+import PartnerLedger from '../models/partnerLedger.model.js';
+import commissionService from './commission.service.js';
+import { getPaginationMeta } from '../utils/helpers.js';
+import { diffObjects, rootOf } from '../utils/objectDiff.js';
+
+// Never compared or restored: identity, bookkeeping and recycle bin state
+const SYSTEM_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'deletedAt', 'deletedBy'];
+
+// Fields that decide what an invoice or payout is worth and who it is owed to
+const INVOICE_MONEY_FIELDS = [
+  'status', 'agent', 'subAgent', 'franchise', 'lead', 'invoiceType',
+  'commissionAmount', 'tdsAmount', 'tdsPercentage', 'tdsRule', 'gstAmount', 'gstDetails', 'netPayable',
+];
+const PAYOUT_MONEY_FIELDS = ['agent', 'franchise', 'totalAmount', 'tdsAmount', 'netPayable', 'bankDetails'];
+// Payment progress, moved only by the export / confirm / return workflow
+const PAYOUT_PAYMENT_FIELDS = [
+  'status', 'bankCsvFile', 'previousBankFiles', 'paymentConfirmation', 'paymentFailure',
+  'recoveryAmount', 'recoveryReason', 'recoveryStatus', 'bankPaymentReceipt',
+];
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Versioned entities.
+ *   label(doc)                         - how the record is named in messages
+ *   locked                             - fields a restore leaves as they are (numbers issued, links kept by workflows)
+ *   conflicts(doc, snapshot, touches)  - reasons the restore would leave downstream records inconsistent;
+ *                                        touches(fields) tells whether the restore changes any of the fields
+ */
+const ENTITIES = {
+  invoice: {
+    model: Invoice,
+    label: (doc) => doc.invoiceNumber,
+    locked: ['invoiceNumber', 'payout', 'commissionLedgerEntry', 'cancellation'],
+    conflicts: async (doc, snapshot, touches) => {
+      const reasons = [];
+      const payout = await Payout.findOne({ invoices: doc._id })
+        .select('payoutNumber status')
+        .setOptions({ withDeleted: true })
+        .lean();
+
+      if (payout?.status === 'complete') {
+        reasons.push(`it is in paid payout ${payout.payoutNumber}`);
+      } else if (payout && touches(INVOICE_MONEY_FIELDS)) {
+        reasons.push(`it is in payout ${payout.payoutNumber}`);
+      }
+
+      if (touches(INVOICE_MONEY_FIELDS)) {
+        if (await InvoiceNote.exists({ invoice: doc._id })) reasons.push('credit / debit notes were issued against it');
+        if (await PartnerLedger.exists({ sourceModel: 'Invoice', sourceId: doc._id })) reasons.push('it is posted to the partner ledger');
+      }
+      return reasons;
+    },
+  },
+  payout: {
+    model: Payout,
+    label: (doc) => doc.payoutNumber,
+    // Invoices point back at their payout, so membership only changes through the payout workflow
+    locked: ['payoutNumber', 'invoices'],
+    conflicts: async (doc, snapshot, touches) => {
+      const reasons = [];
+      if (doc.status === 'complete') reasons.push('it has been paid');
+      if (snapshot.status === 'complete' && doc.status !== 'complete') {
+        reasons.push('the version is marked paid but the payment is not confirmed now');
+      }
+      // Rolling these back would e.g. clear a generated bank file and let the payout be paid again
+      if (touches(PAYOUT_PAYMENT_FIELDS)) {
+        reasons.push('its payment status, bank file, confirmation or return would change');
+      }
+
+      if (touches(PAYOUT_MONEY_FIELDS)) {
+        if (doc.bankCsvFile?.filename) reasons.push('a bank payment file was generated for it');
+        if (await PartnerLedger.exists({ sourceModel: 'Payout', sourceId: doc._id })) reasons.push('it is posted to the partner ledger');
+      }
+      return reasons;
+    },
+  },
+  commission_rule: {
+    model: CommissionRule,
+    label: (doc) => `${doc.loanType} rule`,
+    locked: [],
+    conflicts: async (doc, snapshot, touches) => {
+      const reasons = [];
+      const conditionsError = commissionService.validateConditions(snapshot.conditions);
+      if (conditionsError) reasons.push(`its conditions are no longer valid (${conditionsError})`);
+
+      // Accrued entries name the rule; it must keep describing the same bank and loan type
+      if (touches(['bank', 'loanType']) && await CommissionLedger.exists({ rule: doc._id })) {
+        reasons.push('commission was accrued under it for its current bank and loan type');
+      }
+      return reasons;
+    },
+  },
+  franchise_commission_limit: {
+    model: FranchiseCommissionLimit,
+    label: () => 'franchise commission limit',
+    locked: ['createdBy'],
+    conflicts: async (doc, snapshot, touches) => {
+      if (touches(['bank']) && await FranchiseCommissionLimit.exists({ bank: snapshot.bank, _id: { $ne: doc._id } })) {
+        return ['another limit exists for that bank'];
+      }
+      return [];
+    },
+  },
+  company_settings: {
+    model: CompanySettings,
+    label: () => 'company settings',
+    locked: [],
+    conflicts: async () => [],
+  },
+};
+
+export const VERSIONED_ENTITY_TYPES = Object.keys(ENTITIES);
+
+/**
+ * Version History Service
+ * Lists, compares and restores the snapshots kept by models/plugins/versionHistory.plugin.js.
+ * A restore writes the old values onto the record, which the plugin stores as a new version;
+ * earlier versions are never changed.
+ */
+class VersionHistoryService {
+  /**
+   * Entity definition
+   * @param {String} entityType - invoice | payout | commission_rule | franchise_commission_limit | company_settings
+   * @returns {Object} Entity
+   */
+  getEntity(entityType) {
+    const entity = ENTITIES[entityType];
+    if (!entity) throw badRequest(`Unknown entity type: ${entityType}`);
+    return entity;
+  }
+
+  /**
+   * Versions of a record, newest first (without snapshots)
+   * @param {String} entityType - Entity type
+   * @param {ObjectId} id - Record ID
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { versions, pagination }
+   */
+  async getVersions(entityType, id, { page = 1, limit = 20 } = {}) {
+    const entity = this.getEntity(entityType);
+    const query = { entityType: entity.model.modelName, entityId: id };
+
+    const [versions, total] = await Promise.all([
+      EntityVersion.find(query)
+        .select('-snapshot')
+        .populate('changedBy', 'name email role')
+        .sort({ version: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit))
+        .lean(),
+      EntityVersion.countDocuments(query),
+    ]);
+
+    return { versions, pagination: getPaginationMeta(page, limit, total) };
+  }
+
+  /**
+   * One version with its snapshot
+   * @param {String} entityType - Entity type
+   * @param {ObjectId} id - Record ID
+   * @param {Number} version - Version number
+   * @returns {Promise<Object>} Version
+   */
+  async getVersion(entityType, id, version) {
+    const entity = this.getEntity(entityType);
+    if (!(parseInt(version) >= 1)) throw badRequest(`Invalid version: ${version}`);
+
+    const found = await EntityVersion.findOne({
+      entityType: entity.model.modelName,
+      entityId: id,
+      version: parseInt(version),
+    })
+      .populate('changedBy', 'name email role')
+      .lean();
+
+    if (!found) throw notFound(`Version ${version} not found`);
+    return found;
+  }
+
+  /**
+   * Field-level differences between two versions
+   * @param {String} entityType - Entity type
+   * @param {ObjectId} id - Record ID
+   * @param {Object} options - { from, to }; to defaults to the latest version, from to the one before it
+   * @returns {Promise<Object>} { from, to, changes, changedFields }
+   */
+  async diffVersions(entityType, id, { from, to } = {}) {
+    const entity = this.getEntity(entityType);
+
+    let toVersion = parseInt(to);
+    if (!toVersion) {
+      const latest = await EntityVersion.findOne({ entityType: entity.model.modelName, entityId: id })
+        .sort({ version: -1 })
+        .select('version')
+        .lean();
+      if (!latest) throw notFound('No versions recorded for this record');
+      toVersion = latest.version;
+    }
+    const fromVersion = parseInt(from) || toVersion - 1;
+    if (fromVersion < 1) throw badRequest('There is no earlier version to compare with');
+
+    const [older, newer] = await Promise.all([
+      this.getVersion(entityType, id, fromVersion),
+      this.getVersion(entityType, id, toVersion),
+    ]);
+    const { changes, changedFields } = diffObjects(older.snapshot, newer.snapshot, { ignore: SYSTEM_FIELDS });
+
+    return {
+      from: { version: older.version, action: older.action, changedBy: older.changedBy, createdAt: older.createdAt },
+      to: { version: newer.version, action: newer.action, changedBy: newer.changedBy, createdAt: newer.createdAt },
+      changes,
+      changedFields,
+    };
+  }
+
+  /**
+   * Bring a record back to an earlier version (recorded as a new version).
+   * Refused when downstream records (payouts, notes, ledgers) depend on the current values.
+   * @param {String} entityType - Entity type
+   * @param {ObjectId} id - Record ID
+   * @param {Number} version - Version to restore
+   * @returns {Promise<Object>} { record, version }
+   */
+  async restore(entityType, id, version) {
+    try {
+      const entity = this.getEntity(entityType);
+      const doc = await entity.model.findById(id).setOptions({ withDeleted: true });
+      if (!doc) throw notFound(`${entity.model.modelName} not found`);
+      if (doc.deletedAt) throw badRequest(`${entity.model.modelName} is in the recycle bin; restore it from there first`);
+
+      const target = await this.getVersion(entityType, id, version);
+      const ignore = [...SYSTEM_FIELDS, ...entity.locked];
+      const { changedFields } = diffObjects(doc.toObject({ depopulate: true }), target.snapshot, { ignore });
+      const changedRoots = [...new Set(changedFields.map(rootOf))];
+      if (!changedRoots.length) throw badRequest(`${entity.model.modelName} already matches version ${target.version}`);
+
+      const touches = (fields) => fields.some((field) => changedRoots.includes(field));
+      const reasons = await entity.conflicts(doc, target.snapshot, touches);
+      if (reasons.length) {
+        throw badRequest(`Version ${target.version} of ${entity.label(doc)} cannot be restored because ${reasons.join(', ')}`);
+      }
+
+      for (const field of changedRoots) {
+        doc.set(field, target.snapshot[field] ?? undefined);
+      }
+      doc.$locals.versionMeta = { action: 'restore', restoredFrom: target.version };
+      await doc.save();
+
+      const latest = await EntityVersion.findOne({ entityType: entity.model.modelName, entityId: doc._id })
+        .sort({ version: -1 })
+        .select('version')
+        .lean();
+
+      return { record: doc, version: latest?.version };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      if (error.name === 'ValidationError') throw badRequest(error.message);
+      throw new Error(`Error restoring version: ${error.message}`);
+    }
+  }
+}
+
+export default new VersionHistoryService();
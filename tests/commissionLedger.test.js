@@ -0,0 +1,64 @@
+import test, { beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import CommissionLedger from '../models/commissionLedger.model.js';
+import commissionWaterfallService from '../services/commissionWaterfall.service.js';
+
+// No database here: the driver calls are captured after the model's middleware has run
+const sent = [];
+for (const method of ['updateOne', 'updateMany']) {
+  CommissionLedger.collection[method] = async (filter, update) => {
+    sent.push({ method, filter, update });
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+  };
+}
+
+const newEntry = () => new CommissionLedger({
+  lead: new mongoose.Types.ObjectId(),
+  disbursement: new mongoose.Types.ObjectId(),
+  partyType: 'agent',
+  partyId: new mongoose.Types.ObjectId(),
+  partyModel: 'User',
+  baseAmount: 100000,
+  percentage: 1,
+  amount: 1000,
+});
+
+beforeEach(() => {
+  sent.length = 0;
+});
+
+test('markInvoiced links an unbilled entry to its invoice', async () => {
+  const entry = newEntry();
+  const invoiceId = new mongoose.Types.ObjectId();
+
+  await commissionWaterfallService.markInvoiced(entry, invoiceId);
+
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].method, 'updateOne');
+  assert.deepEqual(sent[0].filter, { _id: entry._id, invoice: null });
+  assert.equal(String(sent[0].update.$set.invoice), String(invoiceId));
+  assert.ok(sent[0].update.$set.invoicedAt instanceof Date);
+});
+
+test('releaseInvoiced unlinks the entries of a rejected invoice', async () => {
+  const invoiceId = new mongoose.Types.ObjectId();
+
+  await commissionWaterfallService.releaseInvoiced(invoiceId);
+
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].method, 'updateMany');
+  assert.equal(String(sent[0].filter.invoice), String(invoiceId));
+  assert.equal(sent[0].update.$set.invoice, null);
+  assert.equal(sent[0].update.$set.invoicedAt, null);
+});
+
+test('ledger updates outside the invoice link are refused', async () => {
+  const entry = newEntry();
+
+  await assert.rejects(
+    CommissionLedger.updateOne({ _id: entry._id }, { $set: { amount: 1 } }),
+    /immutable \(attempted to change: amount\)/
+  );
+  assert.equal(sent.length, 0);
+});
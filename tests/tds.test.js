@@ -0,0 +1,53 @@
+import test, { beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import CompanySettings from '../models/companySettings.model.js';
+import gstService from '../services/gst.service.js';
+import tdsService from '../services/tds.service.js';
+
+// No database here: settings, the party and the year's earlier invoices are stubbed
+const party = { _id: new mongoose.Types.ObjectId(), kyc: { pan: 'ABCDE1234F', verified: true } };
+let year;
+
+CompanySettings.getSettings = async () => ({
+  taxConfig: { tdsSection: '194H', defaultTdsRate: 5, noPanTdsRate: 20, tdsAnnualThreshold: 15000 },
+});
+gstService.getInvoiceParty = async () => ({ partyType: 'agent', party });
+gstService.computeInvoiceAmounts = async () => ({ gstAmount: 0, gstDetails: {} });
+tdsService.getCreditedAmount = async () => year.credited;
+tdsService.getUntaxedThresholdCredits = async () => year.untaxed;
+tdsService.findApplicableCertificate = async () => null;
+
+const invoice = { invoiceType: 'agent', invoiceDate: new Date('2026-08-01') };
+
+beforeEach(() => {
+  year = { credited: 0, untaxed: 0 };
+});
+
+test('the invoice crossing the threshold deducts TDS on the earlier credits too', async () => {
+  year = { credited: 14000, untaxed: 14000 };
+
+  const amounts = await tdsService.computeInvoiceAmounts(invoice, 6000);
+
+  assert.equal(amounts.tdsRule.catchUpAmount, 14000);
+  assert.equal(amounts.tdsAmount, 1000);
+  assert.equal(amounts.netPayable, 5000);
+});
+
+test('a catch-up larger than the invoice is capped and the rest carried forward', async () => {
+  year = { credited: 14900, untaxed: 14900 };
+
+  const amounts = await tdsService.computeInvoiceAmounts(invoice, 200);
+
+  assert.equal(amounts.tdsAmount, 200);
+  assert.equal(amounts.netPayable, 0);
+  assert.equal(amounts.tdsRule.catchUpAmount, 3800);
+  assert.match(amounts.tdsRule.description, /11100 carried to the next invoice/);
+});
+
+test('amounts are rounded to paise', async () => {
+  const amounts = await tdsService.computeInvoiceAmounts(invoice, 16666.67);
+
+  assert.equal(amounts.tdsAmount, 833.33);
+  assert.equal(amounts.netPayable, 15833.34);
+});
@@ -1,26 +1,24 @@
-import Accountant from '../models/accountant.model.js';
-import User from '../models/user.model.js';
-import Franchise from '../models/franchise.model.js';
-import RelationshipManager from '../models/relationship.model.js';
+import orgHierarchyService from '../services/orgHierarchy.service.js';
+
+const NO_ACCESS = () => ({
+  agentIds: [],
+  relationshipManagerIds: [],
+  franchiseIds: [],
+  regionalManagerIds: []
+});
+
+const toStrings = (ids) => ids.map((id) => id.toString());
 
 /**
  * Get assigned Regional Manager IDs for an Accountant
  * @param {Object} req - Express request with req.user
- * @returns {Promise<import('mongoose').Types.ObjectId[] | null>}
+ * @returns {Promise<string[] | null>}
  */
 export async function getAccountantAssignedRegionalManagerIds(req) {
   if (!req.user || req.user.role !== 'accounts_manager') return null;
-  
+
   try {
-    // Find the accountant profile
-    const accountant = await Accountant.findOne({ user: req.user._id }).select('assignedRegionalManagers');
-    if (!accountant || !accountant.assignedRegionalManagers || accountant.assignedRegionalManagers.length === 0) {
-      return [];
-    }
-    return accountant.assignedRegionalManagers.map(rm => {
-      // Handle both ObjectId and string
-      return rm.toString ? rm.toString() : String(rm);
-    });
+    return toStrings(await orgHierarchyService.getRegionalManagerIdsUnder(req.user));
   } catch (error) {
     console.error('Error getting assigned RMs for accountant:', error);
     return [];
@@ -33,74 +31,19 @@ export async function getAccountantAssignedRegionalManagerIds(req) {
  * @returns {Promise<{agentIds: string[], relationshipManagerIds: string[], franchiseIds: string[], regionalManagerIds: string[]}>}
  */
 export async function getAccountantAccessibleUserIds(req) {
-  if (!req.user || req.user.role !== 'accounts_manager') {
-    return {
-      agentIds: [],
-      relationshipManagerIds: [],
-      franchiseIds: [],
-      regionalManagerIds: []
-    };
-  }
+  if (!req.user || req.user.role !== 'accounts_manager') return NO_ACCESS();
 
   try {
-    const rmIds = await getAccountantAssignedRegionalManagerIds(req);
-    
-    if (!rmIds || rmIds.length === 0) {
-      return {
-        agentIds: [],
-        relationshipManagerIds: [],
-        franchiseIds: [],
-        regionalManagerIds: []
-      };
-    }
-
-    // Get franchises under these RMs
-    const franchiseIds = await Franchise.find({ 
-      regionalManager: { $in: rmIds } 
-    }).distinct('_id');
-    const franchiseIdStrings = franchiseIds.map(id => id.toString());
-
-    // Get Relationship Managers under these RMs
-    const relationshipManagers = await RelationshipManager.find({ 
-      regionalManager: { $in: rmIds } 
-    }).select('_id owner');
-    const relationshipManagerIds = relationshipManagers.map(rm => rm._id.toString());
-    const relationshipManagerOwnerIds = relationshipManagers
-      .filter(rm => rm.owner)
-      .map(rm => rm.owner.toString());
-
-    // Get agents under these RMs (through franchises and relationship managers)
-    const agentQuery = {
-      role: 'agent',
-      $or: [
-        { managedByModel: 'Franchise', managedBy: { $in: franchiseIds } },
-        { managedByModel: 'RelationshipManager', managedBy: { $in: relationshipManagerIds } }
-      ]
-    };
-    const agents = await User.find(agentQuery).select('_id');
-    const agentIds = agents.map(agent => agent._id.toString());
-
-    // Get franchise owner user IDs
-    const franchiseOwners = await User.find({
-      role: 'franchise',
-      franchiseOwned: { $in: franchiseIds }
-    }).select('_id');
-    const franchiseOwnerIds = franchiseOwners.map(owner => owner._id.toString());
-
+    const below = await orgHierarchyService.getDescendants(req.user);
     return {
-      agentIds,
-      relationshipManagerIds: relationshipManagerOwnerIds,
-      franchiseIds: franchiseOwnerIds,
-      regionalManagerIds: rmIds
+      agentIds: toStrings(below.agentIds),
+      relationshipManagerIds: toStrings(below.relationshipManagerOwnerIds),
+      franchiseIds: toStrings(below.franchiseOwnerIds),
+      regionalManagerIds: toStrings(below.regionalManagerIds)
     };
   } catch (error) {
     console.error('Error getting accessible user IDs for accountant:', error);
-    return {
-      agentIds: [],
-      relationshipManagerIds: [],
-      franchiseIds: [],
-      regionalManagerIds: []
-    };
+    return NO_ACCESS();
   }
 }
 
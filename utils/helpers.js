@@ -1,81 +1,3 @@
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-/**
- * Generate unique invoice number
- * Format: INV-YYYYMMDD-XXXXX
- * @returns {Promise<String>} Invoice number
- */
-export async function generateInvoiceNumber() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  const random = String(Math.floor(Math.random() * 100000)).padStart(5, '0');
-  
-  return `INV-${year}${month}${day}-${random}`;
-}
-
-/**
- * Generate unique payout number
- * Format: PAY-YYYYMMDD-XXXXX
- * @returns {Promise<String>} Payout number
- */
-export async function generatePayoutNumber() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  const random = String(Math.floor(Math.random() * 100000)).padStart(5, '0');
-  
-  return `PAY-${year}${month}${day}-${random}`;
-}
-
-/**
- * Generate bank CSV file for payout
- * @param {Object} payout - Payout object
- * @returns {Promise<Object>} CSV file data
- */
-export async function generateBankCsv(payout) {
-  try {
-    // Create exports directory if it doesn't exist
-    const exportsDir = path.join(__dirname, '../exports');
-    await fs.mkdir(exportsDir, { recursive: true });
-
-    // CSV format: Account Number, IFSC, Account Holder Name, Amount, Remarks
-    const csvRows = [];
-    csvRows.push('Account Number,IFSC,Account Holder Name,Amount,Remarks');
-
-    const row = [
-      payout.bankDetails.accountNumber || '',
-      payout.bankDetails.ifsc || '',
-      payout.bankDetails.accountHolderName || '',
-      payout.netPayable.toString(),
-      `Payout ${payout.payoutNumber}`,
-    ];
-
-    csvRows.push(row.join(','));
-
-    const csvContent = csvRows.join('\n');
-    const filename = `payout_${payout.payoutNumber}_${Date.now()}.csv`;
-    const filePath = path.join(exportsDir, filename);
-
-    await fs.writeFile(filePath, csvContent, 'utf8');
-
-    return {
-      path: filePath,
-      filename: filename,
-      content: csvContent,
-    };
-  } catch (error) {
-    throw new Error(`Error generating CSV file: ${error.message}`);
-  }
-}
-
 /**
  * Calculate pagination metadata
  * @param {Number} page - Current page
@@ -164,6 +86,49 @@ export function formatCurrency(amount) {
   }).format(amount);
 }
 
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen',
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+function belowHundredToWords(n) {
+  if (n < 20) return ONES[n];
+  return `${TENS[Math.floor(n / 10)]}${n % 10 ? ` ${ONES[n % 10]}` : ''}`;
+}
+
+function integerToIndianWords(n) {
+  if (n === 0) return 'Zero';
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  const lakh = Math.floor((n % 10000000) / 100000);
+  const thousand = Math.floor((n % 100000) / 1000);
+  const hundred = Math.floor((n % 1000) / 100);
+  const rest = n % 100;
+
+  if (crore) parts.push(`${integerToIndianWords(crore)} Crore`);
+  if (lakh) parts.push(`${belowHundredToWords(lakh)} Lakh`);
+  if (thousand) parts.push(`${belowHundredToWords(thousand)} Thousand`);
+  if (hundred) parts.push(`${ONES[hundred]} Hundred`);
+  if (rest) parts.push(belowHundredToWords(rest));
+  return parts.join(' ');
+}
+
+/**
+ * Amount in words (Indian numbering: lakh / crore), as printed on invoices
+ * @param {Number} amount - Amount in rupees
+ * @returns {String} e.g. 'Rupees One Lakh Twenty Thousand and Fifty Paise Only'
+ */
+export function amountToWords(amount) {
+  const value = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const rupees = Math.floor(value / 100);
+  const paise = value % 100;
+
+  let words = `Rupees ${integerToIndianWords(rupees)}`;
+  if (paise) words += ` and ${belowHundredToWords(paise)} Paise`;
+  return `${words} Only`;
+}
+
 /**
  * Extract ObjectId string from value (handles ObjectId, populated objects, or strings)
  * @param {*} value - Value to extract ID from
@@ -0,0 +1,76 @@
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+const PAN_PATTERN = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const AADHAAR_PATTERN = /^[2-9][0-9]{11}$/;
+
+/**
+ * Upper-case a KYC value and strip spaces
+ * @param {String} value - Raw value
+ * @returns {String} Normalized value
+ */
+export function normalizeKycValue(value) {
+  return String(value || '').replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Check PAN format (AAAAA9999A)
+ * @param {String} pan - PAN
+ * @returns {Boolean} Is valid
+ */
+export function isValidPan(pan) {
+  return PAN_PATTERN.test(normalizeKycValue(pan));
+}
+
+/**
+ * Check Aadhaar format (12 digits, not starting with 0 or 1)
+ * @param {String} aadhaar - Aadhaar number
+ * @returns {Boolean} Is valid
+ */
+export function isValidAadhaar(aadhaar) {
+  return AADHAAR_PATTERN.test(normalizeKycValue(aadhaar));
+}
+
+/**
+ * Check IFSC format (4 letters, 0, 6 alphanumerics)
+ * @param {String} ifsc - IFSC code
+ * @returns {Boolean} Is valid
+ */
+export function isValidIfsc(ifsc) {
+  return IFSC_PATTERN.test(normalizeKycValue(ifsc));
+}
+
+/**
+ * Expected check character of a GSTIN (15th character, base-36 weighted sum of the first 14)
+ * @param {String} gstin - GSTIN (at least the first 14 characters)
+ * @returns {String} Check character
+ */
+export function getGstinCheckCharacter(gstin) {
+  const value = normalizeKycValue(gstin);
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARSET.indexOf(value[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+}
+
+/**
+ * Check GSTIN format and check character
+ * @param {String} gstin - GSTIN
+ * @returns {Boolean} Is valid
+ */
+export function isValidGstin(gstin) {
+  const value = normalizeKycValue(gstin);
+  return GSTIN_PATTERN.test(value) && getGstinCheckCharacter(value) === value[14];
+}
+
+/**
+ * PAN embedded in a GSTIN (characters 3 to 12)
+ * @param {String} gstin - GSTIN
+ * @returns {String} PAN
+ */
+export function getPanFromGstin(gstin) {
+  return normalizeKycValue(gstin).substring(2, 12);
+}
@@ -0,0 +1,24 @@
+import User, { hashPassword } from '../models/user.model.js';
+
+/**
+ * Hash passwords that were stored in plain text before hashing was enforced.
+ * Runs on startup; once every password is hashed it finds nothing to do.
+ */
+export const migratePlainTextPasswords = async () => {
+  try {
+    const users = await User.find({
+      password: { $exists: true, $nin: [null, ''], $not: /^\$2[aby]\$/ },
+    }).select('+password');
+
+    if (!users.length) return;
+
+    for (const user of users) {
+      await User.updateOne({ _id: user._id }, { $set: { password: await hashPassword(user.password) } });
+    }
+
+    console.log(`🔐 Hashed ${users.length} plain-text password(s)`);
+  } catch (error) {
+    console.error('\n❌ Error hashing plain-text passwords:', error.message);
+    // Don't exit process, just log the error
+  }
+};
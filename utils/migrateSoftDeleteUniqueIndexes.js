@@ -0,0 +1,36 @@
+import User from '../models/user.model.js';
+import Franchise from '../models/franchise.model.js';
+import RelationshipManager from '../models/relationship.model.js';
+import Bank from '../models/bank.model.js';
+
+// Fields that used to be unique across deleted records too
+const UNIQUE_FIELDS = [
+  [User, ['email', 'mobile']],
+  [Franchise, ['email', 'mobile']],
+  [RelationshipManager, ['email', 'mobile']],
+  [Bank, ['name']],
+];
+
+/**
+ * Replace the old single-field unique indexes, which counted records in the recycle bin and made
+ * re-creating a deleted user / franchise / RM / bank fail, with the { field, deletedAt } unique
+ * indexes declared on the models. Runs on startup; once migrated it finds nothing to do.
+ */
+export const migrateSoftDeleteUniqueIndexes = async () => {
+  try {
+    for (const [Model, fields] of UNIQUE_FIELDS) {
+      const indexes = await Model.collection.indexes();
+      const legacy = indexes.filter((index) => index.unique && fields.some((field) => index.name === `${field}_1`));
+      if (!legacy.length) continue;
+
+      for (const index of legacy) {
+        await Model.collection.dropIndex(index.name);
+      }
+      await Model.createIndexes();
+      console.log(`🗑️  ${Model.modelName} ${fields.join(' / ')} now unique among live records only`);
+    }
+  } catch (error) {
+    console.error('\n❌ Error migrating unique indexes for soft delete:', error.message);
+    // Don't exit process, just log the error
+  }
+};
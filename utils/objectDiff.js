@@ -0,0 +1,67 @@
+export const REDACTED = '[REDACTED]';
+
+/**
+ * Whether a value is compared as a whole (arrays, dates, ObjectIds, buffers, primitives)
+ * @param {*} value - Value
+ * @returns {Boolean}
+ */
+export function isLeafValue(value) {
+  return (
+    value === null ||
+    typeof value !== 'object' ||
+    Array.isArray(value) ||
+    value instanceof Date ||
+    Buffer.isBuffer(value) ||
+    value._bsontype !== undefined
+  );
+}
+
+/**
+ * Flatten nested objects into dotted paths: { a: { b: 1 } } → { 'a.b': 1 }
+ * @param {Object} value - Plain object
+ * @returns {Object} Path → value
+ */
+export function flatten(value, prefix = '', out = {}) {
+  if (!isLeafValue(value) && Object.keys(value).length) {
+    for (const [key, child] of Object.entries(value)) {
+      flatten(child, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+/**
+ * Top-level field of a dotted path
+ * @param {String} path - e.g. bankDetails.ifsc
+ * @returns {String} e.g. bankDetails
+ */
+export function rootOf(path) {
+  return path.split('.')[0];
+}
+
+/**
+ * Field-level diff of two plain objects
+ * @param {Object} before - Old values
+ * @param {Object} after - New values
+ * @param {Object} options - { roots: only these top-level fields, ignore: top-level fields to skip, redact: RegExp of paths whose values are hidden }
+ * @returns {{ changes: Object, changedFields: Array<String> }} changes is path → { from, to }
+ */
+export function diffObjects(before = {}, after = {}, { roots = null, ignore = [], redact = null } = {}) {
+  const previous = flatten(before || {});
+  const current = flatten(after || {});
+  const changes = {};
+
+  for (const path of new Set([...Object.keys(previous), ...Object.keys(current)])) {
+    if (ignore.includes(rootOf(path))) continue;
+    if (roots && !roots.includes(rootOf(path))) continue;
+    if (JSON.stringify(previous[path]) === JSON.stringify(current[path])) continue;
+
+    changes[path] = redact?.test(path)
+      ? { from: REDACTED, to: REDACTED }
+      : { from: previous[path] ?? null, to: current[path] ?? null };
+  }
+
+  return { changes, changedFields: Object.keys(changes) };
+}
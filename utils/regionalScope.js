@@ -1,15 +1,16 @@
-import Franchise from '../models/franchise.model.js';
+import orgHierarchyService from '../services/orgHierarchy.service.js';
 
 /**
- * Get franchise IDs the current user can access as regional_manager.
+ * Get franchise IDs the current user can access as regional_manager
+ * (their own franchises plus those of regions / zones they head).
  * Returns array of ObjectIds if user is regional_manager, otherwise null.
  * @param {Object} req - Express request with req.user
  * @returns {Promise<import('mongoose').Types.ObjectId[] | null>}
  */
 export async function getRegionalManagerFranchiseIds(req) {
   if (!req.user || req.user.role !== 'regional_manager') return null;
-  const ids = await Franchise.find({ regionalManager: req.user._id }).distinct('_id');
-  return ids.length ? ids : [];
+  const { franchiseIds } = await orgHierarchyService.getDescendants(req.user);
+  return franchiseIds;
 }
 
 /**
@@ -20,10 +21,8 @@ export async function getRegionalManagerFranchiseIds(req) {
  */
 export async function getRegionalManagerRelationshipManagerIds(req) {
   if (!req.user || req.user.role !== 'regional_manager') return null;
-  const RelationshipManager = await import('../models/relationship.model.js').then(m => m.default).catch(() => null);
-  if (!RelationshipManager) return null;
-  const ids = await RelationshipManager.find({ regionalManager: req.user._id }).distinct('_id');
-  return ids.length ? ids : [];
+  const { relationshipManagerIds } = await orgHierarchyService.getDescendants(req.user);
+  return relationshipManagerIds;
 }
 
 /**
@@ -33,10 +32,8 @@ export async function getRegionalManagerRelationshipManagerIds(req) {
  * @returns {Promise<boolean>}
  */
 export async function regionalManagerCanAccessFranchise(req, franchiseId) {
-  const ids = await getRegionalManagerFranchiseIds(req);
-  if (ids === null) return true; // not regional_manager
-  const id = franchiseId && (franchiseId.toString?.() || franchiseId);
-  return ids.some((fid) => fid.toString() === id);
+  if (!req.user || req.user.role !== 'regional_manager') return true; // not regional_manager
+  return orgHierarchyService.canAccessFranchise(req.user, franchiseId);
 }
 
 /**
@@ -46,8 +43,6 @@ export async function regionalManagerCanAccessFranchise(req, franchiseId) {
  * @returns {Promise<boolean>}
  */
 export async function regionalManagerCanAccessRelationshipManager(req, relationshipManagerId) {
-  const ids = await getRegionalManagerRelationshipManagerIds(req);
-  if (ids === null) return true; // not regional_manager
-  const id = relationshipManagerId && (relationshipManagerId.toString?.() || relationshipManagerId);
-  return ids.some((rmId) => rmId.toString() === id);
+  if (!req.user || req.user.role !== 'regional_manager') return true; // not regional_manager
+  return orgHierarchyService.canAccessRelationshipManager(req.user, relationshipManagerId);
 }
@@ -0,0 +1,31 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with the request as its context (see middlewares/requestContext.middleware.js)
+ * @param {Object} context - { req, requestId }
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+export function runWithRequestContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Who is acting and from where, for code that has no access to req (model hooks, services).
+ * Empty outside a request (cron jobs, scripts).
+ * @returns {{ userId?: import('mongoose').Types.ObjectId, ipAddress?: string, userAgent?: string, requestId?: string }}
+ */
+export function getRequestContext() {
+  const context = storage.getStore();
+  if (!context) return {};
+
+  const { req, requestId } = context;
+  return {
+    userId: req.user?._id,
+    ipAddress: req.ip || req.headers['x-forwarded-for'] || req.socket?.remoteAddress,
+    userAgent: req.headers['user-agent'],
+    requestId,
+  };
+}
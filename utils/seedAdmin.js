@@ -18,7 +18,7 @@ export const seedDefaultAdmin = async () => {
       name: 'Admin',
       email: 'admin@gmail.com',
       mobile: '9999999999', // Default mobile number
-      password: 'admin@123', // Plain text password (as per User model)
+      password: 'admin@123', // Hashed by the User model
       role: 'super_admin',
       status: 'active',
     });
@@ -0,0 +1,118 @@
+import crypto from 'crypto';
+
+/**
+ * TOTP (RFC 6238) helpers compatible with Google Authenticator, Microsoft Authenticator, Authy, etc.
+ * SHA-1, 6 digits, 30 second steps.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode bytes as base32 (no padding), the format authenticator apps expect
+ * @param {Buffer} buffer - Bytes
+ * @returns {String} Base32 string
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+/**
+ * Decode a base32 string (spaces, padding and case ignored)
+ * @param {String} input - Base32 string
+ * @returns {Buffer} Bytes
+ */
+export const base32Decode = (input) => {
+  const clean = String(input || '').toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * New random shared secret (160 bits, base32)
+ * @returns {String} Secret
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Time step number for a moment
+ * @param {Number} timeMs - Milliseconds since epoch
+ * @returns {Number} Step
+ */
+export const getTimeStep = (timeMs = Date.now()) => Math.floor(timeMs / 1000 / STEP_SECONDS);
+
+/**
+ * Code for one time step
+ * @param {String} secret - Base32 secret
+ * @param {Number} step - Time step
+ * @returns {String} 6-digit code
+ */
+export const generateTotp = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code, allowing for clock drift of `window` steps either side
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code entered by the user
+ * @param {Number} window - Steps of drift allowed
+ * @returns {Number|null} Matching time step, or null when the code is wrong
+ */
+export const verifyTotp = (secret, code, window = 1) => {
+  const value = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(value)) return null;
+
+  const current = getTimeStep();
+  for (let drift = -window; drift <= window; drift++) {
+    const expected = generateTotp(secret, current + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(value))) return current + drift;
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI for enrollment; rendered as a QR code by the client
+ * @param {Object} options - { secret, accountName, issuer }
+ * @returns {String} Provisioning URI
+ */
+export const getOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};